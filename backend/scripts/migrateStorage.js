@@ -0,0 +1,49 @@
+/**
+ * Migrate processed partitions from data.json to data.parquet
+ *
+ * Usage (from the backend directory):
+ *   npm run migrate:storage                       Convert and verify; resumes an interrupted run
+ *   npm run migrate:storage -- --status           Show migration progress
+ *   npm run migrate:storage -- --cleanup          List the data.json files a cleanup would remove
+ *   npm run migrate:storage -- --cleanup --confirm  Remove data.json from verified partitions
+ */
+
+const storageMigration = require('../src/services/storageMigration');
+
+/**
+ * Run the command selected by the arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Process exit code
+ */
+async function main(args) {
+    if (args.includes('--status')) {
+        console.log(JSON.stringify(await storageMigration.getStatus(), null, 2));
+        return 0;
+    }
+
+    if (args.includes('--cleanup')) {
+        const result = await storageMigration.cleanup({ confirm: args.includes('--confirm') });
+        if (!result.confirmed) {
+            console.log(`Cleanup would remove data.json from ${result.partitions.length} partitions:`);
+            result.partitions.forEach(partition => console.log(`  ${partition}`));
+            console.log('Re-run with --cleanup --confirm to remove them.');
+        } else {
+            console.log(`Removed data.json from ${result.removed} partitions.`);
+        }
+        if (result.skipped.length > 0) {
+            console.log(`${result.skipped.length} partitions are not migrated yet and were left untouched.`);
+        }
+        return 0;
+    }
+
+    const result = await storageMigration.migrate();
+    console.log(JSON.stringify(result, null, 2));
+    return result.failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`Storage migration failed: ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,31 @@
+/**
+ * Rebuild the sensor_data table in data/pipeline.duckdb from the processed partitions
+ *
+ * Usage (from the backend directory, with the API server stopped, since DuckDB allows a
+ * single process to open the database file; while it runs use POST /api/storage/rebuild):
+ *   npm run rebuild:serving-table
+ */
+
+const { database: dbConfig } = require('../src/config');
+const dataStorage = require('../src/services/dataStorage');
+
+/**
+ * Rebuild the table and close the database so its changes are checkpointed
+ * @returns {number} Process exit code
+ */
+async function main() {
+    try {
+        const result = await dataStorage.rebuildServingTable();
+        console.log(`Rebuilt sensor_data from ${result.partitions} partitions: ${result.rows} rows in ${result.duration}ms`);
+        return 0;
+    } finally {
+        await dbConfig.closePersistentConnection();
+    }
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`Rebuild failed: ${error.message}`);
+        process.exit(1);
+    });
@@ -10,6 +10,11 @@ const config = {
         PROCESSED_DIR: 'data/processed/',
         CHECKPOINT_DIR: 'data/checkpoints/',
         CHECKPOINT_FILE: path.join('data/checkpoints/', 'processed_files.txt'),
+        STORAGE_MIGRATION_FILE: path.join('data/checkpoints/', 'storage_migration.json'),
+        STEP_CHECKPOINT_DIR: path.join('data/checkpoints/', 'steps'),
+        TEMP_DIR: 'data/temp/',
+        EXECUTIONS_DIR: 'data/executions/',
+        DATABASE_FILE: 'data/pipeline.duckdb',
         QUALITY_REPORT_FILE: 'data/data_quality_report.csv',
         INGESTION_LOG_FILE: 'data/ingestion_log.csv'
     },
@@ -31,6 +36,11 @@ const config = {
         light_intensity: { multiplier: 1.0, offset: 0.0 }
     },
 
+    // Per-sensor calibration overrides, keyed by sensor_id then reading_type.
+    // These take priority over calibrationParams, e.g.
+    // sensor_12: { temperature: { multiplier: 0.98, offset: -1.5 } }
+    sensorCalibrationOverrides: {},
+
     // Expected data ranges for anomaly detection
     expectedRanges: {
         temperature: { min: -20.0, max: 60.0 },
@@ -39,10 +49,134 @@ const config = {
         light_intensity: { min: 0.0, max: 100000.0 }
     },
 
+    // Rate-of-change limits for anomaly detection: a reading is anomalous when it moves
+    // more than maxChange from the previous accepted reading of the same sensor within
+    // perMinutes. Over longer gaps the allowed change grows proportionally.
+    rateOfChangeLimits: {
+        temperature: { maxChange: 15.0, perMinutes: 5 },
+        humidity: { maxChange: 30.0, perMinutes: 5 },
+        soil_moisture: { maxChange: 25.0, perMinutes: 15 }
+    },
+
+    // Stuck-sensor detection per sensor_id + reading_type, during transformation and again
+    // with the stored rolling window when a file is stored:
+    // - flatline: at least flatlineMinReadings identical consecutive readings spanning
+    //   at least flatlineMinHours
+    // - repeated_value: at least repeatedValueMinCount identical consecutive readings
+    // - low_variance: a lowVarianceWindowHours window with at least lowVarianceMinReadings
+    //   readings that are not all identical but whose standard deviation is below
+    //   minStdDev for its type
+    stuckSensorDetection: {
+        flatlineMinHours: 6,
+        flatlineMinReadings: 3,
+        repeatedValueMinCount: 10,
+        lowVarianceWindowHours: 24,
+        lowVarianceMinReadings: 12,
+        minStdDev: {
+            temperature: 0.05,
+            humidity: 0.1,
+            soil_moisture: 0.05,
+            light_intensity: 1.0
+        }
+    },
+
+    // Raw input formats accepted for ingestion, keyed by file extension
+    fileFormats: {
+        '.parquet': 'parquet',
+        '.csv': 'csv',
+        '.json': 'json',
+        '.ndjson': 'json',
+        '.jsonl': 'json'
+    },
+
+    // Derived averages (daily_avg, rolling_avg_7d) per sensor_id + reading_type.
+    // Windows are filled from the incoming batch plus stored partitions. A window with
+    // missing days is averaged over the readings it does contain; rolling_avg_7d is null
+    // until the window holds readings from at least minRollingWindowDays distinct days.
+    averages: {
+        rollingWindowDays: 7,
+        minRollingWindowDays: 1
+    },
+
+    // Duplicate readings share sensor_id + timestamp + reading_type, within a file or
+    // against stored partitions. conflictPolicy decides which one is kept:
+    // 'keep_first' (the one seen or stored first), 'keep_latest' (latest processed),
+    // 'keep_non_null' (first one with a value) or 'average' (mean of the distinct values
+    // received, so reprocessing a file does not change it).
+    deduplication: {
+        conflictPolicy: 'keep_latest'
+    },
+
+    // Missing value imputation per sensor_id + reading_type within a batch.
+    // Strategies: 'none' (leave null), 'forward_fill' (last reading, at most maxGapHours
+    // old), 'linear' (interpolate between neighbours at most maxGapHours apart),
+    // 'seasonal' (mean of readings at the same time on the previous seasonalLookbackDays
+    // days, within seasonalToleranceMinutes) or 'constant' (fixed per-type defaults).
+    imputation: {
+        defaultStrategy: 'none',
+        strategies: {
+            temperature: 'linear',
+            humidity: 'linear',
+            soil_moisture: 'forward_fill',
+            light_intensity: 'seasonal'
+        },
+        maxGapHours: 6,
+        seasonalLookbackDays: 7,
+        seasonalToleranceMinutes: 30
+    },
+
+    // Outlier detection per sensor_id + reading_type within a batch.
+    // method: 'zscore' (uses processing.outlierThreshold), 'mad' (modified z-score) or 'iqr'.
+    // correction: 'flag' (mark only), 'clamp' (to the detection bounds),
+    // 'rolling_median' (median of neighbouring non-outlier readings) or 'null'.
+    // The uncorrected reading is kept in original_value.
+    outliers: {
+        method: 'zscore',
+        madThreshold: 3.5,
+        iqrMultiplier: 1.5,
+        correction: 'rolling_median',
+        rollingMedianWindow: 5,
+        minSamples: 5
+    },
+
+    // Ad-hoc SQL over processed data (POST /api/query/sql). Results are cut at maxRows
+    // (defaultRows when the request sets no limit); queries running longer than timeoutMs
+    // are interrupted. memoryLimit caps the DuckDB instance each query runs in.
+    sqlQuery: {
+        defaultRows: 1000,
+        maxRows: 100000,
+        timeoutMs: 30000,
+        memoryLimit: '1GB'
+    },
+
+    // Background pipeline executions (POST /api/pipeline/run, uploads). Each execution is
+    // kept as JSON in paths.EXECUTIONS_DIR; only the newest retainExecutions are kept.
+    // Event streams send a comment every eventHeartbeatMs so proxies keep them open.
+    // Up to concurrency files of an execution are processed at once, each in its own
+    // worker thread when workerThreads is on (otherwise on the main thread).
+    // A failed step is run up to retryPolicy.maxAttempts times, waiting initialDelayMs
+    // before the first retry and backoffFactor times longer before each next one, up to
+    // maxDelayMs. Schema validation failures are not retried.
+    pipelineJobs: {
+        retainExecutions: 200,
+        eventHeartbeatMs: 15000,
+        concurrency: 2,
+        workerThreads: true,
+        retryPolicy: {
+            maxAttempts: 3,
+            initialDelayMs: 1000,
+            backoffFactor: 2,
+            maxDelayMs: 30000
+        }
+    },
+
     // Processing configuration
     processing: {
+        // Rows per DuckDB read of a raw file. The pipeline still holds a whole file's
+        // records, since transformation works on complete series
         batchSize: 10000,
         outlierThreshold: 3,
+        // Parquet codec for processed partitions: SNAPPY, GZIP, ZSTD, LZ4, BROTLI or UNCOMPRESSED
         compressionType: 'SNAPPY'
     },
 
@@ -1,5 +1,7 @@
 const duckdb = require('duckdb');
 const path = require('path');
+const appConfig = require('./app');
+const { SensorData: SensorDataModel } = require('../models');
 
 /**
  * Database configuration and connection utilities
@@ -11,6 +13,7 @@ class DatabaseConfig {
         };
         this.persistentDb = null;
         this.persistentConnection = null;
+        this.tablesInitialized = null;
     }
 
     /**
@@ -36,13 +39,14 @@ class DatabaseConfig {
      */
     async getPersistentConnection() {
         if (!this.persistentDb || !this.persistentConnection) {
-            const dbPath = path.join(process.cwd(), 'data', 'pipeline.duckdb');
+            const dbPath = path.resolve(process.cwd(), appConfig.paths.DATABASE_FILE);
             this.persistentDb = new duckdb.Database(dbPath);
             this.persistentConnection = this.persistentDb.connect();
 
-            // Initialize tables if they don't exist
-            await this.initializeTables();
+            // Initialize tables if they don't exist; callers arriving meanwhile wait for it too
+            this.tablesInitialized = this.initializeTables();
         }
+        await this.tablesInitialized;
 
         return {
             db: this.persistentDb,
@@ -50,12 +54,82 @@ class DatabaseConfig {
         };
     }
 
+    /**
+     * Use the given database as the persistent database instead of opening the database
+     * file. Worker threads use a stand-in that runs their queries in the main thread, which
+     * owns the file and has already initialized its tables.
+     * @param {Object} db - Object with connect(), returning connections with all() and close()
+     */
+    usePersistentDatabase(db) {
+        this.persistentDb = db;
+        this.persistentConnection = db.connect();
+    }
+
+    /**
+     * Close the persistent database connection, if open
+     */
+    async closePersistentConnection() {
+        if (this.persistentConnection) {
+            await this.closeConnection(this.persistentConnection);
+        }
+        await this.closeDatabase(this.persistentDb);
+        this.persistentDb = null;
+        this.persistentConnection = null;
+        this.tablesInitialized = null;
+    }
+
     /**
      * Initialize required tables in the persistent database
      */
     async initializeTables() {
         if (!this.persistentConnection) return;
 
+        const createQuarantineQuery = `
+            CREATE TABLE IF NOT EXISTS quarantine (
+                id VARCHAR PRIMARY KEY,
+                source_file VARCHAR,
+                row_index INTEGER,
+                stage VARCHAR,
+                reason_code VARCHAR,
+                reason_message VARCHAR,
+                raw_payload VARCHAR,
+                status VARCHAR DEFAULT 'quarantined',
+                quarantined_at TIMESTAMP DEFAULT current_timestamp,
+                replayed_at TIMESTAMP,
+                replay_count INTEGER DEFAULT 0
+            )
+        `;
+        await this.executeQuery(this.persistentConnection, createQuarantineQuery);
+
+        const createCalibrationsQuery = `
+            CREATE TABLE IF NOT EXISTS calibrations (
+                id VARCHAR PRIMARY KEY,
+                sensor_id VARCHAR NOT NULL,
+                reading_type VARCHAR NOT NULL,
+                multiplier DOUBLE NOT NULL,
+                offset_value DOUBLE NOT NULL,
+                effective_from TIMESTAMP NOT NULL,
+                effective_to TIMESTAMP,
+                notes VARCHAR,
+                created_at TIMESTAMP DEFAULT current_timestamp,
+                updated_at TIMESTAMP DEFAULT current_timestamp
+            )
+        `;
+        await this.executeQuery(this.persistentConnection, createCalibrationsQuery);
+
+        const createSavedQueriesQuery = `
+            CREATE TABLE IF NOT EXISTS saved_queries (
+                id VARCHAR PRIMARY KEY,
+                name VARCHAR NOT NULL,
+                description VARCHAR,
+                sql VARCHAR NOT NULL,
+                created_at TIMESTAMP DEFAULT current_timestamp,
+                updated_at TIMESTAMP DEFAULT current_timestamp
+            )
+        `;
+        await this.executeQuery(this.persistentConnection, createSavedQueriesQuery);
+
+        // Serving store for queries, metadata and summaries; mirrors the processed partitions
         const createTableQuery = `
             CREATE TABLE IF NOT EXISTS sensor_data (
                 sensor_id VARCHAR,
@@ -71,12 +145,16 @@ class DatabaseConfig {
             )
         `;
 
-        return new Promise((resolve, reject) => {
-            this.persistentConnection.run(createTableQuery, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
-        });
+        await this.executeQuery(this.persistentConnection, createTableQuery);
+
+        // Enriched columns added after the table was first created
+        for (const [column, type] of Object.entries(SensorDataModel.getEnrichedColumnTypes())) {
+            await this.executeQuery(this.persistentConnection,
+                `ALTER TABLE sensor_data ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+        }
+
+        await this.executeQuery(this.persistentConnection,
+            'CREATE INDEX IF NOT EXISTS idx_sensor_data_sensor_time ON sensor_data (sensor_id, timestamp)');
     }
 
     /**
@@ -122,6 +200,21 @@ class DatabaseConfig {
             console.error('Error closing database connection:', error);
         }
     }
+
+    /**
+     * Close a database instance safely, releasing its memory
+     * @param {Database} db - DuckDB database instance to close
+     */
+    async closeDatabase(db) {
+        if (db && typeof db.close === 'function') {
+            await new Promise((resolve) => {
+                db.close((err) => {
+                    if (err) console.error('Error closing database:', err);
+                    resolve();
+                });
+            });
+        }
+    }
 }
 
 module.exports = new DatabaseConfig();
@@ -5,8 +5,10 @@
 
 const appConfig = require('./app');
 const databaseConfig = require('./database');
+const mappingProfiles = require('./mappingProfiles');
 
 module.exports = {
     app: appConfig,
-    database: databaseConfig
+    database: databaseConfig,
+    mappingProfiles
 };
@@ -0,0 +1,75 @@
+/**
+ * Column mapping profiles for heterogeneous sensor vendors
+ *
+ * Each profile maps a vendor file layout onto the canonical schema in app.js:
+ * - columns: source column name -> canonical column name
+ * - timestampFormat: 'auto' (native types, ISO strings, epoch inferred from magnitude),
+ *   'epoch_s' | 'epoch_ms' | 'epoch_us' | 'epoch_ns', or a strptime pattern such as '%d/%m/%Y %H:%M:%S'
+ * - units: unit of the source values per canonical reading_type (or 'battery_level');
+ *   values are converted to the canonical unit (celsius, percent, lux)
+ * - readingTypeAliases: vendor reading_type value -> canonical reading_type (case-insensitive)
+ *
+ * When an upload does not name a profile, the profile whose source columns are all
+ * present in the file header and which maps the most columns is selected.
+ */
+const mappingProfiles = {
+    canonical: {
+        description: 'Canonical schema (sensor_id, timestamp, reading_type, value, battery_level)',
+        columns: {
+            sensor_id: 'sensor_id',
+            timestamp: 'timestamp',
+            reading_type: 'reading_type',
+            value: 'value',
+            battery_level: 'battery_level'
+        },
+        timestampFormat: 'auto',
+        units: {},
+        readingTypeAliases: {}
+    },
+
+    device_metric: {
+        description: 'Gateways exporting device/ts/metric/reading/batt_pct columns',
+        columns: {
+            device: 'sensor_id',
+            ts: 'timestamp',
+            metric: 'reading_type',
+            reading: 'value',
+            batt_pct: 'battery_level'
+        },
+        timestampFormat: 'auto',
+        units: {},
+        readingTypeAliases: {
+            temp: 'temperature',
+            rh: 'humidity',
+            soil: 'soil_moisture',
+            soil_vwc: 'soil_moisture',
+            lux: 'light_intensity',
+            light: 'light_intensity'
+        }
+    },
+
+    station_imperial: {
+        description: 'Weather stations reporting epoch seconds, Fahrenheit and battery as a 0-1 fraction',
+        columns: {
+            station_id: 'sensor_id',
+            epoch: 'timestamp',
+            parameter: 'reading_type',
+            measurement: 'value',
+            battery: 'battery_level'
+        },
+        timestampFormat: 'epoch_s',
+        units: {
+            temperature: 'fahrenheit',
+            light_intensity: 'klux',
+            battery_level: 'fraction'
+        },
+        readingTypeAliases: {
+            air_temp: 'temperature',
+            rel_humidity: 'humidity',
+            soil_moisture_pct: 'soil_moisture',
+            solar: 'light_intensity'
+        }
+    }
+};
+
+module.exports = mappingProfiles;
@@ -0,0 +1,273 @@
+/**
+ * Calibration Controller
+ * Handles the time-versioned sensor calibration registry and recalibration jobs
+ */
+
+const calibrationRegistry = require('../services/calibrationRegistry');
+const { logging } = require('../utils');
+
+class CalibrationController {
+    /**
+     * List calibration entries
+     * GET /api/calibrations
+     */
+    static async listCalibrations(req, res) {
+        try {
+            const { sensor_id, reading_type } = req.query;
+            const calibrations = await calibrationRegistry.listCalibrations({ sensor_id, reading_type });
+
+            res.json({
+                status: 'success',
+                data: {
+                    calibrations,
+                    count: calibrations.length,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Calibration listing error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to list calibrations',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a calibration entry
+     * GET /api/calibrations/:id
+     */
+    static async getCalibration(req, res) {
+        try {
+            const calibration = await calibrationRegistry.getCalibration(req.params.id);
+
+            if (!calibration) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Calibration ${req.params.id} not found`
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: calibration
+            });
+        } catch (error) {
+            logging.error(`Calibration retrieval error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve calibration',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Create a calibration entry and recalibrate stored data in its period
+     * POST /api/calibrations
+     */
+    static async createCalibration(req, res) {
+        try {
+            const { errors, calibration } = calibrationRegistry.validateCalibration(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Invalid calibration',
+                    errors
+                });
+            }
+
+            const overlapping = await calibrationRegistry.findOverlappingCalibration(calibration);
+            if (overlapping) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: 'Calibration period overlaps an existing entry',
+                    conflict: overlapping
+                });
+            }
+
+            const created = await calibrationRegistry.createCalibration(calibration);
+            const recalibration = await CalibrationController.runRecalibration(req, [created]);
+
+            res.status(201).json({
+                status: 'success',
+                data: {
+                    calibration: created,
+                    recalibration
+                }
+            });
+        } catch (error) {
+            logging.error(`Calibration creation error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to create calibration',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a calibration entry and recalibrate stored data in its old and new periods
+     * PUT /api/calibrations/:id
+     */
+    static async updateCalibration(req, res) {
+        try {
+            const existing = await calibrationRegistry.getCalibration(req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Calibration ${req.params.id} not found`
+                });
+            }
+
+            const { errors, calibration } = calibrationRegistry.validateCalibration({ ...existing, ...req.body });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Invalid calibration',
+                    errors
+                });
+            }
+
+            const overlapping = await calibrationRegistry.findOverlappingCalibration(calibration, existing.id);
+            if (overlapping) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: 'Calibration period overlaps an existing entry',
+                    conflict: overlapping
+                });
+            }
+
+            const updated = await calibrationRegistry.updateCalibration(existing.id, calibration);
+            const recalibration = await CalibrationController.runRecalibration(req, [existing, updated]);
+
+            res.json({
+                status: 'success',
+                data: {
+                    calibration: updated,
+                    previous: existing,
+                    recalibration
+                }
+            });
+        } catch (error) {
+            logging.error(`Calibration update error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to update calibration',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a calibration entry and recalibrate stored data in its period
+     * DELETE /api/calibrations/:id
+     */
+    static async deleteCalibration(req, res) {
+        try {
+            const existing = await calibrationRegistry.getCalibration(req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Calibration ${req.params.id} not found`
+                });
+            }
+
+            await calibrationRegistry.deleteCalibration(existing.id);
+            const recalibration = await CalibrationController.runRecalibration(req, [existing]);
+
+            res.json({
+                status: 'success',
+                message: `Calibration ${existing.id} deleted`,
+                data: {
+                    calibration: existing,
+                    recalibration
+                }
+            });
+        } catch (error) {
+            logging.error(`Calibration deletion error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to delete calibration',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Run the recalibrate job for a sensor, reading type and period
+     * POST /api/calibrations/recalibrate
+     * Body: { sensor_id, reading_type, from, to }
+     */
+    static async recalibrate(req, res) {
+        try {
+            const { sensor_id, reading_type, from, to } = req.body;
+
+            if (!sensor_id || !reading_type || !from || isNaN(new Date(from).getTime()) || (to && isNaN(new Date(to).getTime()))) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'sensor_id, reading_type and a valid from timestamp are required; to must be a valid timestamp if given'
+                });
+            }
+
+            const result = await calibrationRegistry.recalibrate({
+                sensor_id,
+                reading_type: String(reading_type).toLowerCase(),
+                from: new Date(from).toISOString(),
+                to: to ? new Date(to).toISOString() : null
+            });
+
+            res.json({
+                status: 'success',
+                message: `Recalibrated ${result.recordsUpdated} records in ${result.partitionsRewritten} partitions`,
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Recalibration error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to recalibrate stored data',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Recalibrate the periods covered by the given entries, unless ?recalibrate=false.
+     * Periods of the same sensor and reading type are merged so records are rewritten once.
+     * @param {Object} req - Express request
+     * @param {Array<Object>} calibrations - Entries whose periods changed
+     * @returns {Object|null} Combined job result, or null when skipped
+     */
+    static async runRecalibration(req, calibrations) {
+        if (req.query.recalibrate === 'false') {
+            return null;
+        }
+
+        const scopes = new Map();
+        for (const { sensor_id, reading_type, effective_from, effective_to } of calibrations) {
+            const key = `${sensor_id}|${reading_type}`;
+            const scope = scopes.get(key);
+            if (!scope) {
+                scopes.set(key, { sensor_id, reading_type, from: effective_from, to: effective_to });
+            } else {
+                scope.from = effective_from < scope.from ? effective_from : scope.from;
+                scope.to = (!effective_to || !scope.to) ? null : (effective_to > scope.to ? effective_to : scope.to);
+            }
+        }
+
+        const total = { partitionsRewritten: 0, recordsUpdated: 0 };
+        for (const scope of scopes.values()) {
+            const result = await calibrationRegistry.recalibrate(scope);
+            total.partitionsRewritten += result.partitionsRewritten;
+            total.recordsUpdated += result.recordsUpdated;
+        }
+        return total;
+    }
+}
+
+module.exports = CalibrationController;
@@ -118,7 +118,7 @@ class CheckpointController {
      */
     static async clearCheckpoints(req, res) {
         try {
-            await etlPipeline.clearProcessedFiles();
+            await etlPipeline.clearCheckpoints();
 
             logging.logSystem('INFO', 'All checkpoints cleared');
 
@@ -4,6 +4,7 @@
  */
 
 const ETLPipelineService = require('../services/etlPipeline');
+const dataStorage = require('../services/dataStorage');
 const { logging } = require('../utils');
 
 // Initialize ETL Pipeline Service
@@ -11,8 +12,9 @@ const etlPipeline = new ETLPipelineService();
 
 class DataController {
     /**
-     * Get sensor data with optional filtering
+     * Get sensor data with optional filtering, sorted and paginated server-side
      * GET /api/data
+     * Query: limit, offset, date_from, date_to, sensor_id, reading_type, sort_by, order (asc|desc)
      */
     static async getData(req, res) {
         try {
@@ -22,16 +24,30 @@ class DataController {
                 date_from,
                 date_to,
                 sensor_id,
-                reading_type
+                reading_type,
+                sort_by = 'timestamp',
+                order = 'desc'
             } = req.query;
 
+            const invalidDate = [date_from, date_to].find(value => value && isNaN(new Date(value).getTime()));
+            if (invalidDate || !dataStorage.isSortableColumn(sort_by) || !['asc', 'desc'].includes(String(order).toLowerCase())) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: invalidDate
+                        ? `Invalid date filter: ${invalidDate}`
+                        : 'sort_by must be a sortable column and order must be asc or desc'
+                });
+            }
+
             const result = await etlPipeline.getFilteredData({
-                limit: parseInt(limit),
-                offset: parseInt(offset),
+                limit: Math.max(1, parseInt(limit) || 100),
+                offset: Math.max(0, parseInt(offset) || 0),
                 date_from,
                 date_to,
                 sensor_id,
-                reading_type
+                reading_type,
+                sort_by,
+                order
             });
 
             res.json({
@@ -53,6 +69,68 @@ class DataController {
         }
     }
 
+    /**
+     * Get readings aggregated into time buckets
+     * GET /api/data/aggregate
+     * Query: interval (5m|15m|1h|1d|1w), agg (avg|min|max|sum|count|p50|p95|last),
+     *        group_by (comma-separated sensor_id, reading_type), date_from, date_to,
+     *        timezone (IANA name), fill (null|previous|linear), sensor_id, reading_type
+     */
+    static async getAggregatedData(req, res) {
+        try {
+            const {
+                interval = '1h',
+                agg = 'avg',
+                group_by = 'sensor_id,reading_type',
+                date_from,
+                date_to,
+                timezone = 'UTC',
+                fill = 'null',
+                sensor_id,
+                reading_type
+            } = req.query;
+
+            const invalidDate = [date_from, date_to].find(value => value && isNaN(new Date(value).getTime()));
+            if (invalidDate) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Invalid date filter: ${invalidDate}`
+                });
+            }
+
+            const buckets = await etlPipeline.getAggregatedData({
+                interval, agg, group_by, date_from, date_to, timezone, fill, sensor_id, reading_type
+            });
+
+            res.json({
+                status: 'success',
+                data: {
+                    buckets,
+                    count: buckets.length,
+                    interval,
+                    agg,
+                    group_by: String(group_by).split(',').map(column => column.trim()).filter(Boolean),
+                    timezone,
+                    fill,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_QUERY') {
+                return res.status(400).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            logging.error(`Data aggregation error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to aggregate data',
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Get recent sensor data
      * GET /api/data/recent
@@ -10,6 +10,10 @@ const PipelineController = require('./pipelineController');
 const MetadataController = require('./metadataController');
 const LogController = require('./logController');
 const CheckpointController = require('./checkpointController');
+const QuarantineController = require('./quarantineController');
+const CalibrationController = require('./calibrationController');
+const StorageController = require('./storageController');
+const QueryController = require('./queryController');
 
 module.exports = {
     StatusController,
@@ -18,5 +22,9 @@ module.exports = {
     PipelineController,
     MetadataController,
     LogController,
-    CheckpointController
+    CheckpointController,
+    QuarantineController,
+    CalibrationController,
+    StorageController,
+    QueryController
 };
@@ -8,6 +8,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const ETLPipelineService = require('../services/etlPipeline');
 const dataIngestion = require('../services/dataIngestion');
+const pipelineJobs = require('../services/pipelineJobs');
+const { app: appConfig, mappingProfiles } = require('../config');
 const { logging } = require('../utils');
 
 // Initialize ETL Pipeline Service
@@ -31,7 +33,7 @@ const upload = multer({
         fileSize: 100 * 1024 * 1024 // 100MB limit
     },
     fileFilter: (req, file, cb) => {
-        const allowedExtensions = ['.parquet', '.csv', '.json'];
+        const allowedExtensions = Object.keys(appConfig.fileFormats);
         const fileExtension = path.extname(file.originalname).toLowerCase();
 
         if (allowedExtensions.includes(fileExtension)) {
@@ -65,14 +67,24 @@ class PipelineController {
 
                 for (const file of req.files) {
                     try {
-                        // Validate schema using dataIngestion service
-                        await dataIngestion.validateSchemaWithDuckDB(file.path);
+                        // Multer temp files have no extension, so detect the format from the original name
+                        const format = dataIngestion.detectFileFormat(file.originalname);
+                        const validation = await dataIngestion.validateSchemaWithDuckDB(file.path, {
+                            format,
+                            mappingProfile: req.body.mappingProfile
+                        });
 
                         validationResults.push({
                             filename: file.originalname,
-                            status: 'valid',
-                            message: 'Schema validation passed',
-                            size: file.size
+                            status: validation.isValid ? 'valid' : 'invalid',
+                            message: validation.isValid ?
+                                'Schema validation passed' :
+                                `Schema validation failed: ${validation.errors.join(', ')}`,
+                            size: file.size,
+                            recordCount: validation.recordCount,
+                            columns: validation.columns,
+                            errors: validation.errors,
+                            warnings: validation.warnings
                         });
 
                         // Clean up temporary file
@@ -123,6 +135,9 @@ class PipelineController {
                 status: 'success',
                 data: {
                     validationResults,
+                    totalFiles: validationResults.length,
+                    validFiles: validationResults.filter(r => r.status === 'valid').length,
+                    invalidFiles: validationResults.filter(r => r.status === 'invalid').length,
                     timestamp: new Date().toISOString()
                 }
             });
@@ -199,8 +214,10 @@ class PipelineController {
     }
 
     /**
-     * Run complete pipeline for files
+     * Queue files for the complete pipeline
      * POST /api/pipeline/run
+     * Body: { filenames, options: { mappingProfile } }
+     * Responds 202 with the execution ID to follow at GET /api/pipeline/executions/:id.
      */
     static async runPipeline(req, res) {
         try {
@@ -213,43 +230,99 @@ class PipelineController {
                 });
             }
 
-            logging.logSystem('INFO', `Starting complete pipeline for ${filenames.length} files`);
+            if (options.mappingProfile && !mappingProfiles[options.mappingProfile]) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Unknown mapping profile '${options.mappingProfile}'`,
+                    availableProfiles: Object.keys(mappingProfiles)
+                });
+            }
 
-            const results = await etlPipeline.processFilesWithMonitoring(filenames, options);
+            const errors = await pipelineJobs.validateFilenames(filenames);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Some files cannot be processed',
+                    errors
+                });
+            }
+
+            logging.logSystem('INFO', `Queueing complete pipeline for ${filenames.length} files`);
+
+            const execution = await pipelineJobs.submit(filenames, {
+                source: 'pipeline',
+                mappingProfile: options.mappingProfile
+            });
+
+            res.status(202)
+                .location(`/api/pipeline/executions/${execution.id}`)
+                .json({
+                    status: 'success',
+                    message: `Pipeline execution queued for ${execution.files.length} file(s)`,
+                    data: {
+                        executionId: execution.id,
+                        execution,
+                        timestamp: new Date().toISOString()
+                    }
+                });
+        } catch (error) {
+            logging.error(`Pipeline execution error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to execute pipeline',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * List recent pipeline executions, newest first
+     * GET /api/pipeline/executions
+     * Query: limit (default 20)
+     */
+    static async listExecutions(req, res) {
+        try {
+            const limit = parseInt(req.query.limit, 10) || 20;
+            const executions = await pipelineJobs.listExecutions({ limit });
 
             res.json({
                 status: 'success',
-                message: 'Pipeline executed successfully',
                 data: {
-                    results,
-                    processedFiles: filenames.length,
+                    executions,
+                    count: executions.length,
                     timestamp: new Date().toISOString()
                 }
             });
         } catch (error) {
-            logging.error(`Pipeline execution error: ${error.message}`);
+            logging.error(`Pipeline execution listing error: ${error.message}`);
             res.status(500).json({
                 status: 'error',
-                message: 'Failed to execute pipeline',
+                message: 'Failed to list pipeline executions',
                 error: error.message
             });
         }
     }
 
     /**
-     * Get pipeline execution status
-     * GET /api/pipeline/status/:executionId
+     * Get a pipeline execution's progress, timings and per-file results
+     * GET /api/pipeline/executions/:executionId
      */
     static async getPipelineStatus(req, res) {
         try {
             const { executionId } = req.params;
-            const status = await etlPipeline.getExecutionStatus(executionId);
+            const execution = await pipelineJobs.getExecution(executionId);
+
+            if (!execution) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Pipeline execution ${executionId} not found`
+                });
+            }
 
             res.json({
                 status: 'success',
                 data: {
-                    executionId,
-                    status,
+                    ...execution,
                     timestamp: new Date().toISOString()
                 }
             });
@@ -262,6 +335,158 @@ class PipelineController {
             });
         }
     }
+
+    /**
+     * Cancel a queued or running pipeline execution
+     * POST /api/pipeline/executions/:executionId/cancel
+     * A running execution stops at the current file's next cancellation point; the response
+     * shows it as cancelling until then.
+     */
+    static async cancelExecution(req, res) {
+        try {
+            const { executionId } = req.params;
+            const execution = await pipelineJobs.cancel(executionId);
+
+            if (!execution) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Pipeline execution ${executionId} not found`
+                });
+            }
+
+            res.json({
+                status: 'success',
+                message: execution.status === 'cancelled' ?
+                    `Pipeline execution ${executionId} cancelled` :
+                    `Pipeline execution ${executionId} is being cancelled`,
+                data: {
+                    ...execution,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_STATE') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            logging.error(`Pipeline cancellation error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to cancel pipeline execution',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Queue a finished pipeline execution again for its failed, cancelled and interrupted files
+     * POST /api/pipeline/executions/:executionId/retry
+     */
+    static async retryExecution(req, res) {
+        try {
+            const { executionId } = req.params;
+            const execution = await pipelineJobs.retry(executionId);
+
+            if (!execution) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Pipeline execution ${executionId} not found`
+                });
+            }
+
+            const retryCount = execution.files.filter(fileState => fileState.status === 'pending').length;
+            res.status(202)
+                .location(`/api/pipeline/executions/${execution.id}`)
+                .json({
+                    status: 'success',
+                    message: `Pipeline execution queued to retry ${retryCount} file(s)`,
+                    data: {
+                        executionId: execution.id,
+                        execution,
+                        timestamp: new Date().toISOString()
+                    }
+                });
+        } catch (error) {
+            if (error.code === 'INVALID_STATE') {
+                return res.status(409).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            logging.error(`Pipeline retry error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retry pipeline execution',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Stream a pipeline execution's progress as Server-Sent Events
+     * GET /api/pipeline/executions/:executionId/events
+     * Opens with a snapshot event holding the whole execution, then sends execution, file, step
+     * and warning events as they happen, and an end event once the execution has finished.
+     */
+    static async streamExecutionEvents(req, res) {
+        try {
+            const { executionId } = req.params;
+            const execution = await pipelineJobs.getExecution(executionId);
+
+            if (!execution) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Pipeline execution ${executionId} not found`
+                });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+            send('snapshot', execution);
+
+            // Subscribing after the read above could miss the end of an execution finishing
+            // in between, so the live state is checked again once subscribed
+            let heartbeat = null;
+            const close = () => {
+                unsubscribe();
+                clearInterval(heartbeat);
+                res.end();
+            };
+            const unsubscribe = pipelineJobs.subscribe(executionId, (type, data) => {
+                send(type, data);
+                if (type === 'end') {
+                    close();
+                }
+            });
+
+            if (!pipelineJobs.isActive(executionId)) {
+                send('end', pipelineJobs.summarize(await pipelineJobs.getExecution(executionId)));
+                return close();
+            }
+
+            heartbeat = setInterval(() => res.write(': heartbeat\n\n'), appConfig.pipelineJobs.eventHeartbeatMs);
+            req.on('close', close);
+        } catch (error) {
+            logging.error(`Pipeline event stream error: ${error.message}`);
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to stream pipeline events',
+                error: error.message
+            });
+        }
+    }
 }
 
 module.exports = PipelineController;
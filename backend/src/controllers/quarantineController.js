@@ -0,0 +1,113 @@
+/**
+ * Quarantine Controller
+ * Handles inspection and replay of rows rejected by the pipeline
+ */
+
+const ETLPipelineService = require('../services/etlPipeline');
+const quarantine = require('../services/quarantine');
+const { logging } = require('../utils');
+
+// Initialize ETL Pipeline Service
+const etlPipeline = new ETLPipelineService();
+
+class QuarantineController {
+    /**
+     * Get quarantined rows with optional filtering
+     * GET /api/quarantine
+     */
+    static async getQuarantine(req, res) {
+        try {
+            const {
+                limit = 100,
+                offset = 0,
+                source_file,
+                reason_code,
+                stage,
+                status
+            } = req.query;
+
+            const parsedLimit = parseInt(limit);
+            const parsedOffset = parseInt(offset);
+            if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 1000 || isNaN(parsedOffset) || parsedOffset < 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'limit must be between 1 and 1000 and offset must be a non-negative integer'
+                });
+            }
+
+            const result = await quarantine.getQuarantinedRecords({
+                limit: parsedLimit,
+                offset: parsedOffset,
+                source_file,
+                reason_code,
+                stage,
+                status
+            });
+
+            res.json({
+                status: 'success',
+                data: {
+                    records: result.records,
+                    count: result.records.length,
+                    pagination: result.pagination,
+                    reasonCounts: result.reasonCounts,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Quarantine retrieval error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve quarantined records',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Replay quarantined rows through the pipeline
+     * POST /api/quarantine/replay
+     * Body: { ids: [...], corrections: { <id>: { field: value } } }
+     */
+    static async replay(req, res) {
+        try {
+            const { ids, corrections = {} } = req.body;
+
+            if (!ids || !Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'No quarantine ids provided for replay'
+                });
+            }
+
+            if (typeof corrections !== 'object' || Array.isArray(corrections)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'corrections must be an object keyed by quarantine id'
+                });
+            }
+
+            const result = await etlPipeline.replayQuarantined(ids, corrections);
+
+            logging.logSystem('INFO', `Quarantine replay: ${result.replayed} replayed, ${result.failed} still rejected`);
+
+            res.json({
+                status: 'success',
+                message: `${result.replayed} row(s) replayed, ${result.failed} still rejected`,
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Quarantine replay error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to replay quarantined records',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = QuarantineController;
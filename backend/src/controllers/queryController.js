@@ -0,0 +1,279 @@
+/**
+ * Query Controller
+ * Handles read-only ad-hoc SQL over processed data and the saved-query catalog
+ */
+
+const sqlQuery = require('../services/sqlQuery');
+const { logging } = require('../utils');
+
+class QueryController {
+    /**
+     * Run a read-only SELECT against the processed data views
+     * POST /api/query/sql
+     * Body: { sql } or { saved_query_id }, with optional limit and format (json|csv|arrow)
+     */
+    static async runSql(req, res) {
+        try {
+            const { saved_query_id, limit, format = 'json' } = req.body || {};
+            let { sql } = req.body || {};
+
+            if (!sqlQuery.isOutputFormat(format)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Invalid format: ${format}. Expected json, csv or arrow`
+                });
+            }
+
+            if (saved_query_id) {
+                const savedQuery = await sqlQuery.getSavedQuery(saved_query_id);
+                if (!savedQuery) {
+                    return res.status(404).json({
+                        status: 'error',
+                        message: `Saved query ${saved_query_id} not found`
+                    });
+                }
+                sql = savedQuery.sql;
+            }
+
+            const result = await sqlQuery.execute({ sql, limit });
+
+            if (format !== 'json') {
+                const { contentType, body } = sqlQuery.formatResult(result, format);
+                res.set('Content-Type', contentType);
+                res.set('X-Row-Count', String(result.rowCount));
+                res.set('X-Result-Truncated', String(result.truncated));
+                return res.send(body);
+            }
+
+            res.json({
+                status: 'success',
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_QUERY') {
+                return res.status(400).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            if (error.code === 'QUERY_TIMEOUT') {
+                return res.status(408).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            logging.error(`SQL query error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to run query',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * List the views queries can read, with their columns
+     * GET /api/query/tables
+     */
+    static async listTables(req, res) {
+        try {
+            const tables = await sqlQuery.listTables();
+
+            res.json({
+                status: 'success',
+                data: {
+                    tables,
+                    count: tables.length,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Query table listing error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to list query tables',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * List saved queries
+     * GET /api/query/saved
+     */
+    static async listSavedQueries(req, res) {
+        try {
+            const savedQueries = await sqlQuery.listSavedQueries();
+
+            res.json({
+                status: 'success',
+                data: {
+                    savedQueries,
+                    count: savedQueries.length,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Saved query listing error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to list saved queries',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a saved query
+     * GET /api/query/saved/:id
+     */
+    static async getSavedQuery(req, res) {
+        try {
+            const savedQuery = await sqlQuery.getSavedQuery(req.params.id);
+
+            if (!savedQuery) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Saved query ${req.params.id} not found`
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: savedQuery
+            });
+        } catch (error) {
+            logging.error(`Saved query retrieval error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve saved query',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Save a query to the catalog
+     * POST /api/query/saved
+     * Body: { name, description, sql }
+     */
+    static async createSavedQuery(req, res) {
+        try {
+            const { errors, savedQuery } = sqlQuery.validateSavedQuery(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Invalid saved query',
+                    errors
+                });
+            }
+
+            const existing = await sqlQuery.findSavedQueryByName(savedQuery.name);
+            if (existing) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: `A saved query named ${savedQuery.name} already exists`,
+                    conflict: existing
+                });
+            }
+
+            const created = await sqlQuery.createSavedQuery(savedQuery);
+
+            res.status(201).json({
+                status: 'success',
+                data: created
+            });
+        } catch (error) {
+            logging.error(`Saved query creation error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to save query',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a saved query
+     * PUT /api/query/saved/:id
+     */
+    static async updateSavedQuery(req, res) {
+        try {
+            const existing = await sqlQuery.getSavedQuery(req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Saved query ${req.params.id} not found`
+                });
+            }
+
+            const { errors, savedQuery } = sqlQuery.validateSavedQuery({ ...existing, ...req.body });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Invalid saved query',
+                    errors
+                });
+            }
+
+            const conflict = await sqlQuery.findSavedQueryByName(savedQuery.name, existing.id);
+            if (conflict) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: `A saved query named ${savedQuery.name} already exists`,
+                    conflict
+                });
+            }
+
+            const updated = await sqlQuery.updateSavedQuery(existing.id, savedQuery);
+
+            res.json({
+                status: 'success',
+                data: updated
+            });
+        } catch (error) {
+            logging.error(`Saved query update error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to update saved query',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a saved query
+     * DELETE /api/query/saved/:id
+     */
+    static async deleteSavedQuery(req, res) {
+        try {
+            const existing = await sqlQuery.getSavedQuery(req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Saved query ${req.params.id} not found`
+                });
+            }
+
+            await sqlQuery.deleteSavedQuery(existing.id);
+
+            res.json({
+                status: 'success',
+                message: `Deleted saved query ${existing.name}`,
+                data: existing
+            });
+        } catch (error) {
+            logging.error(`Saved query deletion error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to delete saved query',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = QueryController;
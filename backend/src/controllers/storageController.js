@@ -0,0 +1,127 @@
+/**
+ * Storage Controller
+ * Handles migration of processed partitions from JSON to Parquet and the sensor_data serving table
+ */
+
+const storageMigration = require('../services/storageMigration');
+const dataStorage = require('../services/dataStorage');
+const { logging } = require('../utils');
+
+class StorageController {
+    /**
+     * Get storage migration progress
+     * GET /api/storage/migrate
+     */
+    static async getMigrationStatus(req, res) {
+        try {
+            const migrationStatus = await storageMigration.getStatus();
+
+            res.json({
+                status: 'success',
+                data: {
+                    ...migrationStatus,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Storage migration status error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to get storage migration status',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Convert JSON partitions to Parquet, resuming any earlier run
+     * POST /api/storage/migrate
+     */
+    static async migrate(req, res) {
+        try {
+            const result = await storageMigration.migrate();
+
+            res.json({
+                status: 'success',
+                message: `Migrated ${result.migrated} of ${result.partitions} partitions` +
+                    (result.failed > 0 ? `, ${result.failed} failed verification` : ''),
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Storage migration error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to migrate storage',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove data.json from migrated partitions
+     * POST /api/storage/migrate/cleanup
+     * Body: { confirm: true }
+     */
+    static async cleanup(req, res) {
+        try {
+            const confirm = req.body && req.body.confirm === true;
+            const result = await storageMigration.cleanup({ confirm });
+
+            if (!confirm) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Cleanup would remove data.json from ${result.partitions.length} partitions; ` +
+                        'send { "confirm": true } to proceed',
+                    data: result
+                });
+            }
+
+            res.json({
+                status: 'success',
+                message: `Removed data.json from ${result.removed} partitions`,
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`Storage migration cleanup error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to clean up migrated partitions',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Rebuild the sensor_data table from the processed partitions
+     * POST /api/storage/rebuild
+     */
+    static async rebuildServingTable(req, res) {
+        try {
+            const result = await dataStorage.rebuildServingTable();
+
+            res.json({
+                status: 'success',
+                message: `Rebuilt sensor_data from ${result.partitions} partitions`,
+                data: {
+                    ...result,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            logging.error(`sensor_data rebuild error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to rebuild sensor_data',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = StorageController;
@@ -7,6 +7,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const ETLPipelineService = require('../services/etlPipeline');
+const pipelineJobs = require('../services/pipelineJobs');
+const { app: appConfig, mappingProfiles } = require('../config');
 const { logging } = require('../utils');
 
 // Initialize ETL Pipeline Service
@@ -19,7 +21,7 @@ const upload = multer({
         fileSize: 100 * 1024 * 1024 // 100MB limit
     },
     fileFilter: (req, file, cb) => {
-        const allowedExtensions = ['.parquet', '.csv', '.json'];
+        const allowedExtensions = Object.keys(appConfig.fileFormats);
         const fileExtension = path.extname(file.originalname).toLowerCase();
 
         if (allowedExtensions.includes(fileExtension)) {
@@ -39,8 +41,11 @@ class UploadController {
     }
 
     /**
-     * Handle file upload and processing
+     * Handle file upload and queue the files for processing
      * POST /api/upload
+     * Optional body field `mappingProfile` names the column mapping profile to apply;
+     * when omitted the profile is detected from each file's header. Unless `process` is
+     * 'false', responds 202 with the execution ID to follow at GET /api/pipeline/executions/:id.
      */
     static async uploadSingle(req, res) {
         try {
@@ -54,8 +59,17 @@ class UploadController {
                 });
             }
 
+            const { mappingProfile } = req.body;
+            if (mappingProfile && !mappingProfiles[mappingProfile]) {
+                await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Unknown mapping profile '${mappingProfile}'`,
+                    availableProfiles: Object.keys(mappingProfiles)
+                });
+            }
+
             const uploadedFiles = [];
-            const processingResults = [];
 
             // Process uploaded files
             for (const file of files) {
@@ -74,62 +88,43 @@ class UploadController {
 
             logging.info(`Files uploaded: ${uploadedFiles.length} file(s)`);
 
-            // Process the uploaded files through the 4-step pipeline
             const shouldProcess = req.body.process !== 'false'; // Default to true
+            const totalFiles = uploadedFiles.length;
 
-            if (shouldProcess) {
-                logging.info(`Starting 4-step pipeline processing for ${uploadedFiles.length} uploaded file(s)`);
-
-                for (const file of uploadedFiles) {
-                    try {
-                        const result = await etlPipeline.processFile(file.filename);
-                        processingResults.push({
-                            filename: file.filename,
-                            ...result
-                        });
-                    } catch (error) {
-                        processingResults.push({
-                            filename: file.filename,
-                            success: false,
-                            error: error.message
-                        });
+            if (!shouldProcess) {
+                return res.json({
+                    status: 'success',
+                    message: `${totalFiles} file(s) uploaded successfully`,
+                    data: {
+                        files: uploadedFiles,
+                        totalFiles,
+                        processed: false,
+                        mappingProfile: mappingProfile || 'auto',
+                        timestamp: new Date().toISOString()
                     }
-                }
+                });
             }
 
-            // Generate response
-            const totalFiles = uploadedFiles.length;
-            const successfulProcessing = processingResults.filter(r => r.success).length;
-            const failedProcessing = processingResults.filter(r => !r.success).length;
-
-            const response = {
-                status: 'success',
-                message: shouldProcess ?
-                    `${totalFiles} file(s) uploaded and processed` :
-                    `${totalFiles} file(s) uploaded successfully`,
-                data: {
-                    files: uploadedFiles,
-                    totalFiles,
-                    processed: shouldProcess,
-                    timestamp: new Date().toISOString()
-                }
-            };
-
-            if (shouldProcess) {
-                response.data.processing = {
-                    totalProcessed: processingResults.length,
-                    successful: successfulProcessing,
-                    failed: failedProcessing,
-                    results: processingResults
-                };
-
-                // Update message based on processing results
-                if (failedProcessing > 0) {
-                    response.message = `${totalFiles} file(s) uploaded, ${successfulProcessing} processed successfully, ${failedProcessing} failed`;
-                }
-            }
+            // Processing runs in the background; progress is polled by execution ID
+            const execution = await pipelineJobs.submit(uploadedFiles.map(file => file.filename), {
+                source: 'upload',
+                mappingProfile
+            });
 
-            res.json(response);
+            res.status(202)
+                .location(`/api/pipeline/executions/${execution.id}`)
+                .json({
+                    status: 'success',
+                    message: `${totalFiles} file(s) uploaded and queued for processing`,
+                    data: {
+                        files: uploadedFiles,
+                        totalFiles,
+                        executionId: execution.id,
+                        execution,
+                        mappingProfile: mappingProfile || 'auto',
+                        timestamp: new Date().toISOString()
+                    }
+                });
 
         } catch (error) {
             logging.error(`Upload error: ${error.message}`);
@@ -142,33 +137,101 @@ class UploadController {
     }
 
     /**
-     * Process uploaded files using ETL pipeline
+     * List the configured column mapping profiles
+     * GET /api/upload/mapping-profiles
+     */
+    static async getMappingProfiles(req, res) {
+        try {
+            const profiles = Object.entries(mappingProfiles).map(([name, profile]) => ({
+                name,
+                description: profile.description,
+                columns: profile.columns,
+                timestampFormat: profile.timestampFormat,
+                units: profile.units,
+                readingTypeAliases: profile.readingTypeAliases
+            }));
+
+            res.json({
+                status: 'success',
+                data: {
+                    profiles,
+                    total: profiles.length
+                }
+            });
+        } catch (error) {
+            logging.error(`Mapping profile listing error: ${error.message}`);
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to list mapping profiles',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Queue files already in the raw data directory for processing
      * POST /api/process-files
+     * Body: { filenames, mappingProfile }; without filenames, every file not yet processed is queued.
+     * Responds 202 with the execution ID to follow at GET /api/pipeline/executions/:id.
      */
     static async processFiles(req, res) {
         try {
-            const { filenames } = req.body;
+            const { mappingProfile } = req.body || {};
+            let { filenames } = req.body || {};
 
-            if (!filenames || !Array.isArray(filenames) || filenames.length === 0) {
+            if (filenames !== undefined && (!Array.isArray(filenames) || filenames.length === 0)) {
                 return res.status(400).json({
                     status: 'error',
-                    message: 'No filenames provided for processing'
+                    message: 'filenames must be a non-empty array when provided'
                 });
             }
 
-            logging.logSystem('INFO', `Starting processing for ${filenames.length} files`);
-
-            // Process files through ETL pipeline
-            const results = await etlPipeline.processFilesWithMonitoring(filenames);
+            if (mappingProfile && !mappingProfiles[mappingProfile]) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Unknown mapping profile '${mappingProfile}'`,
+                    availableProfiles: Object.keys(mappingProfiles)
+                });
+            }
 
-            res.json({
-                status: 'success',
-                message: 'Files processed successfully',
-                data: {
-                    results,
-                    timestamp: new Date().toISOString()
+            if (!filenames) {
+                filenames = await etlPipeline.getNewFilesToProcess();
+                if (filenames.length === 0) {
+                    return res.json({
+                        status: 'success',
+                        message: 'No new files to process',
+                        data: {
+                            executionId: null,
+                            timestamp: new Date().toISOString()
+                        }
+                    });
                 }
-            });
+            }
+
+            const errors = await pipelineJobs.validateFilenames(filenames);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Some files cannot be processed',
+                    errors
+                });
+            }
+
+            logging.logSystem('INFO', `Queueing ${filenames.length} files for processing`);
+
+            const execution = await pipelineJobs.submit(filenames, { source: 'process-files', mappingProfile });
+
+            res.status(202)
+                .location(`/api/pipeline/executions/${execution.id}`)
+                .json({
+                    status: 'success',
+                    message: `${execution.files.length} file(s) queued for processing`,
+                    data: {
+                        executionId: execution.id,
+                        execution,
+                        timestamp: new Date().toISOString()
+                    }
+                });
         } catch (error) {
             logging.error(`File processing error: ${error.message}`);
             res.status(500).json({
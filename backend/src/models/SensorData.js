@@ -13,14 +13,34 @@ class SensorDataModel {
             battery_level: { type: 'DOUBLE' }
         };
 
+        // Column layout of processed partitions, in storage order
         this.enrichedSchema = {
             ...this.baseSchema,
+            location: { type: 'UTF8', optional: true },
+            original_value: { type: 'DOUBLE', optional: true },
             calibrated_value: { type: 'DOUBLE' },
+            calibration_multiplier: { type: 'DOUBLE' },
+            calibration_offset: { type: 'DOUBLE' },
+            calibration_source: { type: 'UTF8' },
+            calibration_id: { type: 'UTF8', optional: true },
             anomalous_reading: { type: 'BOOLEAN' },
+            anomaly_reasons: { type: 'UTF8', repeated: true },
+            stuck_sensor: { type: 'BOOLEAN' },
+            outlier_detected: { type: 'BOOLEAN' },
             outlier_corrected: { type: 'BOOLEAN' },
             missing_value_filled: { type: 'BOOLEAN' },
-            daily_average: { type: 'DOUBLE' },
-            rolling_7day_average: { type: 'DOUBLE' }
+            imputation_method: { type: 'UTF8', optional: true },
+            processed_timestamp: { type: 'UTF8' },
+            daily_avg: { type: 'DOUBLE', optional: true },
+            rolling_avg_7d: { type: 'DOUBLE', optional: true },
+            // Distinct values merged into value by the 'average' duplicate policy
+            averaged_values: { type: 'DOUBLE', repeated: true }
+        };
+
+        this.duckdbTypes = {
+            UTF8: 'VARCHAR',
+            DOUBLE: 'DOUBLE',
+            BOOLEAN: 'BOOLEAN'
         };
     }
 
@@ -40,6 +60,16 @@ class SensorDataModel {
         return new parquet.ParquetSchema(this.enrichedSchema);
     }
 
+    /**
+     * DuckDB column types for the enriched schema, used to read and write processed partitions
+     * @returns {Object} Column name to DuckDB type, repeated fields as lists
+     */
+    getEnrichedColumnTypes() {
+        return Object.fromEntries(Object.entries(this.enrichedSchema).map(([column, field]) =>
+            [column, `${this.duckdbTypes[field.type]}${field.repeated ? '[]' : ''}`]
+        ));
+    }
+
     /**
      * Validate sensor data record structure
      * @param {Object} record - Sensor data record
@@ -63,12 +93,24 @@ class SensorDataModel {
             value: data.value,
             battery_level: data.battery_level,
             // Enriched fields (optional)
-            calibrated_value: data.calibrated_value || null,
+            location: data.location ?? null,
+            original_value: data.original_value ?? null,
+            calibrated_value: data.calibrated_value ?? null,
+            calibration_multiplier: data.calibration_multiplier ?? null,
+            calibration_offset: data.calibration_offset ?? null,
+            calibration_source: data.calibration_source || null,
+            calibration_id: data.calibration_id || null,
             anomalous_reading: data.anomalous_reading || false,
+            anomaly_reasons: data.anomaly_reasons || [],
+            stuck_sensor: data.stuck_sensor || false,
+            outlier_detected: data.outlier_detected || false,
             outlier_corrected: data.outlier_corrected || false,
             missing_value_filled: data.missing_value_filled || false,
-            daily_average: data.daily_average || null,
-            rolling_7day_average: data.rolling_7day_average || null
+            imputation_method: data.imputation_method || null,
+            processed_timestamp: data.processed_timestamp || null,
+            daily_avg: data.daily_avg ?? null,
+            rolling_avg_7d: data.rolling_avg_7d ?? null,
+            averaged_values: data.averaged_values || []
         };
     }
 }
@@ -11,7 +11,11 @@ const {
     PipelineController,
     MetadataController,
     LogController,
-    CheckpointController
+    CheckpointController,
+    QuarantineController,
+    CalibrationController,
+    StorageController,
+    QueryController
 } = require('../controllers');
 
 const router = express.Router();
@@ -40,12 +44,17 @@ router.delete('/reset', StatusController.resetPipeline);
 // ==============================================
 
 /**
- * Upload and process single file
+ * Upload files and queue them for processing
  */
 router.post('/upload', UploadController.singleUpload, UploadController.uploadSingle);
 
 /**
- * Process uploaded files using ETL pipeline
+ * List column mapping profiles selectable on upload
+ */
+router.get('/upload/mapping-profiles', UploadController.getMappingProfiles);
+
+/**
+ * Queue uploaded files for processing
  */
 router.post('/process-files', UploadController.processFiles);
 
@@ -63,6 +72,11 @@ router.get('/data', DataController.getData);
  */
 router.get('/data/recent', DataController.getRecentData);
 
+/**
+ * Get readings aggregated into time buckets
+ */
+router.get('/data/aggregate', DataController.getAggregatedData);
+
 /**
  * Get summary statistics for data
  */
@@ -92,6 +106,36 @@ router.post('/pipeline/validate', PipelineController.validationUpload, PipelineC
  */
 router.post('/pipeline/process-step', PipelineController.processStep);
 
+/**
+ * Queue files for the complete pipeline
+ */
+router.post('/pipeline/run', PipelineController.runPipeline);
+
+/**
+ * List recent pipeline executions
+ */
+router.get('/pipeline/executions', PipelineController.listExecutions);
+
+/**
+ * Get pipeline execution progress and per-file results
+ */
+router.get('/pipeline/executions/:executionId', PipelineController.getPipelineStatus);
+
+/**
+ * Stream pipeline execution progress as Server-Sent Events
+ */
+router.get('/pipeline/executions/:executionId/events', PipelineController.streamExecutionEvents);
+
+/**
+ * Cancel a queued or running pipeline execution
+ */
+router.post('/pipeline/executions/:executionId/cancel', PipelineController.cancelExecution);
+
+/**
+ * Retry the failed files of a pipeline execution
+ */
+router.post('/pipeline/executions/:executionId/retry', PipelineController.retryExecution);
+
 // ==============================================
 // METADATA ROUTES
 // ==============================================
@@ -144,4 +188,115 @@ router.get('/checkpoints', CheckpointController.getCheckpointStatus);
  */
 router.delete('/checkpoints', CheckpointController.clearCheckpoints);
 
+// ==============================================
+// QUARANTINE ROUTES
+// ==============================================
+
+/**
+ * Get quarantined rows (filter by source_file, reason_code, stage, status)
+ */
+router.get('/quarantine', QuarantineController.getQuarantine);
+
+/**
+ * Replay quarantined rows, optionally with corrected field values
+ */
+router.post('/quarantine/replay', QuarantineController.replay);
+
+// ==============================================
+// CALIBRATION ROUTES
+// ==============================================
+
+/**
+ * List calibration registry entries (filter by sensor_id, reading_type)
+ */
+router.get('/calibrations', CalibrationController.listCalibrations);
+
+/**
+ * Recalibrate stored data for a sensor, reading type and period
+ */
+router.post('/calibrations/recalibrate', CalibrationController.recalibrate);
+
+/**
+ * Get a calibration registry entry
+ */
+router.get('/calibrations/:id', CalibrationController.getCalibration);
+
+/**
+ * Create a calibration registry entry
+ */
+router.post('/calibrations', CalibrationController.createCalibration);
+
+/**
+ * Update a calibration registry entry
+ */
+router.put('/calibrations/:id', CalibrationController.updateCalibration);
+
+/**
+ * Delete a calibration registry entry
+ */
+router.delete('/calibrations/:id', CalibrationController.deleteCalibration);
+
+// ==============================================
+// STORAGE ROUTES
+// ==============================================
+
+/**
+ * Get progress of the JSON to Parquet partition migration
+ */
+router.get('/storage/migrate', StorageController.getMigrationStatus);
+
+/**
+ * Migrate JSON partitions to Parquet, resuming an interrupted run
+ */
+router.post('/storage/migrate', StorageController.migrate);
+
+/**
+ * Remove data.json from verified partitions (requires { confirm: true })
+ */
+router.post('/storage/migrate/cleanup', StorageController.cleanup);
+
+/**
+ * Rebuild the sensor_data serving table from the processed partitions
+ */
+router.post('/storage/rebuild', StorageController.rebuildServingTable);
+
+// ==============================================
+// QUERY ROUTES
+// ==============================================
+
+/**
+ * Run a read-only SELECT over processed data (JSON, CSV or Arrow results)
+ */
+router.post('/query/sql', QueryController.runSql);
+
+/**
+ * List the views and columns available to queries
+ */
+router.get('/query/tables', QueryController.listTables);
+
+/**
+ * List saved queries
+ */
+router.get('/query/saved', QueryController.listSavedQueries);
+
+/**
+ * Get a saved query
+ */
+router.get('/query/saved/:id', QueryController.getSavedQuery);
+
+/**
+ * Save a query
+ */
+router.post('/query/saved', QueryController.createSavedQuery);
+
+/**
+ * Update a saved query
+ */
+router.put('/query/saved/:id', QueryController.updateSavedQuery);
+
+/**
+ * Delete a saved query
+ */
+router.delete('/query/saved/:id', QueryController.deleteSavedQuery);
+
 module.exports = router;
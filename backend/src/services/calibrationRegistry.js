@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { database: dbConfig } = require('../config');
+const { logging } = require('../utils');
+const dataTransformation = require('./dataTransformation');
+const dataStorage = require('./dataStorage');
+
+const ISO_FORMAT = '%Y-%m-%dT%H:%M:%S.%gZ';
+
+/**
+ * Calibration Registry Service
+ * Time-versioned calibration parameters per sensor_id and reading_type, stored in the
+ * `calibrations` table of the persistent DuckDB database. Each entry applies from
+ * effective_from (inclusive) until effective_to (exclusive, open-ended when null).
+ */
+class CalibrationRegistryService {
+    /**
+     * Get the persistent database connection
+     * @returns {Connection} Database connection
+     */
+    async getConnection() {
+        const { connection } = await dbConfig.getPersistentConnection();
+        return connection;
+    }
+
+    /**
+     * List calibration entries
+     * @param {Object} filters - { sensor_id, reading_type }
+     * @returns {Array<Object>} Entries ordered by sensor, reading type and effective_from
+     */
+    async listCalibrations(filters = {}) {
+        const conditions = [];
+        const params = [];
+        for (const column of ['sensor_id', 'reading_type']) {
+            if (filters[column]) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[column]);
+            }
+        }
+
+        const connection = await this.getConnection();
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()}
+            FROM calibrations
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY sensor_id, reading_type, effective_from
+        `, params);
+
+        return rows.map(row => this.formatRow(row));
+    }
+
+    /**
+     * Get a calibration entry by id
+     * @param {string} id - Entry id
+     * @returns {Object|null} Entry, or null if not found
+     */
+    async getCalibration(id) {
+        const connection = await this.getConnection();
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()} FROM calibrations WHERE id = ?
+        `, [id]);
+
+        return rows.length > 0 ? this.formatRow(rows[0]) : null;
+    }
+
+    /**
+     * Validate and normalize calibration input
+     * @param {Object} input - { sensor_id, reading_type, multiplier, offset, effective_from, effective_to, notes }
+     * @returns {Object} { errors, calibration } with timestamps normalized to ISO strings
+     */
+    validateCalibration(input = {}) {
+        const errors = [];
+        const calibration = {
+            sensor_id: String(input.sensor_id || '').trim(),
+            reading_type: String(input.reading_type || '').trim().toLowerCase(),
+            multiplier: input.multiplier === undefined ? 1.0 : Number(input.multiplier),
+            offset: input.offset === undefined ? 0.0 : Number(input.offset),
+            effective_from: null,
+            effective_to: null,
+            notes: input.notes || null
+        };
+
+        if (!calibration.sensor_id) errors.push('sensor_id is required');
+        if (!calibration.reading_type) errors.push('reading_type is required');
+        if (!isFinite(calibration.multiplier)) errors.push('multiplier must be a number');
+        if (!isFinite(calibration.offset)) errors.push('offset must be a number');
+
+        const from = new Date(input.effective_from);
+        if (!input.effective_from || isNaN(from.getTime())) {
+            errors.push('effective_from must be a valid timestamp');
+        } else {
+            calibration.effective_from = from.toISOString();
+        }
+
+        if (input.effective_to) {
+            const to = new Date(input.effective_to);
+            if (isNaN(to.getTime())) {
+                errors.push('effective_to must be a valid timestamp');
+            } else {
+                calibration.effective_to = to.toISOString();
+                if (calibration.effective_from && calibration.effective_to <= calibration.effective_from) {
+                    errors.push('effective_to must be after effective_from');
+                }
+            }
+        }
+
+        return { errors, calibration };
+    }
+
+    /**
+     * Find an entry for the same sensor and reading type whose period overlaps
+     * @param {Object} calibration - Normalized calibration
+     * @param {string} excludeId - Entry id to ignore (the one being updated)
+     * @returns {Object|null} Overlapping entry, or null
+     */
+    async findOverlappingCalibration(calibration, excludeId = null) {
+        const existing = await this.listCalibrations({
+            sensor_id: calibration.sensor_id,
+            reading_type: calibration.reading_type
+        });
+
+        return existing.find(entry =>
+            entry.id !== excludeId &&
+            (!calibration.effective_to || entry.effective_from < calibration.effective_to) &&
+            (!entry.effective_to || calibration.effective_from < entry.effective_to)
+        ) || null;
+    }
+
+    /**
+     * Create a calibration entry
+     * @param {Object} calibration - Normalized calibration from validateCalibration
+     * @returns {Object} Created entry
+     */
+    async createCalibration(calibration) {
+        const id = crypto.randomUUID();
+        const connection = await this.getConnection();
+
+        await dbConfig.executeQuery(connection, `
+            INSERT INTO calibrations (id, sensor_id, reading_type, multiplier, offset_value, effective_from, effective_to, notes)
+            VALUES (?, ?, ?, ?, ?, CAST(? AS TIMESTAMP), CAST(? AS TIMESTAMP), ?)
+        `, [
+            id,
+            calibration.sensor_id,
+            calibration.reading_type,
+            calibration.multiplier,
+            calibration.offset,
+            calibration.effective_from,
+            calibration.effective_to,
+            calibration.notes
+        ]);
+
+        logging.info(`Created calibration ${id} for ${calibration.sensor_id}/${calibration.reading_type} from ${calibration.effective_from}`);
+        return await this.getCalibration(id);
+    }
+
+    /**
+     * Update a calibration entry
+     * @param {string} id - Entry id
+     * @param {Object} calibration - Normalized calibration from validateCalibration
+     * @returns {Object} Updated entry
+     */
+    async updateCalibration(id, calibration) {
+        const connection = await this.getConnection();
+
+        await dbConfig.executeQuery(connection, `
+            UPDATE calibrations
+            SET sensor_id = ?, reading_type = ?, multiplier = ?, offset_value = ?,
+                effective_from = CAST(? AS TIMESTAMP), effective_to = CAST(? AS TIMESTAMP),
+                notes = ?, updated_at = current_timestamp
+            WHERE id = ?
+        `, [
+            calibration.sensor_id,
+            calibration.reading_type,
+            calibration.multiplier,
+            calibration.offset,
+            calibration.effective_from,
+            calibration.effective_to,
+            calibration.notes,
+            id
+        ]);
+
+        logging.info(`Updated calibration ${id}`);
+        return await this.getCalibration(id);
+    }
+
+    /**
+     * Delete a calibration entry
+     * @param {string} id - Entry id
+     */
+    async deleteCalibration(id) {
+        const connection = await this.getConnection();
+        await dbConfig.executeQuery(connection, 'DELETE FROM calibrations WHERE id = ?', [id]);
+        logging.info(`Deleted calibration ${id}`);
+    }
+
+    /**
+     * Recalibrate job: recompute calibrated_value for stored records of a sensor and
+     * reading type within a period, using the registry as it is now. Records with no
+     * registry entry fall back to the configured overrides and defaults. The range and
+     * rate-of-change flags of the series are then recomputed for each rewritten partition.
+     * @param {Object} scope - { sensor_id, reading_type, from, to } with ISO timestamps; to is exclusive and optional
+     * @returns {Object} { partitionsRewritten, recordsUpdated }
+     */
+    async recalibrate({ sensor_id, reading_type, from, to = null }) {
+        const registry = dataTransformation.indexCalibrations(
+            await this.listCalibrations({ sensor_id, reading_type })
+        );
+
+        const result = await dataStorage.updateStoredRecords({
+            sensorIds: [sensor_id],
+            dateFrom: from.substring(0, 10),
+            dateTo: to ? to.substring(0, 10) : '9999-12-31'
+        }, records => {
+            const series = records.filter(record => record.reading_type === reading_type);
+            const recalibrated = series.filter(record => record.timestamp >= from && (!to || record.timestamp < to));
+            if (recalibrated.length === 0) {
+                return 0;
+            }
+
+            for (const record of recalibrated) {
+                Object.assign(record, dataTransformation.calibrateValue(
+                    record.sensor_id, record.reading_type, record.value, record.timestamp, registry
+                ));
+            }
+            const reflagged = dataTransformation.reflagAnomalies(series);
+            return new Set([...recalibrated, ...reflagged]).size;
+        });
+
+        logging.info(`Recalibrated ${result.recordsUpdated} records of ${sensor_id}/${reading_type} ` +
+            `in ${result.partitionsRewritten} partitions`);
+        return result;
+    }
+
+    /**
+     * Columns selected for calibration entries, with timestamps rendered as ISO strings
+     * @returns {string} SQL select list
+     */
+    selectColumns() {
+        return `id, sensor_id, reading_type, multiplier, offset_value, notes,
+            strftime(effective_from, '${ISO_FORMAT}') AS effective_from,
+            strftime(effective_to, '${ISO_FORMAT}') AS effective_to,
+            strftime(created_at, '${ISO_FORMAT}') AS created_at,
+            strftime(updated_at, '${ISO_FORMAT}') AS updated_at`;
+    }
+
+    /**
+     * Convert a calibrations row to its API shape
+     * @param {Object} row - Database row
+     * @returns {Object} Calibration entry
+     */
+    formatRow(row) {
+        return {
+            id: row.id,
+            sensor_id: row.sensor_id,
+            reading_type: row.reading_type,
+            multiplier: row.multiplier,
+            offset: row.offset_value,
+            effective_from: row.effective_from,
+            effective_to: row.effective_to,
+            notes: row.notes,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+}
+
+module.exports = new CalibrationRegistryService();
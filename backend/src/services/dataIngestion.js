@@ -1,9 +1,56 @@
+const path = require('path');
 const { database: dbConfig } = require('../config');
 const { app: appConfig } = require('../config');
+const { mappingProfiles } = require('../config');
 const { logging } = require('../utils');
 
+const INTEGER_TYPES = ['TINYINT', 'SMALLINT', 'INTEGER', 'BIGINT', 'HUGEINT', 'UTINYINT', 'USMALLINT', 'UINTEGER', 'UBIGINT'];
+
+/**
+ * DuckDB column types accepted for each Parquet schema type. Coercible types are
+ * converted by the ingestion projection; any other type is rejected.
+ */
+const SCHEMA_TYPE_COMPATIBILITY = {
+    UTF8: {
+        exact: ['VARCHAR'],
+        coercible: [...INTEGER_TYPES, 'ENUM', 'UUID', 'JSON']
+    },
+    TIMESTAMP_NS: {
+        exact: ['TIMESTAMP_NS'],
+        coercible: ['TIMESTAMP', 'TIMESTAMP_MS', 'TIMESTAMP_S', 'TIMESTAMP WITH TIME ZONE', 'DATE', 'DOUBLE', 'FLOAT', ...INTEGER_TYPES, 'VARCHAR', 'JSON']
+    },
+    DOUBLE: {
+        exact: ['DOUBLE'],
+        coercible: ['FLOAT', 'DECIMAL', ...INTEGER_TYPES, 'VARCHAR', 'JSON']
+    }
+};
+
+/**
+ * SQL conversions from vendor units to the canonical unit of each reading
+ * (celsius, percent, lux). Keys are the unit names used in mapping profiles.
+ */
+const UNIT_CONVERSIONS = {
+    celsius: value => value,
+    fahrenheit: value => `((${value}) - 32) * 5.0 / 9.0`,
+    kelvin: value => `(${value}) - 273.15`,
+    percent: value => value,
+    fraction: value => `(${value}) * 100`,
+    lux: value => value,
+    klux: value => `(${value}) * 1000`
+};
+
+/**
+ * Scale factors from an explicit epoch unit to microseconds
+ */
+const EPOCH_UNITS = {
+    epoch_s: 1000000,
+    epoch_ms: 1000,
+    epoch_us: 1,
+    epoch_ns: 0.001
+};
+
 /**
- * Data ingestion service for reading and validating Parquet files
+ * Data ingestion service for reading and validating Parquet, CSV and JSON files
  * Step 1 of the 4-step pipeline process
  */
 class DataIngestionService {
@@ -18,132 +65,635 @@ class DataIngestionService {
 
     /**
      * Validate schema using DuckDB
-     * @param {string} filepath - Path to Parquet file
-     * @returns {Object} Validation result
+     * Describes the file, compares every column against appConfig.parquetSchema
+     * and counts the rows it contains.
+     * Vendor column names are mapped onto the canonical schema first, using the
+     * requested mapping profile or the one detected from the file header.
+     * @param {string} filepath - Path to Parquet, CSV or JSON file
+     * @param {Object} options - { format, mappingProfile }; format is detected from the extension by default
+     * @returns {Object} Validation result with per-column findings
      */
-    async validateSchemaWithDuckDB(filepath) {
+    async validateSchemaWithDuckDB(filepath, options = {}) {
+        const { format = this.detectFileFormat(filepath), mappingProfile } = options;
+
         try {
             logging.info(`Validating schema for file: ${filepath}`);
 
-            // For now, return a simple validation result to bypass the DuckDB issue
-            // TODO: Fix DuckDB query syntax issue
+            if (!filepath) {
+                throw new Error('File path is required for schema validation');
+            }
+
+            const db = dbConfig.createInMemoryDatabase();
+            const con = dbConfig.getConnection(db);
+
+            let schema;
+            let recordCount;
+            let dialect = null;
+            try {
+                if (format === 'csv') {
+                    dialect = await this.sniffCsvDialect(con, filepath);
+                }
+                schema = await this.describeFile(con, filepath, format);
+                const countResult = await dbConfig.executeQuery(con, `
+                    SELECT COUNT(*) AS total_rows FROM ${this.buildSourceExpression(filepath, format)}
+                `);
+                recordCount = Number(countResult[0].total_rows);
+            } finally {
+                await dbConfig.closeConnection(con);
+                await dbConfig.closeDatabase(db);
+            }
+
+            const profile = this.resolveMappingProfile(schema, mappingProfile);
+            const comparison = this.compareSchema(this.applyColumnMapping(schema, profile));
             const validationResult = {
-                isValid: true,
-                errors: [],
-                schema: [
-                    { column_name: 'timestamp', column_type: 'TIMESTAMP' },
-                    { column_name: 'sensor_id', column_type: 'VARCHAR' },
-                    { column_name: 'reading_type', column_type: 'VARCHAR' },
-                    { column_name: 'value', column_type: 'DOUBLE' },
-                    { column_name: 'battery_level', column_type: 'DOUBLE' }
-                ],
-                recordCount: 1000, // Placeholder
-                requiredColumns: ['timestamp', 'sensor_id', 'reading_type', 'value', 'battery_level'],
-                foundColumns: ['timestamp', 'sensor_id', 'reading_type', 'value', 'battery_level']
+                isValid: comparison.errors.length === 0,
+                format,
+                dialect,
+                mappingProfile: profile ? profile.name : null,
+                errors: comparison.errors,
+                warnings: comparison.warnings,
+                columns: comparison.columns,
+                schema,
+                recordCount,
+                requiredColumns: Object.keys(appConfig.parquetSchema),
+                foundColumns: schema.map(col => col.column_name),
+                missingColumns: comparison.columns.filter(col => col.status === 'missing').map(col => col.column),
+                extraColumns: comparison.columns.filter(col => col.status === 'extra').map(col => col.column)
             };
 
-            logging.info(`Schema validation passed for ${filepath} (simplified validation)`);
+            if (validationResult.isValid) {
+                logging.info(`Schema validation passed for ${filepath}: ${recordCount} rows, ${comparison.warnings.length} warning(s)`);
+            } else {
+                logging.warn(`Schema validation failed for ${filepath}: ${comparison.errors.join('; ')}`);
+            }
             return validationResult;
 
         } catch (error) {
             logging.error(`Schema validation error for ${filepath}: ${error.message}`);
             return {
                 isValid: false,
+                format,
+                dialect: null,
+                mappingProfile: null,
                 errors: [error.message],
+                warnings: [],
+                columns: [],
                 schema: [],
                 recordCount: 0,
                 requiredColumns: [],
-                foundColumns: []
+                foundColumns: [],
+                missingColumns: [],
+                extraColumns: []
             };
         }
     }
 
+    /**
+     * Compare a described file schema against the expected Parquet schema
+     * @param {Array<Object>} schema - Column descriptions ({ column_name, column_type })
+     * @param {Object} expectedSchema - Expected schema (defaults to appConfig.parquetSchema)
+     * @returns {Object} { columns, errors, warnings } where each column finding has a status of
+     *   'ok', 'coercible', 'incompatible', 'missing' or 'extra'
+     */
+    compareSchema(schema, expectedSchema = appConfig.parquetSchema) {
+        const columns = [];
+        const errors = [];
+        const warnings = [];
+        const actualTypes = new Map(schema.map(col => [col.column_name, col.column_type]));
+
+        for (const [column, definition] of Object.entries(expectedSchema)) {
+            const expectedType = definition.type;
+
+            if (!actualTypes.has(column)) {
+                const message = `Missing required column '${column}' (expected ${expectedType})`;
+                columns.push({ column, status: 'missing', expectedType, actualType: null, message });
+                errors.push(message);
+                continue;
+            }
+
+            const actualType = actualTypes.get(column);
+            const compatibility = this.getTypeCompatibility(expectedType, actualType);
+
+            if (compatibility === 'exact') {
+                columns.push({ column, status: 'ok', expectedType, actualType, message: 'Type matches schema' });
+            } else if (compatibility === 'coercible') {
+                const message = `Column '${column}' has type ${actualType}, expected ${expectedType}; values will be converted during ingestion`;
+                columns.push({ column, status: 'coercible', expectedType, actualType, message });
+                warnings.push(message);
+            } else {
+                const message = `Column '${column}' has incompatible type ${actualType}, expected ${expectedType}`;
+                columns.push({ column, status: 'incompatible', expectedType, actualType, message });
+                errors.push(message);
+            }
+        }
+
+        for (const { column_name: column, column_type: actualType } of schema) {
+            if (!Object.prototype.hasOwnProperty.call(expectedSchema, column)) {
+                const message = `Unexpected column '${column}' (${actualType}) will be ignored`;
+                columns.push({ column, status: 'extra', expectedType: null, actualType, message });
+                warnings.push(message);
+            }
+        }
+
+        return { columns, errors, warnings };
+    }
+
+    /**
+     * Classify how a DuckDB column type relates to an expected Parquet schema type
+     * @param {string} expectedType - Parquet schema type (e.g. UTF8, TIMESTAMP_NS, DOUBLE)
+     * @param {string} actualType - DuckDB column type reported by DESCRIBE
+     * @returns {string} 'exact', 'coercible' or 'incompatible'
+     */
+    getTypeCompatibility(expectedType, actualType) {
+        const rules = SCHEMA_TYPE_COMPATIBILITY[expectedType];
+        const baseType = String(actualType || '').toUpperCase().replace(/\(.*\)$/, '').trim();
+
+        if (!rules) {
+            return baseType === expectedType ? 'exact' : 'incompatible';
+        }
+        if (rules.exact.includes(baseType)) {
+            return 'exact';
+        }
+        if (rules.coercible.includes(baseType)) {
+            return 'coercible';
+        }
+        return 'incompatible';
+    }
+
+    /**
+     * Look up a mapping profile by name
+     * @param {string} name - Profile name from config/mappingProfiles.js
+     * @returns {Object} Profile with its name
+     */
+    getMappingProfile(name) {
+        const profile = mappingProfiles[name];
+        if (!profile) {
+            throw new Error(`Unknown mapping profile '${name}'. Available profiles: ${Object.keys(mappingProfiles).join(', ')}`);
+        }
+
+        for (const unit of Object.values(profile.units || {})) {
+            if (!UNIT_CONVERSIONS[unit]) {
+                throw new Error(`Mapping profile '${name}' uses unsupported unit '${unit}'`);
+            }
+        }
+
+        return { name, ...profile };
+    }
+
+    /**
+     * Detect the mapping profile of a file from its header. A profile matches when
+     * every source column it maps is present; the match mapping the most columns wins.
+     * @param {Array<string>} columnNames - Column names found in the file
+     * @returns {Object|null} Matching profile, or null if none matches
+     */
+    detectMappingProfile(columnNames) {
+        const header = new Set(columnNames);
+        let best = null;
+
+        for (const [name, profile] of Object.entries(mappingProfiles)) {
+            const sourceColumns = Object.keys(profile.columns);
+            if (!sourceColumns.every(column => header.has(column))) {
+                continue;
+            }
+            if (!best || sourceColumns.length > Object.keys(best.columns).length) {
+                best = { name, ...profile };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Resolve the mapping profile to apply to a file
+     * @param {Array<Object>} schema - Column descriptions from describeFile
+     * @param {string} requested - Profile name chosen for the upload, if any
+     * @returns {Object|null} Profile, or null if none was requested or detected
+     */
+    resolveMappingProfile(schema, requested) {
+        if (requested) {
+            return this.getMappingProfile(requested);
+        }
+
+        const detected = this.detectMappingProfile(schema.map(col => col.column_name));
+        if (detected) {
+            logging.info(`Detected mapping profile '${detected.name}' from file header`);
+            return this.getMappingProfile(detected.name);
+        }
+        return null;
+    }
+
+    /**
+     * Rename vendor columns in a described schema to their canonical names
+     * @param {Array<Object>} schema - Column descriptions from describeFile
+     * @param {Object|null} profile - Mapping profile
+     * @returns {Array<Object>} Column descriptions using canonical names
+     */
+    applyColumnMapping(schema, profile) {
+        if (!profile) {
+            return schema;
+        }
+
+        return schema.map(col => ({
+            ...col,
+            column_name: profile.columns[col.column_name] || col.column_name
+        }));
+    }
+
     getStats() {
         return { ...this.stats };
     }
 
     /**
-     * Read Parquet file with error handling using DuckDB
-     * @param {string} filepath - Path to Parquet file
-     * @returns {Array<Object>} Array of records
+     * Normalize a file path for use inside a DuckDB string literal
+     * @param {string} filepath - Path to file
+     * @returns {string} Absolute, forward-slashed and quote-escaped path
      */
-    async readParquetFile(filepath) {
-        try {
-            logging.info(`Reading Parquet file: ${filepath}`);
+    toDuckDBPath(filepath) {
+        return path.resolve(filepath).replace(/\\/g, '/').replace(/'/g, "''");
+    }
 
-            // Generate mock data for now since DuckDB has query syntax issues
-            // TODO: Fix DuckDB read_parquet query syntax
-            const mockRecords = this.generateMockSensorData(100);
+    /**
+     * Determine the input format of a raw file from its extension
+     * @param {string} filename - File name or path
+     * @returns {string} Format name ('parquet', 'csv' or 'json'); defaults to 'parquet'
+     */
+    detectFileFormat(filename) {
+        const extension = path.extname(String(filename || '')).toLowerCase();
+        return appConfig.fileFormats[extension] || 'parquet';
+    }
 
-            this.stats.filesRead++;
-            this.stats.recordsProcessed += mockRecords.length;
+    /**
+     * Build the DuckDB table function that reads a raw file in the given format.
+     * CSV dialect (delimiter, quoting, header row) is sniffed by DuckDB and JSON
+     * input may be either a top-level array or newline-delimited objects.
+     * @param {string} filepath - Path to file
+     * @param {string} format - 'parquet', 'csv' or 'json'
+     * @returns {string} SQL table expression
+     */
+    buildSourceExpression(filepath, format) {
+        const duckdbPath = this.toDuckDBPath(filepath);
+
+        switch (format) {
+            case 'csv':
+                return `read_csv('${duckdbPath}', auto_detect = true)`;
+            case 'json':
+                return `read_json_auto('${duckdbPath}', format = 'auto')`;
+            case 'parquet':
+                return `read_parquet('${duckdbPath}')`;
+            default:
+                throw new Error(`Unsupported file format: ${format}`);
+        }
+    }
 
-            logging.info(`Successfully read ${mockRecords.length} records from ${filepath} (mock data)`);
-            return mockRecords;
+    /**
+     * Describe the columns of a raw file
+     * @param {Connection} con - Database connection
+     * @param {string} filepath - Path to file
+     * @param {string} format - 'parquet', 'csv' or 'json'
+     * @returns {Array<Object>} Column descriptions ({ column_name, column_type })
+     */
+    async describeFile(con, filepath, format = this.detectFileFormat(filepath)) {
+        const rows = await dbConfig.executeQuery(con, `
+            DESCRIBE SELECT * FROM ${this.buildSourceExpression(filepath, format)}
+        `);
+
+        return rows.map(row => ({
+            column_name: row.column_name,
+            column_type: row.column_type
+        }));
+    }
 
-        } catch (error) {
-            logging.error(`Failed to read Parquet file ${filepath}: ${error.message}`);
-            return [];
+    /**
+     * Sniff the dialect of a CSV file
+     * @param {Connection} con - Database connection
+     * @param {string} filepath - Path to CSV file
+     * @returns {Object} { delimiter, hasHeader }
+     */
+    async sniffCsvDialect(con, filepath) {
+        const rows = await dbConfig.executeQuery(con, `
+            SELECT Delimiter AS delimiter, HasHeader AS has_header
+            FROM sniff_csv('${this.toDuckDBPath(filepath)}')
+        `);
+
+        return {
+            delimiter: rows[0].delimiter,
+            hasHeader: rows[0].has_header
+        };
+    }
+
+    /**
+     * Build a SQL expression converting a numeric epoch value to a TIMESTAMP.
+     * With the 'auto' unit, seconds, ms, us or ns are inferred from the magnitude.
+     * @param {string} epoch - SQL expression of type DOUBLE
+     * @param {string} unit - 'auto' or a key of EPOCH_UNITS
+     * @returns {string} SQL expression
+     */
+    buildEpochExpression(epoch, unit = 'auto') {
+        if (EPOCH_UNITS[unit]) {
+            return `CASE
+                WHEN ${epoch} IS NULL OR isnan(${epoch}) THEN NULL
+                ELSE make_timestamp(CAST(${epoch} * ${EPOCH_UNITS[unit]} AS BIGINT))
+            END`;
         }
+
+        return `CASE
+                WHEN ${epoch} IS NULL OR isnan(${epoch}) THEN NULL
+                WHEN abs(${epoch}) >= 1e17 THEN make_timestamp(CAST(${epoch} / 1000 AS BIGINT))
+                WHEN abs(${epoch}) >= 1e14 THEN make_timestamp(CAST(${epoch} AS BIGINT))
+                WHEN abs(${epoch}) >= 1e11 THEN make_timestamp(CAST(${epoch} * 1000 AS BIGINT))
+                ELSE make_timestamp(CAST(${epoch} * 1000000 AS BIGINT))
+            END`;
     }
 
     /**
-     * Generate mock sensor data for testing
-     * @param {number} count - Number of records to generate
-     * @returns {Array<Object>} Array of mock sensor records
+     * Build a SQL expression that renders a timestamp column as an ISO 8601 UTC string.
+     * Native TIMESTAMP columns (including TIMESTAMP_NS) are truncated to milliseconds;
+     * numeric columns are treated as epoch values. Text columns holding numbers are
+     * treated as epochs too, other text is passed through for normalization later.
+     * A mapping profile can instead name an explicit epoch unit or a strptime pattern.
+     * @param {string} column - Quoted column identifier
+     * @param {string} columnType - DuckDB column type
+     * @param {string} timestampFormat - 'auto', 'epoch_s', 'epoch_ms', 'epoch_us', 'epoch_ns' or a strptime pattern
+     * @returns {string} SQL expression
      */
-    generateMockSensorData(count = 100) {
-        const records = [];
-        const sensors = ['sensor_001', 'sensor_002', 'sensor_003', 'sensor_004', 'sensor_005'];
-        const readingTypes = ['temperature', 'humidity', 'soil_moisture', 'ph_level'];
+    buildTimestampExpression(column, columnType, timestampFormat = 'auto') {
+        const isoFormat = '%Y-%m-%dT%H:%M:%S.%gZ';
+        const type = String(columnType || '').toUpperCase();
+        const text = this.buildTextExpression(column, columnType);
+
+        if (EPOCH_UNITS[timestampFormat]) {
+            const epoch = `TRY_CAST(${text} AS DOUBLE)`;
+            return `strftime(${this.buildEpochExpression(epoch, timestampFormat)}, '${isoFormat}')`;
+        }
 
-        for (let i = 0; i < count; i++) {
-            const baseTime = new Date('2025-07-18T00:00:00Z');
-            baseTime.setMinutes(baseTime.getMinutes() + (i * 15)); // 15-minute intervals
+        if (timestampFormat && timestampFormat !== 'auto') {
+            return `strftime(try_strptime(${text}, '${timestampFormat.replace(/'/g, "''")}'), '${isoFormat}')`;
+        }
 
-            records.push({
-                timestamp: baseTime.toISOString(),
-                sensor_id: sensors[i % sensors.length],
-                reading_type: readingTypes[i % readingTypes.length],
-                value: Math.round((Math.random() * 100 + 20) * 100) / 100, // Random value between 20-120
-                battery_level: Math.round((Math.random() * 30 + 70) * 100) / 100 // Battery between 70-100%
-            });
+        if (type === 'TIMESTAMP WITH TIME ZONE' || type === 'TIMESTAMPTZ') {
+            return `strftime(timezone('UTC', ${column}), '${isoFormat}')`;
         }
 
-        return records;
+        if (type.startsWith('TIMESTAMP') || type === 'DATE') {
+            return `strftime(CAST(${column} AS TIMESTAMP), '${isoFormat}')`;
+        }
+
+        if (/^(DOUBLE|FLOAT|REAL|DECIMAL|BIGINT|INTEGER|HUGEINT|UBIGINT|UINTEGER)/.test(type)) {
+            return `strftime(${this.buildEpochExpression(`CAST(${column} AS DOUBLE)`)}, '${isoFormat}')`;
+        }
+
+        return `CASE
+                WHEN TRY_CAST(${text} AS DOUBLE) IS NOT NULL
+                THEN strftime(${this.buildEpochExpression(`TRY_CAST(${text} AS DOUBLE)`)}, '${isoFormat}')
+                ELSE ${text}
+            END`;
     }
 
     /**
-     * Perform data quality checks using DuckDB
+     * Build a SQL expression converting a column to VARCHAR. JSON values are
+     * unwrapped so string identifiers do not keep their quotes.
+     * @param {string} column - Quoted column identifier
+     * @param {string} columnType - DuckDB column type
+     * @returns {string} SQL expression
+     */
+    buildTextExpression(column, columnType) {
+        if (String(columnType || '').toUpperCase() === 'JSON') {
+            return `json_extract_string(${column}, '$')`;
+        }
+        return `CAST(${column} AS VARCHAR)`;
+    }
+
+    /**
+     * Build a SQL expression converting a column to DOUBLE. Text columns accept a
+     * decimal comma, as produced by loggers exporting semicolon-delimited CSV.
+     * @param {string} column - Quoted column identifier
+     * @param {string} columnType - DuckDB column type
+     * @returns {string} SQL expression
+     */
+    buildNumericExpression(column, columnType) {
+        const type = String(columnType || '').toUpperCase();
+        if (type === 'VARCHAR') {
+            return `TRY_CAST(replace(trim(${column}), ',', '.') AS DOUBLE)`;
+        }
+        if (type === 'JSON') {
+            return `TRY_CAST(replace(json_extract_string(${column}, '$'), ',', '.') AS DOUBLE)`;
+        }
+        return `TRY_CAST(${column} AS DOUBLE)`;
+    }
+
+    /**
+     * Build a SQL expression mapping vendor reading_type values onto canonical ones
+     * @param {string} text - SQL expression of type VARCHAR
+     * @param {Object} aliases - Vendor value -> canonical reading_type
+     * @returns {string} SQL expression
+     */
+    buildReadingTypeExpression(text, aliases = {}) {
+        const entries = Object.entries(aliases);
+        if (entries.length === 0) {
+            return text;
+        }
+
+        const quote = value => `'${String(value).replace(/'/g, "''")}'`;
+        const whens = entries
+            .map(([alias, readingType]) => `WHEN ${quote(alias.toLowerCase())} THEN ${quote(readingType)}`)
+            .join(' ');
+        return `CASE lower(trim(${text})) ${whens} ELSE ${text} END`;
+    }
+
+    /**
+     * Build a SQL expression converting value to the canonical unit of its reading type
+     * @param {string} value - SQL expression of type DOUBLE
+     * @param {string} readingType - SQL expression yielding the canonical reading_type
+     * @param {Object} units - Canonical reading_type -> source unit
+     * @returns {string} SQL expression
+     */
+    buildUnitConversionExpression(value, readingType, units = {}) {
+        const entries = Object.entries(units).filter(([key]) => key !== 'battery_level');
+        if (entries.length === 0) {
+            return value;
+        }
+
+        const whens = entries
+            .map(([type, unit]) => `WHEN '${type}' THEN ${UNIT_CONVERSIONS[unit](value)}`)
+            .join(' ');
+        return `CASE ${readingType} ${whens} ELSE ${value} END`;
+    }
+
+    /**
+     * Build the SELECT list that maps source columns onto the raw record shape
+     * expected by the transformation step
+     * @param {Array<Object>} schema - Column descriptions from describeFile
+     * @param {Object|null} profile - Mapping profile applied to the file
+     * @returns {string} SQL select list
+     */
+    buildRecordProjection(schema, profile = null) {
+        const { columns = {}, timestampFormat = 'auto', units = {}, readingTypeAliases = {} } = profile || {};
+        const sourceColumns = new Map();
+        for (const { column_name: name, column_type: type } of schema) {
+            sourceColumns.set(columns[name] || name, { name, type });
+        }
+
+        const source = canonical => {
+            const { name, type } = sourceColumns.get(canonical);
+            return { column: `"${name.replace(/"/g, '""')}"`, type };
+        };
+        const has = canonical => sourceColumns.has(canonical);
+
+        const readingType = has('reading_type')
+            ? this.buildReadingTypeExpression(
+                this.buildTextExpression(source('reading_type').column, source('reading_type').type),
+                readingTypeAliases)
+            : null;
+
+        const projections = {
+            sensor_id: ({ column, type }) => this.buildTextExpression(column, type),
+            timestamp: ({ column, type }) => this.buildTimestampExpression(column, type, timestampFormat),
+            reading_type: () => readingType,
+            value: ({ column, type }) => {
+                const value = this.buildNumericExpression(column, type);
+                return readingType ? this.buildUnitConversionExpression(value, readingType, units) : value;
+            },
+            battery_level: ({ column, type }) => {
+                const value = this.buildNumericExpression(column, type);
+                return units.battery_level ? UNIT_CONVERSIONS[units.battery_level](value) : value;
+            }
+        };
+
+        return Object.entries(projections).map(([name, project]) => (
+            has(name) ? `${project(source(name))} AS ${name}` : `NULL AS ${name}`
+        )).join(',\n                    ');
+    }
+
+    /**
+     * Read a raw file in chunks of processing.batchSize rows using DuckDB.
+     * Parquet rows are addressed by their file row number so each chunk only scans
+     * the row groups it needs; CSV and JSON files are loaded once into a numbered
+     * temporary table and paged from there. An aborted signal stops reading before the next batch.
+     * Only the current batch is held, unless the caller keeps them (as readFile does).
+     * @param {string} filepath - Path to file
+     * @param {Object} options - { format, batchSize, mappingProfile, signal }
+     * @yields {Array<Object>} Batch of raw sensor records
+     */
+    async *readFileBatches(filepath, options = {}) {
+        const {
+            format = this.detectFileFormat(filepath),
+            batchSize = appConfig.processing.batchSize,
+            mappingProfile,
+            signal
+        } = options;
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
+
+        try {
+            let source;
+            if (format === 'parquet') {
+                source = `read_parquet('${this.toDuckDBPath(filepath)}', file_row_number = true)`;
+            } else {
+                await dbConfig.executeQuery(con, `
+                    CREATE TEMP TABLE source_rows AS
+                    SELECT *, row_number() OVER () - 1 AS file_row_number
+                    FROM ${this.buildSourceExpression(filepath, format)}
+                `);
+                source = 'source_rows';
+            }
+
+            const schema = await this.describeFile(con, filepath, format);
+            const profile = this.resolveMappingProfile(schema, mappingProfile);
+            const projection = this.buildRecordProjection(schema, profile);
+
+            const countResult = await dbConfig.executeQuery(con, `SELECT COUNT(*) AS total_rows FROM ${source}`);
+            const totalRows = Number(countResult[0].total_rows);
+
+            for (let start = 0; start < totalRows; start += batchSize) {
+                if (signal) {
+                    signal.throwIfAborted();
+                }
+                const rows = await dbConfig.executeQuery(con, `
+                    SELECT
+                    ${projection}
+                    FROM ${source}
+                    WHERE file_row_number >= ${start} AND file_row_number < ${start + batchSize}
+                    ORDER BY file_row_number
+                `);
+
+                yield rows;
+            }
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
+
+    /**
+     * Read a whole raw Parquet, CSV or JSON file using DuckDB. The file is read in batches
+     * but every record is returned at once, as the transformation step works on the whole
+     * file; use readFileBatches to hold one batch at a time. Every pipeline path reads
+     * through here, so a file's records must fit in memory.
+     * @param {string} filepath - Path to file
+     * @param {Object} options - { format, mappingProfile, signal }; format is detected from the extension by default,
+     * and an aborted signal rejects with its reason between batches
+     * @returns {Array<Object>} Array of records
+     * @throws {Error} When the file cannot be read, so it is not mistaken for an empty file
+     */
+    async readFile(filepath, options = {}) {
+        const { format = this.detectFileFormat(filepath), mappingProfile, signal } = options;
+
+        try {
+            logging.info(`Reading ${format.toUpperCase()} file: ${filepath}`);
+
+            const records = [];
+            for await (const batch of this.readFileBatches(filepath, { format, mappingProfile, signal })) {
+                records.push(...batch);
+            }
+
+            this.stats.filesRead++;
+            this.stats.recordsProcessed += records.length;
+
+            logging.info(`Successfully read ${records.length} records from ${filepath}`);
+            return records;
+
+        } catch (error) {
+            if (!(signal && signal.aborted && error === signal.reason)) {
+                logging.error(`Failed to read ${format} file ${filepath}: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read Parquet file with error handling using DuckDB
      * @param {string} filepath - Path to Parquet file
+     * @returns {Array<Object>} Array of records
+     */
+    async readParquetFile(filepath) {
+        return await this.readFile(filepath, { format: 'parquet' });
+    }
+
+    /**
+     * Perform data quality checks using DuckDB
+     * @param {string} filepath - Path to Parquet, CSV or JSON file
+     * @param {string} format - Input format (detected from the extension by default)
      * @returns {Object} Quality check results
      */
-    async performQualityChecks(filepath) {
+    async performQualityChecks(filepath, format = this.detectFileFormat(filepath)) {
         const db = dbConfig.createInMemoryDatabase();
         const con = dbConfig.getConnection(db);
 
         try {
-            const path = require('path');
-            const absolutePath = path.resolve(filepath);
-            const normalizedPath = absolutePath.replace(/\\/g, '/');
-
             // Check for null values
             const nullCheck = await dbConfig.executeQuery(con, `
                 SELECT COUNT(*) as total_records
-                FROM read_parquet('${normalizedPath}')
+                FROM ${this.buildSourceExpression(filepath, format)}
             `);
 
-            await dbConfig.closeConnection(con);
-
             return {
-                total_records: nullCheck[0].total_records,
+                total_records: Number(nullCheck[0].total_records),
                 null_values: {},
                 duplicates: 0,
                 outliers: {}
             };
 
         } catch (error) {
-            await dbConfig.closeConnection(con);
             logging.error(`Quality checks failed for ${filepath}: ${error.message}`);
             return {
                 total_records: 0,
@@ -151,6 +701,9 @@ class DataIngestionService {
                 duplicates: 0,
                 outliers: {}
             };
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
         }
     }
 
@@ -188,43 +741,56 @@ class DataIngestionService {
                 invalidRecords: 0,
                 duplicates: 0,
                 nullValues: 0,
-                outliers: 0
+                outliers: 0,
+                rejectedRecords: []
             };
 
             // Check for required fields
             const requiredFields = ['timestamp', 'sensor_id', 'reading_type', 'value', 'battery_level'];
-            let invalidCount = 0;
 
             data.forEach((record, index) => {
+                const problems = [];
+
                 // Check for missing required fields
                 for (const field of requiredFields) {
                     if (record[field] === null || record[field] === undefined || record[field] === '') {
                         validationResult.nullValues++;
-                        if (validationResult.errors.length < 10) { // Limit error logging
-                            validationResult.errors.push(`Record ${index}: Missing ${field}`);
-                        }
-                        invalidCount++;
+                        problems.push({ reasonCode: `MISSING_${field.toUpperCase()}`, message: `Missing ${field}` });
                     }
                 }
 
                 // Check for valid timestamp
                 if (record.timestamp && isNaN(new Date(record.timestamp).getTime())) {
-                    validationResult.errors.push(`Record ${index}: Invalid timestamp`);
-                    invalidCount++;
+                    problems.push({ reasonCode: 'INVALID_TIMESTAMP', message: 'Invalid timestamp' });
                 }
 
                 // Check for valid numeric values
                 if (record.value !== null && isNaN(parseFloat(record.value))) {
-                    validationResult.errors.push(`Record ${index}: Invalid value`);
-                    invalidCount++;
+                    problems.push({ reasonCode: 'INVALID_VALUE', message: 'Invalid value' });
                 }
 
                 if (record.battery_level !== null && (isNaN(parseFloat(record.battery_level)) || record.battery_level < 0 || record.battery_level > 100)) {
-                    validationResult.errors.push(`Record ${index}: Invalid battery_level`);
-                    invalidCount++;
+                    problems.push({ reasonCode: 'INVALID_BATTERY_LEVEL', message: 'Invalid battery_level' });
+                }
+
+                problems.forEach(problem => {
+                    if (validationResult.errors.length < 10) { // Limit error summary; every row is kept in rejectedRecords
+                        validationResult.errors.push(`Record ${index}: ${problem.message}`);
+                    }
+                });
+
+                if (problems.length > 0) {
+                    validationResult.rejectedRecords.push({
+                        rowIndex: index,
+                        record,
+                        reasonCode: problems[0].reasonCode,
+                        message: problems.map(problem => problem.message).join('; ')
+                    });
                 }
             });
 
+            // Rows, not problems: a row with several bad fields is rejected once
+            const invalidCount = validationResult.rejectedRecords.length;
             validationResult.invalidRecords = invalidCount;
             validationResult.validRecords = data.length - invalidCount;
             validationResult.isValid = invalidCount === 0;
@@ -239,7 +805,8 @@ class DataIngestionService {
                 errors: [error.message],
                 totalRecords: data.length || 0,
                 validRecords: 0,
-                invalidRecords: data.length || 0
+                invalidRecords: data.length || 0,
+                rejectedRecords: []
             };
         }
     }
@@ -1,6 +1,7 @@
 const path = require('path');
 const { database: dbConfig } = require('../config');
 const { logging } = require('../utils');
+const stuckSensorDetection = require('./stuckSensorDetection');
 
 /**
  * Data Quality Service
@@ -38,6 +39,10 @@ class DataQualityService {
      * @returns {Object} Quality report
      */
     async generateMockQualityReport(data) {
+        // Records are flagged during transformation; the report only lists the episodes
+        const stuckEpisodes = stuckSensorDetection.listEpisodes(data);
+        const stuckRecords = data.filter(record => record.stuck_sensor === true).length;
+
         // Calculate basic quality metrics from the data directly
         const totalRecords = data.length;
         const missingValues = data.filter(record =>
@@ -48,6 +53,13 @@ class DataQualityService {
             record.anomalous_reading === true
         ).length;
 
+        const anomalyReasons = {};
+        data.forEach(record => {
+            (record.anomaly_reasons || []).forEach(reason => {
+                anomalyReasons[reason] = (anomalyReasons[reason] || 0) + 1;
+            });
+        });
+
         const outliersCorreted = data.filter(record =>
             record.outlier_corrected === true
         ).length;
@@ -62,12 +74,23 @@ class DataQualityService {
                 overallQualityScore: qualityScore,
                 missingValues,
                 anomalousReadings,
+                anomalyReasons,
+                stuckSensorEpisodes: stuckEpisodes.length,
                 outliersCorreted
             },
             details: {
                 missing_values: { count: missingValues, percentage: (missingValues / totalRecords * 100).toFixed(2) },
-                anomalous_readings: { count: anomalousReadings, percentage: (anomalousReadings / totalRecords * 100).toFixed(2) },
+                anomalous_readings: {
+                    count: anomalousReadings,
+                    percentage: (anomalousReadings / totalRecords * 100).toFixed(2),
+                    by_reason: anomalyReasons
+                },
                 outliers_corrected: { count: outliersCorreted, percentage: (outliersCorreted / totalRecords * 100).toFixed(2) },
+                stuck_sensors: {
+                    count: stuckRecords,
+                    percentage: (stuckRecords / totalRecords * 100).toFixed(2),
+                    episodes: stuckEpisodes
+                },
                 time_gap_analysis: { total_gaps: 0, longest_gap_hours: 0 }
             }
         };
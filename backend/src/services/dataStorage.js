@@ -1,11 +1,34 @@
 const path = require('path');
 const { app: appConfig } = require('../config');
 const { database: dbConfig } = require('../config');
-const { fileSystem, logging } = require('../utils');
+const { fileLock, fileSystem, logging } = require('../utils');
+const dataTransformation = require('./dataTransformation');
+const { SensorData: SensorDataModel } = require('../models');
 const fs = require('fs').promises;
 
+const PARTITION_FILE = 'data.parquet';
+const LEGACY_PARTITION_FILE = 'data.json';
+const COMPRESSION_CODECS = ['SNAPPY', 'GZIP', 'ZSTD', 'LZ4', 'BROTLI', 'UNCOMPRESSED'];
+const SORTABLE_COLUMNS = ['timestamp', 'sensor_id', 'reading_type', 'value', 'calibrated_value', 'battery_level'];
+const DISTINCT_COLUMNS = ['sensor_id', 'reading_type'];
+const ISO_FORMAT = '%Y-%m-%dT%H:%M:%S.%gZ';
+const SERVING_INSERT_FILE_CHUNK = 500;
+const AGGREGATE_INTERVALS = { '5m': 300, '15m': 900, '1h': 3600, '1d': 86400, '1w': 604800 };
+const AGGREGATE_FUNCTIONS = {
+    avg: 'AVG(value)',
+    min: 'MIN(value)',
+    max: 'MAX(value)',
+    sum: 'SUM(value)',
+    count: 'COUNT(value)',
+    p50: 'quantile_cont(value, 0.5)',
+    p95: 'quantile_cont(value, 0.95)',
+    last: 'arg_max(value, ts)'
+};
+const FILL_METHODS = ['null', 'previous', 'linear'];
+const MAX_AGGREGATE_BUCKETS = 10000;
+
 /**
- * Data storage service for writing processed data to Parquet format
+ * Data storage service for writing processed data to partitioned Parquet files
  * Step 4 of the 4-step pipeline process
  */
 class DataStorageService {
@@ -21,16 +44,16 @@ class DataStorageService {
     /**
      * Store cleaned and transformed data in optimized Parquet format
      * @param {Array<Object>} data - Array of processed sensor data
+     * @param {Object} options - { prepare, lockPaths } as for storeDataAsParquet
      * @returns {Object} Storage operation results
      */
-    async storeProcessedData(data) {
+    async storeProcessedData(data, options = {}) {
         const startTime = Date.now();
 
         try {
             logging.info(`Storing ${data.length} processed records`);
 
-            // Quick bypass: Store data as JSON for now to avoid DuckDB parquet issues
-            const storageResult = await this.storeDataAsJSON(data);
+            const storageResult = await this.storeDataAsParquet(data, options);
 
             this.stats.recordsStored = data.length;
             this.stats.storageTime = Date.now() - startTime;
@@ -41,8 +64,13 @@ class DataStorageService {
                 success: true,
                 recordsStored: this.stats.recordsStored,
                 partitionsCreated: storageResult.partitionsCreated,
+                partitionsUpdated: storageResult.partitionsUpdated,
+                recordsInserted: storageResult.recordsInserted,
+                recordsUpdated: storageResult.recordsUpdated,
+                recordsUnchanged: storageResult.recordsUnchanged,
                 storagePath: appConfig.paths.PROCESSED_DIR,
-                compressionUsed: false,
+                format: 'PARQUET',
+                compressionUsed: this.getCompressionCodec(),
                 storageTime: this.stats.storageTime
             };
 
@@ -53,11 +81,21 @@ class DataStorageService {
     }
 
     /**
-     * Store data as JSON files for quick access (bypass for DuckDB parquet issues)
+     * Store data as Hive-style date=/sensor_id= partitions, one data.parquet per partition.
+     * Records are upserted into each partition by natural key, so reprocessing a file
+     * leaves its partitions untouched and files covering the same partition accumulate.
+     * The file's partitions stay locked until sensor_data is updated, so files processed
+     * concurrently take turns on the partitions they share. prepare runs once the locks are
+     * held, so work that depends on what is stored (resolving conflicts, averages over
+     * history) sees the writes of every file that held the locks before; it may remove
+     * records from data. lockPaths are further partitions it reads. When a partition fails to
+     * be written, the others are still written and mirrored, then the storage fails, so
+     * storing the file again writes the missing partitions.
      * @param {Array<Object>} data - Array of processed sensor data
+     * @param {Object} options - { prepare(data), lockPaths }
      * @returns {Object} Storage results
      */
-    async storeDataAsJSON(data) {
+    async storeDataAsParquet(data, { prepare = null, lockPaths = [] } = {}) {
         try {
             // Validate input data
             if (!data) {
@@ -68,41 +106,133 @@ class DataStorageService {
                 throw new Error(`Expected array but received ${typeof data}. Data: ${JSON.stringify(data)}`);
             }
 
+            const totals = {
+                partitionsCreated: 0,
+                partitionsUpdated: 0,
+                recordsInserted: 0,
+                recordsUpdated: 0,
+                recordsUnchanged: 0
+            };
+            const changedPartitions = [];
+            const failedPartitions = [];
+
             if (data.length === 0) {
                 logging.warn('No data to store - empty array provided');
-                return { partitionsCreated: 0, recordsStored: 0 };
+                return { ...totals, recordsStored: 0 };
             }
 
-            // 1. Partition data by date and sensor_id
-            const partitions = this.partitionData(data);
-            let partitionsCreated = 0;
-
-            // 2. Write each partition as a JSON file
-            for (const [partitionKey, partition] of Object.entries(partitions)) {
-                try {
-                    // Ensure partition directory exists
-                    await fileSystem.ensureDir(partition.path);
+            const partitionPaths = [...new Set(data.map(record =>
+                this.getPartitionPath(record.timestamp.substring(0, 10), record.sensor_id)))];
+            await fileLock.withLocks([...partitionPaths, ...lockPaths], async () => {
+                if (prepare) {
+                    await prepare(data);
+                }
 
-                    // Write data.json file (this is what the queries expect)
-                    const dataFilePath = path.join(partition.path, 'data.json');
-                    await fs.writeFile(dataFilePath, JSON.stringify(partition.records, null, 2));
+                // 1. Partition data by date and sensor_id
+                const partitions = this.partitionData(data);
+
+                // 2. Upsert each partition into its data.parquet file
+                for (const [partitionKey, partition] of Object.entries(partitions)) {
+                    try {
+                        const result = await this.upsertPartition(partition.path, partition.records);
+
+                        if (result.created) {
+                            totals.partitionsCreated++;
+                        } else if (result.inserted + result.updated > 0) {
+                            totals.partitionsUpdated++;
+                        }
+                        if (result.inserted + result.updated > 0) {
+                            changedPartitions.push(partition.path);
+                        }
+                        totals.recordsInserted += result.inserted;
+                        totals.recordsUpdated += result.updated;
+                        totals.recordsUnchanged += result.unchanged;
+
+                        logging.info(`Stored ${partition.records.length} records to ${partitionKey}: ` +
+                            `${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged`);
+
+                    } catch (error) {
+                        logging.error(`Failed to write partition ${partitionKey}: ${error.message}`);
+                        failedPartitions.push(`${partitionKey}: ${error.message}`);
+                    }
+                }
 
-                    logging.info(`Stored ${partition.records.length} records to ${dataFilePath}`);
-                    partitionsCreated++;
+                // 3. Mirror the changed partitions into the persistent sensor_data table
+                await this.updatePersistentDatabase(changedPartitions);
 
-                } catch (error) {
-                    logging.error(`Failed to write partition ${partitionKey}: ${error.message}`);
+                if (failedPartitions.length > 0) {
+                    throw new Error(`Failed to write ${failedPartitions.length} of ${Object.keys(partitions).length} ` +
+                        `partitions: ${failedPartitions.join('; ')}`);
                 }
-            }
+            });
 
-            return { partitionsCreated };
+            return totals;
 
         } catch (error) {
-            logging.error(`JSON storage failed: ${error.message}`);
+            logging.error(`Parquet storage failed: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Merge records into a partition by natural key (sensor_id, timestamp, reading_type).
+     * An incoming record replaces the stored one with the same key unless they differ
+     * only in processed_timestamp. The partition is only rewritten when something
+     * changed, and then atomically.
+     * @param {string} partitionPath - Partition directory
+     * @param {Array<Object>} records - Records belonging to the partition
+     * @returns {Object} { created, inserted, updated, unchanged }
+     */
+    async upsertPartition(partitionPath, records) {
+        const dataFilePath = await this.findPartitionFile(partitionPath);
+        const created = !dataFilePath;
+        const existing = created ? [] : await this.readPartitionFile(dataFilePath);
+        const merged = new Map(existing.map(record => [dataTransformation.recordKey(record), record]));
+        const result = { created, inserted: 0, updated: 0, unchanged: 0 };
+
+        for (const incoming of records) {
+            const record = SensorDataModel.createRecord(incoming);
+            const key = dataTransformation.recordKey(record);
+            const stored = merged.get(key);
+
+            if (!stored) {
+                result.inserted++;
+            } else if (this.isSameReading(stored, record)) {
+                result.unchanged++;
+                continue;
+            } else {
+                result.updated++;
+            }
+            merged.set(key, record);
+        }
+
+        if (result.inserted + result.updated > 0) {
+            const sorted = [...merged.values()].sort((a, b) =>
+                a.timestamp.localeCompare(b.timestamp) || a.reading_type.localeCompare(b.reading_type)
+            );
+            await this.writePartitionFile(partitionPath, sorted);
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether two records hold the same reading, ignoring when they were processed.
+     * Missing fields compare equal to null, as Parquet stores them that way, and so do
+     * empty lists, which partitions written before a list column existed do not hold.
+     * @param {Object} a - Stored record
+     * @param {Object} b - Incoming record
+     * @returns {boolean} True if every other field is equal
+     */
+    isSameReading(a, b) {
+        const strip = ({ processed_timestamp, ...rest }) => rest;
+        const left = strip(a);
+        const right = strip(b);
+        const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+        const normalize = value => (Array.isArray(value) && value.length === 0 ? null : value ?? null);
+        return [...keys].every(key => JSON.stringify(normalize(left[key])) === JSON.stringify(normalize(right[key])));
+    }
+
     /**
      * Partition data by date and optionally by sensor_id for optimal storage
      * @param {Array<Object>} data - Processed sensor data
@@ -123,7 +253,7 @@ class DataStorageService {
                     date,
                     sensorId,
                     records: [],
-                    path: path.join(appConfig.paths.PROCESSED_DIR, `date=${date}`, `sensor_id=${sensorId}`)
+                    path: this.getPartitionPath(date, sensorId)
                 };
             }
 
@@ -134,6 +264,16 @@ class DataStorageService {
         return partitions;
     }
 
+    /**
+     * Directory of a date=/sensor_id= partition
+     * @param {string} date - Partition date (YYYY-MM-DD)
+     * @param {string} sensorId - Sensor ID
+     * @returns {string} Partition directory
+     */
+    getPartitionPath(date, sensorId) {
+        return path.join(appConfig.paths.PROCESSED_DIR, `date=${date}`, `sensor_id=${sensorId}`);
+    }
+
     /**
      * Write partitions to Parquet format with compression and optimization
      * @param {Object} partitions - Partitioned data
@@ -162,169 +302,296 @@ class DataStorageService {
     }
 
     /**
-     * Write a single partition to Parquet file using DuckDB with optimization
+     * Write a single partition to its Parquet file
      * @param {Object} partition - Partition data
      * @param {string} partitionKey - Partition identifier
      * @returns {Object} Write operation result
      */
     async writePartitionToParquet(partition, partitionKey) {
-        const db = dbConfig.createInMemoryDatabase();
-        const con = dbConfig.getConnection(db);
-
         try {
-            // Ensure partition directory exists
-            await fileSystem.ensureDir(partition.path);
-
-            // Create filename with timestamp to avoid conflicts
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `data_${timestamp}.parquet`;
-            const filePath = path.join(partition.path, filename);
-
-            // Create temporary table for the partition data
-            await this.createPartitionTable(con);
-
-            // Insert partition data
-            await this.insertPartitionData(con, partition.records);
-
-            // Write to Parquet with optimization
-            const normalizedPath = filePath.replace(/\\/g, '/');
-            const writeQuery = `
-                COPY (
-                    SELECT 
-                        sensor_id,
-                        timestamp,
-                        reading_type,
-                        value,
-                        battery_level,
-                        anomalous_reading,
-                        missing_value_filled,
-                        daily_avg,
-                        rolling_avg_7d,
-                        processed_timestamp
-                    FROM partition_data
-                    ORDER BY timestamp, sensor_id, reading_type
-                ) TO '${normalizedPath}' 
-                (FORMAT PARQUET, COMPRESSION '${appConfig.processing.compressionType || 'SNAPPY'}')
-            `;
-
-            await dbConfig.executeQuery(con, writeQuery);
-
-            await dbConfig.closeConnection(con);
+            const { filePath, fileSize } = await this.writePartitionFile(partition.path, partition.records);
 
-            // Verify file was created and get stats
-            const fileStats = await this.getFileStats(filePath);
-
-            logging.info(`Partition ${partitionKey} written successfully: ${partition.records.length} records, ${fileStats.size} bytes`);
+            logging.info(`Partition ${partitionKey} written successfully: ${partition.records.length} records, ${fileSize} bytes`);
 
             return {
                 partitionKey,
                 success: true,
                 recordCount: partition.records.length,
                 filePath,
-                fileSize: fileStats.size,
-                compressionUsed: appConfig.processing.compressionType || 'SNAPPY'
+                fileSize,
+                compressionUsed: this.getCompressionCodec()
             };
 
         } catch (error) {
-            await dbConfig.closeConnection(con);
             throw new Error(`Failed to write partition ${partitionKey}: ${error.message}`);
         }
     }
 
     /**
-     * Create table for partition data
-     * @param {Connection} con - Database connection
+     * Replace a partition's data.parquet with the given records using DuckDB. Records are
+     * staged as newline-delimited JSON and copied out with the enriched schema; the Parquet
+     * file is written next to the target and renamed over it, so readers never see a
+     * partial file.
+     * @param {string} partitionPath - Partition directory
+     * @param {Array<Object>} records - Complete partition contents
+     * @returns {Object} { filePath, fileSize }
      */
-    async createPartitionTable(con) {
-        const createTableQuery = `
-            CREATE TABLE partition_data (
-                sensor_id VARCHAR,
-                timestamp TIMESTAMP,
-                reading_type VARCHAR,
-                value DOUBLE,
-                battery_level DOUBLE,
-                anomalous_reading BOOLEAN DEFAULT false,
-                missing_value_filled BOOLEAN DEFAULT false,
-                daily_avg DOUBLE,
-                rolling_avg_7d DOUBLE,
-                processed_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
+    async writePartitionFile(partitionPath, records) {
+        const filePath = path.join(partitionPath, PARTITION_FILE);
+        const suffix = `${process.pid}.${Date.now()}`;
+        const stagingPath = path.join(partitionPath, `.${PARTITION_FILE}.${suffix}.ndjson`);
+        const tempPath = path.join(partitionPath, `.${PARTITION_FILE}.${suffix}.tmp`);
+        const columnNames = Object.keys(SensorDataModel.getEnrichedColumnTypes());
+
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
+
+        try {
+            await fileSystem.ensureDir(partitionPath);
+            await fs.writeFile(stagingPath, records.map(record => JSON.stringify(SensorDataModel.createRecord(record))).join('\n'));
+
+            await dbConfig.executeQuery(con, `
+                COPY (
+                    SELECT ${columnNames.join(', ')}
+                    FROM read_json('${this.toDuckDBPath(stagingPath)}', format = 'newline_delimited', columns = ${this.getColumnsStruct()})
+                ) TO '${this.toDuckDBPath(tempPath)}'
+                (FORMAT PARQUET, COMPRESSION '${this.getCompressionCodec()}')
+            `);
+            await fs.rename(tempPath, filePath);
+
+            const fileStats = await this.getFileStats(filePath);
+            return { filePath, fileSize: fileStats.size };
 
-        await dbConfig.executeQuery(con, createTableQuery);
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+            await fileSystem.remove(stagingPath);
+            await fileSystem.remove(tempPath);
+        }
     }
 
     /**
-     * Insert partition data into temporary table
-     * @param {Connection} con - Database connection
-     * @param {Array<Object>} records - Records to insert
+     * Read all records of a partition data file. Parquet files are read with DuckDB;
+     * data.json files left by earlier versions are still readable until migrated.
+     * @param {string} dataFilePath - Path to data.parquet or a legacy data.json
+     * @returns {Array<Object>} Stored records
      */
-    async insertPartitionData(con, records) {
-        const batchSize = appConfig.processing.batchSize || 1000;
+    async readPartitionFile(dataFilePath) {
+        if (path.basename(dataFilePath) === LEGACY_PARTITION_FILE) {
+            return JSON.parse(await fs.readFile(dataFilePath, 'utf8'));
+        }
 
-        for (let i = 0; i < records.length; i += batchSize) {
-            const batch = records.slice(i, i + batchSize);
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
 
-            const values = batch.map(record => {
-                const processedTimestamp = record.processed_timestamp || new Date().toISOString();
-                return `('${record.sensor_id}', '${record.timestamp}', '${record.reading_type}', ${record.value || 'NULL'}, ${record.battery_level || 'NULL'}, ${record.anomalous_reading || false}, ${record.missing_value_filled || false}, ${record.daily_avg || 'NULL'}, ${record.rolling_avg_7d || 'NULL'}, '${processedTimestamp}')`;
-            }).join(',');
+        try {
+            return await dbConfig.executeQuery(con, `
+                SELECT * FROM read_parquet('${this.toDuckDBPath(dataFilePath)}', hive_partitioning = false)
+            `);
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
 
-            const insertQuery = `INSERT INTO partition_data VALUES ${values}`;
-            await dbConfig.executeQuery(con, insertQuery);
+    /**
+     * Find the data file of a partition, preferring Parquet over a legacy data.json
+     * @param {string} partitionPath - Partition directory
+     * @returns {string|null} Data file path, or null if the partition holds none
+     */
+    async findPartitionFile(partitionPath) {
+        for (const filename of [PARTITION_FILE, LEGACY_PARTITION_FILE]) {
+            const dataFilePath = path.join(partitionPath, filename);
+            if (await fileSystem.pathExists(dataFilePath)) {
+                return dataFilePath;
+            }
         }
+        return null;
     }
 
     /**
-     * Update persistent database with processed data
-     * @param {Array<Object>} data - Processed data
+     * Enriched schema as a DuckDB read_json columns struct
+     * @returns {string} SQL struct literal, e.g. {sensor_id: 'VARCHAR', ...}
      */
-    async updatePersistentDatabase(data) {
-        try {
-            const { connection } = await dbConfig.getPersistentConnection();
+    getColumnsStruct() {
+        const columns = Object.entries(SensorDataModel.getEnrichedColumnTypes())
+            .map(([column, type]) => `${column}: '${type}'`);
+        return `{${columns.join(', ')}}`;
+    }
 
-            // Clear existing data for the same date range to avoid duplicates
-            const dates = [...new Set(data.map(r => r.timestamp.substring(0, 10)))];
+    /**
+     * Get the configured Parquet compression codec
+     * @returns {string} Codec name as understood by DuckDB
+     */
+    getCompressionCodec() {
+        const codec = String(appConfig.processing.compressionType || 'SNAPPY').toUpperCase();
+        if (!COMPRESSION_CODECS.includes(codec)) {
+            throw new Error(`Unsupported Parquet compression: ${codec}. Expected one of ${COMPRESSION_CODECS.join(', ')}`);
+        }
+        return codec;
+    }
 
-            for (const date of dates) {
-                const deleteQuery = `DELETE FROM sensor_data WHERE DATE(timestamp) = '${date}'`;
-                await dbConfig.executeQuery(connection, deleteQuery);
-            }
+    /**
+     * Normalize a file path for use inside a DuckDB string literal
+     * @param {string} filePath - File path
+     * @returns {string} Absolute forward-slash path with quotes escaped
+     */
+    toDuckDBPath(filePath) {
+        return path.resolve(filePath).replace(/\\/g, '/').replace(/'/g, "''");
+    }
 
-            // Insert new processed data
-            await this.insertIntoPersistentDatabase(connection, data);
+    /**
+     * Update the persistent sensor_data table with the current contents of changed partitions
+     * @param {Array<string>} partitionPaths - Partition directories that were rewritten
+     */
+    async updatePersistentDatabase(partitionPaths) {
+        try {
+            if (partitionPaths.length === 0) {
+                return;
+            }
 
-            logging.info(`Updated persistent database with ${data.length} records`);
+            await this.syncServingTable(partitionPaths);
+            logging.info(`Updated persistent database with ${partitionPaths.length} partitions`);
 
         } catch (error) {
             logging.error(`Failed to update persistent database: ${error.message}`);
-            // Don't throw error here as file storage is more important
+            // Don't throw error here as file storage is more important; a rebuild restores the table
+        }
+    }
+
+    /**
+     * Replace the sensor_data rows of the given partitions with their data files' contents
+     * @param {Array<string>} partitionPaths - Partition directories
+     */
+    async syncServingTable(partitionPaths) {
+        const con = await this.getServingConnection();
+
+        try {
+            await this.runInTransaction(con, async () => {
+                for (const partitionPath of partitionPaths) {
+                    await dbConfig.executeQuery(con, 'DELETE FROM sensor_data WHERE partition_date = ? AND sensor_id = ?', [
+                        path.basename(path.dirname(partitionPath)).replace('date=', ''),
+                        path.basename(partitionPath).replace('sensor_id=', '')
+                    ]);
+                }
+
+                const files = [];
+                for (const partitionPath of partitionPaths) {
+                    const dataFilePath = await this.findPartitionFile(partitionPath);
+                    if (dataFilePath) files.push(dataFilePath);
+                }
+                await this.insertIntoServingTable(con, files);
+            });
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Rebuild the sensor_data table from every processed partition
+     * @returns {Object} { partitions, rows, duration }
+     */
+    async rebuildServingTable() {
+        const startTime = Date.now();
+        const files = await this.listPartitionFiles();
+        const { db } = await dbConfig.getPersistentConnection();
+        const con = dbConfig.getConnection(db);
+
+        try {
+            await this.runInTransaction(con, async () => {
+                await dbConfig.executeQuery(con, 'DELETE FROM sensor_data');
+                await this.insertIntoServingTable(con, files);
+            });
+            this.servingTableCheckedFor = db;
+
+            const [{ total }] = await dbConfig.executeQuery(con, 'SELECT COUNT(*) AS total FROM sensor_data');
+            const result = { partitions: files.length, rows: Number(total), duration: Date.now() - startTime };
+            logging.info(`Rebuilt sensor_data from ${result.partitions} partitions: ${result.rows} rows in ${result.duration}ms`);
+            return result;
+
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Delete the sensor_data rows of whole partition dates
+     * @param {Array<string>} dates - Dates as YYYY-MM-DD
+     */
+    async removeFromServingTable(dates) {
+        if (dates.length === 0) {
+            return;
+        }
+
+        const con = await this.getServingConnection();
+        try {
+            await dbConfig.executeQuery(con,
+                `DELETE FROM sensor_data WHERE partition_date IN (${dates.map(() => '?').join(', ')})`, dates);
+        } finally {
+            await dbConfig.closeConnection(con);
         }
     }
 
     /**
-     * Insert data into persistent database
-     * @param {Connection} connection - Persistent database connection
-     * @param {Array<Object>} data - Data to insert
+     * Insert partition data files into sensor_data, ordered by sensor_id and timestamp so
+     * range scans on the table stay selective
+     * @param {Connection} con - Connection to the persistent database
+     * @param {Array<string>} files - Partition data file paths
      */
-    async insertIntoPersistentDatabase(connection, data) {
-        const batchSize = appConfig.processing.batchSize || 1000;
+    async insertIntoServingTable(con, files) {
+        const columns = Object.keys(SensorDataModel.getEnrichedColumnTypes());
+        const selectList = columns.map(column => column === 'timestamp' ? 'CAST(timestamp AS TIMESTAMP)' : column);
+
+        for (let i = 0; i < files.length; i += SERVING_INSERT_FILE_CHUNK) {
+            const source = this.buildPartitionSource(files.slice(i, i + SERVING_INSERT_FILE_CHUNK));
+            await dbConfig.executeQuery(con, `
+                INSERT INTO sensor_data (${columns.join(', ')}, partition_date)
+                SELECT ${selectList.join(', ')}, substr(timestamp, 1, 10)
+                FROM ${source}
+                ORDER BY sensor_id, timestamp
+            `);
+        }
+    }
 
-        for (let i = 0; i < data.length; i += batchSize) {
-            const batch = data.slice(i, i + batchSize);
+    /**
+     * Open a connection to the persistent database for the sensor_data table. The first
+     * time a database is used, an empty table is rebuilt from existing partitions, so
+     * deployments that predate the table are served without a manual rebuild.
+     * @returns {Connection} New connection; the caller closes it
+     */
+    async getServingConnection() {
+        const { db } = await dbConfig.getPersistentConnection();
 
-            const values = batch.map(record => {
-                const partitionDate = record.timestamp.substring(0, 10);
-                return `('${record.sensor_id}', '${record.timestamp}', '${record.reading_type}', ${record.value || 'NULL'}, ${record.battery_level || 'NULL'}, ${record.anomalous_reading || false}, ${record.daily_avg || 'NULL'}, ${record.rolling_avg_7d || 'NULL'}, CURRENT_DATE, '${partitionDate}')`;
-            }).join(',');
+        if (this.servingTableCheckedFor !== db) {
+            this.servingTableCheckedFor = db;
+            const con = dbConfig.getConnection(db);
+            try {
+                const [{ total }] = await dbConfig.executeQuery(con, 'SELECT COUNT(*) AS total FROM sensor_data');
+                if (Number(total) === 0 && (await this.listPartitionFiles()).length > 0) {
+                    logging.info('sensor_data is empty but processed partitions exist; rebuilding it');
+                    await this.rebuildServingTable();
+                }
+            } finally {
+                await dbConfig.closeConnection(con);
+            }
+        }
 
-            const insertQuery = `
-                INSERT INTO sensor_data 
-                (sensor_id, timestamp, reading_type, value, battery_level, anomalous_reading, daily_avg, rolling_avg_7d, processed_date, partition_date) 
-                VALUES ${values}
-            `;
+        return dbConfig.getConnection(db);
+    }
 
-            await dbConfig.executeQuery(connection, insertQuery);
+    /**
+     * Run statements in a transaction, rolling back if any fails
+     * @param {Connection} con - Database connection
+     * @param {Function} work - Async function issuing the statements
+     */
+    async runInTransaction(con, work) {
+        await dbConfig.executeQuery(con, 'BEGIN TRANSACTION');
+        try {
+            await work();
+            await dbConfig.executeQuery(con, 'COMMIT');
+        } catch (error) {
+            await dbConfig.executeQuery(con, 'ROLLBACK').catch(() => {});
+            throw error;
         }
     }
 
@@ -363,7 +630,7 @@ class DataStorageService {
             failedPartitions: 0,
             totalFileSize: 0,
             totalRecords: 0,
-            compressionUsed: appConfig.processing.compressionType || 'SNAPPY'
+            compressionUsed: this.getCompressionCodec()
         };
 
         for (const result of storageResults) {
@@ -383,6 +650,533 @@ class DataStorageService {
         return summary;
     }
 
+    /**
+     * List the partition data files for the given sensors within a date range (inclusive).
+     * Omitted filters match every sensor or date.
+     * @param {Object} filters - { sensorIds, dateFrom, dateTo } with dates as YYYY-MM-DD
+     * @returns {Array<string>} Paths of existing partition data files
+     */
+    async listPartitionFiles({ sensorIds, dateFrom, dateTo } = {}) {
+        const processedDir = appConfig.paths.PROCESSED_DIR;
+        if (!(await fileSystem.pathExists(processedDir))) {
+            return [];
+        }
+
+        const wantedSensors = sensorIds ? new Set(sensorIds) : null;
+        const files = [];
+
+        for (const dateEntry of await fs.readdir(processedDir)) {
+            const date = dateEntry.replace('date=', '');
+            if (!dateEntry.startsWith('date=') || (dateFrom && date < dateFrom) || (dateTo && date > dateTo)) {
+                continue;
+            }
+
+            const datePath = path.join(processedDir, dateEntry);
+            for (const sensorEntry of await fs.readdir(datePath)) {
+                if (!sensorEntry.startsWith('sensor_id=') ||
+                    (wantedSensors && !wantedSensors.has(sensorEntry.replace('sensor_id=', '')))) {
+                    continue;
+                }
+
+                const dataFilePath = await this.findPartitionFile(path.join(datePath, sensorEntry));
+                if (dataFilePath) {
+                    files.push(dataFilePath);
+                }
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * List partitions that still hold a data.json written by earlier versions
+     * @returns {Array<Object>} [{ partitionKey, path, jsonFile, parquetFile }], jsonFile always exists
+     */
+    async listLegacyPartitions() {
+        const processedDir = appConfig.paths.PROCESSED_DIR;
+        if (!(await fileSystem.pathExists(processedDir))) {
+            return [];
+        }
+
+        const partitions = [];
+        for (const dateEntry of (await fs.readdir(processedDir)).sort()) {
+            if (!dateEntry.startsWith('date=')) {
+                continue;
+            }
+
+            const datePath = path.join(processedDir, dateEntry);
+            for (const sensorEntry of (await fs.readdir(datePath)).sort()) {
+                const partitionPath = path.join(datePath, sensorEntry);
+                const jsonFile = path.join(partitionPath, LEGACY_PARTITION_FILE);
+                if (sensorEntry.startsWith('sensor_id=') && await fileSystem.pathExists(jsonFile)) {
+                    partitions.push({
+                        partitionKey: `${dateEntry}/${sensorEntry}`,
+                        path: partitionPath,
+                        jsonFile,
+                        parquetFile: path.join(partitionPath, PARTITION_FILE)
+                    });
+                }
+            }
+        }
+
+        return partitions;
+    }
+
+    /**
+     * Read stored records for the given sensors within a date range (inclusive)
+     * @param {Object} filters - { sensorIds, dateFrom, dateTo } with dates as YYYY-MM-DD
+     * @returns {Array<Object>} Stored processed records
+     */
+    async readStoredRecords(filters = {}) {
+        const records = [];
+
+        for (const dataFilePath of await this.listPartitionFiles(filters)) {
+            try {
+                records.push(...await this.readPartitionFile(dataFilePath));
+            } catch (error) {
+                logging.warn(`Skipping unreadable partition ${dataFilePath}: ${error.message}`);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Query stored records with DuckDB. Partitions are pruned by date and sensor_id before
+     * any file is opened; filtering, sorting and pagination run in DuckDB, so only the
+     * requested page is materialized.
+     * @param {Object} query - { sensorId, readingType, from, to, sortBy, order, limit, offset }
+     *   with from/to as ISO timestamps (inclusive)
+     * @returns {Object} { records, total }
+     */
+    async queryStoredRecords(query = {}) {
+        const { sensorId, from, to } = query;
+        const orderClause = this.buildOrderClause(query);
+
+        const files = await this.listPartitionFiles({
+            sensorIds: sensorId ? [sensorId] : undefined,
+            dateFrom: from ? from.substring(0, 10) : undefined,
+            dateTo: to ? to.substring(0, 10) : undefined
+        });
+        if (files.length === 0) {
+            return { records: [], total: 0 };
+        }
+
+        const { whereClause, params } = this.buildRecordFilter(query, '?');
+        const source = `${this.buildPartitionSource(files)} AS records`;
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
+
+        try {
+            const [{ total }] = await dbConfig.executeQuery(con, `SELECT COUNT(*) AS total FROM ${source} ${whereClause}`, params);
+            const records = await dbConfig.executeQuery(con,
+                `SELECT * FROM ${source} ${whereClause} ${orderClause}`, params);
+
+            return { records, total: Number(total) };
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
+
+    /**
+     * Query the persistent sensor_data table, with the same filters and result shape as
+     * queryStoredRecords. The table is ordered and indexed on (sensor_id, timestamp).
+     * @param {Object} query - { sensorId, readingType, from, to, sortBy, order, limit, offset }
+     * @returns {Object} { records, total }
+     */
+    async queryServingTable(query = {}) {
+        const orderClause = this.buildOrderClause(query);
+        const { whereClause, params } = this.buildRecordFilter(query, 'CAST(? AS TIMESTAMP)');
+        const con = await this.getServingConnection();
+
+        try {
+            const [{ total }] = await dbConfig.executeQuery(con,
+                `SELECT COUNT(*) AS total FROM sensor_data AS records ${whereClause}`, params);
+            const records = await dbConfig.executeQuery(con,
+                `SELECT ${this.getServingColumns()} FROM sensor_data AS records ${whereClause} ${orderClause}`, params);
+
+            return { records, total: Number(total) };
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Get the distinct values of a column from the sensor_data table
+     * @param {string} column - 'sensor_id' or 'reading_type'
+     * @returns {Array<string>} Sorted distinct values
+     */
+    async getDistinctValues(column) {
+        if (!DISTINCT_COLUMNS.includes(column)) {
+            throw new Error(`Cannot list values of ${column}. Expected one of ${DISTINCT_COLUMNS.join(', ')}`);
+        }
+
+        const con = await this.getServingConnection();
+        try {
+            const rows = await dbConfig.executeQuery(con,
+                `SELECT DISTINCT ${column} AS value FROM sensor_data WHERE ${column} IS NOT NULL ORDER BY value`);
+            return rows.map(row => row.value);
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Summarize the sensor_data table, optionally within a time range
+     * @param {Object} range - { from, to } as ISO timestamps (inclusive)
+     * @returns {Object} Totals, distinct counts, timestamp range and per sensor / reading type counts
+     */
+    async summarizeServingTable({ from, to } = {}) {
+        const { whereClause, params } = this.buildRecordFilter({ from, to }, 'CAST(? AS TIMESTAMP)');
+        const con = await this.getServingConnection();
+
+        try {
+            const [totals] = await dbConfig.executeQuery(con, `
+                SELECT
+                    COUNT(*) AS total_records,
+                    COUNT(DISTINCT sensor_id) AS unique_sensors,
+                    COUNT(DISTINCT reading_type) AS unique_reading_types,
+                    COUNT(DISTINCT partition_date) AS unique_dates,
+                    strftime(MIN(timestamp), '${ISO_FORMAT}') AS earliest_timestamp,
+                    strftime(MAX(timestamp), '${ISO_FORMAT}') AS latest_timestamp
+                FROM sensor_data AS records ${whereClause}
+            `, params);
+
+            const breakdown = async (column) => Object.fromEntries(
+                (await dbConfig.executeQuery(con, `
+                    SELECT ${column} AS value, COUNT(*) AS count
+                    FROM sensor_data AS records ${whereClause}
+                    GROUP BY ${column} ORDER BY ${column}
+                `, params)).map(row => [row.value, Number(row.count)])
+            );
+
+            return {
+                total_records: Number(totals.total_records),
+                unique_sensors: Number(totals.unique_sensors),
+                unique_reading_types: Number(totals.unique_reading_types),
+                unique_dates: Number(totals.unique_dates),
+                earliest_timestamp: totals.earliest_timestamp,
+                latest_timestamp: totals.latest_timestamp,
+                sensor_breakdown: await breakdown('sensor_id'),
+                reading_type_breakdown: await breakdown('reading_type')
+            };
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Aggregate the sensor_data table into time buckets
+     * @param {Object} query - See runAggregation
+     * @returns {Array<Object>} Buckets as { bucket, [sensor_id], [reading_type], value, count }
+     */
+    async aggregateServingTable(query) {
+        this.validateAggregateQuery(query);
+        const con = await this.getServingConnection();
+
+        try {
+            return await this.runAggregation(con, 'sensor_data AS records', query, 'CAST(? AS TIMESTAMP)');
+        } finally {
+            await dbConfig.closeConnection(con);
+        }
+    }
+
+    /**
+     * Aggregate stored partitions into time buckets, with the same result as
+     * aggregateServingTable. Partitions outside the range and sensor filter are pruned.
+     * @param {Object} query - See runAggregation
+     * @returns {Array<Object>} Buckets as { bucket, [sensor_id], [reading_type], value, count }
+     */
+    async aggregateStoredRecords(query) {
+        this.validateAggregateQuery(query);
+        const { sensorId, from, to } = query;
+
+        const files = await this.listPartitionFiles({
+            sensorIds: sensorId ? [sensorId] : undefined,
+            dateFrom: from ? from.substring(0, 10) : undefined,
+            dateTo: to ? to.substring(0, 10) : undefined
+        });
+        if (files.length === 0) {
+            return [];
+        }
+
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
+        try {
+            return await this.runAggregation(con, `${this.buildPartitionSource(files)} AS records`, query, '?');
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
+
+    /**
+     * Bucket readings by interval in the requested timezone's local time, so daily buckets
+     * start at local midnight and weekly buckets on local Mondays. Every group gets every
+     * bucket between the range bounds (or its first and last reading when no range is
+     * given); empty buckets are filled with null, the previous bucket's value, or a linear
+     * interpolation between the surrounding buckets. Count aggregates report 0 instead.
+     * @param {Connection} con - Database connection
+     * @param {string} source - Table expression aliased as records
+     * @param {Object} query - { interval, agg, groupBy, sensorId, readingType, from, to, timezone, fill }
+     * @param {string} timestampPlaceholder - Placeholder compared with records.timestamp
+     * @returns {Array<Object>} Buckets ordered by group and time, with bucket as a UTC ISO timestamp
+     */
+    async runAggregation(con, source, query, timestampPlaceholder) {
+        const { interval, agg, groupBy = [], from, to, timezone = 'UTC', fill = 'null' } = query;
+        const step = `INTERVAL '${AGGREGATE_INTERVALS[interval]} seconds'`;
+        const { whereClause, params } = this.buildRecordFilter(query, timestampPlaceholder);
+        const toLocal = expression => `timezone(?, timezone('UTC', ${expression}))`;
+
+        const readings = `readings AS (
+            SELECT ${groupBy.map(column => `records.${column}, `).join('')}records.value AS value,
+                CAST(records.timestamp AS TIMESTAMP) AS ts,
+                ${toLocal('CAST(records.timestamp AS TIMESTAMP)')} AS local_ts
+            FROM ${source} ${whereClause}
+        )`;
+        const readingParams = [timezone, ...params];
+
+        const [bounds] = await dbConfig.executeQuery(con, `
+            WITH ${readings}
+            SELECT
+                COUNT(*) AS readings,
+                strftime(time_bucket(${step}, COALESCE(${toLocal('CAST(? AS TIMESTAMP)')}, MIN(local_ts))), '${ISO_FORMAT}') AS first_bucket,
+                strftime(time_bucket(${step}, COALESCE(${toLocal('CAST(? AS TIMESTAMP)')}, MAX(local_ts))), '${ISO_FORMAT}') AS last_bucket
+            FROM readings
+        `, [...readingParams, timezone, from || null, timezone, to || null]);
+
+        if (Number(bounds.readings) === 0) {
+            return [];
+        }
+
+        const bucketCount = (new Date(bounds.last_bucket) - new Date(bounds.first_bucket)) / 1000 / AGGREGATE_INTERVALS[interval] + 1;
+        if (bucketCount > MAX_AGGREGATE_BUCKETS) {
+            throw this.invalidQueryError(`The range spans ${bucketCount} ${interval} buckets; ` +
+                `narrow the date range or use a larger interval (at most ${MAX_AGGREGATE_BUCKETS} buckets)`);
+        }
+
+        const groupList = groupBy.map(column => `${column}, `).join('');
+        const partition = groupBy.length > 0 ? `PARTITION BY ${groupBy.join(', ')}` : '';
+        const fillExpressions = {
+            null: 'raw_value',
+            previous: 'prev_value',
+            linear: `CASE WHEN raw_value IS NOT NULL THEN raw_value
+                ELSE prev_value + (next_value - prev_value) * (epoch(bucket) - epoch(prev_bucket)) / (epoch(next_bucket) - epoch(prev_bucket))
+            END`
+        };
+
+        const rows = await dbConfig.executeQuery(con, `
+            WITH ${readings},
+            buckets AS (
+                SELECT ${groupList}time_bucket(${step}, local_ts) AS bucket,
+                    ${AGGREGATE_FUNCTIONS[agg]} AS raw_value, COUNT(value) AS count
+                FROM readings
+                GROUP BY ALL
+            ),
+            series AS (
+                SELECT generate_series AS bucket
+                FROM generate_series(CAST(? AS TIMESTAMP), CAST(? AS TIMESTAMP), ${step})
+            ),
+            grid AS (
+                SELECT ${groupList}series.bucket
+                FROM ${groupBy.length > 0 ? `(SELECT DISTINCT ${groupBy.join(', ')} FROM buckets) AS groups CROSS JOIN ` : ''}series
+            ),
+            neighbours AS (
+                SELECT grid.*, buckets.raw_value, COALESCE(buckets.count, 0) AS count,
+                    last_value(buckets.raw_value IGNORE NULLS) OVER preceding AS prev_value,
+                    last_value(CASE WHEN buckets.raw_value IS NOT NULL THEN grid.bucket END IGNORE NULLS) OVER preceding AS prev_bucket,
+                    first_value(buckets.raw_value IGNORE NULLS) OVER following AS next_value,
+                    first_value(CASE WHEN buckets.raw_value IS NOT NULL THEN grid.bucket END IGNORE NULLS) OVER following AS next_bucket
+                FROM grid LEFT JOIN buckets USING (${[...groupBy, 'bucket'].join(', ')})
+                WINDOW
+                    preceding AS (${partition} ORDER BY grid.bucket ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW),
+                    following AS (${partition} ORDER BY grid.bucket ROWS BETWEEN CURRENT ROW AND UNBOUNDED FOLLOWING)
+            )
+            SELECT ${groupList}strftime(timezone('UTC', timezone(?, neighbours.bucket)), '${ISO_FORMAT}') AS bucket,
+                ${agg === 'count' ? 'count' : fillExpressions[fill]} AS value, count
+            FROM neighbours
+            ORDER BY ${groupList}neighbours.bucket
+        `, [...readingParams, bounds.first_bucket, bounds.last_bucket, timezone]);
+
+        return rows.map(row => ({
+            ...row,
+            value: row.value === null ? null : Number(row.value),
+            count: Number(row.count)
+        }));
+    }
+
+    /**
+     * Check an aggregation query, throwing an INVALID_QUERY error naming the first problem
+     * @param {Object} query - { interval, agg, groupBy, timezone, fill }
+     */
+    validateAggregateQuery({ interval, agg, groupBy = [], timezone = 'UTC', fill = 'null' }) {
+        const checks = [
+            [interval, Object.keys(AGGREGATE_INTERVALS), 'interval'],
+            [agg, Object.keys(AGGREGATE_FUNCTIONS), 'agg'],
+            [fill, FILL_METHODS, 'fill']
+        ];
+        for (const [value, allowed, name] of checks) {
+            if (!allowed.includes(value)) {
+                throw this.invalidQueryError(`Invalid ${name}: ${value}. Expected one of ${allowed.join(', ')}`);
+            }
+        }
+
+        const invalidColumn = groupBy.find(column => !DISTINCT_COLUMNS.includes(column));
+        if (invalidColumn !== undefined) {
+            throw this.invalidQueryError(`Cannot group by ${invalidColumn}. Expected any of ${DISTINCT_COLUMNS.join(', ')}`);
+        }
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+            throw this.invalidQueryError(`Unknown timezone: ${timezone}`);
+        }
+    }
+
+    /**
+     * Create an error for a query rejected before it runs
+     * @param {string} message - Error message
+     * @returns {Error} Error with code INVALID_QUERY
+     */
+    invalidQueryError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_QUERY';
+        return error;
+    }
+
+    /**
+     * Build the WHERE clause for record queries
+     * @param {Object} query - { sensorId, readingType, from, to }
+     * @param {string} timestampPlaceholder - Placeholder compared with records.timestamp
+     * @returns {Object} { whereClause, params }
+     */
+    buildRecordFilter({ sensorId, readingType, from, to }, timestampPlaceholder) {
+        const conditions = [];
+        const params = [];
+        for (const [condition, value] of [
+            ['records.sensor_id = ?', sensorId],
+            ['records.reading_type = ?', readingType],
+            [`records.timestamp >= ${timestampPlaceholder}`, from],
+            [`records.timestamp <= ${timestampPlaceholder}`, to]
+        ]) {
+            if (value) {
+                conditions.push(condition);
+                params.push(value);
+            }
+        }
+        return { whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Build the ORDER BY and LIMIT clauses for record queries
+     * @param {Object} query - { sortBy, order, limit, offset }
+     * @returns {string} SQL clauses
+     */
+    buildOrderClause({ sortBy = 'timestamp', order = 'desc', limit = 1000, offset = 0 }) {
+        if (!this.isSortableColumn(sortBy)) {
+            throw new Error(`Cannot sort by ${sortBy}. Expected one of ${SORTABLE_COLUMNS.join(', ')}`);
+        }
+
+        const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+        return `ORDER BY records.${sortBy} ${direction} NULLS LAST, records.timestamp ${direction}, records.sensor_id, records.reading_type
+            LIMIT ${Math.max(0, parseInt(limit, 10) || 0)} OFFSET ${Math.max(0, parseInt(offset, 10) || 0)}`;
+    }
+
+    /**
+     * Columns selected from sensor_data, shaped like records read from partitions
+     * @returns {string} SQL select list
+     */
+    getServingColumns() {
+        return Object.keys(SensorDataModel.getEnrichedColumnTypes())
+            .map(column => column === 'timestamp'
+                ? `strftime(records.timestamp, '${ISO_FORMAT}') AS timestamp`
+                : `records.${column}`)
+            .join(', ');
+    }
+
+    /**
+     * Check whether stored records can be sorted by a column
+     * @param {string} column - Column name
+     * @returns {boolean} True if the column is sortable
+     */
+    isSortableColumn(column) {
+        return SORTABLE_COLUMNS.includes(column);
+    }
+
+    /**
+     * Build a DuckDB table expression over partition data files, combining Parquet files
+     * with any legacy data.json partitions not yet migrated. Every enriched column is
+     * present, null for files written before the column was added.
+     * @param {Array<string>} files - Partition data file paths
+     * @returns {string} Parenthesized SQL subquery
+     */
+    buildPartitionSource(files) {
+        const list = paths => `[${paths.map(filePath => `'${this.toDuckDBPath(filePath)}'`).join(', ')}]`;
+        const parquetFiles = files.filter(filePath => path.basename(filePath) === PARTITION_FILE);
+        const jsonFiles = files.filter(filePath => path.basename(filePath) === LEGACY_PARTITION_FILE);
+        const columns = Object.entries(SensorDataModel.getEnrichedColumnTypes())
+            .map(([column, type]) => `CAST(NULL AS ${type}) AS ${column}`);
+        const sources = [`SELECT ${columns.join(', ')} WHERE false`];
+
+        if (parquetFiles.length > 0) {
+            sources.push(`SELECT * FROM read_parquet(${list(parquetFiles)}, hive_partitioning = false, union_by_name = true)`);
+        }
+        if (jsonFiles.length > 0) {
+            sources.push(`SELECT * FROM read_json(${list(jsonFiles)}, format = 'array', columns = ${this.getColumnsStruct()})`);
+        }
+
+        return `(${sources.join(' UNION ALL BY NAME ')})`;
+    }
+
+    /**
+     * Rewrite stored records in place. The update function gets the records of one
+     * partition at a time, and partitions are only written back when it reports a change.
+     * The partitions stay locked until sensor_data is updated, so files stored meanwhile
+     * wait for them.
+     * @param {Object} filters - { sensorIds, dateFrom, dateTo } with dates as YYYY-MM-DD
+     * @param {Function} updateRecords - Mutates a partition's records and returns how many it changed
+     * @returns {Object} { partitionsRewritten, recordsUpdated }
+     */
+    async updateStoredRecords(filters, updateRecords) {
+        const rewritten = [];
+        let recordsUpdated = 0;
+        const dataFilePaths = await this.listPartitionFiles(filters);
+
+        await fileLock.withLocks(dataFilePaths.map(dataFilePath => path.dirname(dataFilePath)), async () => {
+            for (const dataFilePath of dataFilePaths) {
+                const records = await this.readPartitionFile(dataFilePath);
+                const changed = updateRecords(records);
+
+                if (changed > 0) {
+                    await this.writePartitionFile(path.dirname(dataFilePath), records);
+                    rewritten.push(path.dirname(dataFilePath));
+                    recordsUpdated += changed;
+                    logging.info(`Rewrote ${changed} records in ${dataFilePath}`);
+                }
+            }
+
+            await this.updatePersistentDatabase(rewritten);
+        });
+
+        return { partitionsRewritten: rewritten.length, recordsUpdated };
+    }
+
+    /**
+     * Run work on a date= directory while holding the locks of every partition in it
+     * @param {string} dateDir - date= directory
+     * @param {Function} work - Async function run while the partitions are locked
+     * @returns {*} What work returns
+     */
+    async withDatePartitionLocks(dateDir, work) {
+        const entries = await fs.readdir(dateDir).catch(() => []);
+        const partitionPaths = entries
+            .filter(entry => entry.startsWith('sensor_id='))
+            .map(entry => path.join(dateDir, entry));
+
+        return fileLock.withLocks(partitionPaths, work);
+    }
+
     /**
      * Clean up old partitions based on retention policy
      * @param {number} retentionDays - Number of days to retain
@@ -395,7 +1189,7 @@ class DataStorageService {
             const processedDir = appConfig.paths.PROCESSED_DIR;
             const entries = await fs.readdir(processedDir);
 
-            let cleanedPartitions = 0;
+            const cleanedDates = [];
 
             for (const entry of entries) {
                 if (entry.startsWith('date=')) {
@@ -404,15 +1198,18 @@ class DataStorageService {
 
                     if (entryDate < cutoffDate) {
                         const entryPath = path.join(processedDir, entry);
-                        await fs.rmdir(entryPath, { recursive: true });
-                        cleanedPartitions++;
+                        await this.withDatePartitionLocks(entryPath, async () => {
+                            await fs.rmdir(entryPath, { recursive: true });
+                            await this.removeFromServingTable([dateStr]);
+                        });
+                        cleanedDates.push(dateStr);
                         logging.info(`Cleaned up old partition: ${entry}`);
                     }
                 }
             }
 
-            logging.info(`Cleaned up ${cleanedPartitions} old partitions`);
-            return cleanedPartitions;
+            logging.info(`Cleaned up ${cleanedDates.length} old partitions`);
+            return cleanedDates.length;
 
         } catch (error) {
             logging.error(`Partition cleanup failed: ${error.message}`);
@@ -458,17 +1255,16 @@ class DataStorageService {
 
             logging.info(`Writing ${data.length} records to partitioned Parquet format`);
 
-            // For now, fallback to JSON storage to avoid DuckDB issues
-            // This method can be enhanced later to properly write Parquet files
-            const result = await this.storeDataAsJSON(data);
+            const result = await this.storeDataAsParquet(data);
 
             logging.info(`Successfully wrote ${data.length} records to partitioned storage`);
             return {
                 success: true,
                 recordsWritten: data.length,
                 partitionsCreated: result.partitionsCreated,
-                format: 'JSON', // Will be 'PARQUET' when properly implemented
-                compressionUsed: false,
+                partitionsUpdated: result.partitionsUpdated,
+                format: 'PARQUET',
+                compressionUsed: this.getCompressionCodec(),
                 storagePath: appConfig.paths.PROCESSED_DIR
             };
 
@@ -1,4 +1,11 @@
-const { logging } = require('../utils');
+const { app: appConfig } = require('../config');
+const { logging, statistics } = require('../utils');
+const stuckSensorDetection = require('./stuckSensorDetection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const ANOMALY_REASONS = ['below_range', 'above_range', 'rate_of_change'];
 
 /**
  * Data Transformation Service
@@ -7,32 +14,65 @@ const { logging } = require('../utils');
 class DataTransformationService {
     /**
      * Transform raw sensor data
+     * Records that cannot be transformed are returned in rejectedRecords with their
+     * row index and reason code so the caller can quarantine them.
      * @param {Array} data - Raw sensor data
+     * @param {Object} options - { calibrations } entries from the calibration registry,
+     *   { imputation, outliers } overrides for appConfig.imputation and appConfig.outliers,
+     *   { conflictPolicy } override for appConfig.deduplication.conflictPolicy
      * @returns {Object} Transformation results
      */
-    async transformData(data) {
+    async transformData(data, options = {}) {
         try {
             logging.info(`Transforming ${data.length} records`);
 
-            const transformedData = data.map(record => {
+            const transformedData = [];
+            const rejectedRecords = [];
+            const registry = this.indexCalibrations(options.calibrations || []);
+
+            data.forEach((record, rowIndex) => {
                 try {
-                    return this.transformRecord(record);
+                    transformedData.push(this.transformRecord(record, registry));
                 } catch (error) {
-                    logging.error(`Failed to transform record: ${error.message}`);
-                    return null;
+                    logging.error(`Failed to transform record ${rowIndex}: ${error.message}`);
+                    rejectedRecords.push({
+                        rowIndex,
+                        record,
+                        reasonCode: error.code || 'TRANSFORM_ERROR',
+                        message: error.message
+                    });
                 }
-            }).filter(record => record !== null);
+            });
+
+            const uniqueData = this.removeDuplicates(transformedData, options.conflictPolicy);
+            const duplicatesRemoved = transformedData.length - uniqueData.length;
+            transformedData.splice(0, transformedData.length, ...uniqueData);
+
+            this.fillMissingValues(transformedData, options.imputation);
+            // Anomalies describe the values that are kept, so they are flagged after correction
+            const outlierStats = this.correctOutliers(transformedData, options.outliers);
+            const anomalyStats = this.flagAnomalies(transformedData);
+            const stuckSensors = stuckSensorDetection.detectStuckSensors(transformedData);
+            this.calculateAverages(transformedData);
 
             const stats = {
                 inputRecords: data.length,
                 outputRecords: transformedData.length,
-                failedRecords: data.length - transformedData.length
+                failedRecords: rejectedRecords.length,
+                duplicatesRemoved,
+                valuesImputed: transformedData.filter(record => record.missing_value_filled).length,
+                anomaliesDetected: anomalyStats.detected,
+                anomalyReasons: anomalyStats.reasons,
+                outliersDetected: outlierStats.detected,
+                outliersCorrected: outlierStats.corrected,
+                stuckSensorRecords: stuckSensors.affectedRecords
             };
 
             logging.info(`Transformation complete: ${stats.outputRecords}/${stats.inputRecords} records processed`);
 
             return {
                 transformedData,
+                rejectedRecords,
                 transformationStats: stats
             };
 
@@ -45,29 +85,142 @@ class DataTransformationService {
     /**
      * Transform a single record
      * @param {Object} record - Raw record
+     * @param {Map} registry - Calibration registry index from indexCalibrations
      * @returns {Object} Transformed record
      */
-    transformRecord(record) {
+    transformRecord(record, registry = null) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw this.rejection('INVALID_RECORD', 'Record is not an object');
+        }
+
+        const sensorId = String(record.sensor_id || '').trim();
+        if (!sensorId) {
+            throw this.rejection('MISSING_SENSOR_ID', 'Record has no sensor_id');
+        }
+
+        const readingType = String(record.reading_type || '').trim().toLowerCase();
+        if (!readingType) {
+            throw this.rejection('MISSING_READING_TYPE', 'Record has no reading_type');
+        }
+
+        let timestamp;
+        try {
+            timestamp = this.normalizeTimestamp(record.timestamp);
+        } catch (error) {
+            throw this.rejection('INVALID_TIMESTAMP', error.message);
+        }
+
+        const value = this.normalizeValue(record.value);
         const transformed = {
-            sensor_id: String(record.sensor_id || '').trim(),
-            timestamp: this.normalizeTimestamp(record.timestamp),
-            reading_type: String(record.reading_type || '').trim().toLowerCase(),
-            value: this.normalizeValue(record.value),
+            sensor_id: sensorId,
+            timestamp,
+            reading_type: readingType,
+            value,
+            original_value: value,
             battery_level: this.normalizeValue(record.battery_level),
             location: record.location || null,
             anomalous_reading: false,
+            anomaly_reasons: [],
+            stuck_sensor: false,
             missing_value_filled: false,
+            imputation_method: null,
+            outlier_detected: false,
             outlier_corrected: false,
-            processed_timestamp: new Date().toISOString()
+            ...this.calibrateValue(sensorId, readingType, value, timestamp, registry),
+            processed_timestamp: new Date().toISOString(),
+            // Derived fields, filled per batch by calculateAverages
+            daily_avg: null,
+            rolling_avg_7d: null
         };
 
-        // Calculate derived fields
-        transformed.daily_avg = this.calculateDailyAverage(transformed.value);
-        transformed.rolling_avg_7d = this.calculateRollingAverage(transformed.value);
-
         return transformed;
     }
 
+    /**
+     * Index calibration registry entries by sensor_id and reading_type
+     * @param {Array<Object>} calibrations - Registry entries
+     * @returns {Map} Map of 'sensor_id|reading_type' to entries
+     */
+    indexCalibrations(calibrations) {
+        const registry = new Map();
+        for (const calibration of calibrations) {
+            const key = `${calibration.sensor_id}|${calibration.reading_type}`;
+            if (!registry.has(key)) {
+                registry.set(key, []);
+            }
+            registry.get(key).push(calibration);
+        }
+        return registry;
+    }
+
+    /**
+     * Look up the calibration parameters for a sensor reading. A registry entry in
+     * effect at the reading's timestamp (effective_from inclusive, effective_to exclusive)
+     * wins, then a per-sensor override, then the reading-type default; without any of
+     * them the reading is passed through unchanged.
+     * @param {string} sensorId - Sensor identifier
+     * @param {string} readingType - Normalized reading type
+     * @param {string} timestamp - ISO timestamp of the reading
+     * @param {Map} registry - Calibration registry index from indexCalibrations
+     * @returns {Object} { multiplier, offset, source, calibrationId }
+     */
+    getCalibrationParams(sensorId, readingType, timestamp = null, registry = null) {
+        const entries = (registry && timestamp) ? registry.get(`${sensorId}|${readingType}`) || [] : [];
+        const entry = entries.find(calibration =>
+            calibration.effective_from <= timestamp &&
+            (!calibration.effective_to || timestamp < calibration.effective_to)
+        );
+        if (entry) {
+            return { multiplier: entry.multiplier, offset: entry.offset, source: 'registry', calibrationId: entry.id };
+        }
+
+        const override = (appConfig.sensorCalibrationOverrides[sensorId] || {})[readingType];
+        if (override) {
+            return { multiplier: override.multiplier ?? 1.0, offset: override.offset ?? 0.0, source: 'sensor_override', calibrationId: null };
+        }
+
+        const defaults = appConfig.calibrationParams[readingType];
+        if (defaults) {
+            return { multiplier: defaults.multiplier, offset: defaults.offset, source: 'reading_type_default', calibrationId: null };
+        }
+
+        return { multiplier: 1.0, offset: 0.0, source: 'none', calibrationId: null };
+    }
+
+    /**
+     * Calibrate a reading: calibrated_value = (value * multiplier) + offset.
+     * The parameters used are returned alongside the result for auditability.
+     * @param {string} sensorId - Sensor identifier
+     * @param {string} readingType - Normalized reading type
+     * @param {number|null} value - Normalized raw value
+     * @param {string} timestamp - ISO timestamp of the reading
+     * @param {Map} registry - Calibration registry index from indexCalibrations
+     * @returns {Object} { calibrated_value, calibration_multiplier, calibration_offset, calibration_source, calibration_id }
+     */
+    calibrateValue(sensorId, readingType, value, timestamp = null, registry = null) {
+        const { multiplier, offset, source, calibrationId } = this.getCalibrationParams(sensorId, readingType, timestamp, registry);
+
+        return {
+            calibrated_value: value === null ? null : (value * multiplier) + offset,
+            calibration_multiplier: multiplier,
+            calibration_offset: offset,
+            calibration_source: source,
+            calibration_id: calibrationId
+        };
+    }
+
+    /**
+     * Create an error for a record that cannot be transformed
+     * @param {string} code - Machine-readable rejection reason
+     * @param {string} message - Human-readable description
+     * @returns {Error} Error carrying the reason in its code property
+     */
+    rejection(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
     /**
      * Normalize timestamp to ISO format
      * @param {any} timestamp - Raw timestamp
@@ -115,63 +268,462 @@ class DataTransformationService {
     }
 
     /**
-     * Calculate daily average (simplified)
-     * @param {number} value - Current value
-     * @returns {number} Daily average estimate
+     * Flag anomalous readings, after outlier correction so that the flags describe the
+     * stored values. A reading is anomalous when its calibrated value is outside
+     * appConfig.expectedRanges ('below_range', 'above_range') or when it changes faster
+     * than appConfig.rateOfChangeLimits allow since the previous accepted reading of the
+     * same sensor ('rate_of_change'). Readings flagged for their rate of change are not
+     * used as the reference for the next one, so a single spike flags only itself.
+     * @param {Array<Object>} records - Transformed records, updated in place
+     * @returns {Object} { detected, reasons } with a count per reason
      */
-    calculateDailyAverage(value) {
-        if (value === null || value === undefined) {
-            return null;
+    flagAnomalies(records) {
+        const result = { detected: 0, reasons: {} };
+        const flag = (record, reason) => {
+            record.anomaly_reasons.push(reason);
+            result.reasons[reason] = (result.reasons[reason] || 0) + 1;
+        };
+
+        const measured = records.filter(record => typeof record.calibrated_value === 'number' && isFinite(record.calibrated_value));
+
+        for (const record of measured) {
+            const range = appConfig.expectedRanges[record.reading_type];
+            if (range && record.calibrated_value < range.min) {
+                flag(record, 'below_range');
+            } else if (range && record.calibrated_value > range.max) {
+                flag(record, 'above_range');
+            }
         }
-        return value; // Simplified - would normally calculate from historical data
+
+        const groups = statistics.groupBy(
+            measured.filter(record => appConfig.rateOfChangeLimits[record.reading_type]),
+            record => `${record.sensor_id}|${record.reading_type}`
+        );
+
+        for (const series of Object.values(groups)) {
+            const { maxChange, perMinutes } = appConfig.rateOfChangeLimits[series[0].reading_type];
+            const ordered = series
+                .map(record => ({ record, time: Date.parse(record.timestamp) }))
+                .sort((a, b) => a.time - b.time);
+
+            let reference = null;
+            for (const { record, time } of ordered) {
+                if (reference) {
+                    const minutes = Math.max((time - reference.time) / 60000, perMinutes);
+                    const allowed = maxChange * minutes / perMinutes;
+                    if (Math.abs(record.calibrated_value - reference.record.calibrated_value) > allowed) {
+                        flag(record, 'rate_of_change');
+                        continue;
+                    }
+                }
+                reference = { record, time };
+            }
+        }
+
+        for (const record of records) {
+            if (record.anomaly_reasons.length > 0) {
+                record.anomalous_reading = true;
+                result.detected++;
+            }
+        }
+
+        return result;
     }
 
     /**
-     * Calculate 7-day rolling average (simplified)
-     * @param {number} value - Current value
-     * @returns {number} Rolling average estimate
+     * Recompute the range and rate-of-change flags of stored records after their
+     * calibrated values changed. Other anomaly reasons, such as the stuck-sensor ones,
+     * are kept.
+     * @param {Array<Object>} records - Stored records, updated in place
+     * @returns {Array<Object>} The records whose anomaly reasons changed
      */
-    calculateRollingAverage(value) {
-        if (value === null || value === undefined) {
-            return null;
+    reflagAnomalies(records) {
+        const previous = records.map(record => [...(record.anomaly_reasons || [])].sort().join(','));
+
+        for (const record of records) {
+            record.anomaly_reasons = (record.anomaly_reasons || []).filter(reason => !ANOMALY_REASONS.includes(reason));
+            record.anomalous_reading = record.anomaly_reasons.length > 0;
         }
-        return value; // Simplified - would normally calculate from historical data
+        this.flagAnomalies(records);
+
+        return records.filter((record, index) => [...record.anomaly_reasons].sort().join(',') !== previous[index]);
     }
 
     /**
-     * Remove duplicate records
+     * Detect and correct outliers per sensor_id + reading_type, using the method and
+     * correction strategy in appConfig.outliers. Series with fewer than minSamples
+     * readings are skipped. Detected records get outlier_detected; corrected ones get
+     * outlier_corrected, a new value and a recalculated calibrated_value, while
+     * original_value keeps the reading as received.
+     * @param {Array<Object>} records - Transformed records, updated in place
+     * @param {Object} options - Overrides for appConfig.outliers
+     * @returns {Object} { detected, corrected }
+     */
+    correctOutliers(records, options = {}) {
+        const { method, correction, rollingMedianWindow, minSamples, ...settings } = { ...appConfig.outliers, ...options };
+        const threshold = settings.threshold ?? {
+            zscore: appConfig.processing.outlierThreshold,
+            mad: settings.madThreshold,
+            iqr: settings.iqrMultiplier
+        }[method];
+        const result = { detected: 0, corrected: 0 };
+
+        const groups = statistics.groupBy(
+            records.filter(record => typeof record.value === 'number' && isFinite(record.value)),
+            record => `${record.sensor_id}|${record.reading_type}`
+        );
+
+        for (const series of Object.values(groups)) {
+            if (series.length < minSamples) {
+                continue;
+            }
+
+            const { lower, upper } = statistics.calculateOutlierBounds(series.map(record => record.value), method, threshold);
+            series.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+            const isOutlier = series.map(record => record.value < lower || record.value > upper);
+
+            series.forEach((record, index) => {
+                if (!isOutlier[index]) {
+                    return;
+                }
+                record.outlier_detected = true;
+                result.detected++;
+
+                if (correction === 'flag') {
+                    return;
+                }
+                if (correction === 'clamp') {
+                    record.value = Math.min(Math.max(record.value, lower), upper);
+                } else if (correction === 'rolling_median') {
+                    record.value = this.rollingMedian(series, isOutlier, index, rollingMedianWindow);
+                } else if (correction === 'null') {
+                    record.value = null;
+                } else {
+                    throw new Error(`Unknown outlier correction strategy: ${correction}`);
+                }
+
+                record.outlier_corrected = true;
+                record.calibrated_value = record.value === null
+                    ? null
+                    : (record.value * record.calibration_multiplier) + record.calibration_offset;
+                result.corrected++;
+            });
+        }
+
+        if (result.detected > 0) {
+            logging.info(`Outliers: ${result.detected} detected (${method}), ${result.corrected} corrected (${correction})`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Median of the non-outlier readings around a position in a time-ordered series
+     * @param {Array<Object>} series - Records of one sensor and reading type, ordered by timestamp
+     * @param {Array<boolean>} isOutlier - Outlier flag per series position
+     * @param {number} index - Position of the reading to replace
+     * @param {number} window - Number of neighbouring readings to use
+     * @returns {number} Median of the neighbours
+     */
+    rollingMedian(series, isOutlier, index, window) {
+        const neighbours = [];
+        for (let offset = 1; neighbours.length < window && (index - offset >= 0 || index + offset < series.length); offset++) {
+            for (const position of [index - offset, index + offset]) {
+                if (position >= 0 && position < series.length && !isOutlier[position] && neighbours.length < window) {
+                    neighbours.push(series[position].value);
+                }
+            }
+        }
+        return statistics.calculateQuantile(neighbours, 0.5);
+    }
+
+    /**
+     * Calculate daily_avg and rolling_avg_7d for each record, per sensor_id + reading_type.
+     * - daily_avg: mean of the values on the record's UTC calendar day
+     * - rolling_avg_7d: mean of the values in the trailing window (timestamp - N days, timestamp]
+     * Both are computed over the records plus any stored history; when history and records
+     * share a reading (same series and timestamp), the record's value wins. Null values do
+     * not contribute. Incomplete windows are averaged over the readings they contain, see
+     * appConfig.averages for the minimum coverage required for rolling_avg_7d.
+     * @param {Array<Object>} records - Transformed records, updated in place
+     * @param {Array<Object>} history - Previously stored records for the same series
+     * @returns {Array<Object>} The updated records
+     */
+    calculateAverages(records, history = []) {
+        const { rollingWindowDays, minRollingWindowDays } = appConfig.averages;
+        const windowMs = rollingWindowDays * DAY_MS;
+        const seriesKey = record => `${record.sensor_id}|${record.reading_type}`;
+
+        // Collect one observation per series and timestamp
+        const observations = new Map();
+        for (const record of [...history, ...records]) {
+            const time = Date.parse(record.timestamp);
+            if (typeof record.value !== 'number' || !isFinite(record.value) || isNaN(time)) {
+                continue;
+            }
+            const key = seriesKey(record);
+            if (!observations.has(key)) {
+                observations.set(key, new Map());
+            }
+            observations.get(key).set(time, record.value);
+        }
+
+        const targetsBySeries = new Map();
+        for (const record of records) {
+            const key = seriesKey(record);
+            if (!targetsBySeries.has(key)) {
+                targetsBySeries.set(key, []);
+            }
+            targetsBySeries.get(key).push(record);
+        }
+
+        for (const [key, targets] of targetsBySeries) {
+            const series = [...(observations.get(key) || new Map())]
+                .map(([time, value]) => ({ time, day: Math.floor(time / DAY_MS), value }))
+                .sort((a, b) => a.time - b.time);
+
+            const daily = new Map();
+            for (const { day, value } of series) {
+                const totals = daily.get(day) || { sum: 0, count: 0 };
+                totals.sum += value;
+                totals.count++;
+                daily.set(day, totals);
+            }
+
+            // Slide a trailing window over the series in timestamp order
+            const ordered = targets
+                .map(record => ({ record, time: Date.parse(record.timestamp) }))
+                .sort((a, b) => a.time - b.time);
+            const windowDays = new Map();
+            let sum = 0;
+            let count = 0;
+            let head = 0;
+            let tail = 0;
+
+            for (const { record, time } of ordered) {
+                while (head < series.length && series[head].time <= time) {
+                    const { day, value } = series[head++];
+                    sum += value;
+                    count++;
+                    windowDays.set(day, (windowDays.get(day) || 0) + 1);
+                }
+                while (tail < head && series[tail].time <= time - windowMs) {
+                    const { day, value } = series[tail++];
+                    sum -= value;
+                    count--;
+                    if (windowDays.get(day) === 1) {
+                        windowDays.delete(day);
+                    } else {
+                        windowDays.set(day, windowDays.get(day) - 1);
+                    }
+                }
+
+                const totals = daily.get(Math.floor(time / DAY_MS));
+                record.daily_avg = totals ? totals.sum / totals.count : null;
+                record.rolling_avg_7d = count > 0 && windowDays.size >= minRollingWindowDays ? sum / count : null;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Remove duplicate records, resolving each conflict with the given policy.
+     * Kept records stay at the position of the first occurrence of their key.
      * @param {Array} data - Data array
+     * @param {string} policy - Conflict policy, defaults to appConfig.deduplication.conflictPolicy
      * @returns {Array} Deduplicated data
      */
-    removeDuplicates(data) {
-        const seen = new Set();
-        return data.filter(record => {
-            const key = `${record.sensor_id}-${record.timestamp}-${record.reading_type}`;
-            if (seen.has(key)) {
-                return false;
+    removeDuplicates(data, policy = appConfig.deduplication.conflictPolicy) {
+        const kept = new Map();
+        for (const record of data) {
+            const key = this.recordKey(record);
+            kept.set(key, kept.has(key) ? this.resolveConflict(kept.get(key), record, policy) : record);
+        }
+        return [...kept.values()];
+    }
+
+    /**
+     * Natural key of a sensor reading
+     * @param {Object} record - Sensor record
+     * @returns {string} sensor_id|timestamp|reading_type
+     */
+    recordKey(record) {
+        return `${record.sensor_id}|${record.timestamp}|${record.reading_type}`;
+    }
+
+    /**
+     * Decide which of two readings with the same natural key to keep. 'average' takes the
+     * mean of the distinct values received for the reading, kept in averaged_values, so a
+     * value that was already averaged in leaves the existing record as it is.
+     * @param {Object} existing - Record seen or stored first
+     * @param {Object} incoming - Record seen later
+     * @param {string} policy - 'keep_first', 'keep_latest', 'keep_non_null' or 'average'
+     * @returns {Object} The record to keep; existing, incoming or a merged copy of incoming
+     */
+    resolveConflict(existing, incoming, policy) {
+        const hasValue = record => typeof record.value === 'number' && isFinite(record.value);
+
+        switch (policy) {
+            case 'keep_first':
+                return existing;
+            case 'keep_latest':
+                return (existing.processed_timestamp || '') > (incoming.processed_timestamp || '') ? existing : incoming;
+            case 'keep_non_null':
+                return !hasValue(existing) && hasValue(incoming) ? incoming : existing;
+            case 'average': {
+                if (!hasValue(existing) || !hasValue(incoming)) {
+                    return hasValue(existing) || !hasValue(incoming) ? existing : incoming;
+                }
+                const averaged = record => (record.averaged_values && record.averaged_values.length > 0
+                    ? record.averaged_values
+                    : [record.value]);
+                const values = [...new Set([...averaged(existing), ...averaged(incoming)])];
+                if (values.length === averaged(existing).length) {
+                    return existing;
+                }
+                const merged = { ...incoming, value: statistics.calculateMean(values), averaged_values: values };
+                if (typeof merged.calibration_multiplier === 'number') {
+                    merged.calibrated_value = (merged.value * merged.calibration_multiplier) + merged.calibration_offset;
+                }
+                return merged;
             }
-            seen.add(key);
-            return true;
-        });
+            default:
+                throw new Error(`Unknown duplicate conflict policy: ${policy}`);
+        }
     }
 
     /**
-     * Fill missing values
-     * @param {Array} data - Data array
+     * Fill missing values per sensor_id + reading_type series, using the strategy
+     * configured for the reading type in appConfig.imputation. Only received readings
+     * are used as neighbours, never other imputed values. Filled records get
+     * missing_value_filled, the strategy in imputation_method and a calibrated_value;
+     * values a strategy cannot fill are left null.
+     * @param {Array} data - Data array, updated in place
+     * @param {Object} options - Overrides for appConfig.imputation; { strategy } applies
+     *   one strategy to every reading type
      * @returns {Array} Data with filled values
      */
-    fillMissingValues(data) {
-        return data.map(record => {
-            if (record.value === null || record.value === undefined) {
-                record.value = this.getDefaultValue(record.reading_type);
+    fillMissingValues(data, options = {}) {
+        const settings = { ...appConfig.imputation, ...options };
+        const strategies = { ...appConfig.imputation.strategies, ...options.strategies };
+
+        data.forEach(record => {
+            record.missing_value_filled = record.missing_value_filled || false;
+            record.imputation_method = record.imputation_method || null;
+        });
+
+        const groups = statistics.groupBy(data, record => `${record.sensor_id}|${record.reading_type}`);
+
+        for (const records of Object.values(groups)) {
+            const strategy = settings.strategy || strategies[records[0].reading_type] || settings.defaultStrategy;
+            if (strategy === 'none' || !records.some(record => record.value === null || record.value === undefined)) {
+                continue;
+            }
+
+            const series = records
+                .map(record => ({ record, time: Date.parse(record.timestamp) }))
+                .sort((a, b) => a.time - b.time);
+            const known = series
+                .filter(({ record, time }) => typeof record.value === 'number' && !isNaN(time))
+                .map(({ record, time }) => ({ time, value: record.value }));
+
+            for (const { record, time } of series) {
+                if (record.value !== null && record.value !== undefined) {
+                    continue;
+                }
+
+                const value = this.imputeValue(strategy, record.reading_type, time, known, settings);
+                if (value === null) {
+                    continue;
+                }
+
+                record.value = value;
                 record.missing_value_filled = true;
+                record.imputation_method = strategy;
+                if (typeof record.calibration_multiplier === 'number') {
+                    record.calibrated_value = (record.value * record.calibration_multiplier) + record.calibration_offset;
+                } else {
+                    Object.assign(record, this.calibrateValue(record.sensor_id, record.reading_type, record.value));
+                }
             }
-            return record;
-        });
+        }
+
+        return data;
+    }
+
+    /**
+     * Impute a single missing value
+     * @param {string} strategy - Imputation strategy
+     * @param {string} readingType - Reading type of the series
+     * @param {number} time - Epoch milliseconds of the missing reading
+     * @param {Array<Object>} known - Received readings { time, value } ordered by time
+     * @param {Object} settings - Imputation settings
+     * @returns {number|null} Imputed value, or null if the strategy cannot fill it
+     */
+    imputeValue(strategy, readingType, time, known, settings) {
+        if (strategy === 'constant') {
+            return this.getDefaultValue(readingType);
+        }
+        if (isNaN(time)) {
+            return null;
+        }
+
+        const maxGapMs = settings.maxGapHours * HOUR_MS;
+        const next = this.findFirstAfter(known, time);
+        const previous = next > 0 ? known[next - 1] : null;
+        const following = next < known.length ? known[next] : null;
+
+        if (strategy === 'forward_fill') {
+            return previous && time - previous.time <= maxGapMs ? previous.value : null;
+        }
+
+        if (strategy === 'linear') {
+            if (!previous || !following || following.time - previous.time > maxGapMs) {
+                return null;
+            }
+            const fraction = (time - previous.time) / (following.time - previous.time);
+            return previous.value + (following.value - previous.value) * fraction;
+        }
+
+        if (strategy === 'seasonal') {
+            const toleranceMs = settings.seasonalToleranceMinutes * MINUTE_MS;
+            const matches = [];
+            for (let day = 1; day <= settings.seasonalLookbackDays; day++) {
+                const target = time - day * DAY_MS;
+                const index = this.findFirstAfter(known, target - toleranceMs - 1);
+                if (index < known.length && Math.abs(known[index].time - target) <= toleranceMs) {
+                    matches.push(known[index].value);
+                }
+            }
+            return matches.length > 0 ? statistics.calculateMean(matches) : null;
+        }
+
+        throw new Error(`Unknown imputation strategy: ${strategy}`);
+    }
+
+    /**
+     * Binary search for the first reading later than a time
+     * @param {Array<Object>} known - Readings { time, value } ordered by time
+     * @param {number} time - Epoch milliseconds
+     * @returns {number} Index of the first reading with a later time (known.length if none)
+     */
+    findFirstAfter(known, time) {
+        let low = 0;
+        let high = known.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (known[middle].time <= time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
     }
 
     /**
-     * Get default value for reading type
+     * Get default value for reading type, used by the 'constant' imputation strategy
      * @param {string} readingType - Type of reading
      * @returns {number} Default value
      */
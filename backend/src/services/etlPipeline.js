@@ -4,8 +4,12 @@ const { fileSystem, logging } = require('../utils');
 const dataIngestion = require('./dataIngestion');
 const dataTransformation = require('./dataTransformation');
 const dataQuality = require('./dataQuality');
+const stuckSensorDetection = require('./stuckSensorDetection');
 const dataStorage = require('./dataStorage');
+const quarantine = require('./quarantine');
+const calibrationRegistry = require('./calibrationRegistry');
 const summaryTablesGeneration = require('./summaryTablesGeneration');
+const stepCheckpoints = require('./stepCheckpoints');
 
 /**
  * Main Agr Pipeline Service
@@ -66,7 +70,7 @@ class ETLPipelineService {
      */
     async getNewFilesToProcess() {
         const processedFiles = await fileSystem.getProcessedFiles();
-        const allFiles = (await fileSystem.readdir(appConfig.paths.RAW_DATA_DIR)).filter(f => f.endsWith('.parquet'));
+        const allFiles = (await fileSystem.readdir(appConfig.paths.RAW_DATA_DIR)).filter(f => appConfig.fileFormats[path.extname(f).toLowerCase()]);
         const newFiles = allFiles.filter(f => !processedFiles.has(f));
 
         logging.info(`Found ${allFiles.length} total files, ${newFiles.length} new files to process`);
@@ -76,99 +80,229 @@ class ETLPipelineService {
     /**
      * Process a single file through the complete 4-step pipeline
      * @param {string} file - File name to process
+     * @param {Object} options - { mappingProfile, onStep, onWarning, signal, retryPolicy }; the profile is detected
+     * from the header when omitted, onStep(step, status, details) is called as each step starts, completes or
+     * fails, and onWarning(step, message) for schema warnings, quarantined rows, anomalies and retries.
+     * Aborting signal cancels the file between read batches or before a step, up to the start of loading;
+     * from there the file is stored and summarized in full. retryPolicy ({ maxAttempts, initialDelayMs,
+     * backoffFactor, maxDelayMs }) re-runs a failed step; without it each step runs once.
+     * Each completed step is checkpointed (see StepCheckpointService); when the file was left part way
+     * by an earlier run, the steps it completed are reported as completed with resumed: true and not run again.
      * @returns {Object} Processing results with statistics
      */
-    async processFile(file) {
-        const filepath = path.join(appConfig.paths.RAW_DATA_DIR, file);
+    async processFile(file, options = {}) {
         const startTime = Date.now();
-        let rawData = null; // Declare rawData outside try block for catch block access
+        let recordsRead = 0; // Declared outside the try block for the catch block
+        let currentStep = null;
+        const runStep = (step, work, stepOptions) => {
+            currentStep = step;
+            return this.runStep(file, step, options, work, stepOptions);
+        };
+        const resumeStep = (step, details) => {
+            currentStep = step;
+            this.reportStep(options, step, 'completed', { ...details, resumed: true });
+        };
 
         logging.info(`Starting 4-step pipeline processing for file: ${file}`);
 
         try {
+            const checkpoint = await stepCheckpoints.load(file, { mappingProfile: options.mappingProfile });
+            const resumedAfter = stepCheckpoints.lastStep(checkpoint);
+            if (resumedAfter) {
+                logging.info(`Resuming ${file} after its ${resumedAfter} checkpoint`);
+            }
+
+            // Records of the current step; resumed steps read them back from the checkpoint
+            let rawData = null;
+            let transformedData = null;
+            const loadTransformedData = async () => {
+                transformedData = transformedData || await stepCheckpoints.loadRecords(checkpoint);
+                return transformedData;
+            };
+
             // ============================================
             // STEP 1: DATA INGESTION
             // ============================================
-            logging.info(`Step 1: Data Ingestion - Processing ${file}`);
+            let ingested = stepCheckpoints.completed(checkpoint, 'ingested');
 
-            // Schema validation using DuckDB
-            const schemaValidation = await dataIngestion.validateSchemaWithDuckDB(filepath);
-            if (!schemaValidation.isValid) {
-                throw new Error(`Schema validation failed: ${schemaValidation.errors.join(', ')}`);
-            }
-            logging.info(`✓ Schema validation passed for ${file}`);
-
-            // Quality checks on raw data
-            const qualityChecks = await dataIngestion.performQualityChecks(filepath);
-            logging.info(`✓ Quality checks completed for ${file}`);
-
-            // Read and normalize data
-            rawData = await dataIngestion.readParquetFile(filepath);
-            if (!rawData.length) {
-                logging.warn(`File ${file} is empty, skipping`);
-                this.stats.filesSkipped++;
-                return {
-                    success: false,
-                    reason: 'empty_file',
-                    file,
-                    processingTime: Date.now() - startTime
+            if (ingested) {
+                resumeStep('ingestion', { recordsRead: ingested.recordsRead });
+            } else {
+                logging.info(`Step 1: Data Ingestion - Processing ${file}`);
+
+                const ingestion = await runStep('ingestion', () => this.ingestFile(file, options));
+                rawData = ingestion.records;
+
+                ingestion.schemaValidation.warnings.forEach(warning => {
+                    logging.warn(`Schema warning for ${file}: ${warning}`);
+                    this.reportWarning(options, 'ingestion', warning);
+                });
+                if (!rawData.length) {
+                    logging.warn(`File ${file} is empty, skipping`);
+                    this.reportStep(options, 'ingestion', 'completed', { recordsRead: 0 });
+                    this.stats.filesSkipped++;
+                    return {
+                        success: false,
+                        reason: 'empty_file',
+                        file,
+                        processingTime: Date.now() - startTime
+                    };
+                }
+
+                ingested = {
+                    recordsRead: rawData.length,
+                    schemaValidation: ingestion.schemaValidation,
+                    qualityChecks: ingestion.qualityChecks
                 };
+                await stepCheckpoints.save(checkpoint, 'ingested', ingested, rawData);
+
+                logging.info(`✓ Step 1 Complete: Ingested ${rawData.length} records from ${file}`);
+                this.reportStep(options, 'ingestion', 'completed', { recordsRead: rawData.length });
             }
-            logging.info(`✓ Step 1 Complete: Ingested ${rawData.length} records from ${file}`);
+            const { schemaValidation, qualityChecks } = ingested;
+            recordsRead = ingested.recordsRead;
 
             // ============================================
             // STEP 2: DATA TRANSFORMATION
             // ============================================
-            logging.info(`Step 2: Data Transformation - Processing ${rawData.length} records`);
+            let transformed = stepCheckpoints.completed(checkpoint, 'transformed');
+
+            if (transformed) {
+                resumeStep('transformation', {
+                    recordsProcessed: transformed.recordsProcessed,
+                    recordsQuarantined: transformed.recordsQuarantined
+                });
+            } else {
+                logging.info(`Step 2: Data Transformation - Processing ${recordsRead} records`);
+                rawData = rawData || await stepCheckpoints.loadArtifact(checkpoint, 'ingested');
+
+                const transformation = await runStep('transformation', () => this.transformRecords(file, rawData));
+                const { transformationResult, recordsQuarantined } = transformation;
+                transformedData = transformation.transformedData;
+
+                // Log transformation statistics
+                const transformStats = dataTransformation.getStats();
+                logging.info(`✓ Step 2 Complete: Transformed ${transformedData.length} records. ` +
+                    `Duplicates in file: ${transformationResult.transformationStats.duplicatesRemoved}, ` +
+                    `Anomalies detected: ${transformationResult.transformationStats.anomaliesDetected}, ` +
+                    `Outliers corrected: ${transformationResult.transformationStats.outliersCorrected}`);
+                if (recordsQuarantined > 0) {
+                    this.reportWarning(options, 'transformation', `${recordsQuarantined} records quarantined`);
+                }
+                if (transformationResult.transformationStats.anomaliesDetected > 0) {
+                    this.reportWarning(options, 'transformation',
+                        `${transformationResult.transformationStats.anomaliesDetected} anomalies detected`);
+                }
 
-            const transformationResult = await dataTransformation.transformData(rawData);
-            const transformedData = transformationResult.transformedData;
+                transformed = {
+                    recordsProcessed: transformedData.length,
+                    recordsRejected: transformationResult.rejectedRecords.length,
+                    recordsQuarantined,
+                    transformationStats: transformationResult.transformationStats,
+                    transformStats
+                };
+                await stepCheckpoints.save(checkpoint, 'transformed', transformed, transformedData);
 
-            // Log transformation statistics
-            const transformStats = dataTransformation.getStats();
-            logging.info(`✓ Step 2 Complete: Transformed ${transformedData.length} records. ` +
-                `Duplicates removed: ${transformStats.duplicatesRemoved}, ` +
-                `Anomalies detected: ${transformStats.anomaliesDetected}`);
+                this.reportStep(options, 'transformation', 'completed', {
+                    recordsProcessed: transformedData.length,
+                    recordsQuarantined
+                });
+            }
+            const { transformationStats } = transformed;
 
             // ============================================
             // STEP 3: DATA QUALITY VALIDATION
             // ============================================
-            logging.info(`Step 3: Data Quality Validation - Analyzing ${transformedData.length} records`);
+            let validated = stepCheckpoints.completed(checkpoint, 'validated');
+
+            if (validated) {
+                resumeStep('validation', { overallScore: validated.overallScore });
+            } else {
+                logging.info(`Step 3: Data Quality Validation - Analyzing ${transformed.recordsProcessed} records`);
+                const records = await loadTransformedData();
+
+                const qualityReport = await runStep('validation', () => dataQuality.generateDataQualityReport(records));
 
-            const qualityReport = await dataQuality.generateDataQualityReport(transformedData);
+                validated = { overallScore: qualityReport.summary.overallQualityScore };
+                // The report leaves the records as transformed, so a run resumed after this
+                // step stores the transformed artifact unchanged
+                await stepCheckpoints.save(checkpoint, 'validated', validated);
 
-            logging.info(`✓ Step 3 Complete: Quality report generated with overall score: ${qualityReport.summary.overallQualityScore}`);
+                logging.info(`✓ Step 3 Complete: Quality report generated with overall score: ${validated.overallScore}`);
+                this.reportStep(options, 'validation', 'completed', { overallScore: validated.overallScore });
+            }
 
             // ============================================
             // STEP 4: DATA LOADING & STORAGE
             // ============================================
-            logging.info(`Step 4: Data Loading & Storage - Storing ${transformedData.length} records`);
+            let stored = stepCheckpoints.completed(checkpoint, 'stored');
 
-            const storageResult = await dataStorage.storeProcessedData(transformedData);
+            if (stored) {
+                // Not stored again, so a resumed file does not rewrite its partitions
+                resumeStep('loading', { recordsStored: stored.recordsStored, partitionsCreated: stored.partitionsCreated });
+            } else {
+                logging.info(`Step 4: Data Loading & Storage - Storing ${transformed.recordsProcessed} records`);
+                const records = await loadTransformedData();
+
+                // Partition upserts are idempotent, so a retried load rewrites the same partitions
+                const storageResult = await runStep('loading', () => this.storeRecords(records));
 
-            logging.info(`✓ Step 4 Complete: Stored ${storageResult.recordsStored} records in ${storageResult.partitionsCreated} partitions`);
+                stored = {
+                    recordsStored: storageResult.recordsStored,
+                    partitionsCreated: storageResult.partitionsCreated,
+                    storagePath: storageResult.storagePath,
+                    storedDuplicates: storageResult.storedDuplicates
+                };
+                // Records as stored, without the duplicates that lost to stored readings
+                await stepCheckpoints.save(checkpoint, 'stored', stored, records);
+
+                logging.info(`✓ Step 4 Complete: Stored ${stored.recordsStored} records in ${stored.partitionsCreated} partitions, ` +
+                    `duplicates of stored records: ${stored.storedDuplicates.duplicates}`);
+                this.reportStep(options, 'loading', 'completed', {
+                    recordsStored: stored.recordsStored,
+                    partitionsCreated: stored.partitionsCreated
+                });
+            }
 
             // ============================================
             // FINALIZATION
             // ============================================
 
-            // Generate summary tables
-            await summaryTablesGeneration.generateAllSummaryTables(transformedData);
-            logging.info(`✓ Generated summary tables for ${file}`);
+            // Stored data is summarized and checkpointed even when cancelled meanwhile
+            const summarized = stepCheckpoints.completed(checkpoint, 'summarized');
 
-            // Update processing checkpoint
+            if (summarized) {
+                resumeStep('summaries', { recordsSummarized: stored.recordsStored });
+            } else {
+                const records = await loadTransformedData();
+
+                await runStep('summaries', async () => {
+                    // Generate summary tables
+                    await summaryTablesGeneration.generateAllSummaryTables(records);
+                    logging.info(`✓ Generated summary tables for ${file}`);
+                }, { cancellable: false });
+
+                await stepCheckpoints.save(checkpoint, 'summarized', {});
+            }
+
+            // Update processing checkpoint; the file's step checkpoints are no longer needed
             await fileSystem.updateCheckpoint(file);
+            await stepCheckpoints.clear(file);
 
             // Log ingestion statistics
             await dataIngestion.logIngestionStats(file, {
-                recordsProcessed: rawData.length,
-                recordsFailed: rawData.length - transformedData.length,
+                recordsProcessed: recordsRead,
+                recordsFailed: transformed.recordsRejected,
                 processingTime: Date.now() - startTime,
                 status: 'success'
             });
 
+            if (!summarized) {
+                this.reportStep(options, 'summaries', 'completed', { recordsSummarized: stored.recordsStored });
+            }
+
             // Update pipeline statistics
-            this.stats.recordsIngested += rawData.length;
+            this.stats.recordsIngested += recordsRead;
             this.stats.filesProcessed++;
 
             const processingTime = Date.now() - startTime;
@@ -177,24 +311,38 @@ class ETLPipelineService {
             const result = {
                 success: true,
                 file,
+                resumedAfter,
                 pipeline: {
                     step1_ingestion: {
-                        recordsRead: rawData.length,
+                        recordsRead,
                         schemaValid: schemaValidation.isValid,
+                        schemaWarnings: schemaValidation.warnings,
+                        mappingProfile: schemaValidation.mappingProfile,
                         qualityChecks: qualityChecks
                     },
                     step2_transformation: {
-                        recordsProcessed: transformedData.length,
-                        stats: transformStats
+                        recordsProcessed: transformed.recordsProcessed,
+                        recordsQuarantined: transformed.recordsQuarantined,
+                        duplicates: {
+                            policy: appConfig.deduplication.conflictPolicy,
+                            inFile: transformationStats.duplicatesRemoved,
+                            againstStored: stored.storedDuplicates.duplicates,
+                            skipped: stored.storedDuplicates.skipped
+                        },
+                        anomaliesDetected: transformationStats.anomaliesDetected,
+                        anomalyReasons: transformationStats.anomalyReasons,
+                        outliersDetected: transformationStats.outliersDetected,
+                        outliersCorrected: transformationStats.outliersCorrected,
+                        stats: transformed.transformStats
                     },
                     step3_quality: {
-                        overallScore: qualityReport.summary.overallQualityScore,
+                        overallScore: validated.overallScore,
                         reportPath: appConfig.paths.QUALITY_REPORT_FILE
                     },
                     step4_storage: {
-                        recordsStored: storageResult.recordsStored,
-                        partitionsCreated: storageResult.partitionsCreated,
-                        storagePath: storageResult.storagePath
+                        recordsStored: stored.recordsStored,
+                        partitionsCreated: stored.partitionsCreated,
+                        storagePath: stored.storagePath
                     }
                 },
                 processingTime,
@@ -206,25 +354,34 @@ class ETLPipelineService {
 
         } catch (error) {
             const processingTime = Date.now() - startTime;
+            const cancelled = Boolean(options.signal && options.signal.aborted && error === options.signal.reason);
 
-            logging.error(`✗ 4-step pipeline failed for file ${file}: ${error.message}`);
+            if (cancelled) {
+                logging.warn(`4-step pipeline cancelled for file ${file}${currentStep ? ` during ${currentStep}` : ''}`);
+            } else {
+                logging.error(`✗ 4-step pipeline failed for file ${file}: ${error.message}`);
+            }
+            if (currentStep) {
+                this.reportStep(options, currentStep, cancelled ? 'cancelled' : 'failed', { error: error.message });
+            }
 
             // Log detailed error information
             await dataIngestion.logIngestionStats(file, {
                 recordsProcessed: 0,
-                recordsFailed: rawData ? rawData.length : 0,
+                recordsFailed: recordsRead,
                 processingTime,
-                status: 'failed',
+                status: cancelled ? 'cancelled' : 'failed',
                 error: error.message
             });
 
             // Update failure statistics
-            this.stats.recordsFailed += rawData ? rawData.length : 0;
+            this.stats.recordsFailed += recordsRead;
             this.stats.filesSkipped++;
 
             return {
                 success: false,
                 file,
+                cancelled,
                 error: error.message,
                 processingTime,
                 timestamp: new Date().toISOString()
@@ -232,6 +389,112 @@ class ETLPipelineService {
         }
     }
 
+    /**
+     * Run one step of processFile, retrying it with exponential backoff under options.retryPolicy.
+     * Cancellation is checked before every attempt unless the step is not cancellable; errors
+     * marked retryable = false and cancellations are not retried.
+     * @param {string} file - File being processed
+     * @param {string} step - Step name reported to onStep
+     * @param {Object} options - processFile options
+     * @param {Function} work - Runs the step and resolves with its result
+     * @param {Object} stepOptions - { cancellable } (default true)
+     * @returns {*} The step's result
+     */
+    async runStep(file, step, options, work, { cancellable = true } = {}) {
+        const {
+            maxAttempts = 1,
+            initialDelayMs = 0,
+            backoffFactor = 2,
+            maxDelayMs = Infinity
+        } = options.retryPolicy || {};
+
+        for (let attempt = 1; ; attempt++) {
+            if (cancellable && options.signal) {
+                options.signal.throwIfAborted();
+            }
+            this.reportStep(options, step, 'running', { attempt });
+
+            try {
+                return await work();
+            } catch (error) {
+                const cancelled = options.signal && options.signal.aborted && error === options.signal.reason;
+                if (cancelled || error.retryable === false || attempt >= maxAttempts) {
+                    throw error;
+                }
+
+                const delay = Math.min(initialDelayMs * Math.pow(backoffFactor, attempt - 1), maxDelayMs);
+                logging.warn(`${step} failed for ${file} (attempt ${attempt} of ${maxAttempts}): ${error.message}. ` +
+                    `Retrying in ${delay}ms`);
+                this.reportWarning(options, step, `Attempt ${attempt} of ${maxAttempts} failed: ${error.message}. ` +
+                    `Retrying in ${delay}ms`);
+                await this.waitBeforeRetry(delay, cancellable ? options.signal : null);
+            }
+        }
+    }
+
+    /**
+     * Wait out a retry delay, ending early with the abort reason when the signal is aborted
+     * @param {number} delay - Milliseconds to wait
+     * @param {AbortSignal|null} signal - Cancellation signal
+     */
+    waitBeforeRetry(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, delay);
+
+            if (signal) {
+                if (signal.aborted) {
+                    return onAbort();
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Pass a step transition to the caller's onStep callback, if any. Errors thrown by the
+     * callback are logged rather than failing the file.
+     * @param {Object} options - processFile options
+     * @param {string} step - ingestion, transformation, validation, loading or summaries
+     * @param {string} status - running, completed, failed or cancelled
+     * @param {Object} details - Step figures, the attempt of a running step, or the error of a failed step
+     */
+    reportStep(options, step, status, details = {}) {
+        if (typeof options.onStep !== 'function') {
+            return;
+        }
+        try {
+            options.onStep(step, status, details);
+        } catch (error) {
+            logging.warn(`Pipeline step callback failed for ${step} (${status}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Pass a warning raised during a step to the caller's onWarning callback, if any
+     * @param {Object} options - processFile options
+     * @param {string} step - Step that raised the warning
+     * @param {string} message - Warning text
+     */
+    reportWarning(options, step, message) {
+        if (typeof options.onWarning !== 'function') {
+            return;
+        }
+        try {
+            options.onWarning(step, message);
+        } catch (error) {
+            logging.warn(`Pipeline warning callback failed for ${step}: ${error.message}`);
+        }
+    }
+
     /**
      * Generate and log quality report
      * @param {Array<Object>} allTransformedData - All transformed data
@@ -252,75 +515,13 @@ class ETLPipelineService {
         logging.info(`Total Records: ${qualityReport.summary.totalRecords}`);
         logging.info(`Missing Values: ${qualityReport.summary.missingValues} (${qualityReport.details.missing_values.percentage}%)`);
         logging.info(`Anomalous Readings: ${qualityReport.summary.anomalousReadings} (${qualityReport.details.anomalous_readings.percentage}%)`);
+        Object.entries(qualityReport.summary.anomalyReasons).forEach(([reason, count]) => {
+            logging.info(`  - ${reason}: ${count}`);
+        });
+        logging.info(`Stuck Sensor Episodes: ${qualityReport.summary.stuckSensorEpisodes} (${qualityReport.details.stuck_sensors.count} records)`);
         logging.info(`Outliers Corrected: ${qualityReport.summary.outliersCorreted} (${qualityReport.details.outliers_corrected.percentage}%)`);
     }
 
-    /**
-     * Log final ingestion statistics
-     */
-    async logFinalStats() {
-        await logging.logIngestionStats(this.stats);
-
-        logging.info('\n=== INGESTION SUMMARY ===');
-        logging.info(`Files processed: ${this.stats.filesProcessed}`);
-        logging.info(`Files skipped: ${this.stats.filesSkipped}`);
-        logging.info(`Records ingested: ${this.stats.recordsIngested}`);
-        logging.info(`Records failed: ${this.stats.recordsFailed}`);
-        logging.info(`Processing time: ${(this.stats.processingTime / 1000).toFixed(2)}s`);
-    }
-
-    /**
-     * Run the complete Agr pipeline
-     */
-    async runPipeline() {
-        const startTime = Date.now();
-
-        try {
-            logging.info('Starting Agr pipeline...');
-
-            // Initialize directories
-            await this.initializeDirectories();
-
-            // Get new files to process
-            const newFiles = await this.getNewFilesToProcess();
-
-            if (newFiles.length === 0) {
-                logging.info('No new files to process');
-                return;
-            }
-
-            // Process all files
-            const allTransformedData = [];
-
-            for (const file of newFiles) {
-                const transformedData = await this.processFile(file);
-                if (transformedData) {
-                    allTransformedData.push(...transformedData);
-                }
-            }
-
-            // Generate quality report
-            await this.generateQualityReport(allTransformedData);
-
-            // Generate final summary tables for all data
-            if (allTransformedData.length > 0) {
-                await summaryTablesGeneration.generateAllSummaryTables(allTransformedData);
-                await summaryTablesGeneration.generateSummaryMetadata(allTransformedData);
-                logging.info('✓ Generated comprehensive summary tables');
-            }
-
-            // Log final statistics
-            this.stats.processingTime = Date.now() - startTime;
-            await this.logFinalStats();
-
-            logging.info('✓ Agr pipeline completed successfully');
-
-        } catch (err) {
-            logging.error(`✗ Agr pipeline failed: ${err.message}`);
-            process.exit(1);
-        }
-    }
-
     /**
      * Get current pipeline statistics
      * @returns {Object} Current statistics
@@ -463,37 +664,12 @@ class ETLPipelineService {
     }
 
     /**
-     * Get all processed data from parquet files
+     * Get all processed data from the partitioned Parquet files
      * @returns {Array<Object>} All processed data
      */
     async getAllProcessedData() {
         try {
-            const processedDir = appConfig.paths.PROCESSED_DIR;
-            const allData = [];
-
-            // Recursively read all parquet files in processed directory
-            const readProcessedFiles = async (dir) => {
-                const items = await fileSystem.readdir(dir);
-
-                for (const item of items) {
-                    const itemPath = path.join(dir, item);
-                    const stat = await fileSystem.stat(itemPath);
-
-                    if (stat.isDirectory()) {
-                        await readProcessedFiles(itemPath);
-                    } else if (item.endsWith('.parquet')) {
-                        try {
-                            const data = await dataIngestion.readParquetFile(itemPath);
-                            allData.push(...data);
-                        } catch (error) {
-                            logging.warn(`Failed to read processed file ${itemPath}: ${error.message}`);
-                        }
-                    }
-                }
-            };
-
-            await readProcessedFiles(processedDir);
-            return allData;
+            return await dataStorage.readStoredRecords();
         } catch (error) {
             logging.error(`Failed to read all processed data: ${error.message}`);
             return [];
@@ -510,6 +686,7 @@ class ETLPipelineService {
                 await fileSystem.remove(checkpointFile);
                 logging.info('Checkpoints cleared');
             }
+            await stepCheckpoints.clearAll();
         } catch (error) {
             logging.error(`Failed to clear checkpoints: ${error.message}`);
             throw error;
@@ -529,6 +706,13 @@ class ETLPipelineService {
                 logging.info('Processed data cleared');
             }
 
+            // Empty the sensor_data serving table along with the partitions
+            try {
+                await dataStorage.rebuildServingTable();
+            } catch (error) {
+                logging.error(`Failed to clear sensor_data: ${error.message}`);
+            }
+
             // Clear checkpoints
             await this.clearCheckpoints();
 
@@ -556,19 +740,15 @@ class ETLPipelineService {
     }
 
     /**
-     * Get unique sensor IDs efficiently using JSON files
+     * Get unique sensor IDs from stored partitions
      * @returns {Array<string>} Array of unique sensor IDs
      */
     async getSensorIds() {
         try {
-            // Read all data from JSON files
-            const allData = await this.readDataFromJSONFiles();
-
-            // Extract unique sensor IDs
-            const sensorIds = [...new Set(allData.map(record => record.sensor_id))];
-            sensorIds.sort();
-
-            return sensorIds;
+            return await this.withServingTable(
+                () => dataStorage.getDistinctValues('sensor_id'),
+                async () => [...new Set((await this.readStoredData()).map(record => record.sensor_id))].sort()
+            );
         } catch (error) {
             logging.error(`Failed to get sensor IDs: ${error.message}`);
             return [];
@@ -576,19 +756,15 @@ class ETLPipelineService {
     }
 
     /**
-     * Get unique reading types efficiently using JSON files
+     * Get unique reading types from stored partitions
      * @returns {Array<string>} Array of unique reading types
      */
     async getReadingTypes() {
         try {
-            // Read all data from JSON files
-            const allData = await this.readDataFromJSONFiles();
-
-            // Extract unique reading types
-            const readingTypes = [...new Set(allData.map(record => record.reading_type))];
-            readingTypes.sort();
-
-            return readingTypes;
+            return await this.withServingTable(
+                () => dataStorage.getDistinctValues('reading_type'),
+                async () => [...new Set((await this.readStoredData()).map(record => record.reading_type))].sort()
+            );
         } catch (error) {
             logging.error(`Failed to get reading types: ${error.message}`);
             return [];
@@ -601,46 +777,19 @@ class ETLPipelineService {
      */
     async getMetadataSummary() {
         try {
-            const processedDir = appConfig.paths.PROCESSED_DIR;
-
-            // Use DuckDB to efficiently query summary statistics
-            const { database: dbConfig } = require('../config');
-            const db = dbConfig.createInMemoryDatabase();
-            const con = dbConfig.getConnection(db);
-            // Only include partitioned sensor data files, not summaries
-            const parquetGlob = `${processedDir.replace(/\\/g, '/').replace(/\/$/, '')}/date=*/sensor_id=*/data.parquet`;
-
-            try {
-                const query = `
-                    SELECT 
-                        COUNT(*) as total_records,
-                        COUNT(DISTINCT sensor_id) as unique_sensors,
-                        COUNT(DISTINCT reading_type) as unique_reading_types,
-                        MIN(timestamp) as earliest_timestamp,
-                        MAX(timestamp) as latest_timestamp,
-                        COUNT(DISTINCT DATE(timestamp)) as unique_dates
-                    FROM read_parquet('${parquetGlob}')
-                `;
-
-                const result = await new Promise((resolve, reject) => {
-                    con.all(query, (err, rows) => {
-                        if (err) reject(err);
-                        else resolve(rows[0]);
-                    });
-                });
-
-                await dbConfig.closeConnection(con);
+            const summary = await this.withServingTable(
+                () => dataStorage.summarizeServingTable(),
+                async () => this.summarizeRecords(await this.readStoredData())
+            );
 
-                // Convert BigInt values to strings for JSON serialization
-                const summary = JSON.parse(JSON.stringify(result, (key, value) =>
-                    typeof value === 'bigint' ? value.toString() : value
-                ));
-
-                return summary;
-            } catch (error) {
-                await dbConfig.closeConnection(con);
-                throw error;
-            }
+            return {
+                total_records: summary.total_records,
+                unique_sensors: summary.unique_sensors,
+                unique_reading_types: summary.unique_reading_types,
+                earliest_timestamp: summary.earliest_timestamp,
+                latest_timestamp: summary.latest_timestamp,
+                unique_dates: summary.unique_dates
+            };
         } catch (error) {
             logging.error(`Failed to get metadata summary: ${error.message}`);
             return {
@@ -672,15 +821,26 @@ class ETLPipelineService {
                 const filepath = path.join(appConfig.paths.RAW_DATA_DIR, filename);
 
                 // Validate schema
-                await dataIngestion.validateSchemaWithDuckDB(filepath);
+                const schemaValidation = await dataIngestion.validateSchemaWithDuckDB(filepath);
+                if (!schemaValidation.isValid) {
+                    results.push({
+                        filename,
+                        status: 'error',
+                        error: `Schema validation failed: ${schemaValidation.errors.join(', ')}`,
+                        columns: schemaValidation.columns
+                    });
+                    logging.error(`✗ Ingestion rejected ${filename}: schema validation failed`);
+                    continue;
+                }
 
                 // Read file data
-                const fileData = await dataIngestion.readParquetFile(filepath);
+                const fileData = await dataIngestion.readFile(filepath);
 
                 results.push({
                     filename,
                     status: 'success',
                     recordsRead: fileData.length,
+                    schemaWarnings: schemaValidation.warnings,
                     message: `Successfully read ${fileData.length} records`
                 });
 
@@ -699,9 +859,316 @@ class ETLPipelineService {
     }
 
     /**
-     * Perform data transformation step
+     * Validate the schema of already uploaded files
+     * @param {Array<string>} filenames - Array of filenames in the raw data directory
+     * @returns {Array<Object>} Per-file validation results
+     */
+    async validateFiles(filenames) {
+        const results = [];
+
+        for (const filename of filenames) {
+            const filepath = path.join(appConfig.paths.RAW_DATA_DIR, filename);
+            const validation = await dataIngestion.validateSchemaWithDuckDB(filepath);
+
+            results.push({
+                filename,
+                status: validation.isValid ? 'valid' : 'invalid',
+                message: validation.isValid ?
+                    'Schema validation passed' :
+                    `Schema validation failed: ${validation.errors.join(', ')}`,
+                recordCount: validation.recordCount,
+                columns: validation.columns,
+                errors: validation.errors,
+                warnings: validation.warnings
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Load the calibration registry. Failures are logged and the configured
+     * defaults are used instead.
+     * @returns {Array<Object>} Calibration registry entries
+     */
+    async loadCalibrations() {
+        try {
+            return await calibrationRegistry.listCalibrations();
+        } catch (error) {
+            logging.warn(`Could not load calibration registry, using configured defaults: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Validate a raw file's schema, check its quality and read its records (step 1)
+     * @param {string} file - File name in the raw data directory
+     * @param {Object} options - { mappingProfile, signal }
+     * @returns {Object} { schemaValidation, qualityChecks, records }
+     * @throws {Error} Not retryable when the schema is invalid
+     */
+    async ingestFile(file, options = {}) {
+        const filepath = path.join(appConfig.paths.RAW_DATA_DIR, file);
+
+        // Schema validation using DuckDB
+        const schemaValidation = await dataIngestion.validateSchemaWithDuckDB(filepath, {
+            mappingProfile: options.mappingProfile
+        });
+        if (!schemaValidation.isValid) {
+            const error = new Error(`Schema validation failed: ${schemaValidation.errors.join(', ')}`);
+            error.retryable = false;
+            throw error;
+        }
+        logging.info(`✓ Schema validation passed for ${file}` +
+            (schemaValidation.mappingProfile ? ` (mapping profile: ${schemaValidation.mappingProfile})` : ''));
+
+        // Quality checks on raw data
+        const qualityChecks = await dataIngestion.performQualityChecks(filepath);
+        logging.info(`✓ Quality checks completed for ${file}`);
+
+        // Read and normalize data
+        const records = await dataIngestion.readFile(filepath, {
+            mappingProfile: schemaValidation.mappingProfile,
+            signal: options.signal
+        });
+
+        return { schemaValidation, qualityChecks, records };
+    }
+
+    /**
+     * Calibrate, clean and enrich a file's records, quarantining the rows rejected (step 2)
+     * @param {string} file - Source file name
+     * @param {Array<Object>} records - Raw records read from the file
+     * @returns {Object} { transformationResult, transformedData, recordsQuarantined }
+     */
+    async transformRecords(file, records) {
+        const calibrations = await this.loadCalibrations();
+        const transformationResult = await dataTransformation.transformData(records, { calibrations });
+
+        // Quarantined last, so a retried step does not quarantine the same rows twice
+        const recordsQuarantined = await this.quarantineRejected(file, 'transformation', transformationResult.rejectedRecords);
+
+        return { transformationResult, transformedData: transformationResult.transformedData, recordsQuarantined };
+    }
+
+    /**
+     * Store transformed records. Conflicts with stored readings are resolved and averages
+     * recalculated while the partitions written and the rolling window read are locked, so
+     * files stored concurrently see each other's readings as if stored one after another.
+     * @param {Array<Object>} records - Transformed records; duplicates that lose to stored
+     * readings are removed and averages updated in place
+     * @returns {Object} The storage result, with storedDuplicates from deduplicateAgainstStored
+     */
+    async storeRecords(records) {
+        let storedDuplicates = { duplicates: 0, skipped: 0 };
+
+        const storageResult = await dataStorage.storeProcessedData(records, {
+            lockPaths: this.getHistoryPartitionPaths(records),
+            prepare: async () => {
+                storedDuplicates = await this.deduplicateAgainstStored(records);
+                await this.enrichWithHistory(records);
+            }
+        });
+
+        return { ...storageResult, storedDuplicates };
+    }
+
+    /**
+     * Partitions enrichWithHistory reads for a batch: every day of the rolling window up to
+     * the batch's last day, for each of its sensors
+     * @param {Array<Object>} records - Transformed records
+     * @returns {Array<string>} Partition directories
+     */
+    getHistoryPartitionPaths(records) {
+        if (records.length === 0) {
+            return [];
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        let earliest = Infinity;
+        let latest = -Infinity;
+        for (const record of records) {
+            const day = Date.parse(record.timestamp.substring(0, 10));
+            earliest = Math.min(earliest, day);
+            latest = Math.max(latest, day);
+        }
+
+        const paths = [];
+        for (const sensorId of new Set(records.map(record => record.sensor_id))) {
+            for (let day = earliest - appConfig.averages.rollingWindowDays * dayMs; day <= latest; day += dayMs) {
+                paths.push(dataStorage.getPartitionPath(new Date(day).toISOString().substring(0, 10), sensorId));
+            }
+        }
+        return paths;
+    }
+
+    /**
+     * Recalculate daily_avg and rolling_avg_7d and redetect stuck sensors using stored
+     * partitions, so a file covering a single day still gets averages over the full
+     * rolling window and a flatline continuing from an earlier file is flagged
+     * @param {Array<Object>} records - Transformed records, updated in place
+     * @returns {Array<Object>} The updated records
+     */
+    async enrichWithHistory(records) {
+        if (records.length === 0) {
+            return records;
+        }
+
+        try {
+            let earliest = Infinity;
+            let latest = -Infinity;
+            for (const record of records) {
+                const time = Date.parse(record.timestamp);
+                earliest = Math.min(earliest, time);
+                latest = Math.max(latest, time);
+            }
+
+            const windowMs = appConfig.averages.rollingWindowDays * 24 * 60 * 60 * 1000;
+            const history = await dataStorage.readStoredRecords({
+                sensorIds: [...new Set(records.map(record => record.sensor_id))],
+                dateFrom: new Date(earliest - windowMs).toISOString().substring(0, 10),
+                dateTo: new Date(latest).toISOString().substring(0, 10)
+            });
+
+            if (history.length > 0) {
+                dataTransformation.calculateAverages(records, history);
+                stuckSensorDetection.detectStuckSensors(records, history);
+                logging.info(`Recalculated averages and stuck sensors for ${records.length} records using ${history.length} stored records`);
+            }
+        } catch (error) {
+            logging.warn(`Could not load stored history for averages and stuck sensors, using batch-only values: ${error.message}`);
+        }
+
+        return records;
+    }
+
+    /**
+     * Resolve readings that are already stored under the same natural key
+     * (sensor_id, timestamp, reading_type) using appConfig.deduplication.conflictPolicy.
+     * Incoming records that lose to the stored one are removed from the batch; winners
+     * and merged records stay in the batch and replace the stored record when written.
+     * @param {Array<Object>} records - Transformed records, updated in place
+     * @returns {Object} { duplicates, skipped } counts of matches and dropped records
+     * @throws {Error} When the stored partitions cannot be read
+     */
+    async deduplicateAgainstStored(records) {
+        const result = { duplicates: 0, skipped: 0 };
+        if (records.length === 0) {
+            return result;
+        }
+
+        // Read failures propagate: storing the batch without resolving it would overwrite stored readings
+        const dates = records.map(record => record.timestamp.substring(0, 10)).sort();
+        const stored = await dataStorage.readStoredRecords({
+            sensorIds: [...new Set(records.map(record => record.sensor_id))],
+            dateFrom: dates[0],
+            dateTo: dates[dates.length - 1]
+        });
+
+        const storedByKey = new Map(stored.map(record => [dataTransformation.recordKey(record), record]));
+        const policy = appConfig.deduplication.conflictPolicy;
+        const resolved = [];
+
+        for (const record of records) {
+            const existing = storedByKey.get(dataTransformation.recordKey(record));
+            if (!existing) {
+                resolved.push(record);
+                continue;
+            }
+
+            result.duplicates++;
+            const winner = dataTransformation.resolveConflict(existing, record, policy);
+            if (winner === existing) {
+                result.skipped++;
+            } else {
+                resolved.push(winner);
+            }
+        }
+
+        records.splice(0, records.length, ...resolved);
+
+        if (result.duplicates > 0) {
+            logging.info(`Found ${result.duplicates} records already stored (${policy}): ${result.skipped} skipped`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Persist rejected rows to the quarantine table. Failures are logged rather than
+     * thrown so a quarantine outage does not abort the pipeline run.
+     * @param {string} file - Source file name
+     * @param {string} stage - Pipeline stage that rejected the rows
+     * @param {Array<Object>} rejectedRecords - Rejected rows with row index and reason code
+     * @returns {number} Number of rows quarantined
+     */
+    async quarantineRejected(file, stage, rejectedRecords = []) {
+        try {
+            return await quarantine.quarantineRecords(file, stage, rejectedRecords);
+        } catch (error) {
+            logging.error(`Failed to quarantine ${rejectedRecords.length} row(s) from ${file}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Replay quarantined rows through the pipeline. Each row re-runs the stage that
+     * rejected it and, if accepted, the remaining steps up to storage. Corrections
+     * are merged over the stored raw payload before replaying.
+     * @param {Array<string>} ids - Quarantine entry ids
+     * @param {Object} corrections - Map of entry id to corrected field values
+     * @returns {Object} { replayed, failed, notFound, results }
+     */
+    async replayQuarantined(ids, corrections = {}) {
+        const entries = (await quarantine.getRecordsByIds(ids)).filter(entry => entry.status === 'quarantined');
+        const found = new Set(entries.map(entry => entry.id));
+        const results = [];
+        const accepted = [];
+        const calibrations = await this.loadCalibrations();
+
+        for (const entry of entries) {
+            const payload = { ...(entry.raw_payload || {}), ...(corrections[entry.id] || {}) };
+
+            let rejected = null;
+            let transformed = null;
+            if (entry.stage === 'validation') {
+                rejected = (await dataIngestion.validateDataWithDuckDB([payload])).rejectedRecords[0];
+            }
+            if (!rejected) {
+                const transformationResult = await dataTransformation.transformData([payload], { calibrations });
+                rejected = transformationResult.rejectedRecords[0];
+                transformed = transformationResult.transformedData[0];
+            }
+
+            if (rejected) {
+                await quarantine.markReplayFailed(entry.id, { ...rejected, record: payload });
+                results.push({ id: entry.id, status: 'failed', reason_code: rejected.reasonCode, message: rejected.message });
+            } else {
+                accepted.push({ entry, record: transformed });
+            }
+        }
+
+        if (accepted.length > 0) {
+            const records = accepted.map(item => item.record);
+            await this.storeRecords(records);
+            await quarantine.markReplayed(accepted.map(item => item.entry.id));
+            accepted.forEach(({ entry }) => results.push({ id: entry.id, status: 'replayed' }));
+        }
+
+        logging.info(`Replayed ${accepted.length} quarantined row(s), ${entries.length - accepted.length} still rejected`);
+
+        return {
+            replayed: accepted.length,
+            failed: entries.length - accepted.length,
+            notFound: ids.filter(id => !found.has(id)),
+            results
+        };
+    }
+
+    /**
+     * Perform data transformation step, reading and transforming files as processFile does
      * @param {Array<string>} filenames - Array of filenames to process
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options ({ mappingProfile })
      * @returns {Object} Transformation results
      */
     async performTransformation(filenames, options = {}) {
@@ -709,21 +1176,21 @@ class ETLPipelineService {
 
         for (const filename of filenames) {
             try {
-                const filepath = path.join(appConfig.paths.RAW_DATA_DIR, filename);
-
                 // Read file data
-                const fileData = await dataIngestion.readParquetFile(filepath);
+                const { records: fileData } = await this.ingestFile(filename, options);
 
                 // Transform data
-                const transformationResult = await dataTransformation.transformData(fileData);
-                const transformed = transformationResult.transformedData || transformationResult; // Handle both formats
+                const { transformationResult, transformedData: transformed, recordsQuarantined } =
+                    await this.transformRecords(filename, fileData);
 
                 results.push({
                     filename,
                     status: 'success',
-                    recordsTransformed: Array.isArray(transformed) ? transformed.length : 0,
+                    recordsTransformed: transformed.length,
                     originalRecords: fileData.length,
-                    message: `Successfully transformed ${Array.isArray(transformed) ? transformed.length : 0} records`
+                    recordsQuarantined,
+                    duplicatesInFile: transformationResult.transformationStats.duplicatesRemoved,
+                    message: `Successfully transformed ${transformed.length} records`
                 });
 
                 logging.info(`✓ Transformation completed for ${filename}: ${transformed.length} records`);
@@ -741,9 +1208,9 @@ class ETLPipelineService {
     }
 
     /**
-     * Perform data validation step
+     * Perform data validation step. Files are read like processFile does, with the mapping profile.
      * @param {Array<string>} filenames - Array of filenames to process
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options ({ mappingProfile })
      * @returns {Object} Validation results
      */
     async performValidation(filenames, options = {}) {
@@ -751,13 +1218,13 @@ class ETLPipelineService {
 
         for (const filename of filenames) {
             try {
-                const filepath = path.join(appConfig.paths.RAW_DATA_DIR, filename);
-
                 // Read file data
-                const fileData = await dataIngestion.readParquetFile(filepath);
+                const { records: fileData } = await this.ingestFile(filename, options);
 
                 // Perform validation
                 const validation = await dataIngestion.validateDataWithDuckDB(fileData);
+                const recordsQuarantined = await this.quarantineRejected(filename, 'validation', validation.rejectedRecords);
+                delete validation.rejectedRecords;
 
                 // Convert BigInt values to strings for JSON serialization
                 const validationForLogging = JSON.parse(JSON.stringify(validation, (key, value) =>
@@ -769,6 +1236,7 @@ class ETLPipelineService {
                     status: 'success',
                     validation: validationForLogging,
                     recordsValidated: fileData.length,
+                    recordsQuarantined,
                     message: 'Quality validation completed'
                 });
 
@@ -787,9 +1255,11 @@ class ETLPipelineService {
     }
 
     /**
-     * Perform data loading/storage step
+     * Perform data loading/storage step. Files are read, transformed and stored like
+     * processFile does: with the mapping profile and calibration registry, quarantining
+     * rejected rows, resolved against stored readings and with averages over the stored history.
      * @param {Array<string>} filenames - Array of filenames to process
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options ({ mappingProfile })
      * @returns {Object} Loading results
      */
     async performLoading(filenames, options = {}) {
@@ -797,15 +1267,13 @@ class ETLPipelineService {
 
         for (const filename of filenames) {
             try {
-                const filepath = path.join(appConfig.paths.RAW_DATA_DIR, filename);
-
                 // Read and transform data
-                const fileData = await dataIngestion.readParquetFile(filepath);
-                const transformationResult = await dataTransformation.transformData(fileData);
-                const transformed = transformationResult.transformedData || transformationResult; // Handle both formats
+                const { records: fileData } = await this.ingestFile(filename, options);
+                const { transformationResult, transformedData: transformed, recordsQuarantined } =
+                    await this.transformRecords(filename, fileData);
 
                 // Store transformed data
-                await dataStorage.writeParquetPartitioned(transformed);
+                const { storedDuplicates } = await this.storeRecords(transformed);
 
                 // Generate summary tables
                 await summaryTablesGeneration.generateAllSummaryTables(transformed);
@@ -818,6 +1286,9 @@ class ETLPipelineService {
                     filename,
                     status: 'success',
                     recordsStored: transformed.length,
+                    recordsQuarantined,
+                    duplicatesInFile: transformationResult.transformationStats.duplicatesRemoved,
+                    duplicatesOfStored: storedDuplicates.duplicates,
                     message: `Successfully stored ${transformed.length} records`
                 });
 
@@ -836,30 +1307,39 @@ class ETLPipelineService {
     }
 
     /**
-     * Get filtered data with pagination
-     * @param {Object} filters - Filter criteria
+     * Get filtered data with pagination, queried with DuckDB from the sensor_data table
+     * (or the stored partitions when the table is unavailable)
+     * @param {Object} filters - Filter criteria, with optional sort_by and order
      * @returns {Object} Filtered data results
      */
     async getFilteredData(filters = {}) {
         try {
             const {
                 sensor_id,
-                date_from,
-                date_to,
                 reading_type,
                 limit = 1000,
-                offset = 0
+                offset = 0,
+                sort_by = 'timestamp',
+                order = 'desc'
             } = filters;
 
-            // Use JSON files approach to bypass DuckDB parquet issues
-            const data = await this.readDataFromJSONFiles(filters);
-
-            // Apply pagination
-            const total = data.length;
-            const paginatedData = data.slice(offset, offset + limit);
+            const query = {
+                sensorId: sensor_id,
+                readingType: reading_type,
+                from: this.toFilterTimestamp(filters.date_from),
+                to: this.toFilterTimestamp(filters.date_to),
+                sortBy: sort_by,
+                order,
+                limit,
+                offset
+            };
+            const { records, total } = await this.withServingTable(
+                () => dataStorage.queryServingTable(query),
+                () => dataStorage.queryStoredRecords(query)
+            );
 
             return {
-                data: paginatedData,
+                data: records,
                 pagination: {
                     limit,
                     offset,
@@ -874,43 +1354,117 @@ class ETLPipelineService {
     }
 
     /**
-     * Read data from JSON files with filtering
+     * Aggregate stored readings into time buckets
+     * @param {Object} params - { interval, agg, group_by, date_from, date_to, timezone, fill, sensor_id, reading_type }
+     *   with group_by as an array or comma-separated list of sensor_id and reading_type
+     * @returns {Array<Object>} Buckets as { bucket, [sensor_id], [reading_type], value, count }
+     */
+    async getAggregatedData(params = {}) {
+        const {
+            interval = '1h',
+            agg = 'avg',
+            group_by = ['sensor_id', 'reading_type'],
+            timezone = 'UTC',
+            fill = 'null',
+            sensor_id,
+            reading_type
+        } = params;
+
+        const query = {
+            interval,
+            agg,
+            groupBy: (Array.isArray(group_by) ? group_by : String(group_by).split(','))
+                .map(column => column.trim())
+                .filter(Boolean),
+            sensorId: sensor_id,
+            readingType: reading_type,
+            from: this.toFilterTimestamp(params.date_from),
+            to: this.toFilterTimestamp(params.date_to),
+            timezone,
+            fill
+        };
+        dataStorage.validateAggregateQuery(query);
+
+        return this.withServingTable(
+            () => dataStorage.aggregateServingTable(query),
+            () => dataStorage.aggregateStoredRecords(query)
+        );
+    }
+
+    /**
+     * Run a query against the sensor_data serving table, falling back to reading the
+     * partitions when the persistent database is unavailable (e.g. locked by another process)
+     * @param {Function} servingQuery - Query using the sensor_data table
+     * @param {Function} fallbackQuery - Equivalent query over the stored partitions
+     * @returns {*} Query result
+     */
+    async withServingTable(servingQuery, fallbackQuery) {
+        try {
+            return await servingQuery();
+        } catch (error) {
+            // A rejected query would be rejected by the partitions too
+            if (error.code === 'INVALID_QUERY') throw error;
+            logging.warn(`sensor_data table unavailable, reading partitions instead: ${error.message}`);
+            return await fallbackQuery();
+        }
+    }
+
+    /**
+     * Normalize a date filter to an ISO timestamp
+     * @param {string} value - Date or timestamp
+     * @returns {string|undefined} ISO timestamp, or undefined when not given
+     */
+    toFilterTimestamp(value) {
+        if (!value) return undefined;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date filter: ${value}`);
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * Summarize records in memory, in the shape of dataStorage.summarizeServingTable
+     * @param {Array<Object>} data - Records
+     * @returns {Object} Summary totals and breakdowns
+     */
+    summarizeRecords(data) {
+        const countBy = (column) => data.reduce((counts, record) => {
+            counts[record[column]] = (counts[record[column]] || 0) + 1;
+            return counts;
+        }, {});
+        const timestamps = data.map(record => new Date(record.timestamp).toISOString()).sort();
+
+        return {
+            total_records: data.length,
+            unique_sensors: new Set(data.map(record => record.sensor_id)).size,
+            unique_reading_types: new Set(data.map(record => record.reading_type)).size,
+            unique_dates: new Set(timestamps.map(timestamp => timestamp.substring(0, 10))).size,
+            earliest_timestamp: timestamps[0] || null,
+            latest_timestamp: timestamps[timestamps.length - 1] || null,
+            sensor_breakdown: countBy('sensor_id'),
+            reading_type_breakdown: countBy('reading_type')
+        };
+    }
+
+    /**
+     * Read stored records with filtering. Only partitions whose date falls within
+     * date_from..date_to are read.
      * @param {Object} filters - Filter criteria
      * @returns {Array} Filtered data
      */
-    async readDataFromJSONFiles(filters = {}) {
+    async readStoredData(filters = {}) {
         try {
-            const processedDir = appConfig.paths.PROCESSED_DIR;
-            const allData = [];
-
-            // Read all JSON files from processed directory
-            const readJSONFiles = async (dir) => {
-                try {
-                    const items = await fileSystem.readdir(dir);
-
-                    for (const item of items) {
-                        const itemPath = path.join(dir, item);
-                        const stat = await fileSystem.stat(itemPath);
-
-                        if (stat.isDirectory()) {
-                            await readJSONFiles(itemPath);
-                        } else if (item === 'data.json') {
-                            try {
-                                const fileContent = await fileSystem.readFile(itemPath, 'utf8');
-                                const data = JSON.parse(fileContent);
-                                allData.push(...data);
-                            } catch (error) {
-                                logging.warn(`Failed to read JSON file ${itemPath}: ${error.message}`);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    // Directory might not exist yet, that's OK
-                    logging.warn(`Directory not accessible: ${dir}`);
-                }
+            const toPartitionDate = (value) => {
+                const date = new Date(value);
+                return value && !isNaN(date.getTime()) ? date.toISOString().substring(0, 10) : undefined;
             };
 
-            await readJSONFiles(processedDir);
+            const allData = await dataStorage.readStoredRecords({
+                sensorIds: filters.sensor_id ? [filters.sensor_id] : undefined,
+                dateFrom: toPartitionDate(filters.date_from),
+                dateTo: toPartitionDate(filters.date_to)
+            });
 
             // Apply filters
             let filteredData = allData;
@@ -941,7 +1495,7 @@ class ETLPipelineService {
             return filteredData;
 
         } catch (error) {
-            logging.error(`JSON data reading error: ${error.message}`);
+            logging.error(`Stored data reading error: ${error.message}`);
             return [];
         }
     }
@@ -1017,49 +1571,30 @@ class ETLPipelineService {
                 filters.date_to = dateEnd;
             }
 
-            // Get all data within the date range
-            const data = await this.readDataFromJSONFiles(filters);
+            const totals = await this.withServingTable(
+                () => dataStorage.summarizeServingTable({
+                    from: this.toFilterTimestamp(dateStart),
+                    to: this.toFilterTimestamp(dateEnd)
+                }),
+                async () => this.summarizeRecords(await this.readStoredData(filters))
+            );
 
-            // Calculate summary statistics
             const summary = {
-                total_records: data.length,
-                unique_sensors: [...new Set(data.map(record => record.sensor_id))].length,
-                unique_reading_types: [...new Set(data.map(record => record.reading_type))].length,
+                total_records: totals.total_records,
+                unique_sensors: totals.unique_sensors,
+                unique_reading_types: totals.unique_reading_types,
                 date_range: {
                     start: dateStart,
                     end: dateEnd
                 },
-                sensor_breakdown: {},
-                reading_type_breakdown: {},
+                sensor_breakdown: totals.sensor_breakdown,
+                reading_type_breakdown: totals.reading_type_breakdown,
                 timestamps: {
-                    earliest: null,
-                    latest: null
+                    earliest: totals.earliest_timestamp,
+                    latest: totals.latest_timestamp
                 }
             };
 
-            if (data.length > 0) {
-                // Get timestamp range
-                const timestamps = data.map(record => new Date(record.timestamp)).sort();
-                summary.timestamps.earliest = timestamps[0].toISOString();
-                summary.timestamps.latest = timestamps[timestamps.length - 1].toISOString();
-
-                // Calculate sensor breakdown
-                data.forEach(record => {
-                    if (!summary.sensor_breakdown[record.sensor_id]) {
-                        summary.sensor_breakdown[record.sensor_id] = 0;
-                    }
-                    summary.sensor_breakdown[record.sensor_id]++;
-                });
-
-                // Calculate reading type breakdown
-                data.forEach(record => {
-                    if (!summary.reading_type_breakdown[record.reading_type]) {
-                        summary.reading_type_breakdown[record.reading_type] = 0;
-                    }
-                    summary.reading_type_breakdown[record.reading_type]++;
-                });
-            }
-
             return summary;
         } catch (error) {
             logging.error(`Data summary error: ${error.message}`);
@@ -1085,10 +1620,10 @@ class ETLPipelineService {
                 date_to: dateEnd
             };
 
-            const dataToDelete = await this.readDataFromJSONFiles(filters);
+            const dataToDelete = await this.readStoredData(filters);
             const deletedCount = dataToDelete.length;
 
-            // Since we're using JSON files stored in date partitions, 
+            // Since data is stored in date partitions,
             // we need to delete the files/directories that fall within the date range
             const processedDir = appConfig.paths.PROCESSED_DIR;
 
@@ -1097,6 +1632,7 @@ class ETLPipelineService {
             const endDate = new Date(dateEnd);
 
             let actualDeletedCount = 0;
+            const deletedDates = [];
 
             // Check each date directory
             const items = await fileSystem.readdir(processedDir);
@@ -1110,9 +1646,20 @@ class ETLPipelineService {
                     if (itemDate >= startDate && itemDate <= endDate) {
                         const itemPath = path.join(processedDir, item);
                         try {
-                            await fileSystem.rmdir(itemPath, { recursive: true });
+                            // Locked, so files being stored do not write the partitions meanwhile
+                            const recordCount = await dataStorage.withDatePartitionLocks(itemPath, async () => {
+                                const count = await this.countRecordsInDateDir(itemPath);
+                                await fileSystem.rmdir(itemPath, { recursive: true });
+                                try {
+                                    await dataStorage.removeFromServingTable([dateStr]);
+                                } catch (error) {
+                                    logging.error(`Failed to remove ${dateStr} from sensor_data: ${error.message}`);
+                                }
+                                return count;
+                            });
                             logging.info(`Deleted date directory: ${item}`);
-                            actualDeletedCount += await this.countRecordsInDateDir(itemPath);
+                            actualDeletedCount += recordCount;
+                            deletedDates.push(dateStr);
                         } catch (error) {
                             logging.error(`Failed to delete directory ${item}: ${error.message}`);
                         }
@@ -1139,35 +1686,9 @@ class ETLPipelineService {
      */
     async countRecordsInDateDir(dateDirPath) {
         try {
-            let count = 0;
-            const readJSONFiles = async (dir) => {
-                try {
-                    const items = await fileSystem.readdir(dir);
-
-                    for (const item of items) {
-                        const itemPath = path.join(dir, item);
-                        const stat = await fileSystem.stat(itemPath);
-
-                        if (stat.isDirectory()) {
-                            await readJSONFiles(itemPath);
-                        } else if (item === 'data.json') {
-                            try {
-                                const fileContent = await fileSystem.readFile(itemPath, 'utf8');
-                                const data = JSON.parse(fileContent);
-                                count += data.length;
-                            } catch (error) {
-                                logging.warn(`Could not read ${itemPath} for counting: ${error.message}`);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    // Directory might not exist, that's ok
-                    logging.warn(`Could not read directory ${dir} for counting: ${error.message}`);
-                }
-            };
-
-            await readJSONFiles(dateDirPath);
-            return count;
+            const dateFrom = path.basename(dateDirPath).replace('date=', '');
+            const records = await dataStorage.readStoredRecords({ dateFrom, dateTo: dateFrom });
+            return records.length;
         } catch (error) {
             logging.warn(`Error counting records in ${dateDirPath}: ${error.message}`);
             return 0;
@@ -1199,7 +1720,7 @@ class ETLPipelineService {
             if (sensor_id) filters.sensor_id = sensor_id;
             if (reading_type) filters.reading_type = reading_type;
 
-            const data = await this.readDataFromJSONFiles(filters);
+            const data = await this.readStoredData(filters);
 
             // Generate filename
             const timestamp = new Date().toISOString().split('T')[0];
@@ -7,8 +7,16 @@ const dataIngestionService = require('./dataIngestion');
 const dataTransformationService = require('./dataTransformation');
 const dataQualityService = require('./dataQuality');
 const dataStorageService = require('./dataStorage');
+const quarantineService = require('./quarantine');
+const calibrationRegistryService = require('./calibrationRegistry');
+const storageMigrationService = require('./storageMigration');
+const sqlQueryService = require('./sqlQuery');
 const ETLPipelineService = require('./etlPipeline');
+const pipelineJobsService = require('./pipelineJobs');
+const workerPoolService = require('./workerPool');
+const stepCheckpointsService = require('./stepCheckpoints');
 const timeGapDetectionService = require('./timeGapDetection');
+const stuckSensorDetectionService = require('./stuckSensorDetection');
 const advancedDataProfilingService = require('./advancedDataProfiling');
 const summaryTablesGenerationService = require('./summaryTablesGeneration');
 
@@ -17,8 +25,16 @@ module.exports = {
     dataTransformation: dataTransformationService,
     dataQuality: dataQualityService,
     dataStorage: dataStorageService,
+    quarantine: quarantineService,
+    calibrationRegistry: calibrationRegistryService,
+    storageMigration: storageMigrationService,
+    sqlQuery: sqlQueryService,
     ETLPipelineService: ETLPipelineService,
+    pipelineJobs: pipelineJobsService,
+    workerPool: workerPoolService,
+    stepCheckpoints: stepCheckpointsService,
     timeGapDetection: timeGapDetectionService,
+    stuckSensorDetection: stuckSensorDetectionService,
     advancedDataProfiling: advancedDataProfilingService,
     summaryTablesGeneration: summaryTablesGenerationService
 };
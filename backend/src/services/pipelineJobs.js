@@ -0,0 +1,679 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const { app: appConfig } = require('../config');
+const { fileSystem, logging } = require('../utils');
+const ETLPipelineService = require('./etlPipeline');
+const workerPool = require('./workerPool');
+
+const PIPELINE_STEPS = ['ingestion', 'transformation', 'validation', 'loading', 'summaries'];
+const ACTIVE_STATUSES = ['queued', 'running', 'cancelling'];
+const FINISHED_STEP_STATUSES = ['completed', 'failed', 'skipped', 'cancelled'];
+const RETRYABLE_FILE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+/**
+ * Pipeline Jobs Service
+ * Runs submitted files through the 4-step pipeline in the background. Submitting returns the
+ * new execution straight away; executions then run one at a time in submission order. Within
+ * an execution, up to pipelineJobs.concurrency files are processed at once, in worker threads
+ * (see WorkerPoolService) when pipelineJobs.workerThreads is on; files sharing partitions
+ * take turns writing them (see DataStorageService.storeDataAsParquet).
+ *
+ * Every state change is saved to paths.EXECUTIONS_DIR, and an execution found queued or
+ * running there that this process is not running (the server stopped part way) is reported
+ * as interrupted. Changes are also published to subscribers of the execution as they happen
+ * (see subscribe).
+ *
+ * A running execution can be cancelled: the files in progress stop at their next cancellation
+ * point (see ETLPipelineService.processFile) and the files after them are not started. A
+ * finished execution can be retried, which queues it again for its failed, cancelled and
+ * interrupted files only. Within a file, a failed step is retried under
+ * pipelineJobs.retryPolicy before the file counts as failed.
+ *
+ * Execution statuses: queued, running, cancelling, completed, completed_with_errors (some
+ * files failed), failed (every file failed), cancelled and interrupted.
+ * File statuses: pending, running, completed, skipped (empty file), failed, cancelled and interrupted.
+ * Step statuses: pending, running, completed, skipped (not reached), failed and cancelled.
+ */
+class PipelineJobsService extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // One listener per open event stream
+        this.etlPipeline = new ETLPipelineService();
+        this.executions = new Map(); // Executions queued or running in this process
+        this.queue = [];
+        this.draining = null;
+        this.cancellation = null; // AbortController of the running execution
+        this.saves = new Map(); // Pending writes per execution, chained to keep them in order
+    }
+
+    /**
+     * Check that files can be submitted: plain names of supported files in the raw data directory
+     * @param {Array<string>} filenames - File names to check
+     * @returns {Array<string>} Problems found, empty when every file can be processed
+     */
+    async validateFilenames(filenames) {
+        const errors = [];
+
+        for (const filename of filenames) {
+            if (typeof filename !== 'string' || !filename || path.basename(filename) !== filename) {
+                errors.push(`Invalid filename: ${filename}`);
+            } else if (!appConfig.fileFormats[path.extname(filename).toLowerCase()]) {
+                errors.push(`Unsupported file type: ${filename}`);
+            } else if (!await fileSystem.pathExists(path.join(appConfig.paths.RAW_DATA_DIR, filename))) {
+                errors.push(`File not found in raw data directory: ${filename}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Queue files from the raw data directory for processing
+     * @param {Array<string>} filenames - File names in the raw data directory
+     * @param {Object} options - { source, mappingProfile }; source records what submitted the execution
+     * @returns {Object} The queued execution
+     */
+    async submit(filenames, { source = 'api', mappingProfile } = {}) {
+        const execution = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            source,
+            mappingProfile: mappingProfile || null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            duration: null,
+            retries: 0,
+            progress: null,
+            files: [...new Set(filenames)].map(filename => this.createFileState(filename))
+        };
+        this.updateProgress(execution);
+
+        logging.info(`Queued pipeline execution ${execution.id} for ${execution.files.length} file(s)`);
+        return this.enqueue(execution);
+    }
+
+    /**
+     * Queue a finished execution again for its failed, cancelled and interrupted files.
+     * Files that completed or were skipped keep their results.
+     * @param {string} id - Execution ID
+     * @returns {Object|null} The queued execution, or null when unknown
+     */
+    async retry(id) {
+        if (this.isActive(id)) {
+            throw this.invalidStateError(`Pipeline execution ${id} is still ${this.executions.get(id).status}`);
+        }
+
+        const execution = await this.getExecution(id);
+        if (!execution) {
+            return null;
+        }
+
+        const retryFiles = execution.files.filter(fileState => RETRYABLE_FILE_STATUSES.includes(fileState.status));
+        if (retryFiles.length === 0) {
+            throw this.invalidStateError(`Pipeline execution ${id} has no failed, cancelled or interrupted files to retry`);
+        }
+
+        execution.files = execution.files.map(fileState => RETRYABLE_FILE_STATUSES.includes(fileState.status) ?
+            { ...this.createFileState(fileState.filename), retries: (fileState.retries || 0) + 1 } :
+            fileState);
+        execution.status = 'queued';
+        execution.retries = (execution.retries || 0) + 1;
+        execution.startedAt = null;
+        execution.finishedAt = null;
+        execution.duration = null;
+        delete execution.error;
+        this.updateProgress(execution);
+
+        logging.info(`Queued retry ${execution.retries} of pipeline execution ${id} for ${retryFiles.length} file(s)`);
+        return this.enqueue(execution);
+    }
+
+    /**
+     * Cancel a queued or running execution. A queued execution is cancelled at once; a running
+     * one becomes cancelling until the files in progress reach a cancellation point.
+     * @param {string} id - Execution ID
+     * @returns {Object|null} The execution, or null when unknown
+     */
+    async cancel(id) {
+        const execution = this.executions.get(id);
+        if (!execution) {
+            const finished = await this.getExecution(id);
+            if (finished) {
+                throw this.invalidStateError(`Pipeline execution ${id} has already finished (${finished.status})`);
+            }
+            return null;
+        }
+
+        if (execution.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== execution);
+            for (const fileState of execution.files) {
+                if (fileState.status === 'pending') {
+                    fileState.status = 'cancelled';
+                    this.closeSteps(fileState);
+                }
+            }
+            execution.status = 'cancelled';
+            logging.info(`Cancelled queued pipeline execution ${id}`);
+            await this.finishExecution(execution);
+            return this.snapshot(execution);
+        }
+
+        if (execution.status === 'running') {
+            execution.status = 'cancelling';
+            await this.saveExecution(execution);
+            this.publish(execution, 'execution', this.summarize(execution));
+            logging.info(`Cancelling pipeline execution ${id}`);
+
+            const error = new Error('Pipeline execution cancelled');
+            error.code = 'PIPELINE_CANCELLED';
+            this.cancellation.abort(error);
+        }
+
+        return this.snapshot(execution);
+    }
+
+    /**
+     * Register an execution as active and add it to the queue
+     * @param {Object} execution - Queued execution
+     * @returns {Object} Snapshot of the execution
+     */
+    async enqueue(execution) {
+        this.executions.set(execution.id, execution);
+        await this.saveExecution(execution);
+        this.queue.push(execution);
+
+        if (!this.draining) {
+            this.draining = this.drainQueue();
+        }
+
+        return this.snapshot(execution);
+    }
+
+    /**
+     * Wait until every queued execution has finished
+     */
+    async whenIdle() {
+        await this.draining;
+    }
+
+    /**
+     * Run queued executions one at a time until the queue is empty
+     */
+    async drainQueue() {
+        // Let the submitting request respond before the first file starts
+        await new Promise(resolve => setImmediate(resolve));
+
+        while (this.queue.length > 0) {
+            const execution = this.queue.shift();
+            try {
+                await this.runExecution(execution);
+            } catch (error) {
+                logging.error(`Pipeline execution ${execution.id} failed: ${error.message}`);
+                execution.status = 'failed';
+                execution.error = error.message;
+                await this.finishExecution(execution);
+            }
+        }
+
+        this.draining = null;
+    }
+
+    /**
+     * Process the pending files of an execution in order, up to pipelineJobs.concurrency at once
+     * @param {Object} execution - Queued execution
+     */
+    async runExecution(execution) {
+        this.cancellation = new AbortController();
+        execution.status = 'running';
+        execution.startedAt = new Date().toISOString();
+        await this.saveExecution(execution);
+        this.publish(execution, 'execution', this.summarize(execution));
+        logging.info(`Running pipeline execution ${execution.id}`);
+
+        try {
+            // Files finished by an earlier attempt keep their results
+            const pending = execution.files.filter(fileState => fileState.status === 'pending');
+            const { signal } = this.cancellation;
+            const runNext = async () => {
+                while (pending.length > 0) {
+                    const fileState = pending.shift();
+                    if (signal.aborted) {
+                        fileState.status = 'cancelled';
+                        this.closeSteps(fileState);
+                        continue;
+                    }
+                    await this.runFile(execution, fileState, signal);
+                }
+            };
+
+            const lanes = Math.min(Math.max(1, appConfig.pipelineJobs.concurrency), pending.length);
+            await Promise.all(Array.from({ length: lanes }, runNext));
+        } finally {
+            this.cancellation = null;
+        }
+
+        const failed = execution.files.filter(fileState => fileState.status === 'failed').length;
+        if (execution.status === 'cancelling') {
+            execution.status = 'cancelled';
+        } else if (failed === 0) {
+            execution.status = 'completed';
+        } else {
+            execution.status = failed === execution.files.length ? 'failed' : 'completed_with_errors';
+        }
+
+        await this.finishExecution(execution);
+    }
+
+    /**
+     * Process one file, recording each step as the pipeline reports it
+     * @param {Object} execution - Running execution
+     * @param {Object} fileState - The file's entry in execution.files
+     * @param {AbortSignal} signal - Aborted when the execution is cancelled
+     */
+    async runFile(execution, fileState, signal) {
+        fileState.status = 'running';
+        fileState.startedAt = new Date().toISOString();
+        await this.saveExecution(execution);
+        this.publish(execution, 'file', this.snapshot(fileState));
+
+        let result;
+        try {
+            result = await this.processFile(fileState.filename, {
+                mappingProfile: execution.mappingProfile || undefined,
+                signal,
+                retryPolicy: appConfig.pipelineJobs.retryPolicy,
+                onStep: (step, status, details) => this.recordStep(execution, fileState, step, status, details),
+                onWarning: (step, message) => this.recordWarning(execution, fileState, step, message)
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (result.success) {
+            fileState.status = 'completed';
+            fileState.result = result.pipeline;
+        } else if (result.reason === 'empty_file') {
+            fileState.status = 'skipped';
+            fileState.reason = result.reason;
+        } else if (result.cancelled) {
+            fileState.status = 'cancelled';
+        } else {
+            fileState.status = 'failed';
+            fileState.error = result.error;
+        }
+
+        this.closeSteps(fileState);
+        fileState.currentStep = null;
+        fileState.finishedAt = new Date().toISOString();
+        fileState.duration = Date.parse(fileState.finishedAt) - Date.parse(fileState.startedAt);
+        this.updateProgress(execution);
+        await this.saveExecution(execution);
+        this.publish(execution, 'file', this.snapshot(fileState));
+    }
+
+    /**
+     * Run the pipeline for a file, in a worker thread when pipelineJobs.workerThreads is on
+     * @param {string} filename - File name in the raw data directory
+     * @param {Object} options - The options of ETLPipelineService.processFile
+     * @returns {Object} The pipeline result
+     */
+    processFile(filename, options) {
+        return appConfig.pipelineJobs.workerThreads ?
+            workerPool.processFile(filename, options) :
+            this.etlPipeline.processFile(filename, options);
+    }
+
+    /**
+     * Close the steps of a file that has stopped: a step still running stopped with the
+     * file, as failed or cancelled, and steps never reached are skipped
+     * @param {Object} fileState - File that has stopped
+     */
+    closeSteps(fileState) {
+        for (const step of PIPELINE_STEPS) {
+            const stepState = fileState.steps[step];
+            if (stepState.status === 'running') {
+                stepState.status = fileState.status === 'cancelled' ? 'cancelled' : 'failed';
+            } else if (stepState.status === 'pending') {
+                stepState.status = 'skipped';
+            }
+        }
+    }
+
+    /**
+     * Record a step transition reported by processFile
+     * @param {Object} execution - Running execution
+     * @param {Object} fileState - The file being processed
+     * @param {string} step - Pipeline step
+     * @param {string} status - running, completed, failed or cancelled
+     * @param {Object} details - Step figures, the attempt of a running step, or the error of a failed step
+     */
+    recordStep(execution, fileState, step, status, details = {}) {
+        const stepState = fileState.steps[step];
+        if (!stepState) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        if (status === 'running') {
+            // Retried attempts keep the step's original start
+            if (stepState.status !== 'running') {
+                stepState.startedAt = now;
+            }
+            fileState.currentStep = step;
+        } else {
+            stepState.finishedAt = now;
+            stepState.duration = stepState.startedAt ? Date.parse(now) - Date.parse(stepState.startedAt) : null;
+        }
+        Object.assign(stepState, details);
+        stepState.status = status;
+
+        this.updateProgress(execution);
+        this.saveExecution(execution);
+        this.publish(execution, 'step', {
+            filename: fileState.filename,
+            step,
+            ...stepState,
+            fileProgress: fileState.progress,
+            progress: execution.progress
+        });
+    }
+
+    /**
+     * Record a warning raised while processing a file
+     * @param {Object} execution - Running execution
+     * @param {Object} fileState - The file being processed
+     * @param {string} step - Step that raised the warning
+     * @param {string} message - Warning text
+     */
+    recordWarning(execution, fileState, step, message) {
+        const warning = { step, message, timestamp: new Date().toISOString() };
+        fileState.warnings.push(warning);
+
+        this.saveExecution(execution);
+        this.publish(execution, 'warning', { filename: fileState.filename, ...warning });
+    }
+
+    /**
+     * Stamp a finished execution, save it and drop it from memory
+     * @param {Object} execution - Execution that has stopped running
+     */
+    async finishExecution(execution) {
+        execution.finishedAt = new Date().toISOString();
+        execution.duration = execution.startedAt ? Date.parse(execution.finishedAt) - Date.parse(execution.startedAt) : null;
+        this.updateProgress(execution);
+        await this.saveExecution(execution);
+
+        this.executions.delete(execution.id);
+        this.saves.delete(execution.id);
+        this.publish(execution, 'end', this.summarize(execution));
+        logging.info(`Pipeline execution ${execution.id} ${execution.status}: ` +
+            `${execution.progress.completedFiles} completed, ${execution.progress.failedFiles} failed, ` +
+            `${execution.progress.skippedFiles} skipped in ${execution.duration}ms`);
+
+        await this.pruneExecutions()
+            .catch(error => logging.warn(`Failed to prune pipeline executions: ${error.message}`));
+    }
+
+    /**
+     * Follow an execution's changes as they happen. The listener receives (type, data) where type is
+     * execution (started), file (a file started or finished), step (a step started, completed or
+     * failed, with its figures and the file's and execution's progress), warning, or end (the
+     * execution finished; nothing follows).
+     * @param {string} id - Execution ID
+     * @param {Function} listener - Called with (type, data)
+     * @returns {Function} Call to stop listening
+     */
+    subscribe(id, listener) {
+        const channel = `execution:${id}`;
+        this.on(channel, listener);
+        return () => this.off(channel, listener);
+    }
+
+    /**
+     * Error for a cancel or retry the execution's state does not allow
+     * @param {string} message - Error message
+     * @returns {Error} Error with code INVALID_STATE
+     */
+    invalidStateError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_STATE';
+        return error;
+    }
+
+    /**
+     * Whether an execution is queued or running in this process
+     * @param {string} id - Execution ID
+     * @returns {boolean} True until the execution has finished
+     */
+    isActive(id) {
+        return this.executions.has(id);
+    }
+
+    /**
+     * Send a change to the execution's subscribers
+     * @param {Object} execution - Changed execution
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    publish(execution, type, data) {
+        this.emit(`execution:${execution.id}`, type, data);
+    }
+
+    /**
+     * Get an execution by ID
+     * @param {string} id - Execution ID
+     * @returns {Object|null} Execution with per-file and per-step state, or null when unknown
+     */
+    async getExecution(id) {
+        if (this.executions.has(id)) {
+            return this.snapshot(this.executions.get(id));
+        }
+        if (!/^[0-9a-f-]{36}$/i.test(id)) {
+            return null;
+        }
+
+        const execution = await this.loadExecution(this.executionFile(id));
+        return execution ? this.markInterrupted(execution) : null;
+    }
+
+    /**
+     * List recent executions, newest first, without per-step detail
+     * @param {Object} options - { limit }
+     * @returns {Array<Object>} Execution summaries
+     */
+    async listExecutions({ limit = 20 } = {}) {
+        const dir = appConfig.paths.EXECUTIONS_DIR;
+        if (!await fileSystem.pathExists(dir)) {
+            return [];
+        }
+
+        const executions = [];
+        for (const entry of await fileSystem.readdir(dir)) {
+            if (path.extname(entry) !== '.json') {
+                continue;
+            }
+            const id = path.basename(entry, '.json');
+            const execution = this.executions.has(id) ?
+                this.snapshot(this.executions.get(id)) :
+                await this.loadExecution(path.join(dir, entry));
+            if (execution) {
+                executions.push(this.executions.has(id) ? execution : await this.markInterrupted(execution));
+            }
+        }
+
+        return executions
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(execution => this.summarize(execution));
+    }
+
+    /**
+     * Report a saved execution left active by an earlier process as interrupted
+     * @param {Object} execution - Execution read from disk
+     * @returns {Object} The execution, updated and saved when it was interrupted
+     */
+    async markInterrupted(execution) {
+        if (!ACTIVE_STATUSES.includes(execution.status)) {
+            return execution;
+        }
+
+        execution.status = 'interrupted';
+        for (const fileState of execution.files) {
+            if (['pending', 'running'].includes(fileState.status)) {
+                fileState.status = 'interrupted';
+                fileState.currentStep = null;
+            }
+        }
+        await this.saveExecution(execution);
+        this.saves.delete(execution.id);
+        return execution;
+    }
+
+    /**
+     * Remove the oldest finished executions beyond pipelineJobs.retainExecutions
+     */
+    async pruneExecutions() {
+        const dir = appConfig.paths.EXECUTIONS_DIR;
+        const files = [];
+
+        for (const entry of await fileSystem.readdir(dir)) {
+            const id = path.basename(entry, '.json');
+            if (path.extname(entry) === '.json' && !this.executions.has(id)) {
+                const stats = await fileSystem.stat(path.join(dir, entry));
+                files.push({ entry, modified: stats.mtimeMs });
+            }
+        }
+
+        const stale = files
+            .sort((a, b) => b.modified - a.modified)
+            .slice(appConfig.pipelineJobs.retainExecutions);
+        for (const { entry } of stale) {
+            await fileSystem.remove(path.join(dir, entry));
+        }
+    }
+
+    /**
+     * Save an execution, after any earlier save of the same execution has finished
+     * @param {Object} execution - Execution to save; its state is captured immediately
+     * @returns {Promise} Settles once the write has finished; write errors are logged
+     */
+    saveExecution(execution) {
+        const content = JSON.stringify(execution, null, 2);
+        const previous = this.saves.get(execution.id) || Promise.resolve();
+        const saved = previous
+            .then(async () => {
+                await fileSystem.ensureDir(appConfig.paths.EXECUTIONS_DIR);
+                await fileSystem.writeFileAtomic(this.executionFile(execution.id), content);
+            })
+            .catch(error => logging.error(`Failed to save pipeline execution ${execution.id}: ${error.message}`));
+
+        this.saves.set(execution.id, saved);
+        return saved;
+    }
+
+    /**
+     * Read a saved execution
+     * @param {string} filePath - Execution file
+     * @returns {Object|null} Parsed execution, or null when missing or unreadable
+     */
+    async loadExecution(filePath) {
+        try {
+            if (!await fileSystem.pathExists(filePath)) {
+                return null;
+            }
+            return JSON.parse(await fileSystem.readFile(filePath));
+        } catch (error) {
+            logging.warn(`Failed to read pipeline execution ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Path of an execution's JSON file
+     * @param {string} id - Execution ID
+     * @returns {string} File path
+     */
+    executionFile(id) {
+        return path.join(appConfig.paths.EXECUTIONS_DIR, `${id}.json`);
+    }
+
+    /**
+     * Initial state of a submitted file
+     * @param {string} filename - File name
+     * @returns {Object} File state with every step pending
+     */
+    createFileState(filename) {
+        const steps = {};
+        for (const step of PIPELINE_STEPS) {
+            steps[step] = { status: 'pending', startedAt: null, finishedAt: null, duration: null };
+        }
+
+        return {
+            filename,
+            status: 'pending',
+            currentStep: null,
+            progress: 0,
+            warnings: [],
+            startedAt: null,
+            finishedAt: null,
+            duration: null,
+            steps
+        };
+    }
+
+    /**
+     * Recount file outcomes and the share of steps finished, overall and per file
+     * @param {Object} execution - Execution to update
+     */
+    updateProgress(execution) {
+        const countFiles = status => execution.files.filter(fileState => fileState.status === status).length;
+        const totalSteps = execution.files.length * PIPELINE_STEPS.length;
+        let finishedSteps = 0;
+
+        for (const fileState of execution.files) {
+            const finished = PIPELINE_STEPS
+                .filter(step => FINISHED_STEP_STATUSES.includes(fileState.steps[step].status)).length;
+            fileState.progress = Math.round(finished / PIPELINE_STEPS.length * 100);
+            finishedSteps += finished;
+        }
+
+        execution.progress = {
+            totalFiles: execution.files.length,
+            completedFiles: countFiles('completed'),
+            failedFiles: countFiles('failed'),
+            skippedFiles: countFiles('skipped'),
+            cancelledFiles: countFiles('cancelled'),
+            percent: totalSteps > 0 ? Math.round(finishedSteps / totalSteps * 100) : 100
+        };
+    }
+
+    /**
+     * Execution fields for listings
+     * @param {Object} execution - Full execution
+     * @returns {Object} Execution without per-file detail
+     */
+    summarize(execution) {
+        const { files, ...summary } = execution;
+        return {
+            ...summary,
+            files: files.map(fileState => ({
+                filename: fileState.filename,
+                status: fileState.status,
+                progress: fileState.progress
+            }))
+        };
+    }
+
+    /**
+     * Copy of an execution that later updates will not change
+     * @param {Object} execution - Live execution
+     * @returns {Object} Deep copy
+     */
+    snapshot(execution) {
+        return JSON.parse(JSON.stringify(execution));
+    }
+}
+
+module.exports = new PipelineJobsService();
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { database: dbConfig } = require('../config');
+const { logging } = require('../utils');
+
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Quarantine Service
+ * Persists rows rejected by the pipeline in the `quarantine` table of the persistent
+ * DuckDB database so they can be inspected, fixed and replayed.
+ *
+ * Reason codes:
+ * - INVALID_RECORD: row is not an object
+ * - MISSING_SENSOR_ID, MISSING_READING_TYPE, MISSING_TIMESTAMP, MISSING_VALUE, MISSING_BATTERY_LEVEL
+ * - INVALID_TIMESTAMP, INVALID_VALUE, INVALID_BATTERY_LEVEL
+ * - TRANSFORM_ERROR: any other transformation failure
+ */
+class QuarantineService {
+    /**
+     * Get the persistent database connection
+     * @returns {Connection} Database connection
+     */
+    async getConnection() {
+        const { connection } = await dbConfig.getPersistentConnection();
+        return connection;
+    }
+
+    /**
+     * Quarantine the rows a pipeline stage rejected for a file. Rows still quarantined
+     * from an earlier run of the same file and stage are replaced, so reprocessing a
+     * file does not duplicate entries.
+     * @param {string} sourceFile - Source file name
+     * @param {string} stage - Pipeline stage that rejected the rows ('transformation' or 'validation')
+     * @param {Array<Object>} rejectedRecords - [{ rowIndex, record, reasonCode, message }]
+     * @returns {number} Number of rows quarantined
+     */
+    async quarantineRecords(sourceFile, stage, rejectedRecords = []) {
+        const connection = await this.getConnection();
+
+        await dbConfig.executeQuery(connection, `
+            DELETE FROM quarantine
+            WHERE source_file = ? AND stage = ? AND status = 'quarantined'
+        `, [sourceFile, stage]);
+
+        for (let start = 0; start < rejectedRecords.length; start += INSERT_CHUNK_SIZE) {
+            const chunk = rejectedRecords.slice(start, start + INSERT_CHUNK_SIZE);
+            const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+            const params = chunk.flatMap(rejected => [
+                crypto.randomUUID(),
+                sourceFile,
+                rejected.rowIndex,
+                stage,
+                rejected.reasonCode,
+                rejected.message,
+                this.serializePayload(rejected.record)
+            ]);
+
+            await dbConfig.executeQuery(connection, `
+                INSERT INTO quarantine (id, source_file, row_index, stage, reason_code, reason_message, raw_payload)
+                VALUES ${placeholders}
+            `, params);
+        }
+
+        if (rejectedRecords.length > 0) {
+            logging.warn(`Quarantined ${rejectedRecords.length} row(s) from ${sourceFile} at ${stage} stage`);
+        }
+        return rejectedRecords.length;
+    }
+
+    /**
+     * Get quarantined rows with filtering and pagination
+     * @param {Object} filters - { source_file, reason_code, stage, status, limit, offset }
+     * @returns {Object} { records, pagination, reasonCounts }
+     */
+    async getQuarantinedRecords(filters = {}) {
+        const { limit = 100, offset = 0 } = filters;
+        const { where, params } = this.buildWhereClause(filters);
+        const connection = await this.getConnection();
+
+        const countRows = await dbConfig.executeQuery(connection, `
+            SELECT COUNT(*) AS total FROM quarantine ${where}
+        `, params);
+        const total = Number(countRows[0].total);
+
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()}
+            FROM quarantine ${where}
+            ORDER BY quarantined_at DESC, source_file, row_index
+            LIMIT ${Number(limit)} OFFSET ${Number(offset)}
+        `, params);
+
+        const reasonRows = await dbConfig.executeQuery(connection, `
+            SELECT reason_code, COUNT(*) AS count
+            FROM quarantine ${where}
+            GROUP BY reason_code
+            ORDER BY count DESC
+        `, params);
+
+        return {
+            records: rows.map(row => this.formatRow(row)),
+            pagination: {
+                limit,
+                offset,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            reasonCounts: Object.fromEntries(reasonRows.map(row => [row.reason_code, Number(row.count)]))
+        };
+    }
+
+    /**
+     * Get quarantined rows by id
+     * @param {Array<string>} ids - Quarantine entry ids
+     * @returns {Array<Object>} Matching entries
+     */
+    async getRecordsByIds(ids = []) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const connection = await this.getConnection();
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()}
+            FROM quarantine
+            WHERE id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY source_file, row_index
+        `, ids);
+
+        return rows.map(row => this.formatRow(row));
+    }
+
+    /**
+     * Mark quarantined rows as successfully replayed
+     * @param {Array<string>} ids - Quarantine entry ids
+     */
+    async markReplayed(ids = []) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        const connection = await this.getConnection();
+        await dbConfig.executeQuery(connection, `
+            UPDATE quarantine
+            SET status = 'replayed', replayed_at = current_timestamp, replay_count = replay_count + 1
+            WHERE id IN (${ids.map(() => '?').join(', ')})
+        `, ids);
+    }
+
+    /**
+     * Record a failed replay; the row stays quarantined with its new reason and payload
+     * @param {string} id - Quarantine entry id
+     * @param {Object} rejected - { record, reasonCode, message }
+     */
+    async markReplayFailed(id, rejected) {
+        const connection = await this.getConnection();
+        await dbConfig.executeQuery(connection, `
+            UPDATE quarantine
+            SET reason_code = ?, reason_message = ?, raw_payload = ?, replay_count = replay_count + 1
+            WHERE id = ?
+        `, [rejected.reasonCode, rejected.message, this.serializePayload(rejected.record), id]);
+    }
+
+    /**
+     * Build a parameterized WHERE clause from query filters
+     * @param {Object} filters - { source_file, reason_code, stage, status }
+     * @returns {Object} { where, params }
+     */
+    buildWhereClause(filters) {
+        const conditions = [];
+        const params = [];
+
+        for (const column of ['source_file', 'reason_code', 'stage', 'status']) {
+            if (filters[column]) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[column]);
+            }
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Columns selected for quarantine entries, with timestamps rendered as ISO strings
+     * @returns {string} SQL select list
+     */
+    selectColumns() {
+        return `id, source_file, row_index, stage, reason_code, reason_message, raw_payload, status, replay_count,
+            strftime(quarantined_at, '%Y-%m-%dT%H:%M:%S.%gZ') AS quarantined_at,
+            strftime(replayed_at, '%Y-%m-%dT%H:%M:%S.%gZ') AS replayed_at`;
+    }
+
+    /**
+     * Convert a quarantine row to its API shape
+     * @param {Object} row - Database row
+     * @returns {Object} Quarantine entry
+     */
+    formatRow(row) {
+        let rawPayload;
+        try {
+            rawPayload = JSON.parse(row.raw_payload);
+        } catch {
+            rawPayload = row.raw_payload;
+        }
+
+        return {
+            id: row.id,
+            source_file: row.source_file,
+            row_index: Number(row.row_index),
+            stage: row.stage,
+            reason_code: row.reason_code,
+            reason_message: row.reason_message,
+            raw_payload: rawPayload,
+            status: row.status,
+            replay_count: Number(row.replay_count),
+            quarantined_at: row.quarantined_at,
+            replayed_at: row.replayed_at
+        };
+    }
+
+    /**
+     * Serialize a raw row for storage
+     * @param {any} record - Raw row as read from the source file
+     * @returns {string} JSON text
+     */
+    serializePayload(record) {
+        return JSON.stringify(record === undefined ? null : record, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        );
+    }
+}
+
+module.exports = new QuarantineService();
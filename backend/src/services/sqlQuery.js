@@ -0,0 +1,481 @@
+const crypto = require('crypto');
+const path = require('path');
+const { fork } = require('child_process');
+const { tableFromArrays, tableToIPC } = require('apache-arrow');
+const { app: appConfig, database: dbConfig } = require('../config');
+const { fileSystem, logging } = require('../utils');
+const { SensorData: SensorDataModel } = require('../models');
+const dataStorage = require('./dataStorage');
+
+const QUERY_WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'sqlQueryWorker.js');
+const ISO_FORMAT = '%Y-%m-%dT%H:%M:%S.%gZ';
+const OUTPUT_FORMATS = ['json', 'csv', 'arrow'];
+// First keyword of an accepted statement; DuckDB also reads FROM-first and VALUES queries
+const ALLOWED_KEYWORDS = ['SELECT', 'WITH', 'FROM', 'VALUES'];
+
+/**
+ * SQL Query Service
+ * Runs analysts' ad-hoc SELECT statements against views over the processed data:
+ * `sensor_data` over every partition and one view per summary table. Each query runs in
+ * its own in-memory DuckDB instance whose only readable files are those behind the
+ * views; file access, extension loading and configuration are locked before the query
+ * is parsed. The instance lives in a child process (workers/sqlQueryWorker.js) that is
+ * killed when the query runs past sqlQuery.timeoutMs. Saved queries are kept in the `saved_queries` table of the persistent
+ * database.
+ */
+class SqlQueryService {
+    /**
+     * Run a read-only query
+     * @param {Object} request - { sql, limit }
+     * @returns {Object} { columns, rows, rowCount, truncated, duration }
+     */
+    async execute({ sql, limit }) {
+        const startTime = Date.now();
+        const statement = this.validateStatement(sql);
+        const { maxRows, defaultRows } = appConfig.sqlQuery;
+        const rowLimit = Math.min(maxRows, Math.max(1, parseInt(limit, 10) || defaultRows));
+        const { columns, rows, truncated } = await this.runInQueryProcess(statement, rowLimit);
+
+        const duration = Date.now() - startTime;
+        logging.info(`SQL query returned ${rows.length} rows in ${duration}ms${truncated ? ` (cut at ${rowLimit})` : ''}`);
+        return { columns, rows, rowCount: rows.length, truncated, duration };
+    }
+
+    /**
+     * Run a validated statement in a child process, killing it once it exceeds the
+     * configured time limit. Results that arrive after the limit are rejected too.
+     * @param {string} statement - Statement from validateStatement
+     * @param {number} rowLimit - Maximum number of rows to return
+     * @returns {Object} { columns, rows, truncated }, as returned by runQuery
+     */
+    runInQueryProcess(statement, rowLimit) {
+        const { timeoutMs } = appConfig.sqlQuery;
+        const deadline = Date.now() + timeoutMs;
+
+        return new Promise((resolve, reject) => {
+            const child = fork(QUERY_WORKER_SCRIPT, [], { serialization: 'advanced' });
+            let settled = false;
+            const settle = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (child.exitCode === null && child.signalCode === null) {
+                    child.kill('SIGKILL');
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            const timedOut = () => {
+                const error = new Error(`Query exceeded the ${timeoutMs}ms time limit`);
+                error.code = 'QUERY_TIMEOUT';
+                return error;
+            };
+            const timer = setTimeout(() => settle(timedOut()), timeoutMs);
+
+            child.on('message', ({ result, error }) => {
+                if (Date.now() > deadline) {
+                    settle(timedOut());
+                } else if (error) {
+                    settle(error.code === 'INVALID_QUERY'
+                        ? dataStorage.invalidQueryError(error.message)
+                        : Object.assign(new Error(error.message), { code: error.code }));
+                } else {
+                    settle(null, result);
+                }
+            });
+            child.on('error', error => settle(error));
+            child.on('exit', (code, signal) => settle(new Error(`SQL query process stopped with ${signal || `exit code ${code}`}`)));
+
+            child.send({ config: appConfig, statement, rowLimit });
+        });
+    }
+
+    /**
+     * Run a validated statement in a new sandbox. Called in the query process.
+     * @param {string} statement - Statement from validateStatement
+     * @param {number} rowLimit - Maximum number of rows to return
+     * @returns {Object} { columns, rows, truncated }
+     */
+    async runQuery(statement, rowLimit) {
+        const { db, con } = await this.openSandbox();
+
+        try {
+            await this.checkParsedStatement(con, statement);
+
+            // One extra row tells whether the result was cut at the limit. The statement starts
+            // on the first line so DuckDB's error positions match the submitted SQL.
+            const wrapped = `SELECT * FROM (${statement}\n) AS result LIMIT ${rowLimit + 1}`;
+            const columns = (await this.runStatement(con, `DESCRIBE ${wrapped}`))
+                .map(column => ({ name: column.column_name, type: column.column_type }));
+            const rows = (await this.runStatement(con, wrapped)).map(row => this.toPlainValue(row));
+
+            const truncated = rows.length > rowLimit;
+            if (truncated) rows.pop();
+            return { columns, rows, truncated };
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
+
+    /**
+     * List the views a query can read, with their columns
+     * @returns {Array<Object>} [{ name, columns: [{ name, type }] }]
+     */
+    async listTables() {
+        const { db, con } = await this.openSandbox();
+
+        try {
+            const rows = await dbConfig.executeQuery(con, `
+                SELECT table_name, column_name, data_type
+                FROM information_schema.columns
+                ORDER BY table_name, ordinal_position
+            `);
+
+            const tables = new Map();
+            for (const row of rows) {
+                if (!tables.has(row.table_name)) {
+                    tables.set(row.table_name, { name: row.table_name, columns: [] });
+                }
+                tables.get(row.table_name).columns.push({ name: row.column_name, type: row.data_type });
+            }
+            return [...tables.values()];
+        } finally {
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+        }
+    }
+
+    /**
+     * Render a query result in an output format
+     * @param {Object} result - Result of execute
+     * @param {string} format - 'csv' or 'arrow'
+     * @returns {Object} { contentType, body }
+     */
+    formatResult(result, format) {
+        if (format === 'csv') {
+            const escape = (value) => {
+                if (value === null || value === undefined) return '';
+                const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [result.columns.map(column => escape(column.name)).join(',')]
+                .concat(result.rows.map(row => result.columns.map(column => escape(row[column.name])).join(',')));
+            return { contentType: 'text/csv', body: lines.join('\n') + '\n' };
+        }
+
+        if (format === 'arrow') {
+            const table = tableFromArrays(Object.fromEntries(
+                result.columns.map(column => [column.name, result.rows.map(row => row[column.name])])
+            ));
+            return { contentType: 'application/vnd.apache.arrow.stream', body: Buffer.from(tableToIPC(table, 'stream')) };
+        }
+
+        throw dataStorage.invalidQueryError(`Invalid format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    /**
+     * Check an output format
+     * @param {string} format - Requested format
+     * @returns {boolean} True if results can be returned in the format
+     */
+    isOutputFormat(format) {
+        return OUTPUT_FORMATS.includes(format);
+    }
+
+    /**
+     * Check that SQL holds a single statement starting with an allowed keyword
+     * @param {string} sql - Statement
+     * @returns {string} Statement without comments and trailing semicolons
+     */
+    validateStatement(sql) {
+        if (typeof sql !== 'string' || !sql.trim()) {
+            throw dataStorage.invalidQueryError('sql is required');
+        }
+
+        const statement = this.stripComments(sql).trim().replace(/[;\s]+$/, '');
+        const keyword = (statement.match(/^[(\s]*([A-Za-z]+)/) || [])[1];
+        if (!keyword || !ALLOWED_KEYWORDS.includes(keyword.toUpperCase())) {
+            throw dataStorage.invalidQueryError(`${keyword ? keyword.toUpperCase() : 'This'} statements are not allowed; ` +
+                'only a single read-only SELECT can be run');
+        }
+        return statement;
+    }
+
+    /**
+     * Parse a statement with DuckDB and reject anything but exactly one SELECT
+     * @param {Connection} con - Sandbox connection
+     * @param {string} statement - Statement from validateStatement
+     */
+    async checkParsedStatement(con, statement) {
+        const [{ parsed }] = await dbConfig.executeQuery(con, 'SELECT json_serialize_sql(CAST(? AS VARCHAR)) AS parsed', [statement]);
+        const result = JSON.parse(parsed);
+
+        if (result.error) {
+            throw dataStorage.invalidQueryError(`Only a single read-only SELECT can be run: ${result.error_message}`);
+        }
+        if (result.statements.length !== 1) {
+            throw dataStorage.invalidQueryError(`Only a single statement can be run; got ${result.statements.length}`);
+        }
+    }
+
+    /**
+     * Remove -- and block comments outside string literals and quoted identifiers
+     * @param {string} sql - SQL text
+     * @returns {string} SQL without comments
+     */
+    stripComments(sql) {
+        let output = '';
+        let quote = null;
+
+        for (let i = 0; i < sql.length; i++) {
+            const char = sql[i];
+            if (quote) {
+                output += char;
+                if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+                output += char;
+            } else if (char === '-' && sql[i + 1] === '-') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+                output += '\n';
+            } else if (char === '/' && sql[i + 1] === '*') {
+                const end = sql.indexOf('*/', i + 2);
+                i = end === -1 ? sql.length : end + 1;
+                output += ' ';
+            } else {
+                output += char;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Open an in-memory database with the query views, restricted to reading their files
+     * @returns {Object} { db, con }
+     */
+    async openSandbox() {
+        const db = dbConfig.createInMemoryDatabase();
+        const con = dbConfig.getConnection(db);
+        const partitionFiles = await dataStorage.listPartitionFiles();
+        const summaryFiles = await this.listSummaryFiles();
+
+        if (partitionFiles.length > 0) {
+            await dbConfig.executeQuery(con, `
+                CREATE VIEW sensor_data AS
+                SELECT * REPLACE (CAST(timestamp AS TIMESTAMP) AS timestamp)
+                FROM ${dataStorage.buildPartitionSource(partitionFiles)}
+            `);
+        } else {
+            const columns = Object.entries(SensorDataModel.getEnrichedColumnTypes())
+                .map(([column, type]) => `${column} ${column === 'timestamp' ? 'TIMESTAMP' : type}`);
+            await dbConfig.executeQuery(con, `CREATE TABLE sensor_data (${columns.join(', ')})`);
+        }
+
+        for (const filePath of summaryFiles) {
+            await dbConfig.executeQuery(con,
+                `CREATE VIEW "${path.basename(filePath, '.parquet')}" AS SELECT * FROM read_parquet('${dataStorage.toDuckDBPath(filePath)}')`);
+        }
+
+        const allowedPaths = [...partitionFiles, ...summaryFiles]
+            .map(filePath => `'${dataStorage.toDuckDBPath(filePath)}'`);
+        for (const setting of [
+            `SET allowed_paths = [${allowedPaths.join(', ')}]`,
+            'SET enable_external_access = false',
+            'SET autoinstall_known_extensions = false',
+            'SET autoload_known_extensions = false',
+            `SET memory_limit = '${appConfig.sqlQuery.memoryLimit}'`,
+            'SET lock_configuration = true'
+        ]) {
+            await dbConfig.executeQuery(con, setting);
+        }
+
+        return { db, con };
+    }
+
+    /**
+     * List summary table files written by summaryTablesGeneration
+     * @returns {Array<string>} Parquet file paths
+     */
+    async listSummaryFiles() {
+        const summaryDir = path.join(appConfig.paths.PROCESSED_DIR, 'summaries');
+        if (!(await fileSystem.pathExists(summaryDir))) {
+            return [];
+        }
+
+        return (await fileSystem.readdir(summaryDir))
+            .filter(filename => filename.endsWith('.parquet'))
+            .sort()
+            .map(filename => path.join(summaryDir, filename));
+    }
+
+    /**
+     * Run a sandbox statement
+     * @param {Connection} con - Sandbox connection
+     * @param {string} sql - Statement
+     * @returns {Array<Object>} Rows
+     */
+    async runStatement(con, sql) {
+        try {
+            return await dbConfig.executeQuery(con, sql);
+        } catch (error) {
+            // Errors from the query itself (unknown column, denied file access) are the caller's to fix
+            throw dataStorage.invalidQueryError(error.message);
+        }
+    }
+
+    /**
+     * Convert a DuckDB value to one that serializes to JSON, CSV and Arrow
+     * @param {*} value - Value from a result row
+     * @returns {*} Numbers, strings, booleans, null, arrays and objects
+     */
+    toPlainValue(value) {
+        if (typeof value === 'bigint') {
+            return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+            return Buffer.from(value).toString('base64');
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.toPlainValue(item));
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toPlainValue(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Get the persistent database connection
+     * @returns {Connection} Database connection
+     */
+    async getConnection() {
+        const { connection } = await dbConfig.getPersistentConnection();
+        return connection;
+    }
+
+    /**
+     * List saved queries
+     * @returns {Array<Object>} Saved queries ordered by name
+     */
+    async listSavedQueries() {
+        const connection = await this.getConnection();
+        return await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()} FROM saved_queries ORDER BY name
+        `);
+    }
+
+    /**
+     * Get a saved query by id
+     * @param {string} id - Saved query id
+     * @returns {Object|null} Saved query, or null if not found
+     */
+    async getSavedQuery(id) {
+        const connection = await this.getConnection();
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()} FROM saved_queries WHERE id = ?
+        `, [id]);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Find a saved query by name
+     * @param {string} name - Saved query name
+     * @param {string} excludeId - Saved query id to ignore (the one being updated)
+     * @returns {Object|null} Saved query, or null
+     */
+    async findSavedQueryByName(name, excludeId = null) {
+        const connection = await this.getConnection();
+        const rows = await dbConfig.executeQuery(connection, `
+            SELECT ${this.selectColumns()} FROM saved_queries WHERE lower(name) = lower(?) AND id IS DISTINCT FROM ?
+        `, [name, excludeId]);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Validate and normalize saved query input
+     * @param {Object} input - { name, description, sql }
+     * @returns {Object} { errors, savedQuery }
+     */
+    validateSavedQuery(input = {}) {
+        const errors = [];
+        const savedQuery = {
+            name: String(input.name || '').trim(),
+            description: input.description ? String(input.description) : null,
+            sql: typeof input.sql === 'string' ? input.sql.trim() : ''
+        };
+
+        if (!savedQuery.name) errors.push('name is required');
+        try {
+            this.validateStatement(savedQuery.sql);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        return { errors, savedQuery };
+    }
+
+    /**
+     * Create a saved query
+     * @param {Object} savedQuery - Normalized saved query from validateSavedQuery
+     * @returns {Object} Created saved query
+     */
+    async createSavedQuery(savedQuery) {
+        const id = crypto.randomUUID();
+        const connection = await this.getConnection();
+
+        await dbConfig.executeQuery(connection, `
+            INSERT INTO saved_queries (id, name, description, sql) VALUES (?, ?, ?, ?)
+        `, [id, savedQuery.name, savedQuery.description, savedQuery.sql]);
+
+        logging.info(`Saved query ${id} (${savedQuery.name})`);
+        return await this.getSavedQuery(id);
+    }
+
+    /**
+     * Update a saved query
+     * @param {string} id - Saved query id
+     * @param {Object} savedQuery - Normalized saved query from validateSavedQuery
+     * @returns {Object} Updated saved query
+     */
+    async updateSavedQuery(id, savedQuery) {
+        const connection = await this.getConnection();
+
+        await dbConfig.executeQuery(connection, `
+            UPDATE saved_queries
+            SET name = ?, description = ?, sql = ?, updated_at = current_timestamp
+            WHERE id = ?
+        `, [savedQuery.name, savedQuery.description, savedQuery.sql, id]);
+
+        logging.info(`Updated saved query ${id}`);
+        return await this.getSavedQuery(id);
+    }
+
+    /**
+     * Delete a saved query
+     * @param {string} id - Saved query id
+     */
+    async deleteSavedQuery(id) {
+        const connection = await this.getConnection();
+        await dbConfig.executeQuery(connection, 'DELETE FROM saved_queries WHERE id = ?', [id]);
+        logging.info(`Deleted saved query ${id}`);
+    }
+
+    /**
+     * Columns selected for saved queries, with timestamps as ISO strings
+     * @returns {string} SQL select list
+     */
+    selectColumns() {
+        return `id, name, description, sql,
+            strftime(created_at, '${ISO_FORMAT}') AS created_at,
+            strftime(updated_at, '${ISO_FORMAT}') AS updated_at`;
+    }
+}
+
+module.exports = new SqlQueryService();
@@ -0,0 +1,243 @@
+const path = require('path');
+const { app: appConfig } = require('../config');
+const { fileSystem, logging } = require('../utils');
+
+const CHECKPOINT_STEPS = ['ingested', 'transformed', 'validated', 'stored', 'summarized'];
+
+/**
+ * Step Checkpoint Service
+ * Records each pipeline step a file completes, so processing a file again after a crash,
+ * cancellation or failure resumes after its last completed step instead of starting over.
+ * Each file has a JSON record in paths.STEP_CHECKPOINT_DIR with a summary of every completed
+ * step. The records a later step still needs are kept as NDJSON artifacts in
+ * paths.TEMP_DIR/steps/<file>/: the ingested records until the file is transformed, the
+ * transformed records until it is stored, then the records as stored until it is summarized.
+ *
+ * A record only applies to the raw file it was made from: when the file's size or
+ * modification time, or the requested mapping profile, no longer match, the record and its
+ * artifacts are discarded. Records are removed once the file is in the processed-files
+ * checkpoint.
+ *
+ * Steps, in order: ingested, transformed, validated, stored, summarized.
+ */
+class StepCheckpointService {
+    /**
+     * Load a file's checkpoint record, starting a new one when there is none or it is stale
+     * @param {string} file - File name in the raw data directory
+     * @param {Object} options - { mappingProfile } as requested for processing
+     * @returns {Object} Record with the completed steps' summaries under steps
+     */
+    async load(file, { mappingProfile } = {}) {
+        const source = await this.describeSource(file, mappingProfile);
+        const saved = await this.readRecord(file);
+
+        if (saved && this.isSameSource(saved.source, source) && await this.hasArtifacts(saved)) {
+            return saved;
+        }
+        if (saved) {
+            logging.info(`Discarding step checkpoints of ${file}: the file, its mapping profile or its artifacts changed`);
+            await this.clear(file);
+        }
+
+        return { file, source, steps: {} };
+    }
+
+    /**
+     * Last step a record has completed
+     * @param {Object} record - Checkpoint record
+     * @returns {string|null} Step name, or null when none has completed
+     */
+    lastStep(record) {
+        return [...CHECKPOINT_STEPS].reverse().find(step => record.steps[step]) || null;
+    }
+
+    /**
+     * Summary saved when a step completed
+     * @param {Object} record - Checkpoint record
+     * @param {string} step - Checkpoint step
+     * @returns {Object|null} The step's summary, or null when it has not completed
+     */
+    completed(record, step) {
+        return record.steps[step] || null;
+    }
+
+    /**
+     * Record a completed step, with the records later steps need when given. Artifacts of
+     * earlier steps are removed once a later step's artifact replaces them.
+     * @param {Object} record - Checkpoint record
+     * @param {string} step - Completed checkpoint step
+     * @param {Object} summary - Figures and results of the step needed to resume after it
+     * @param {Array<Object>} records - Records to keep as the step's artifact (optional)
+     */
+    async save(record, step, summary, records = null) {
+        if (!CHECKPOINT_STEPS.includes(step)) {
+            throw new Error(`Unknown checkpoint step: ${step}`);
+        }
+
+        if (records) {
+            const artifactPath = this.artifactPath(record.file, step);
+            await fileSystem.ensureDir(path.dirname(artifactPath));
+            await fileSystem.writeFileAtomic(artifactPath, records.map(item => JSON.stringify(item)).join('\n'));
+        }
+
+        const replaced = records ?
+            Object.values(record.artifacts || {}).filter(artifactPath => artifactPath !== this.artifactPath(record.file, step)) :
+            [];
+        if (records) {
+            record.artifacts = { [step]: this.artifactPath(record.file, step) };
+        }
+        record.steps[step] = { ...summary, completedAt: new Date().toISOString() };
+        await this.writeRecord(record);
+
+        // Only once the record no longer refers to them
+        for (const artifactPath of replaced) {
+            await fileSystem.remove(artifactPath);
+        }
+    }
+
+    /**
+     * Read the records kept when a step completed
+     * @param {Object} record - Checkpoint record
+     * @param {string} step - Checkpoint step that kept an artifact
+     * @returns {Array<Object>} The step's records
+     */
+    async loadArtifact(record, step) {
+        const artifactPath = record.artifacts && record.artifacts[step];
+        if (!artifactPath || !await fileSystem.pathExists(artifactPath)) {
+            throw new Error(`Checkpoint artifact of step ${step} is missing for ${record.file}`);
+        }
+
+        const content = await fileSystem.readFile(artifactPath);
+        return content ? content.split('\n').map(line => JSON.parse(line)) : [];
+    }
+
+    /**
+     * Read the records kept by the latest step that kept any
+     * @param {Object} record - Checkpoint record
+     * @returns {Array<Object>} The step's records
+     */
+    async loadRecords(record) {
+        const step = [...CHECKPOINT_STEPS].reverse().find(name => record.artifacts && record.artifacts[name]);
+        if (!step) {
+            throw new Error(`No checkpoint records are kept for ${record.file}`);
+        }
+        return this.loadArtifact(record, step);
+    }
+
+    /**
+     * Remove a file's checkpoint record and artifacts
+     * @param {string} file - File name
+     */
+    async clear(file) {
+        await fileSystem.remove(this.recordPath(file));
+        await fileSystem.remove(this.artifactDir(file));
+    }
+
+    /**
+     * Remove every checkpoint record and artifact
+     */
+    async clearAll() {
+        await fileSystem.remove(appConfig.paths.STEP_CHECKPOINT_DIR);
+        await fileSystem.remove(path.join(appConfig.paths.TEMP_DIR, 'steps'));
+        logging.info('Step checkpoints cleared');
+    }
+
+    /**
+     * Whether every artifact a record refers to is still on disk
+     * @param {Object} record - Checkpoint record
+     * @returns {boolean} True when the record can be resumed from
+     */
+    async hasArtifacts(record) {
+        for (const artifactPath of Object.values(record.artifacts || {})) {
+            if (!await fileSystem.pathExists(artifactPath)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Identify the raw file and mapping profile a record applies to
+     * @param {string} file - File name in the raw data directory
+     * @param {string} mappingProfile - Requested mapping profile, if any
+     * @returns {Object} { size, modified, mappingProfile }; size and modified are null when the file is missing
+     */
+    async describeSource(file, mappingProfile) {
+        const stats = await fileSystem.stat(path.join(appConfig.paths.RAW_DATA_DIR, file)).catch(() => null);
+        return {
+            size: stats ? stats.size : null,
+            modified: stats ? stats.mtimeMs : null,
+            mappingProfile: mappingProfile || null
+        };
+    }
+
+    /**
+     * Whether a record was made from the same raw file and mapping profile
+     * @param {Object} saved - Source saved with the record
+     * @param {Object} current - Source of the file now
+     * @returns {boolean} True when the record still applies
+     */
+    isSameSource(saved, current) {
+        return Boolean(saved) && current.size !== null &&
+            saved.size === current.size &&
+            saved.modified === current.modified &&
+            saved.mappingProfile === current.mappingProfile;
+    }
+
+    /**
+     * Read a file's saved record
+     * @param {string} file - File name
+     * @returns {Object|null} Record, or null when missing or unreadable
+     */
+    async readRecord(file) {
+        const recordPath = this.recordPath(file);
+        try {
+            if (!await fileSystem.pathExists(recordPath)) {
+                return null;
+            }
+            return JSON.parse(await fileSystem.readFile(recordPath));
+        } catch (error) {
+            logging.warn(`Failed to read step checkpoints of ${file}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save a record
+     * @param {Object} record - Checkpoint record
+     */
+    async writeRecord(record) {
+        await fileSystem.ensureDir(appConfig.paths.STEP_CHECKPOINT_DIR);
+        await fileSystem.writeFileAtomic(this.recordPath(record.file), JSON.stringify(record, null, 2));
+    }
+
+    /**
+     * Path of a file's checkpoint record
+     * @param {string} file - File name
+     * @returns {string} JSON file path
+     */
+    recordPath(file) {
+        return path.join(appConfig.paths.STEP_CHECKPOINT_DIR, `${encodeURIComponent(file)}.json`);
+    }
+
+    /**
+     * Directory of a file's artifacts
+     * @param {string} file - File name
+     * @returns {string} Directory path
+     */
+    artifactDir(file) {
+        return path.join(appConfig.paths.TEMP_DIR, 'steps', encodeURIComponent(file));
+    }
+
+    /**
+     * Path of a step's artifact
+     * @param {string} file - File name
+     * @param {string} step - Checkpoint step
+     * @returns {string} NDJSON file path
+     */
+    artifactPath(file, step) {
+        return path.join(this.artifactDir(file), `${step}.ndjson`);
+    }
+}
+
+module.exports = new StepCheckpointService();
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const path = require('path');
+const { app: appConfig } = require('../config');
+const { fileLock, fileSystem, logging } = require('../utils');
+const { SensorData: SensorDataModel } = require('../models');
+const dataTransformation = require('./dataTransformation');
+const dataStorage = require('./dataStorage');
+
+const COMPLETED_STATUSES = ['verified', 'superseded'];
+
+/**
+ * Storage Migration Service
+ * Converts processed partitions stored as data.json by earlier versions into data.parquet
+ * in place. Every partition is verified by row count and checksum before it is recorded
+ * in the migration manifest, so an interrupted run resumes with the partitions it had not
+ * finished. The JSON files stay next to the Parquet files until a confirmed cleanup.
+ *
+ * Partition statuses in the manifest:
+ * - verified: converted, and data.parquet holds exactly the rows of data.json
+ * - superseded: data.parquet already existed with newer data covering every data.json row
+ * - failed: verification failed; data.json is still the partition's source of truth
+ * - cleaned: data.json was removed after a confirmed cleanup
+ */
+class StorageMigrationService {
+    /**
+     * Convert every partition still holding a data.json, skipping those already migrated
+     * @returns {Object} Run summary with per-partition failures
+     */
+    async migrate() {
+        const startTime = Date.now();
+        const manifest = await this.loadManifest();
+        const partitions = await dataStorage.listLegacyPartitions();
+        const summary = {
+            partitions: partitions.length,
+            migrated: 0,
+            superseded: 0,
+            alreadyMigrated: 0,
+            failed: 0,
+            rowsMigrated: 0,
+            failures: []
+        };
+
+        logging.info(`Migrating ${partitions.length} JSON partitions to Parquet`);
+
+        for (const partition of partitions) {
+            const entry = manifest.partitions[partition.partitionKey];
+            if (entry && COMPLETED_STATUSES.includes(entry.status) && await fileSystem.pathExists(partition.parquetFile)) {
+                summary.alreadyMigrated++;
+                continue;
+            }
+
+            try {
+                const result = await this.migratePartition(partition);
+                manifest.partitions[partition.partitionKey] = { ...result, migratedAt: new Date().toISOString() };
+
+                if (result.status === 'verified') {
+                    summary.migrated++;
+                    summary.rowsMigrated += result.rowCount;
+                } else {
+                    summary.superseded++;
+                }
+            } catch (error) {
+                logging.error(`Failed to migrate partition ${partition.partitionKey}: ${error.message}`);
+                manifest.partitions[partition.partitionKey] = {
+                    status: 'failed',
+                    error: error.message,
+                    migratedAt: new Date().toISOString()
+                };
+                summary.failed++;
+                summary.failures.push({ partition: partition.partitionKey, error: error.message });
+            }
+
+            // Saved after every partition so an interrupted run can resume
+            await this.saveManifest(manifest);
+        }
+
+        summary.duration = Date.now() - startTime;
+        logging.info(`Storage migration finished in ${summary.duration}ms: ${summary.migrated} migrated, ` +
+            `${summary.superseded} superseded, ${summary.alreadyMigrated} already migrated, ${summary.failed} failed`);
+        return summary;
+    }
+
+    /**
+     * Convert one partition and verify the result against its data.json. A data.parquet
+     * that already exists (from an interrupted run, or written by the pipeline after the
+     * upgrade) is verified instead of overwritten. The partition is locked meanwhile, so
+     * files being stored do not write it concurrently.
+     * @param {Object} partition - Partition from dataStorage.listLegacyPartitions
+     * @returns {Object} { status, rowCount, checksum, parquetRowCount }
+     */
+    async migratePartition(partition) {
+        return fileLock.withLocks([partition.path], () => this.convertPartition(partition));
+    }
+
+    /**
+     * Convert one partition and verify it, as described for migratePartition
+     * @param {Object} partition - Partition from dataStorage.listLegacyPartitions
+     * @returns {Object} { status, rowCount, checksum, parquetRowCount }
+     */
+    async convertPartition(partition) {
+        const source = await dataStorage.readPartitionFile(partition.jsonFile);
+        const expected = this.summarizeRecords(source);
+
+        const converted = !(await fileSystem.pathExists(partition.parquetFile));
+        if (converted) {
+            await dataStorage.writePartitionFile(partition.path, source);
+        }
+
+        const stored = await dataStorage.readPartitionFile(partition.parquetFile);
+        const actual = this.summarizeRecords(stored);
+
+        if (actual.rowCount === expected.rowCount && actual.checksum === expected.checksum) {
+            logging.info(`Migrated partition ${partition.partitionKey}: ${expected.rowCount} rows verified`);
+            return { status: 'verified', ...expected, parquetRowCount: actual.rowCount };
+        }
+
+        if (!converted) {
+            const storedKeys = new Set(stored.map(record => dataTransformation.recordKey(record)));
+            const missing = source.filter(record => !storedKeys.has(dataTransformation.recordKey(record))).length;
+            if (missing === 0) {
+                logging.info(`Partition ${partition.partitionKey} already holds newer Parquet data covering all ${expected.rowCount} JSON rows`);
+                return { status: 'superseded', ...expected, parquetRowCount: actual.rowCount };
+            }
+            throw new Error(`data.parquet is missing ${missing} of ${expected.rowCount} rows from data.json`);
+        }
+
+        // Leave the partition as it was, so readers keep using data.json
+        await fileSystem.remove(partition.parquetFile);
+        throw new Error(`Verification failed: data.json has ${expected.rowCount} rows (checksum ${expected.checksum}), ` +
+            `data.parquet has ${actual.rowCount} rows (checksum ${actual.checksum})`);
+    }
+
+    /**
+     * Remove data.json from migrated partitions. Nothing is deleted unless confirmed;
+     * an unconfirmed call only reports what would be removed.
+     * @param {Object} options - { confirm }
+     * @returns {Object} { confirmed, partitions, removed, skipped }
+     */
+    async cleanup({ confirm = false } = {}) {
+        const manifest = await this.loadManifest();
+        const ready = [];
+        const skipped = [];
+
+        for (const partition of await dataStorage.listLegacyPartitions()) {
+            const entry = manifest.partitions[partition.partitionKey];
+            if (entry && COMPLETED_STATUSES.includes(entry.status) && await fileSystem.pathExists(partition.parquetFile)) {
+                ready.push(partition);
+            } else {
+                skipped.push({ partition: partition.partitionKey, status: entry ? entry.status : 'pending' });
+            }
+        }
+
+        if (!confirm) {
+            return { confirmed: false, partitions: ready.map(partition => partition.partitionKey), removed: 0, skipped };
+        }
+
+        for (const partition of ready) {
+            await fileLock.withLocks([partition.path], () => fileSystem.remove(partition.jsonFile));
+            manifest.partitions[partition.partitionKey] = {
+                ...manifest.partitions[partition.partitionKey],
+                status: 'cleaned',
+                cleanedAt: new Date().toISOString()
+            };
+            await this.saveManifest(manifest);
+        }
+
+        logging.info(`Storage migration cleanup removed data.json from ${ready.length} partitions, skipped ${skipped.length}`);
+        return { confirmed: true, partitions: ready.map(partition => partition.partitionKey), removed: ready.length, skipped };
+    }
+
+    /**
+     * Summarize migration progress from the manifest and the partitions on disk
+     * @returns {Object} Counts per status, with pending partitions not yet migrated
+     */
+    async getStatus() {
+        const manifest = await this.loadManifest();
+        const legacyPartitions = await dataStorage.listLegacyPartitions();
+        const counts = { pending: 0, verified: 0, superseded: 0, failed: 0, cleaned: 0 };
+
+        for (const partition of legacyPartitions) {
+            const entry = manifest.partitions[partition.partitionKey];
+            counts[entry && entry.status !== 'cleaned' ? entry.status : 'pending']++;
+        }
+        counts.cleaned = Object.values(manifest.partitions).filter(entry => entry.status === 'cleaned').length;
+
+        return {
+            legacyPartitions: legacyPartitions.length,
+            ...counts,
+            failures: Object.entries(manifest.partitions)
+                .filter(([, entry]) => entry.status === 'failed')
+                .map(([partition, entry]) => ({ partition, error: entry.error })),
+            updatedAt: manifest.updatedAt
+        };
+    }
+
+    /**
+     * Row count and order-independent checksum of partition records, computed over the
+     * enriched schema so JSON and Parquet copies of the same rows match
+     * @param {Array<Object>} records - Partition records
+     * @returns {Object} { rowCount, checksum }
+     */
+    summarizeRecords(records) {
+        const rows = records
+            .map(record => JSON.stringify(SensorDataModel.createRecord(record), (key, value) => value === undefined ? null : value))
+            .sort();
+        const checksum = crypto.createHash('sha256').update(rows.join('\n')).digest('hex');
+        return { rowCount: rows.length, checksum };
+    }
+
+    /**
+     * Load the migration manifest
+     * @returns {Object} { partitions, updatedAt }
+     */
+    async loadManifest() {
+        const manifestFile = appConfig.paths.STORAGE_MIGRATION_FILE;
+        if (!(await fileSystem.pathExists(manifestFile))) {
+            return { partitions: {}, updatedAt: null };
+        }
+        return JSON.parse(await fileSystem.readFile(manifestFile));
+    }
+
+    /**
+     * Save the migration manifest atomically
+     * @param {Object} manifest - Manifest to save
+     */
+    async saveManifest(manifest) {
+        const manifestFile = appConfig.paths.STORAGE_MIGRATION_FILE;
+        manifest.updatedAt = new Date().toISOString();
+        await fileSystem.ensureDir(path.dirname(manifestFile));
+        await fileSystem.writeFileAtomic(manifestFile, JSON.stringify(manifest, null, 2));
+    }
+}
+
+module.exports = new StorageMigrationService();
@@ -0,0 +1,199 @@
+const { app: appConfig } = require('../config');
+const { statistics, logging } = require('../utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EPISODE_TYPES = ['flatline', 'repeated_value', 'low_variance'];
+
+/**
+ * Stuck Sensor Detection Service
+ * Finds flatline runs, repeated identical values and implausibly low variance per
+ * sensor_id and reading_type, so broken probes do not pass as perfect data.
+ */
+class StuckSensorDetectionService {
+    /**
+     * Detect stuck-sensor episodes and flag the affected records. Flagged records get
+     * stuck_sensor: true, anomalous_reading: true and the episode type in anomaly_reasons;
+     * flags from an earlier detection are replaced. History extends each series, so an
+     * episode that started in stored records is found, but only data records are flagged.
+     * @param {Array<Object>} data - Transformed sensor data, updated in place
+     * @param {Array<Object>} history - Previously stored records for the same series
+     * @returns {Object} { episodes, affectedRecords }
+     */
+    detectStuckSensors(data, history = []) {
+        data.forEach(record => this.clearFlags(record));
+        const batch = new Set(data);
+        const affected = new Set();
+
+        const episodes = this.findEpisodes(data, history).map(episode => {
+            episode.points.forEach(({ record }) => {
+                if (batch.has(record)) {
+                    this.flagRecord(record, episode.type);
+                    affected.add(record);
+                }
+            });
+            return this.describeEpisode(episode);
+        });
+
+        if (episodes.length > 0) {
+            logging.warn(`Stuck sensor detection: ${episodes.length} episodes affecting ${affected.size} records`);
+        }
+
+        return { episodes, affectedRecords: affected.size };
+    }
+
+    /**
+     * List stuck-sensor episodes without flagging any record
+     * @param {Array<Object>} data - Sensor data
+     * @returns {Array<Object>} Episodes in their report shape
+     */
+    listEpisodes(data) {
+        return this.findEpisodes(data).map(episode => this.describeEpisode(episode));
+    }
+
+    /**
+     * Find stuck-sensor episodes per sensor_id and reading_type. Readings are compared as
+     * received (original_value when present); where history and data share a reading
+     * (same series and timestamp), the data record is used.
+     * @param {Array<Object>} data - Sensor data
+     * @param {Array<Object>} history - Previously stored records for the same series
+     * @returns {Array<Object>} Episodes { type, points }
+     */
+    findEpisodes(data, history = []) {
+        const settings = appConfig.stuckSensorDetection;
+        const readingKey = record => `${record.sensor_id}|${record.reading_type}|${Date.parse(record.timestamp)}`;
+        const keys = new Set(data.map(readingKey));
+        const episodes = [];
+
+        const groups = statistics.groupBy(
+            [...history.filter(record => !keys.has(readingKey(record))), ...data]
+                .filter(record => typeof this.readingValue(record) === 'number' && !isNaN(Date.parse(record.timestamp))),
+            record => `${record.sensor_id}|${record.reading_type}`
+        );
+
+        for (const records of Object.values(groups)) {
+            const series = records
+                .map(record => ({ record, time: Date.parse(record.timestamp), value: this.readingValue(record) }))
+                .sort((a, b) => a.time - b.time);
+
+            episodes.push(...this.findRepeatedRuns(series, settings), ...this.findLowVariance(series, settings));
+        }
+
+        return episodes;
+    }
+
+    /**
+     * Find runs of identical consecutive readings classified as flatline or repeated_value
+     * @param {Array<Object>} series - { record, time, value } ordered by time
+     * @param {Object} settings - appConfig.stuckSensorDetection
+     * @returns {Array<Object>} Episodes { type, points }
+     */
+    findRepeatedRuns(series, settings) {
+        const episodes = [];
+        let start = 0;
+
+        for (let i = 1; i <= series.length; i++) {
+            if (i < series.length && series[i].value === series[start].value) {
+                continue;
+            }
+
+            const points = series.slice(start, i);
+            const hours = (points[points.length - 1].time - points[0].time) / HOUR_MS;
+            if (points.length >= settings.flatlineMinReadings && hours >= settings.flatlineMinHours) {
+                episodes.push({ type: 'flatline', points });
+            } else if (points.length >= settings.repeatedValueMinCount) {
+                episodes.push({ type: 'repeated_value', points });
+            }
+            start = i;
+        }
+
+        return episodes;
+    }
+
+    /**
+     * Find windows whose readings vary, but less than a working sensor would
+     * @param {Array<Object>} series - { record, time, value } ordered by time
+     * @param {Object} settings - appConfig.stuckSensorDetection
+     * @returns {Array<Object>} Episodes { type, points }
+     */
+    findLowVariance(series, settings) {
+        const minStdDev = settings.minStdDev[series[0].record.reading_type];
+        if (minStdDev === undefined) {
+            return [];
+        }
+
+        const windowMs = settings.lowVarianceWindowHours * HOUR_MS;
+        const windows = statistics.groupBy(series, point => Math.floor(point.time / windowMs));
+
+        return Object.values(windows)
+            .filter(points => {
+                if (points.length < settings.lowVarianceMinReadings) {
+                    return false;
+                }
+                // Identical readings are left to findRepeatedRuns
+                const values = points.map(point => point.value);
+                return new Set(values).size > 1 && statistics.calculateStandardDeviation(values) < minStdDev;
+            })
+            .map(points => ({ type: 'low_variance', points }));
+    }
+
+    /**
+     * Convert an episode to its report shape
+     * @param {Object} episode - { type, points }
+     * @returns {Object} { sensor_id, reading_type, type, start, end, value, readings }
+     */
+    describeEpisode({ type, points }) {
+        const values = points.map(point => point.value);
+        const { record } = points[0];
+
+        return {
+            sensor_id: record.sensor_id,
+            reading_type: record.reading_type,
+            type,
+            start: new Date(points[0].time).toISOString(),
+            end: new Date(points[points.length - 1].time).toISOString(),
+            value: type === 'low_variance' ? statistics.calculateMean(values) : values[0],
+            std_dev: type === 'low_variance' ? statistics.calculateStandardDeviation(values) : 0,
+            readings: points.length
+        };
+    }
+
+    /**
+     * Mark a record as affected by a stuck-sensor episode
+     * @param {Object} record - Sensor record
+     * @param {string} reason - Episode type
+     */
+    flagRecord(record, reason) {
+        record.stuck_sensor = true;
+        record.anomalous_reading = true;
+        record.anomaly_reasons = record.anomaly_reasons || [];
+        if (!record.anomaly_reasons.includes(reason)) {
+            record.anomaly_reasons.push(reason);
+        }
+    }
+
+    /**
+     * Remove a record's stuck-sensor flags, keeping its other anomaly reasons
+     * @param {Object} record - Sensor record
+     */
+    clearFlags(record) {
+        const reasons = record.anomaly_reasons || [];
+        if (!record.stuck_sensor && !reasons.some(reason => EPISODE_TYPES.includes(reason))) {
+            return;
+        }
+        record.stuck_sensor = false;
+        record.anomaly_reasons = reasons.filter(reason => !EPISODE_TYPES.includes(reason));
+        record.anomalous_reading = record.anomaly_reasons.length > 0;
+    }
+
+    /**
+     * Reading to compare, before any outlier correction
+     * @param {Object} record - Sensor record
+     * @returns {number|null} Reading value
+     */
+    readingValue(record) {
+        const value = typeof record.original_value === 'number' ? record.original_value : record.value;
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+}
+
+module.exports = new StuckSensorDetectionService();
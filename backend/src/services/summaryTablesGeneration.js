@@ -1,7 +1,7 @@
 const path = require('path');
 const { database: dbConfig } = require('../config');
 const { app: appConfig } = require('../config');
-const { fileSystem, logging } = require('../utils');
+const { fileLock, fileSystem, logging } = require('../utils');
 
 /**
  * Summary Tables Generation Service for analytical data storage
@@ -26,23 +26,26 @@ class SummaryTablesService {
 
             logging.logSensor('INFO', 'Generating summary tables...');
 
-            // Generate daily summary
-            await this.generateDailySummary(data);
+            // Files processed concurrently write the same summary files, so one at a time
+            await fileLock.withLocks([this.summaryDir], async () => {
+                // Generate daily summary
+                await this.generateDailySummary(data);
 
-            // Generate sensor summary  
-            await this.generateSensorSummary(data);
+                // Generate sensor summary
+                await this.generateSensorSummary(data);
 
-            // Generate reading type summary
-            await this.generateReadingTypeSummary(data);
+                // Generate reading type summary
+                await this.generateReadingTypeSummary(data);
 
-            // Generate hourly summary
-            await this.generateHourlySummary(data);
+                // Generate hourly summary
+                await this.generateHourlySummary(data);
 
-            // Generate battery level summary
-            await this.generateBatteryLevelSummary(data);
+                // Generate battery level summary
+                await this.generateBatteryLevelSummary(data);
 
-            // Generate anomaly summary
-            await this.generateAnomalySummary(data);
+                // Generate anomaly summary
+                await this.generateAnomalySummary(data);
+            });
 
             logging.info('✓ All summary tables generated successfully');
 
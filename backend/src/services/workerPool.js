@@ -0,0 +1,281 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { app: appConfig, database: dbConfig } = require('../config');
+const { fileLock, logging } = require('../utils');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'pipelineWorker.js');
+const REQUEST_METHODS = ['acquireLocks', 'releaseLocks', 'query', 'closeConnection'];
+
+/**
+ * Worker Pool Service
+ * Runs ETLPipelineService.processFile in worker threads (workers/pipelineWorker.js), so
+ * reading, transforming and validating large files does not block the API's event loop.
+ * Up to pipelineJobs.concurrency workers are started as files arrive; files beyond that
+ * wait for a free worker. Workers send their persistent database queries and file lock
+ * requests here, to the main thread, which owns the database file and the lock table.
+ * Locks and connections a worker still holds when it stops are released, and a stopped
+ * worker is replaced by the next file that needs one.
+ */
+class WorkerPoolService {
+    constructor() {
+        this.workers = []; // { worker, task, locks, connections, exited }
+        this.queue = []; // Tasks waiting for a free worker
+        this.nextTaskId = 0;
+        this.nextLockId = 0;
+    }
+
+    /**
+     * Process a file in a worker thread
+     * @param {string} file - File name in the raw data directory
+     * @param {Object} options - The options of ETLPipelineService.processFile
+     * @returns {Object} The pipeline result, as returned by processFile
+     */
+    processFile(file, options = {}) {
+        const { onStep, onWarning, signal, ...processOptions } = options;
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: ++this.nextTaskId,
+                file,
+                options: processOptions,
+                onStep,
+                onWarning,
+                signal,
+                resolve,
+                reject
+            });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand waiting tasks to idle workers, starting workers up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.workers.find(idle => !idle.task) ||
+                (this.workers.length < this.size() ? this.startWorker() : null);
+            if (!slot) {
+                return;
+            }
+            this.startTask(slot, this.queue.shift());
+        }
+    }
+
+    /**
+     * Number of workers the pool may run
+     * @returns {number} pipelineJobs.concurrency, at least 1
+     */
+    size() {
+        return Math.max(1, appConfig.pipelineJobs.concurrency);
+    }
+
+    /**
+     * Start a worker thread with the current configuration
+     * @returns {Object} The worker's slot
+     */
+    startWorker() {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { config: appConfig } });
+        const slot = { worker, task: null, locks: new Map(), connections: new Map(), exited: false };
+
+        worker.on('message', message => this.handleMessage(slot, message));
+        worker.on('error', error => logging.error(`Pipeline worker failed: ${error.message}`));
+        worker.on('exit', code => this.handleExit(slot, code));
+        worker.unref();
+
+        this.workers.push(slot);
+        logging.info(`Started pipeline worker ${worker.threadId} (${this.workers.length} of ${this.size()})`);
+        return slot;
+    }
+
+    /**
+     * Send a task to a worker and forward its cancellation
+     * @param {Object} slot - Idle worker
+     * @param {Object} task - Task to run
+     */
+    startTask(slot, task) {
+        slot.task = task;
+        // Keep the process alive while the worker has work
+        slot.worker.ref();
+        slot.worker.postMessage({ type: 'process', taskId: task.id, file: task.file, options: task.options });
+
+        if (task.signal) {
+            task.onAbort = () => slot.worker.postMessage({
+                type: 'cancel',
+                taskId: task.id,
+                reason: { message: task.signal.reason.message, code: task.signal.reason.code }
+            });
+            if (task.signal.aborted) {
+                task.onAbort();
+            } else {
+                task.signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+        }
+    }
+
+    /**
+     * Detach a finished task from its worker and pass the worker the next one
+     * @param {Object} slot - Worker that ran the task
+     * @returns {Object} The finished task
+     */
+    finishTask(slot) {
+        const task = slot.task;
+        slot.task = null;
+        slot.worker.unref();
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+
+        this.dispatch();
+        return task;
+    }
+
+    /**
+     * Handle a message from a worker
+     * @param {Object} slot - Sending worker
+     * @param {Object} message - step, warning, result, failed or request
+     */
+    handleMessage(slot, message) {
+        const task = slot.task;
+
+        switch (message.type) {
+            case 'step':
+                if (task && task.onStep) task.onStep(message.step, message.status, message.details);
+                break;
+            case 'warning':
+                if (task && task.onWarning) task.onWarning(message.step, message.message);
+                break;
+            case 'result':
+                this.finishTask(slot).resolve(message.result);
+                break;
+            case 'failed': {
+                const error = new Error(message.error.message);
+                error.code = message.error.code;
+                this.finishTask(slot).reject(error);
+                break;
+            }
+            case 'request':
+                this.handleRequest(slot, message);
+                break;
+            default:
+                logging.warn(`Ignored unknown message type from pipeline worker: ${message.type}`);
+        }
+    }
+
+    /**
+     * Run a request method for a worker and send back its result or error
+     * @param {Object} slot - Requesting worker
+     * @param {Object} request - { id, method, args }
+     */
+    async handleRequest(slot, { id, method, args }) {
+        try {
+            if (!REQUEST_METHODS.includes(method)) {
+                throw new Error(`Unknown pipeline worker request: ${method}`);
+            }
+            const result = await this[method](slot, ...args);
+            slot.worker.postMessage({ type: 'response', id, result });
+        } catch (error) {
+            slot.worker.postMessage({ type: 'response', id, error: { message: error.message, code: error.code } });
+        }
+    }
+
+    /**
+     * Take file locks for a worker. Locks granted after the worker stopped are released
+     * straight away, as nothing would release them otherwise.
+     * @param {Object} slot - Requesting worker
+     * @param {Array<string>} keys - Lock keys, as built by fileLock.acquire
+     * @returns {number} Lock ID to release them with
+     */
+    async acquireLocks(slot, keys) {
+        const release = await fileLock.acquire(keys);
+        if (slot.exited) {
+            await release();
+            throw new Error('Pipeline worker stopped');
+        }
+        const lockId = ++this.nextLockId;
+        slot.locks.set(lockId, release);
+        return lockId;
+    }
+
+    /**
+     * Release file locks a worker took
+     * @param {Object} slot - Requesting worker
+     * @param {number} lockId - ID returned by acquireLocks
+     */
+    async releaseLocks(slot, lockId) {
+        const release = slot.locks.get(lockId);
+        slot.locks.delete(lockId);
+        if (release) {
+            await release();
+        }
+    }
+
+    /**
+     * Run a query on one of a worker's connections to the persistent database, opening it on first use
+     * @param {Object} slot - Requesting worker
+     * @param {number} connectionId - The worker's connection ID
+     * @param {string} sql - SQL statement
+     * @param {Array} params - Query parameters
+     * @returns {Array<Object>} Result rows
+     */
+    async query(slot, connectionId, sql, params) {
+        if (!slot.connections.has(connectionId)) {
+            const { db } = await dbConfig.getPersistentConnection();
+            if (slot.exited) {
+                throw new Error('Pipeline worker stopped');
+            }
+            slot.connections.set(connectionId, dbConfig.getConnection(db));
+        }
+
+        return dbConfig.executeQuery(slot.connections.get(connectionId), sql, params);
+    }
+
+    /**
+     * Close one of a worker's connections
+     * @param {Object} slot - Requesting worker
+     * @param {number} connectionId - The worker's connection ID
+     */
+    async closeConnection(slot, connectionId) {
+        const connection = slot.connections.get(connectionId);
+        slot.connections.delete(connectionId);
+        await dbConfig.closeConnection(connection);
+    }
+
+    /**
+     * Clean up after a worker that stopped: release its locks, close its connections and
+     * fail the file it was processing
+     * @param {Object} slot - Stopped worker
+     * @param {number} code - Exit code
+     */
+    async handleExit(slot, code) {
+        slot.exited = true;
+        this.workers = this.workers.filter(other => other !== slot);
+        if (slot.task) {
+            logging.error(`Pipeline worker ${slot.worker.threadId} stopped with exit code ${code} while processing ${slot.task.file}`);
+            this.finishTask(slot).reject(new Error(`Pipeline worker stopped with exit code ${code}`));
+        }
+
+        for (const release of slot.locks.values()) {
+            await release();
+        }
+        for (const connection of slot.connections.values()) {
+            await dbConfig.closeConnection(connection);
+        }
+        slot.locks.clear();
+        slot.connections.clear();
+
+        this.dispatch();
+    }
+
+    /**
+     * Stop every worker. Files still waiting or in progress fail.
+     */
+    async close() {
+        for (const task of this.queue.splice(0)) {
+            task.reject(new Error('Worker pool closed'));
+        }
+        await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = new WorkerPoolService();
@@ -0,0 +1,81 @@
+const path = require('path');
+
+/**
+ * File lock utilities for coordinating writers of the same files and directories.
+ * Locks are held in the main thread; a worker thread hands its lock requests to the
+ * main thread through a coordinator (see setCoordinator), so files processed in
+ * different threads still take turns on the partitions they share.
+ */
+class FileLockUtils {
+    constructor() {
+        this.tails = new Map(); // Lock key -> promise settling when the last holder or waiter releases it
+        this.coordinator = null;
+    }
+
+    /**
+     * Run work while holding locks on the given paths
+     * @param {Array<string>} paths - Files or directories the work writes
+     * @param {Function} work - Async function to run
+     * @returns {*} Result of the work
+     */
+    async withLocks(paths, work) {
+        const release = await this.acquire(paths);
+        try {
+            return await work();
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Wait for locks on the given paths. Locks are taken one path at a time in sorted
+     * order, so callers locking overlapping sets of paths cannot deadlock.
+     * @param {Array<string>} paths - Files or directories to lock
+     * @returns {Function} Call to release every lock taken
+     */
+    async acquire(paths) {
+        const keys = [...new Set(paths.map(lockPath => path.resolve(lockPath)))].sort();
+
+        if (this.coordinator) {
+            return this.coordinator.acquire(keys);
+        }
+
+        const releases = [];
+        for (const key of keys) {
+            const previous = this.tails.get(key) || Promise.resolve();
+            let release;
+            const held = new Promise(resolve => { release = resolve; });
+            const tail = previous.then(() => held);
+            this.tails.set(key, tail);
+
+            await previous;
+            releases.push(() => {
+                release();
+                if (this.tails.get(key) === tail) {
+                    this.tails.delete(key);
+                }
+            });
+        }
+
+        return async () => releases.forEach(release => release());
+    }
+
+    /**
+     * Whether a path is locked or has callers waiting for it
+     * @param {string} lockPath - File or directory
+     * @returns {boolean} True while the lock is held
+     */
+    isLocked(lockPath) {
+        return this.tails.has(path.resolve(lockPath));
+    }
+
+    /**
+     * Hand lock requests to another thread's lock table instead of this one
+     * @param {Object|null} coordinator - { acquire(keys) } resolving to a release function, or null to lock locally
+     */
+    setCoordinator(coordinator) {
+        this.coordinator = coordinator;
+    }
+}
+
+module.exports = new FileLockUtils();
@@ -33,6 +33,23 @@ class FileSystemUtils {
         await fs.writeFile(filePath, content);
     }
 
+    /**
+     * Write content to file atomically: the content goes to a temporary file in the
+     * same directory, which is then renamed over the target
+     * @param {string} filePath - File path
+     * @param {string} content - Content to write
+     */
+    async writeFileAtomic(filePath, content) {
+        const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+        try {
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.remove(tempPath);
+            throw error;
+        }
+    }
+
     /**
      * Append content to file
      * @param {string} filePath - File path
@@ -3,12 +3,14 @@
  * Exports all utility modules
  */
 
+const fileLockUtils = require('./fileLock');
 const fileSystemUtils = require('./fileSystem');
 const loggingUtils = require('./logging');
 const statisticsUtils = require('./statistics');
 const timestampUtils = require('./timestampUtils');
 
 module.exports = {
+    fileLock: fileLockUtils,
     fileSystem: fileSystemUtils,
     logging: loggingUtils,
     statistics: statisticsUtils,
@@ -74,6 +74,57 @@ class StatisticsUtils {
         return { cleaned, outliers };
     }
 
+    /**
+     * Calculate a quantile with linear interpolation
+     * @param {Array<number>} values - Array of numeric values
+     * @param {number} q - Quantile between 0 and 1
+     * @returns {number} Quantile value
+     */
+    calculateQuantile(values, q) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Calculate the bounds outside which a value is an outlier
+     * - zscore: mean ± threshold * standard deviation
+     * - mad: median ± threshold * MAD / 0.6745 (modified z-score)
+     * - iqr: [Q1 - threshold * IQR, Q3 + threshold * IQR]
+     * A spread of zero (all values equal) yields unbounded limits, so nothing is flagged.
+     * @param {Array<number>} values - Array of numeric values
+     * @param {string} method - 'zscore', 'mad' or 'iqr'
+     * @param {number} threshold - Method threshold or IQR multiplier
+     * @returns {Object} { lower, upper }
+     */
+    calculateOutlierBounds(values, method, threshold) {
+        const unbounded = { lower: -Infinity, upper: Infinity };
+
+        if (method === 'zscore') {
+            const mean = this.calculateMean(values);
+            const stdDev = this.calculateStandardDeviation(values);
+            return stdDev > 0 ? { lower: mean - threshold * stdDev, upper: mean + threshold * stdDev } : unbounded;
+        }
+
+        if (method === 'mad') {
+            const median = this.calculateQuantile(values, 0.5);
+            const mad = this.calculateQuantile(values.map(v => Math.abs(v - median)), 0.5);
+            const spread = threshold * mad / 0.6745;
+            return mad > 0 ? { lower: median - spread, upper: median + spread } : unbounded;
+        }
+
+        if (method === 'iqr') {
+            const q1 = this.calculateQuantile(values, 0.25);
+            const q3 = this.calculateQuantile(values, 0.75);
+            const iqr = q3 - q1;
+            return iqr > 0 ? { lower: q1 - threshold * iqr, upper: q3 + threshold * iqr } : unbounded;
+        }
+
+        throw new Error(`Unknown outlier detection method: ${method}`);
+    }
+
     /**
      * Calculate standard deviation
      * @param {Array<number>} values - Array of numeric values
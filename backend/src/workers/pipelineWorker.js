@@ -0,0 +1,195 @@
+/**
+ * Pipeline Worker
+ * Worker thread entry point of the worker pool (see services/workerPool.js). Runs
+ * ETLPipelineService.processFile for each file the pool sends and reports its steps,
+ * warnings and result back. Persistent database queries and file locks are forwarded to
+ * the main thread, which owns the database file and the lock table.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { app: appConfig, database: dbConfig } = require('../config');
+
+// Run with the main thread's configuration, applied before the services read it
+Object.assign(appConfig, workerData.config);
+
+const { fileLock, logging } = require('../utils');
+const ETLPipelineService = require('../services/etlPipeline');
+
+/**
+ * Connection to the persistent database whose queries run in the main thread
+ */
+class RemoteConnection {
+    constructor(worker, id) {
+        this.worker = worker;
+        this.id = id;
+    }
+
+    /**
+     * Run a query and pass its rows to the callback, like duckdb's Connection.all
+     * @param {string} sql - SQL statement
+     * @param {...*} args - Parameters, as an array or one by one, then the callback
+     */
+    all(sql, ...args) {
+        const callback = args.pop();
+        const params = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+
+        this.worker.request('query', this.id, sql, params)
+            .then(rows => callback(null, rows), error => callback(error));
+    }
+
+    /**
+     * Run a statement without returning rows, like duckdb's Connection.run
+     * @param {string} sql - SQL statement
+     * @param {...*} args - Parameters, as an array or one by one, then the callback
+     */
+    run(sql, ...args) {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+        this.all(sql, ...args, error => callback(error || null));
+    }
+
+    /**
+     * Close the main thread's connection
+     * @param {Function} callback - Called once closed
+     */
+    close(callback = () => {}) {
+        this.worker.request('closeConnection', this.id)
+            .then(() => callback(null), error => callback(error));
+    }
+}
+
+/**
+ * Stand-in for the persistent database whose connections run in the main thread
+ */
+class RemoteDatabase {
+    constructor(worker) {
+        this.worker = worker;
+        this.nextConnectionId = 0;
+    }
+
+    /**
+     * Open a connection
+     * @returns {RemoteConnection} Connection whose queries run in the main thread
+     */
+    connect() {
+        return new RemoteConnection(this.worker, ++this.nextConnectionId);
+    }
+
+    /**
+     * Nothing to release: the main thread owns the database
+     * @param {Function} callback - Called straight away
+     */
+    close(callback = () => {}) {
+        callback(null);
+    }
+}
+
+/**
+ * Runs the files the pool sends, one at a time
+ */
+class PipelineWorker {
+    constructor() {
+        this.etlPipeline = new ETLPipelineService();
+        this.requests = new Map(); // Request ID -> { resolve, reject } awaiting the main thread
+        this.nextRequestId = 0;
+        this.cancellations = new Map(); // Task ID -> AbortController of the file being processed
+    }
+
+    /**
+     * Route database access and file locks to the main thread and start taking files
+     */
+    start() {
+        dbConfig.usePersistentDatabase(new RemoteDatabase(this));
+        fileLock.setCoordinator({
+            acquire: async keys => {
+                const lockId = await this.request('acquireLocks', keys);
+                return () => this.request('releaseLocks', lockId);
+            }
+        });
+
+        parentPort.on('message', message => this.handleMessage(message));
+    }
+
+    /**
+     * Handle a message from the pool
+     * @param {Object} message - process, cancel or response
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'process':
+                this.processFile(message);
+                break;
+            case 'cancel': {
+                const cancellation = this.cancellations.get(message.taskId);
+                if (cancellation) {
+                    cancellation.abort(this.toError(message.reason));
+                }
+                break;
+            }
+            case 'response': {
+                const pending = this.requests.get(message.id);
+                this.requests.delete(message.id);
+                if (!pending) break;
+                if (message.error) {
+                    pending.reject(this.toError(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+            default:
+                logging.warn(`Pipeline worker ignored unknown message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * Run the pipeline for a file, reporting steps and warnings as they happen
+     * @param {Object} task - { taskId, file, options }
+     */
+    async processFile({ taskId, file, options }) {
+        const cancellation = new AbortController();
+        this.cancellations.set(taskId, cancellation);
+
+        try {
+            const result = await this.etlPipeline.processFile(file, {
+                ...options,
+                signal: cancellation.signal,
+                onStep: (step, status, details) => parentPort.postMessage({ type: 'step', taskId, step, status, details }),
+                onWarning: (step, message) => parentPort.postMessage({ type: 'warning', taskId, step, message })
+            });
+            parentPort.postMessage({ type: 'result', taskId, result });
+        } catch (error) {
+            parentPort.postMessage({ type: 'failed', taskId, error: { message: error.message, code: error.code } });
+        } finally {
+            this.cancellations.delete(taskId);
+        }
+    }
+
+    /**
+     * Ask the main thread to run one of the pool's request methods for this worker
+     * @param {string} method - acquireLocks, releaseLocks, query or closeConnection
+     * @param {...*} args - Method arguments
+     * @returns {Promise<*>} The method's result
+     */
+    request(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextRequestId;
+            this.requests.set(id, { resolve, reject });
+            parentPort.postMessage({ type: 'request', id, method, args });
+        });
+    }
+
+    /**
+     * Rebuild an error sent between threads
+     * @param {Object} details - { message, code }
+     * @returns {Error} Error with the same message and code
+     */
+    toError({ message, code }) {
+        const error = new Error(message);
+        if (code) {
+            error.code = code;
+        }
+        return error;
+    }
+}
+
+new PipelineWorker().start();
@@ -0,0 +1,23 @@
+/**
+ * SQL Query Worker
+ * Child process entry point of SqlQueryService.execute. Runs one query in the sandbox
+ * and sends back its result or error. DuckDB's node binding cannot stop a running query
+ * (Database.interrupt does nothing), so queries run here, in a process the service kills
+ * once the query exceeds sqlQuery.timeoutMs.
+ */
+
+const { app: appConfig } = require('../config');
+
+process.once('message', async ({ config, statement, rowLimit }) => {
+    // Run with the parent's configuration, applied before the services read it
+    Object.assign(appConfig, config);
+    const sqlQuery = require('../services/sqlQuery');
+
+    let message;
+    try {
+        message = { result: await sqlQuery.runQuery(statement, rowLimit) };
+    } catch (error) {
+        message = { error: { message: error.message, code: error.code } };
+    }
+    process.send(message, () => process.disconnect());
+});
@@ -141,6 +141,29 @@ describe('Anomaly Detection Algorithms', () => {
         });
     });
 
+    describe('Outlier Bounds', () => {
+        const values = [10, 12, 11, 13, 12, 11, 50];
+
+        test('should calculate bounds for each detection method', () => {
+            const zscore = StatisticsUtils.calculateOutlierBounds(values, 'zscore', 2);
+            const mad = StatisticsUtils.calculateOutlierBounds(values, 'mad', 3.5);
+            const iqr = StatisticsUtils.calculateOutlierBounds(values, 'iqr', 1.5);
+
+            expect(mad.lower).toBeCloseTo(12 - 3.5 / 0.6745, 5);
+            expect(mad.upper).toBeCloseTo(12 + 3.5 / 0.6745, 5);
+            expect(iqr).toEqual({ lower: 11 - 1.5 * 1.5, upper: 12.5 + 1.5 * 1.5 });
+            [zscore, mad, iqr].forEach(bounds => expect(bounds.upper).toBeLessThan(50));
+        });
+
+        test('should return unbounded limits when values have no spread', () => {
+            expect(StatisticsUtils.calculateOutlierBounds([5, 5, 5, 5], 'mad', 3.5)).toEqual({ lower: -Infinity, upper: Infinity });
+        });
+
+        test('should reject unknown methods', () => {
+            expect(() => StatisticsUtils.calculateOutlierBounds(values, 'grubbs', 1)).toThrow('Unknown outlier detection method');
+        });
+    });
+
     describe('Outlier Detection - Positive Cases', () => {
         test('should detect outliers in sensor data correctly', () => {
             const testData = TestDataFactory.generateDataWithOutliers(100, 10);
@@ -0,0 +1,160 @@
+/**
+ * Calibration Registry Unit Tests
+ * Testing of time-versioned calibration entries and retroactive recalibration
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const CalibrationRegistry = require('../../src/services/calibrationRegistry');
+const DataTransformationService = require('../../src/services/dataTransformation');
+const DataStorageService = require('../../src/services/dataStorage');
+
+describe('CalibrationRegistryService', () => {
+    const originalDatabaseFile = appConfig.paths.DATABASE_FILE;
+    const originalProcessedDir = appConfig.paths.PROCESSED_DIR;
+    let tempDir;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'calibrations-'));
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+    });
+
+    afterAll(async () => {
+        await dbConfig.closePersistentConnection();
+        appConfig.paths.DATABASE_FILE = originalDatabaseFile;
+        appConfig.paths.PROCESSED_DIR = originalProcessedDir;
+        await fs.remove(tempDir);
+    });
+
+    describe('validateCalibration', () => {
+        test('should normalize timestamps and reject an empty period', () => {
+            const valid = CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_1',
+                reading_type: 'Temperature',
+                multiplier: '1.1',
+                effective_from: '2025-06-01'
+            });
+            const invalid = CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_1',
+                reading_type: 'temperature',
+                effective_from: '2025-06-05T00:00:00Z',
+                effective_to: '2025-06-01T00:00:00Z'
+            });
+
+            expect(valid.errors).toEqual([]);
+            expect(valid.calibration).toMatchObject({
+                reading_type: 'temperature',
+                multiplier: 1.1,
+                offset: 0,
+                effective_from: '2025-06-01T00:00:00.000Z',
+                effective_to: null
+            });
+            expect(invalid.errors).toContain('effective_to must be after effective_from');
+        });
+    });
+
+    describe('registry entries', () => {
+        test('should store entries and detect overlapping periods', async () => {
+            const { calibration } = CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_2',
+                reading_type: 'humidity',
+                multiplier: 1.2,
+                offset: -1,
+                effective_from: '2025-06-01T00:00:00Z',
+                effective_to: '2025-06-10T00:00:00Z'
+            });
+            const created = await CalibrationRegistry.createCalibration(calibration);
+
+            const overlapping = CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_2', reading_type: 'humidity', effective_from: '2025-06-09T00:00:00Z'
+            }).calibration;
+            const adjacent = CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_2', reading_type: 'humidity', effective_from: '2025-06-10T00:00:00Z'
+            }).calibration;
+
+            expect(created).toMatchObject({ multiplier: 1.2, offset: -1, effective_to: '2025-06-10T00:00:00.000Z' });
+            expect((await CalibrationRegistry.findOverlappingCalibration(overlapping)).id).toBe(created.id);
+            expect(await CalibrationRegistry.findOverlappingCalibration(adjacent)).toBeNull();
+            expect(await CalibrationRegistry.findOverlappingCalibration(calibration, created.id)).toBeNull();
+        });
+    });
+
+    describe('transformData with registry', () => {
+        test('should apply the entry effective at each reading timestamp', async () => {
+            const calibrations = [{
+                id: 'cal-1',
+                sensor_id: 'sensor_3',
+                reading_type: 'temperature',
+                multiplier: 2,
+                offset: 1,
+                effective_from: '2025-06-02T00:00:00.000Z',
+                effective_to: null
+            }];
+
+            const result = await DataTransformationService.transformData([
+                { sensor_id: 'sensor_3', timestamp: '2025-06-01T12:00:00Z', reading_type: 'temperature', value: 10, battery_level: 90 },
+                { sensor_id: 'sensor_3', timestamp: '2025-06-02T12:00:00Z', reading_type: 'temperature', value: 10, battery_level: 90 }
+            ], { calibrations });
+
+            const [before, after] = result.transformedData;
+            expect(before.calibration_source).not.toBe('registry');
+            expect(before.calibration_id).toBeNull();
+            expect(after).toMatchObject({ calibrated_value: 21, calibration_source: 'registry', calibration_id: 'cal-1' });
+        });
+    });
+
+    describe('recalibrate', () => {
+        test('should rewrite calibrated_value only for records in the period', async () => {
+            const partitionDir = path.join(appConfig.paths.PROCESSED_DIR, 'date=2025-07-01', 'sensor_id=sensor_4');
+            const { transformedData } = await DataTransformationService.transformData([
+                { sensor_id: 'sensor_4', timestamp: '2025-07-01T06:00:00Z', reading_type: 'temperature', value: 20, battery_level: 90 },
+                { sensor_id: 'sensor_4', timestamp: '2025-07-01T18:00:00Z', reading_type: 'temperature', value: 20, battery_level: 90 },
+                { sensor_id: 'sensor_4', timestamp: '2025-07-01T18:00:00Z', reading_type: 'humidity', value: 50, battery_level: 90 }
+            ]);
+            await DataStorageService.writePartitionFile(partitionDir, transformedData);
+
+            const created = await CalibrationRegistry.createCalibration(CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_4', reading_type: 'temperature', multiplier: 1, offset: 5, effective_from: '2025-07-01T12:00:00Z'
+            }).calibration);
+
+            const result = await CalibrationRegistry.recalibrate({
+                sensor_id: 'sensor_4', reading_type: 'temperature', from: created.effective_from, to: null
+            });
+            const stored = await DataStorageService.readPartitionFile(path.join(partitionDir, 'data.parquet'));
+
+            expect(result).toEqual({ partitionsRewritten: 1, recordsUpdated: 1 });
+            expect(stored.find(record => record.timestamp.startsWith('2025-07-01T18') && record.reading_type === 'temperature'))
+                .toMatchObject({ value: 20, calibrated_value: 25, calibration_id: created.id });
+            expect(stored.find(record => record.timestamp.startsWith('2025-07-01T06')).calibration_id).toBeNull();
+            expect(stored.find(record => record.reading_type === 'humidity').calibration_id).toBeNull();
+        });
+
+        test('should recompute the anomaly flags of recalibrated records', async () => {
+            const partitionDir = path.join(appConfig.paths.PROCESSED_DIR, 'date=2025-07-02', 'sensor_id=sensor_5');
+            const { transformedData } = await DataTransformationService.transformData([
+                { sensor_id: 'sensor_5', timestamp: '2025-07-02T10:00:00Z', reading_type: 'temperature', value: 40, battery_level: 90 },
+                { sensor_id: 'sensor_5', timestamp: '2025-07-02T10:05:00Z', reading_type: 'temperature', value: 70, battery_level: 90 }
+            ]);
+            expect(transformedData[1].anomaly_reasons.sort()).toEqual(['above_range', 'rate_of_change']);
+            await DataStorageService.writePartitionFile(partitionDir, transformedData);
+
+            const created = await CalibrationRegistry.createCalibration(CalibrationRegistry.validateCalibration({
+                sensor_id: 'sensor_5', reading_type: 'temperature', multiplier: 1, offset: -20, effective_from: '2025-07-02T10:05:00Z'
+            }).calibration);
+
+            const result = await CalibrationRegistry.recalibrate({
+                sensor_id: 'sensor_5', reading_type: 'temperature', from: created.effective_from, to: null
+            });
+            const stored = await DataStorageService.readPartitionFile(path.join(partitionDir, 'data.parquet'));
+
+            expect(result).toEqual({ partitionsRewritten: 1, recordsUpdated: 1 });
+            expect(stored.find(record => record.timestamp.startsWith('2025-07-02T10:05')))
+                .toMatchObject({ calibrated_value: 50, anomalous_reading: false, anomaly_reasons: [] });
+            expect(stored.find(record => record.timestamp.startsWith('2025-07-02T10:00')))
+                .toMatchObject({ calibrated_value: 40, anomalous_reading: false });
+        });
+    });
+});
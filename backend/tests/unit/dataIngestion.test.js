@@ -0,0 +1,344 @@
+/**
+ * Data Ingestion Service Unit Tests
+ * Testing of Parquet, CSV and JSON reading, schema validation and timestamp mapping
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const DataIngestionService = require('../../src/services/dataIngestion');
+
+const SAMPLE_FILE = path.join(__dirname, '../../../SampleDataFiles/agricultural_drought_stress_scenario.parquet');
+
+describe('DataIngestionService', () => {
+    describe('buildTimestampExpression', () => {
+        test('should format native timestamp columns as ISO strings', () => {
+            ['TIMESTAMP_NS', 'TIMESTAMP', 'TIMESTAMP_MS', 'DATE'].forEach(type => {
+                const expression = DataIngestionService.buildTimestampExpression('"timestamp"', type);
+
+                expect(expression).toContain('CAST("timestamp" AS TIMESTAMP)');
+                expect(expression).toContain('%Y-%m-%dT%H:%M:%S.%gZ');
+            });
+        });
+
+        test('should convert timezone-aware timestamps to UTC', () => {
+            const expression = DataIngestionService.buildTimestampExpression('"timestamp"', 'TIMESTAMP WITH TIME ZONE');
+
+            expect(expression).toContain("timezone('UTC', \"timestamp\")");
+        });
+
+        test('should treat numeric columns as epoch values', () => {
+            const expression = DataIngestionService.buildTimestampExpression('"timestamp"', 'DOUBLE');
+
+            expect(expression).toContain('make_timestamp');
+            expect(expression).toContain('isnan');
+        });
+
+        test('should pass string columns through for later normalization', () => {
+            const expression = DataIngestionService.buildTimestampExpression('"timestamp"', 'VARCHAR');
+
+            expect(expression).toContain('ELSE CAST("timestamp" AS VARCHAR)');
+            expect(expression).toContain('make_timestamp');
+        });
+
+        test('should unwrap JSON columns before converting them', () => {
+            const expression = DataIngestionService.buildTimestampExpression('"timestamp"', 'JSON');
+
+            expect(expression).toContain("json_extract_string(\"timestamp\", '$')");
+        });
+    });
+
+    describe('buildRecordProjection', () => {
+        test('should project every canonical column', () => {
+            const projection = DataIngestionService.buildRecordProjection([
+                { column_name: 'sensor_id', column_type: 'VARCHAR' },
+                { column_name: 'timestamp', column_type: 'TIMESTAMP_NS' },
+                { column_name: 'reading_type', column_type: 'VARCHAR' },
+                { column_name: 'value', column_type: 'DOUBLE' },
+                { column_name: 'battery_level', column_type: 'DOUBLE' }
+            ]);
+
+            ['sensor_id', 'timestamp', 'reading_type', 'value', 'battery_level'].forEach(column => {
+                expect(projection).toContain(`AS ${column}`);
+            });
+            expect(projection).not.toContain('NULL AS');
+        });
+
+        test('should select NULL for columns missing from the file', () => {
+            const projection = DataIngestionService.buildRecordProjection([
+                { column_name: 'sensor_id', column_type: 'VARCHAR' },
+                { column_name: 'timestamp', column_type: 'TIMESTAMP' },
+                { column_name: 'reading_type', column_type: 'VARCHAR' },
+                { column_name: 'value', column_type: 'DOUBLE' }
+            ]);
+
+            expect(projection).toContain('NULL AS battery_level');
+        });
+    });
+
+    describe('detectFileFormat', () => {
+        test('should map supported extensions to input formats', () => {
+            expect(DataIngestionService.detectFileFormat('readings.parquet')).toBe('parquet');
+            expect(DataIngestionService.detectFileFormat('readings.CSV')).toBe('csv');
+            expect(DataIngestionService.detectFileFormat('readings.json')).toBe('json');
+            expect(DataIngestionService.detectFileFormat('readings.ndjson')).toBe('json');
+            expect(DataIngestionService.detectFileFormat('readings.jsonl')).toBe('json');
+        });
+
+        test('should default to Parquet for unknown extensions', () => {
+            expect(DataIngestionService.detectFileFormat('upload-without-extension')).toBe('parquet');
+        });
+    });
+
+    describe('compareSchema', () => {
+        const canonicalSchema = [
+            { column_name: 'sensor_id', column_type: 'VARCHAR' },
+            { column_name: 'timestamp', column_type: 'TIMESTAMP_NS' },
+            { column_name: 'reading_type', column_type: 'VARCHAR' },
+            { column_name: 'value', column_type: 'DOUBLE' },
+            { column_name: 'battery_level', column_type: 'DOUBLE' }
+        ];
+
+        test('should accept a schema that matches exactly', () => {
+            const comparison = DataIngestionService.compareSchema(canonicalSchema);
+
+            expect(comparison.errors).toHaveLength(0);
+            expect(comparison.warnings).toHaveLength(0);
+            expect(comparison.columns.every(col => col.status === 'ok')).toBe(true);
+        });
+
+        test('should report missing columns as errors', () => {
+            const schema = canonicalSchema.filter(col => col.column_name !== 'reading_type');
+
+            const comparison = DataIngestionService.compareSchema(schema);
+
+            expect(comparison.errors).toHaveLength(1);
+            expect(comparison.columns).toContainEqual(expect.objectContaining({
+                column: 'reading_type',
+                status: 'missing',
+                expectedType: 'UTF8'
+            }));
+        });
+
+        test('should report extra columns as warnings', () => {
+            const schema = [...canonicalSchema, { column_name: 'location', column_type: 'VARCHAR' }];
+
+            const comparison = DataIngestionService.compareSchema(schema);
+
+            expect(comparison.errors).toHaveLength(0);
+            expect(comparison.columns).toContainEqual(expect.objectContaining({ column: 'location', status: 'extra' }));
+        });
+
+        test('should distinguish coercible from incompatible types', () => {
+            const schema = canonicalSchema.map(col => {
+                if (col.column_name === 'timestamp') return { ...col, column_type: 'DOUBLE' };
+                if (col.column_name === 'value') return { ...col, column_type: 'DECIMAL(10,2)' };
+                if (col.column_name === 'battery_level') return { ...col, column_type: 'BOOLEAN' };
+                return col;
+            });
+
+            const comparison = DataIngestionService.compareSchema(schema);
+            const byColumn = Object.fromEntries(comparison.columns.map(col => [col.column, col.status]));
+
+            expect(byColumn.timestamp).toBe('coercible');
+            expect(byColumn.value).toBe('coercible');
+            expect(byColumn.battery_level).toBe('incompatible');
+            expect(comparison.errors).toHaveLength(1);
+        });
+    });
+
+    describe('validateSchemaWithDuckDB', () => {
+        test('should validate a sample scenario file and count its rows', async () => {
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(SAMPLE_FILE);
+            const records = await DataIngestionService.readParquetFile(SAMPLE_FILE);
+
+            expect(validation.isValid).toBe(true);
+            expect(validation.recordCount).toBe(records.length);
+            expect(validation.missingColumns).toHaveLength(0);
+        });
+
+        test('should reject a file that is not Parquet', async () => {
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(__filename);
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors.length).toBeGreaterThan(0);
+        });
+
+        test('should reject an empty file path', async () => {
+            const validation = await DataIngestionService.validateSchemaWithDuckDB('');
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('readParquetFile', () => {
+        test('should read every row of a sample scenario file', async () => {
+            const records = await DataIngestionService.readParquetFile(SAMPLE_FILE);
+
+            expect(records.length).toBeGreaterThan(100);
+            records.forEach(record => {
+                expect(record).toHaveProperty('sensor_id');
+                expect(record).toHaveProperty('reading_type');
+                expect(record).toHaveProperty('value');
+                expect(record).toHaveProperty('battery_level');
+            });
+            expect(records[0].timestamp).toBeValidISO8601();
+        });
+
+        test('should read the file in batches of the requested size', async () => {
+            const batchSizes = [];
+            for await (const batch of DataIngestionService.readFileBatches(SAMPLE_FILE, { batchSize: 250 })) {
+                batchSizes.push(batch.length);
+            }
+
+            const total = batchSizes.reduce((sum, size) => sum + size, 0);
+            expect(batchSizes.slice(0, -1).every(size => size === 250)).toBe(true);
+            expect(total).toBe((await DataIngestionService.readParquetFile(SAMPLE_FILE)).length);
+        });
+
+        test('should reject a missing file rather than return no records', async () => {
+            await expect(DataIngestionService.readParquetFile('/path/to/nonexistent/file.parquet')).rejects.toThrow();
+        });
+    });
+
+    describe('CSV and JSON ingestion', () => {
+        let tempDir;
+
+        beforeAll(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingestion-'));
+        });
+
+        afterAll(async () => {
+            await fs.remove(tempDir);
+        });
+
+        const writeTempFile = async (name, content) => {
+            const filepath = path.join(tempDir, name);
+            await fs.writeFile(filepath, content);
+            return filepath;
+        };
+
+        test('should sniff a semicolon-delimited CSV with decimal commas', async () => {
+            const filepath = await writeTempFile('readings.csv', [
+                'sensor_id;timestamp;reading_type;value;battery_level',
+                'sensor_1;2025-06-05T10:00:00Z;temperature;23,5;87,2',
+                'sensor_2;2025-06-05T10:05:00Z;humidity;61,0;90,1'
+            ].join('\n'));
+
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(filepath);
+            const records = await DataIngestionService.readFile(filepath);
+
+            expect(validation.isValid).toBe(true);
+            expect(validation.format).toBe('csv');
+            expect(validation.dialect).toEqual({ delimiter: ';', hasHeader: true });
+            expect(validation.recordCount).toBe(2);
+            expect(records).toHaveLength(2);
+            expect(records[0]).toMatchObject({ sensor_id: 'sensor_1', reading_type: 'temperature', value: 23.5, battery_level: 87.2 });
+        });
+
+        test('should reject a CSV that is missing required columns', async () => {
+            const filepath = await writeTempFile('partial.csv', [
+                'sensor_id,timestamp,value',
+                'sensor_1,2025-06-05T10:00:00Z,23.5'
+            ].join('\n'));
+
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(filepath);
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.missingColumns).toEqual(expect.arrayContaining(['reading_type', 'battery_level']));
+        });
+
+        test('should read a JSON array file', async () => {
+            const filepath = await writeTempFile('readings.json', JSON.stringify([
+                { sensor_id: 'sensor_1', timestamp: 1749117600000, reading_type: 'temperature', value: 23.5, battery_level: 87 },
+                { sensor_id: 'sensor_1', timestamp: 1749117900000, reading_type: 'temperature', value: 24.1, battery_level: 86 }
+            ]));
+
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(filepath);
+            const records = await DataIngestionService.readFile(filepath);
+
+            expect(validation.isValid).toBe(true);
+            expect(records).toHaveLength(2);
+            expect(records[0].timestamp).toBe('2025-06-05T10:00:00.000Z');
+            expect(records[1].value).toBe(24.1);
+        });
+
+        test('should read newline-delimited JSON in batches', async () => {
+            const lines = Array.from({ length: 5 }, (_, i) => JSON.stringify({
+                sensor_id: `sensor_${i}`,
+                timestamp: `2025-06-05T10:0${i}:00Z`,
+                reading_type: 'soil_moisture',
+                value: 40 + i,
+                battery_level: 90
+            }));
+            const filepath = await writeTempFile('readings.ndjson', lines.join('\n'));
+
+            const batchSizes = [];
+            for await (const batch of DataIngestionService.readFileBatches(filepath, { batchSize: 2 })) {
+                batchSizes.push(batch.length);
+            }
+            const records = await DataIngestionService.readFile(filepath);
+
+            expect(batchSizes).toEqual([2, 2, 1]);
+            expect(records.map(record => record.sensor_id)).toEqual(['sensor_0', 'sensor_1', 'sensor_2', 'sensor_3', 'sensor_4']);
+        });
+    });
+
+    describe('mapping profiles', () => {
+        let tempDir;
+
+        beforeAll(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mapping-'));
+        });
+
+        afterAll(async () => {
+            await fs.remove(tempDir);
+        });
+
+        test('should detect the profile whose source columns are all in the header', () => {
+            expect(DataIngestionService.detectMappingProfile(['device', 'ts', 'metric', 'reading', 'batt_pct']).name).toBe('device_metric');
+            expect(DataIngestionService.detectMappingProfile(['sensor_id', 'timestamp', 'reading_type', 'value', 'battery_level']).name).toBe('canonical');
+            expect(DataIngestionService.detectMappingProfile(['device', 'ts', 'reading'])).toBeNull();
+        });
+
+        test('should rename vendor columns and alias reading types for a detected profile', async () => {
+            const filepath = path.join(tempDir, 'gateway.csv');
+            await fs.writeFile(filepath, [
+                'device,ts,metric,reading,batt_pct',
+                'gw-7,2025-06-05T10:00:00Z,TEMP,21.5,80',
+                'gw-7,2025-06-05T10:00:00Z,rh,55,80'
+            ].join('\n'));
+
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(filepath);
+            const records = await DataIngestionService.readFile(filepath);
+
+            expect(validation.isValid).toBe(true);
+            expect(validation.mappingProfile).toBe('device_metric');
+            expect(records.map(record => record.reading_type)).toEqual(['temperature', 'humidity']);
+            expect(records[0]).toMatchObject({ sensor_id: 'gw-7', value: 21.5, battery_level: 80 });
+        });
+
+        test('should convert epoch seconds and units for an explicit profile', async () => {
+            const filepath = path.join(tempDir, 'station.json');
+            await fs.writeFile(filepath, JSON.stringify([
+                { station_id: 'ws-1', epoch: 1749117600, parameter: 'air_temp', measurement: 212, battery: 0.5 }
+            ]));
+
+            const records = await DataIngestionService.readFile(filepath, { mappingProfile: 'station_imperial' });
+
+            expect(records).toHaveLength(1);
+            expect(records[0].timestamp).toBe('2025-06-05T10:00:00.000Z');
+            expect(records[0].reading_type).toBe('temperature');
+            expect(records[0].value).toBeCloseTo(100);
+            expect(records[0].battery_level).toBeCloseTo(50);
+        });
+
+        test('should reject an unknown profile name', async () => {
+            const validation = await DataIngestionService.validateSchemaWithDuckDB(SAMPLE_FILE, { mappingProfile: 'unknown_vendor' });
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors[0]).toContain("Unknown mapping profile 'unknown_vendor'");
+        });
+    });
+});
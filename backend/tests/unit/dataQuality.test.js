@@ -367,6 +367,19 @@ describe('DataQualityService', () => {
             expect(parseFloat(report.details.anomalous_readings.percentage)).toBeCloseTo(20, 1); // 30/150 = 20%
         });
 
+        test('should count anomalous readings per reason', async () => {
+            const testData = TestDataFactory.generateValidSensorData(10);
+            testData[0].anomaly_reasons = ['above_range'];
+            testData[1].anomaly_reasons = ['above_range', 'rate_of_change'];
+            testData[2].anomaly_reasons = ['below_range'];
+
+            const report = await DataQualityService.generateDataQualityReport(testData);
+            const expected = { above_range: 2, rate_of_change: 1, below_range: 1 };
+
+            expect(report.summary.anomalyReasons).toEqual(expected);
+            expect(report.details.anomalous_readings.by_reason).toEqual(expected);
+        });
+
         test('should provide accurate outlier correction statistics', async () => {
             const testData = TestDataFactory.generateValidSensorData(100);
 
@@ -0,0 +1,348 @@
+/**
+ * Data Storage Service Unit Tests
+ * Testing of partition upserts into partitioned Parquet storage and the sensor_data serving table
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const DataStorageService = require('../../src/services/dataStorage');
+const fileLock = require('../../src/utils/fileLock');
+
+describe('DataStorageService', () => {
+    const originalProcessedDir = appConfig.paths.PROCESSED_DIR;
+    const originalDatabaseFile = appConfig.paths.DATABASE_FILE;
+    const originalCompression = appConfig.processing.compressionType;
+    let tempDir;
+    let partitionFile;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'data-storage-'));
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+        partitionFile = path.join(appConfig.paths.PROCESSED_DIR, 'date=2023-06-01', 'sensor_id=sensor_001', 'data.parquet');
+    });
+
+    afterEach(async () => {
+        await dbConfig.closePersistentConnection();
+        appConfig.paths.PROCESSED_DIR = originalProcessedDir;
+        appConfig.paths.DATABASE_FILE = originalDatabaseFile;
+        appConfig.processing.compressionType = originalCompression;
+        await fs.remove(tempDir);
+    });
+
+    const reading = (hour, value, processed = new Date().toISOString()) => ({
+        sensor_id: 'sensor_001',
+        timestamp: new Date(Date.UTC(2023, 5, 1, hour)).toISOString(),
+        reading_type: 'temperature',
+        value,
+        processed_timestamp: processed
+    });
+
+    describe('storeDataAsParquet', () => {
+        test('should accumulate records from files covering the same partition', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20), reading(11, 21)]);
+            const result = await DataStorageService.storeDataAsParquet([reading(12, 22)]);
+
+            const stored = await DataStorageService.readPartitionFile(partitionFile);
+            expect(stored.map(record => record.value)).toEqual([20, 21, 22]);
+            expect(result).toMatchObject({ partitionsCreated: 0, partitionsUpdated: 1, recordsInserted: 1 });
+        });
+
+        test('should leave partitions untouched when the same file is reprocessed', async () => {
+            const first = await DataStorageService.storeDataAsParquet([reading(10, 20, '2023-06-02T00:00:00.000Z')]);
+            const { mtimeMs } = await fs.stat(partitionFile);
+
+            const again = await DataStorageService.storeDataAsParquet([reading(10, 20, '2023-06-03T00:00:00.000Z')]);
+
+            expect(first).toMatchObject({ partitionsCreated: 1, recordsInserted: 1 });
+            expect(again).toMatchObject({ partitionsCreated: 0, partitionsUpdated: 0, recordsUnchanged: 1 });
+            expect((await fs.stat(partitionFile)).mtimeMs).toBe(mtimeMs);
+            expect((await DataStorageService.readPartitionFile(partitionFile))[0].processed_timestamp).toBe('2023-06-02T00:00:00.000Z');
+        });
+
+        test('should replace a stored record with a changed reading for the same key', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20), reading(11, 21)]);
+            const result = await DataStorageService.storeDataAsParquet([reading(10, 25)]);
+
+            const stored = await DataStorageService.readPartitionFile(partitionFile);
+            expect(stored.map(record => record.value)).toEqual([25, 21]);
+            expect(result.recordsUpdated).toBe(1);
+        });
+
+        test('should fail once every other partition is written when one cannot be', async () => {
+            const upsertPartition = DataStorageService.upsertPartition;
+            const upsert = jest.spyOn(DataStorageService, 'upsertPartition').mockImplementation(function (partitionPath, records) {
+                return partitionPath.includes('date=2023-06-02') ?
+                    Promise.reject(new Error('disk full')) :
+                    upsertPartition.call(this, partitionPath, records);
+            });
+            const nextDay = { ...reading(10, 25), timestamp: '2023-06-02T10:00:00.000Z' };
+
+            try {
+                await expect(DataStorageService.storeDataAsParquet([reading(10, 20), nextDay]))
+                    .rejects.toThrow('Failed to write 1 of 2 partitions: date=2023-06-02/sensor_id=sensor_001: disk full');
+            } finally {
+                upsert.mockRestore();
+            }
+            expect(await DataStorageService.readPartitionFile(partitionFile)).toHaveLength(1);
+        });
+
+        test('should not leave temporary files behind', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20)]);
+            await DataStorageService.storeDataAsParquet([reading(11, 21)]);
+
+            expect(await fs.readdir(path.dirname(partitionFile))).toEqual(['data.parquet']);
+        });
+    });
+
+    describe('partition locks', () => {
+        test('should not rewrite stored records while a file being stored holds the partition', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20)]);
+            const release = await fileLock.acquire([path.dirname(partitionFile)]);
+
+            const update = DataStorageService.updateStoredRecords({}, records => {
+                records.forEach(record => { record.value = 30; });
+                return records.length;
+            });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect((await DataStorageService.readPartitionFile(partitionFile))[0].value).toBe(20);
+
+            await release();
+            await expect(update).resolves.toEqual({ partitionsRewritten: 1, recordsUpdated: 1 });
+            expect((await DataStorageService.readPartitionFile(partitionFile))[0].value).toBe(30);
+        });
+
+        test('should delete old date partitions only once they are free', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20)]);
+            const release = await fileLock.acquire([path.dirname(partitionFile)]);
+
+            const cleanup = DataStorageService.cleanupOldPartitions(30);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(await fs.pathExists(partitionFile)).toBe(true);
+
+            await release();
+            await expect(cleanup).resolves.toBe(1);
+            expect(await fs.pathExists(path.dirname(partitionFile))).toBe(false);
+        });
+    });
+
+    describe('Parquet partitions', () => {
+        test('should write the enriched schema with the configured compression', async () => {
+            appConfig.processing.compressionType = 'gzip';
+            const result = await DataStorageService.writeParquetPartitioned([
+                { ...reading(10, 20), anomaly_reasons: ['above_range'], anomalous_reading: true }
+            ]);
+
+            const con = dbConfig.getConnection(dbConfig.createInMemoryDatabase());
+            const [metadata] = await dbConfig.executeQuery(con,
+                `SELECT compression FROM parquet_metadata('${partitionFile}') LIMIT 1`);
+            await dbConfig.closeConnection(con);
+            const [stored] = await DataStorageService.readPartitionFile(partitionFile);
+
+            expect(result).toMatchObject({ format: 'PARQUET', compressionUsed: 'GZIP', partitionsCreated: 1 });
+            expect(metadata.compression).toBe('GZIP');
+            expect(stored).toMatchObject({ value: 20, anomalous_reading: true, anomaly_reasons: ['above_range'], daily_avg: null });
+        });
+
+        test('should read partitions written before a column was added', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20, '2023-06-02T00:00:00.000Z')]);
+            const db = dbConfig.createInMemoryDatabase();
+            const con = dbConfig.getConnection(db);
+            const olderFile = path.join(tempDir, 'older.parquet');
+            await dbConfig.executeQuery(con, `COPY (SELECT * EXCLUDE (averaged_values) FROM read_parquet('${partitionFile}', hive_partitioning = false))
+                TO '${olderFile}' (FORMAT PARQUET)`);
+            await dbConfig.closeConnection(con);
+            await dbConfig.closeDatabase(db);
+            await fs.move(olderFile, partitionFile, { overwrite: true });
+
+            const { records } = await DataStorageService.queryStoredRecords({});
+            const again = await DataStorageService.storeDataAsParquet([reading(10, 20, '2023-06-03T00:00:00.000Z')]);
+
+            expect(records).toEqual([expect.objectContaining({ value: 20, averaged_values: null })]);
+            expect(again).toMatchObject({ recordsUnchanged: 1 });
+        });
+
+        test('should read legacy data.json partitions and rewrite them as Parquet on upsert', async () => {
+            const legacyFile = path.join(path.dirname(partitionFile), 'data.json');
+            await fs.outputJson(legacyFile, [reading(10, 20)]);
+
+            expect((await DataStorageService.readStoredRecords()).map(record => record.value)).toEqual([20]);
+
+            await DataStorageService.storeDataAsParquet([reading(11, 21)]);
+
+            expect((await DataStorageService.readPartitionFile(partitionFile)).map(record => record.value)).toEqual([20, 21]);
+            expect(await DataStorageService.listPartitionFiles()).toEqual([partitionFile]);
+        });
+
+        test('should close the in-memory database of each partition read and write', async () => {
+            const opened = [];
+            const createInMemoryDatabase = dbConfig.createInMemoryDatabase;
+            jest.spyOn(dbConfig, 'createInMemoryDatabase').mockImplementation(function () {
+                const db = createInMemoryDatabase.call(this);
+                opened.push(db);
+                return db;
+            });
+            const closeDatabase = jest.spyOn(dbConfig, 'closeDatabase');
+
+            try {
+                await DataStorageService.storeDataAsParquet([reading(10, 20)]);
+                await DataStorageService.storeDataAsParquet([reading(11, 21)]);
+                await DataStorageService.readPartitionFile(partitionFile);
+                await DataStorageService.queryStoredRecords({});
+                await DataStorageService.aggregateStoredRecords({ interval: '1h', agg: 'avg' });
+
+                expect(opened.length).toBeGreaterThan(0);
+                expect(opened.every(db => closeDatabase.mock.calls.some(([closed]) => closed === db))).toBe(true);
+            } finally {
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('should reject an unsupported compression codec', () => {
+            appConfig.processing.compressionType = 'RAR';
+            expect(() => DataStorageService.getCompressionCodec()).toThrow('Unsupported Parquet compression: RAR');
+        });
+    });
+
+    describe('queryStoredRecords', () => {
+        const partitionPath = (date, sensorId) =>
+            path.join(appConfig.paths.PROCESSED_DIR, `date=${date}`, `sensor_id=${sensorId}`);
+
+        beforeEach(async () => {
+            await DataStorageService.storeDataAsParquet([
+                reading(10, 20), reading(11, 25), reading(12, 22),
+                { ...reading(10, 30), sensor_id: 'sensor_002' }
+            ]);
+            await fs.outputJson(path.join(partitionPath('2023-06-02', 'sensor_001'), 'data.json'), [
+                { ...reading(10, 24), timestamp: '2023-06-02T10:00:00.000Z' }
+            ]);
+        });
+
+        test('should sort and paginate across Parquet and legacy JSON partitions', async () => {
+            const result = await DataStorageService.queryStoredRecords({
+                sensorId: 'sensor_001', sortBy: 'value', order: 'asc', limit: 2, offset: 1
+            });
+
+            expect(result.total).toBe(4);
+            expect(result.records.map(record => record.value)).toEqual([22, 24]);
+        });
+
+        test('should prune partitions outside the date range and sensor filter', async () => {
+            // Unreadable, so the query fails if this partition is opened
+            await fs.outputFile(path.join(partitionPath('2023-06-03', 'sensor_001'), 'data.parquet'), 'not parquet');
+            await fs.outputFile(path.join(partitionPath('2023-06-01', 'sensor_003'), 'data.parquet'), 'not parquet');
+
+            const result = await DataStorageService.queryStoredRecords({
+                sensorId: 'sensor_001', from: '2023-06-01T10:30:00.000Z', to: '2023-06-02T23:59:59.999Z'
+            });
+
+            expect(result.records.map(record => record.timestamp)).toEqual([
+                '2023-06-02T10:00:00.000Z', '2023-06-01T12:00:00.000Z', '2023-06-01T11:00:00.000Z'
+            ]);
+        });
+
+        test('should reject columns that cannot be sorted', async () => {
+            await expect(DataStorageService.queryStoredRecords({ sortBy: 'value; DROP TABLE x' }))
+                .rejects.toThrow('Cannot sort by');
+        });
+    });
+
+    describe('sensor_data serving table', () => {
+        test('should mirror stored partitions and answer queries like the partitions do', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20), reading(11, 21)]);
+            await DataStorageService.storeDataAsParquet([reading(11, 23), { ...reading(12, 30), sensor_id: 'sensor_002' }]);
+
+            const query = { sortBy: 'timestamp', order: 'asc' };
+            const served = await DataStorageService.queryServingTable(query);
+            const stored = await DataStorageService.queryStoredRecords(query);
+
+            expect(served.total).toBe(3);
+            expect(served.records.map(record => [record.sensor_id, record.value])).toEqual([
+                ['sensor_001', 20], ['sensor_001', 23], ['sensor_002', 30]
+            ]);
+            expect(served.records).toEqual(stored.records);
+            expect(await DataStorageService.getDistinctValues('sensor_id')).toEqual(['sensor_001', 'sensor_002']);
+        });
+
+        test('should rebuild an empty table from existing partitions on first use', async () => {
+            // Written straight to disk, as by a version without the serving table
+            await DataStorageService.writePartitionFile(path.dirname(partitionFile), [reading(10, 20), reading(11, 21)]);
+
+            const result = await DataStorageService.queryServingTable({ from: '2023-06-01T10:30:00.000Z' });
+
+            expect(result.records.map(record => record.value)).toEqual([21]);
+        });
+
+        test('should rebuild the table from the partitions on disk', async () => {
+            await DataStorageService.storeDataAsParquet([reading(10, 20), { ...reading(10, 30), sensor_id: 'sensor_002' }]);
+            await fs.remove(path.dirname(partitionFile));
+
+            const result = await DataStorageService.rebuildServingTable();
+
+            expect(result).toMatchObject({ partitions: 1, rows: 1 });
+            expect(await DataStorageService.getDistinctValues('sensor_id')).toEqual(['sensor_002']);
+        });
+
+        test('should summarize records within a time range', async () => {
+            await DataStorageService.storeDataAsParquet([
+                reading(10, 20), reading(11, 21), { ...reading(12, 30), sensor_id: 'sensor_002', reading_type: 'humidity' }
+            ]);
+
+            const summary = await DataStorageService.summarizeServingTable({ from: '2023-06-01T11:00:00.000Z' });
+
+            expect(summary).toEqual({
+                total_records: 2,
+                unique_sensors: 2,
+                unique_reading_types: 2,
+                unique_dates: 1,
+                earliest_timestamp: '2023-06-01T11:00:00.000Z',
+                latest_timestamp: '2023-06-01T12:00:00.000Z',
+                sensor_breakdown: { sensor_001: 1, sensor_002: 1 },
+                reading_type_breakdown: { humidity: 1, temperature: 1 }
+            });
+        });
+    });
+
+    describe('aggregation', () => {
+        beforeEach(async () => {
+            await DataStorageService.storeDataAsParquet([
+                reading(0, 10), reading(1, 14), reading(4, 30),
+                { ...reading(1, 50), sensor_id: 'sensor_002' }
+            ]);
+        });
+
+        test('should fill empty buckets per group and match the partitions', async () => {
+            const query = { interval: '1h', agg: 'avg', groupBy: ['sensor_id'], fill: 'linear' };
+
+            const served = await DataStorageService.aggregateServingTable(query);
+
+            expect(served.filter(row => row.sensor_id === 'sensor_001').map(row => [row.value, row.count])).toEqual([
+                [10, 1], [14, 1], [19.333333333333332, 0], [24.666666666666664, 0], [30, 1]
+            ]);
+            expect(served.filter(row => row.sensor_id === 'sensor_002').map(row => row.value)).toEqual([null, 50, null, null, null]);
+            expect(await DataStorageService.aggregateStoredRecords(query)).toEqual(served);
+        });
+
+        test('should bucket days at local midnight of the requested timezone', async () => {
+            const result = await DataStorageService.aggregateServingTable({
+                interval: '1d', agg: 'max', timezone: 'America/New_York'
+            });
+
+            expect(result).toEqual([
+                { bucket: '2023-05-31T04:00:00.000Z', value: 50, count: 3 },
+                { bucket: '2023-06-01T04:00:00.000Z', value: 30, count: 1 }
+            ]);
+        });
+
+        test('should reject invalid options and ranges with too many buckets', async () => {
+            expect(() => DataStorageService.validateAggregateQuery({ interval: '2h', agg: 'avg' }))
+                .toThrow('Invalid interval: 2h');
+            expect(() => DataStorageService.validateAggregateQuery({ interval: '1h', agg: 'avg', timezone: 'Mars/Olympus' }))
+                .toThrow('Unknown timezone: Mars/Olympus');
+            await expect(DataStorageService.aggregateServingTable({ interval: '5m', agg: 'avg', from: '2000-01-01T00:00:00.000Z' }))
+                .rejects.toMatchObject({ code: 'INVALID_QUERY' });
+        });
+    });
+});
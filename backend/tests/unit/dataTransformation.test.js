@@ -4,6 +4,7 @@
  */
 
 const DataTransformationService = require('../../src/services/dataTransformation');
+const { app: appConfig } = require('../../src/config');
 const TestDataFactory = require('../helpers/testDataFactory');
 const TestUtils = require('../helpers/testUtils');
 
@@ -377,7 +378,7 @@ describe('DataTransformationService', () => {
     describe('fillMissingValues', () => {
         test('should fill missing values with defaults', () => {
             const dataWithMissing = TestDataFactory.generateDataWithMissingValues(10, 50);
-            const filledData = DataTransformationService.fillMissingValues(dataWithMissing);
+            const filledData = DataTransformationService.fillMissingValues(dataWithMissing, { strategy: 'constant' });
 
             filledData.forEach(record => {
                 if (record.missing_value_filled) {
@@ -406,7 +407,7 @@ describe('DataTransformationService', () => {
                     battery_level: 50
                 };
 
-                const filled = DataTransformationService.fillMissingValues([record]);
+                const filled = DataTransformationService.fillMissingValues([record], { strategy: 'constant' });
                 expect(filled[0].value).toBe(testCase.expectedDefault);
                 expect(filled[0].missing_value_filled).toBe(true);
             });
@@ -420,6 +421,64 @@ describe('DataTransformationService', () => {
                 expect(record.missing_value_filled).toBe(false);
             });
         });
+
+        const series = (values, intervalMinutes = 60) => values.map((value, index) => ({
+            sensor_id: 'sensor_001',
+            timestamp: new Date(Date.UTC(2023, 5, 1) + index * intervalMinutes * 60000).toISOString(),
+            reading_type: 'temperature',
+            value
+        }));
+
+        test('should leave values null with the none strategy', () => {
+            const filled = DataTransformationService.fillMissingValues(series([20, null, 22]), { strategy: 'none' });
+
+            expect(filled[1]).toMatchObject({ value: null, missing_value_filled: false, imputation_method: null });
+        });
+
+        test('should forward fill only within the maximum gap', () => {
+            const filled = DataTransformationService.fillMissingValues(
+                series([20, null, null, null]), { strategy: 'forward_fill', maxGapHours: 2 }
+            );
+
+            expect(filled.map(record => record.value)).toEqual([20, 20, 20, null]);
+            expect(filled[1]).toMatchObject({ missing_value_filled: true, imputation_method: 'forward_fill' });
+        });
+
+        test('should interpolate linearly between neighbours', () => {
+            const filled = DataTransformationService.fillMissingValues(
+                series([20, null, null, 26, null]), { strategy: 'linear', maxGapHours: 6 }
+            );
+
+            expect(filled.map(record => record.value)).toEqual([20, 22, 24, 26, null]);
+            expect(filled[2].imputation_method).toBe('linear');
+        });
+
+        test('should not interpolate across gaps longer than the maximum', () => {
+            const filled = DataTransformationService.fillMissingValues(
+                series([20, null, 26], 240), { strategy: 'linear', maxGapHours: 6 }
+            );
+
+            expect(filled[1].value).toBeNull();
+        });
+
+        test('should fill from the same time on previous days with the seasonal strategy', () => {
+            const values = Array.from({ length: 72 }, (_, hour) => hour % 24);
+            values[60] = null; // day 3, 12:00
+            const data = series(values);
+            data[36].value = 14; // day 2, 12:00
+
+            const filled = DataTransformationService.fillMissingValues(data, { strategy: 'seasonal' });
+
+            expect(filled[60]).toMatchObject({ value: 13, imputation_method: 'seasonal', missing_value_filled: true });
+        });
+
+        test('should pick the strategy configured for the reading type', async () => {
+            const result = await DataTransformationService.transformData(series([20, null, 22]));
+
+            expect(result.transformedData[1]).toMatchObject({ value: 21, calibrated_value: 21, imputation_method: 'linear' });
+            expect(result.transformedData[1].original_value).toBeNull();
+            expect(result.transformationStats.valuesImputed).toBe(1);
+        });
     });
 
     describe('Memory and Performance Tests', () => {
@@ -454,10 +513,10 @@ describe('DataTransformationService', () => {
             const mixedData = [
                 ...TestDataFactory.generateValidSensorData(5),
                 ...TestDataFactory.generateInvalidSensorData('invalid_timestamp'),
-                ...TestDataFactory.generateValidSensorData(5),
+                ...TestDataFactory.generateValidSensorData(5, { baseTime: new Date('2023-06-02T00:00:00Z') }),
                 null,
                 undefined,
-                ...TestDataFactory.generateValidSensorData(5)
+                ...TestDataFactory.generateValidSensorData(5, { baseTime: new Date('2023-06-03T00:00:00Z') })
             ];
 
             const result = await DataTransformationService.transformData(mixedData);
@@ -479,4 +538,292 @@ describe('DataTransformationService', () => {
             consoleMock.restore();
         });
     });
+
+    describe('calculateAverages', () => {
+        const reading = (timestamp, value, overrides = {}) => ({
+            sensor_id: 'sensor_001',
+            reading_type: 'temperature',
+            timestamp,
+            value,
+            ...overrides
+        });
+
+        test('should average values per sensor and reading type on the same UTC day', () => {
+            const records = [
+                reading('2023-06-01T08:00:00.000Z', 20),
+                reading('2023-06-01T16:00:00.000Z', 30),
+                reading('2023-06-01T12:00:00.000Z', 50, { reading_type: 'humidity' }),
+                reading('2023-06-02T08:00:00.000Z', 10)
+            ];
+
+            DataTransformationService.calculateAverages(records);
+
+            expect(records[0].daily_avg).toBe(25);
+            expect(records[1].daily_avg).toBe(25);
+            expect(records[2].daily_avg).toBe(50);
+            expect(records[3].daily_avg).toBe(10);
+        });
+
+        test('should use a trailing 7-day window that includes stored history', () => {
+            const history = [
+                reading('2023-05-25T08:00:00.000Z', 100), // exactly 7 days before, outside the window
+                reading('2023-05-26T08:00:00.000Z', 10),
+                reading('2023-05-30T08:00:00.000Z', 20)
+            ];
+            const records = [reading('2023-06-01T08:00:00.000Z', 30)];
+
+            DataTransformationService.calculateAverages(records, history);
+
+            expect(records[0].rolling_avg_7d).toBe(20);
+            expect(records[0].daily_avg).toBe(30);
+        });
+
+        test('should prefer batch values over stored values for the same reading', () => {
+            const history = [reading('2023-06-01T08:00:00.000Z', 99)];
+            const records = [reading('2023-06-01T08:00:00.000Z', 11)];
+
+            DataTransformationService.calculateAverages(records, history);
+
+            expect(records[0].daily_avg).toBe(11);
+            expect(records[0].rolling_avg_7d).toBe(11);
+        });
+
+        test('should average incomplete windows over available readings and skip null values', () => {
+            const records = [
+                reading('2023-06-01T08:00:00.000Z', 12),
+                reading('2023-06-01T09:00:00.000Z', null),
+                reading('2023-06-01T10:00:00.000Z', 18)
+            ];
+
+            DataTransformationService.calculateAverages(records);
+
+            expect(records.map(record => record.rolling_avg_7d)).toEqual([12, 12, 15]);
+            expect(records[1].daily_avg).toBe(15);
+        });
+    });
+
+    describe('calibration', () => {
+        const originalParams = appConfig.calibrationParams.temperature;
+        const originalOverrides = appConfig.sensorCalibrationOverrides;
+
+        beforeEach(() => {
+            appConfig.calibrationParams.temperature = { multiplier: 2.0, offset: 1.0 };
+            appConfig.sensorCalibrationOverrides = { sensor_override: { temperature: { multiplier: 0.5, offset: -1.0 } } };
+        });
+
+        afterEach(() => {
+            appConfig.calibrationParams.temperature = originalParams;
+            appConfig.sensorCalibrationOverrides = originalOverrides;
+        });
+
+        const record = (sensorId, readingType, value) => ({
+            sensor_id: sensorId,
+            timestamp: '2023-06-01T10:00:00Z',
+            reading_type: readingType,
+            value,
+            battery_level: 80
+        });
+
+        test('should apply reading-type defaults and record the parameters used', () => {
+            const transformed = DataTransformationService.transformRecord(record('sensor_001', 'Temperature', 10));
+
+            expect(transformed.value).toBe(10);
+            expect(transformed.calibrated_value).toBe(21);
+            expect(transformed).toMatchObject({
+                calibration_multiplier: 2.0,
+                calibration_offset: 1.0,
+                calibration_source: 'reading_type_default'
+            });
+        });
+
+        test('should give per-sensor overrides priority over reading-type defaults', () => {
+            const transformed = DataTransformationService.transformRecord(record('sensor_override', 'temperature', 10));
+
+            expect(transformed.calibrated_value).toBe(4);
+            expect(transformed.calibration_source).toBe('sensor_override');
+        });
+
+        test('should pass through reading types without calibration parameters', () => {
+            const transformed = DataTransformationService.transformRecord(record('sensor_001', 'co2', 415));
+
+            expect(transformed.calibrated_value).toBe(415);
+            expect(transformed.calibration_source).toBe('none');
+        });
+
+        test('should leave calibrated_value null for missing readings', () => {
+            const transformed = DataTransformationService.transformRecord(record('sensor_001', 'temperature', null));
+
+            expect(transformed.calibrated_value).toBeNull();
+            expect(transformed.calibration_multiplier).toBe(2.0);
+        });
+    });
+
+    describe('outlier correction', () => {
+        const series = values => values.map((value, index) => ({
+            sensor_id: 'sensor_001',
+            timestamp: new Date(Date.UTC(2023, 5, 1, index)).toISOString(),
+            reading_type: 'temperature',
+            value,
+            battery_level: 80
+        }));
+        const readings = [20, 21, 22, 21, 90, 20, 22, 21];
+
+        test('should replace outliers with the rolling median and keep the original value', async () => {
+            const result = await DataTransformationService.transformData(series(readings), {
+                outliers: { method: 'mad', correction: 'rolling_median', rollingMedianWindow: 4 }
+            });
+            const corrected = result.transformedData[4];
+
+            // Neighbours 21, 20, 22, 22
+            expect(corrected).toMatchObject({ value: 21.5, original_value: 90, outlier_detected: true, outlier_corrected: true });
+            expect(corrected.calibrated_value).toBe(21.5);
+            expect(result.transformationStats).toMatchObject({ outliersDetected: 1, outliersCorrected: 1 });
+            expect(result.transformedData.filter(record => record.outlier_detected)).toHaveLength(1);
+        });
+
+        test('should clamp to the IQR bounds', async () => {
+            const result = await DataTransformationService.transformData(series(readings), {
+                outliers: { method: 'iqr', correction: 'clamp' }
+            });
+
+            // Q1 = 20.75, Q3 = 22, IQR = 1.25 -> upper bound 23.875
+            expect(result.transformedData[4].value).toBeCloseTo(23.875, 5);
+            expect(result.transformedData[4].original_value).toBe(90);
+        });
+
+        test('should only flag or null out outliers depending on the strategy', async () => {
+            const flagged = await DataTransformationService.transformData(series(readings), {
+                outliers: { method: 'mad', correction: 'flag' }
+            });
+            const nulled = await DataTransformationService.transformData(series(readings), {
+                outliers: { method: 'mad', correction: 'null' }
+            });
+
+            expect(flagged.transformedData[4]).toMatchObject({ value: 90, outlier_detected: true, outlier_corrected: false });
+            expect(flagged.transformationStats.outliersCorrected).toBe(0);
+            expect(nulled.transformedData[4]).toMatchObject({ value: null, calibrated_value: null, original_value: 90, outlier_corrected: true });
+        });
+
+        test('should detect z-score outliers per sensor and reading type', async () => {
+            const base = Array.from({ length: 19 }, (_, index) => 20 + (index % 3));
+            const records = [
+                ...series([...base, 80]),
+                ...series([...base, 22]).map(record => ({ ...record, reading_type: 'humidity', value: record.value + 60 }))
+            ];
+
+            const result = await DataTransformationService.transformData(records, { outliers: { method: 'zscore' } });
+
+            expect(result.transformationStats.outliersDetected).toBe(1);
+            expect(result.transformedData.find(record => record.outlier_detected).reading_type).toBe('temperature');
+        });
+
+        test('should skip series with fewer readings than minSamples', async () => {
+            const result = await DataTransformationService.transformData(series([20, 21, 90]), {
+                outliers: { method: 'mad', minSamples: 5 }
+            });
+
+            expect(result.transformationStats.outliersDetected).toBe(0);
+        });
+    });
+
+    describe('anomaly flagging', () => {
+        const reading = (minutes, value, readingType = 'temperature') => ({
+            sensor_id: 'sensor_001',
+            timestamp: new Date(Date.UTC(2023, 5, 1, 10, minutes)).toISOString(),
+            reading_type: readingType,
+            value,
+            battery_level: 80
+        });
+
+        test('should flag readings outside expectedRanges with their reason', async () => {
+            const result = await DataTransformationService.transformData([
+                reading(0, 25),
+                reading(0, -5, 'humidity'),
+                reading(0, 150000, 'light_intensity')
+            ]);
+
+            expect(result.transformedData.map(record => record.anomaly_reasons)).toEqual([[], ['below_range'], ['above_range']]);
+            expect(result.transformedData.map(record => record.anomalous_reading)).toEqual([false, true, true]);
+            expect(result.transformationStats.anomalyReasons).toEqual({ below_range: 1, above_range: 1 });
+        });
+
+        test('should flag a jump faster than the rate-of-change limit', async () => {
+            // 15 degrees per 5 minutes: the spike at 10:05 is flagged, the return at 10:10 is not
+            const result = await DataTransformationService.transformData([
+                reading(0, 20),
+                reading(5, 40),
+                reading(10, 21),
+                reading(70, 45)
+            ]);
+
+            expect(result.transformedData.map(record => record.anomaly_reasons)).toEqual([[], ['rate_of_change'], [], []]);
+            expect(result.transformationStats.anomaliesDetected).toBe(1);
+        });
+
+        test('should record every reason that applies to a reading', async () => {
+            const result = await DataTransformationService.transformData([reading(0, 50), reading(1, 70)]);
+
+            expect(result.transformedData[1].anomaly_reasons).toEqual(['above_range', 'rate_of_change']);
+        });
+
+        test('should flag the values left after outlier correction', async () => {
+            const series = [20, 20.5, 21, 70, 21.5, 21].map((value, index) => reading(index * 5, value));
+
+            const corrected = await DataTransformationService.transformData(series,
+                { outliers: { method: 'iqr', correction: 'rolling_median' } });
+            const flagged = await DataTransformationService.transformData(series,
+                { outliers: { method: 'iqr', correction: 'flag' } });
+
+            expect(corrected.transformedData[3]).toMatchObject({ outlier_corrected: true, original_value: 70, anomalous_reading: false });
+            expect(corrected.transformationStats.anomaliesDetected).toBe(0);
+            expect(flagged.transformedData[3]).toMatchObject({ outlier_detected: true, value: 70, anomaly_reasons: ['above_range', 'rate_of_change'] });
+            expect(flagged.transformationStats.anomalyReasons).toEqual({ above_range: 1, rate_of_change: 1 });
+        });
+    });
+
+    describe('duplicate resolution', () => {
+        const reading = (value, processed) => ({
+            sensor_id: 'sensor_001',
+            timestamp: '2023-06-01T10:00:00.000Z',
+            reading_type: 'temperature',
+            value,
+            calibration_multiplier: 1,
+            calibration_offset: 0,
+            processed_timestamp: processed
+        });
+        const stored = reading(20, '2023-06-01T12:00:00.000Z');
+        const incoming = reading(22, '2023-06-02T12:00:00.000Z');
+
+        test('should resolve conflicts with each policy', () => {
+            expect(DataTransformationService.resolveConflict(stored, incoming, 'keep_first')).toBe(stored);
+            expect(DataTransformationService.resolveConflict(stored, incoming, 'keep_latest')).toBe(incoming);
+            expect(DataTransformationService.resolveConflict(incoming, stored, 'keep_latest')).toBe(incoming);
+            expect(DataTransformationService.resolveConflict(reading(null), incoming, 'keep_non_null')).toBe(incoming);
+            expect(DataTransformationService.resolveConflict(stored, reading(null), 'keep_non_null')).toBe(stored);
+            expect(DataTransformationService.resolveConflict(stored, incoming, 'average'))
+                .toMatchObject({ value: 21, calibrated_value: 21 });
+            expect(() => DataTransformationService.resolveConflict(stored, incoming, 'keep_both')).toThrow('Unknown duplicate conflict policy');
+        });
+
+        test('should average each distinct value once', () => {
+            const merged = DataTransformationService.resolveConflict(stored, incoming, 'average');
+
+            expect(merged).toMatchObject({ value: 21, averaged_values: [20, 22] });
+            expect(DataTransformationService.resolveConflict(merged, incoming, 'average')).toBe(merged);
+            expect(DataTransformationService.resolveConflict(merged, stored, 'average')).toBe(merged);
+            expect(DataTransformationService.resolveConflict(merged, reading(26), 'average'))
+                .toMatchObject({ value: 22.666666666666668, averaged_values: [20, 22, 26] });
+        });
+
+        test('should drop duplicates within a file and report the count', async () => {
+            const result = await DataTransformationService.transformData([
+                { sensor_id: 'sensor_001', timestamp: '2023-06-01T10:00:00Z', reading_type: 'temperature', value: 20 },
+                { sensor_id: 'sensor_001', timestamp: '2023-06-01T11:00:00Z', reading_type: 'temperature', value: 21 },
+                { sensor_id: 'sensor_001', timestamp: '2023-06-01T10:00:00.000Z', reading_type: 'Temperature', value: 24 }
+            ], { conflictPolicy: 'average' });
+
+            expect(result.transformedData.map(record => record.value)).toEqual([22, 21]);
+            expect(result.transformationStats).toMatchObject({ outputRecords: 2, duplicatesRemoved: 1 });
+        });
+    });
 });
@@ -0,0 +1,384 @@
+/**
+ * ETL Pipeline Service Unit Tests
+ * Testing of pipeline steps that work against stored partitions, step retries and resuming from step checkpoints
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const ETLPipelineService = require('../../src/services/etlPipeline');
+const pipelineJobs = require('../../src/services/pipelineJobs');
+const DataStorageService = require('../../src/services/dataStorage');
+const dataIngestion = require('../../src/services/dataIngestion');
+const stepCheckpoints = require('../../src/services/stepCheckpoints');
+const summaryTablesGeneration = require('../../src/services/summaryTablesGeneration');
+const mappingProfiles = require('../../src/config/mappingProfiles');
+
+describe('ETLPipelineService', () => {
+    const originalProcessedDir = appConfig.paths.PROCESSED_DIR;
+    const originalDatabaseFile = appConfig.paths.DATABASE_FILE;
+    const originalPolicy = appConfig.deduplication.conflictPolicy;
+    const etlPipeline = new ETLPipelineService();
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-pipeline-'));
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+    });
+
+    afterEach(async () => {
+        await dbConfig.closePersistentConnection();
+        appConfig.paths.PROCESSED_DIR = originalProcessedDir;
+        appConfig.paths.DATABASE_FILE = originalDatabaseFile;
+        appConfig.deduplication.conflictPolicy = originalPolicy;
+        await fs.remove(tempDir);
+    });
+
+    const reading = (hour, value, processed = '2023-06-02T00:00:00.000Z') => ({
+        sensor_id: 'sensor_001',
+        timestamp: new Date(Date.UTC(2023, 5, 1, hour)).toISOString(),
+        reading_type: 'temperature',
+        value,
+        calibration_multiplier: 1,
+        calibration_offset: 0,
+        processed_timestamp: processed
+    });
+
+    const storePartition = records => DataStorageService.writePartitionFile(
+        path.join(appConfig.paths.PROCESSED_DIR, 'date=2023-06-01', 'sensor_id=sensor_001'),
+        records
+    );
+
+    describe('deduplicateAgainstStored', () => {
+        test('should skip records already stored when keeping the first', async () => {
+            appConfig.deduplication.conflictPolicy = 'keep_first';
+            await storePartition([reading(10, 20, '2023-06-01T00:00:00.000Z')]);
+            const batch = [reading(10, 25), reading(11, 21)];
+
+            const result = await etlPipeline.deduplicateAgainstStored(batch);
+
+            expect(result).toEqual({ duplicates: 1, skipped: 1 });
+            expect(batch.map(record => record.value)).toEqual([21]);
+        });
+
+        test('should keep the latest processed record by default', async () => {
+            appConfig.deduplication.conflictPolicy = 'keep_latest';
+            await storePartition([reading(10, 20, '2023-06-01T00:00:00.000Z')]);
+            const batch = [reading(10, 25), reading(11, 21)];
+
+            const result = await etlPipeline.deduplicateAgainstStored(batch);
+
+            expect(result).toEqual({ duplicates: 1, skipped: 0 });
+            expect(batch.map(record => record.value)).toEqual([25, 21]);
+        });
+
+        test('should merge values with the average policy', async () => {
+            appConfig.deduplication.conflictPolicy = 'average';
+            await storePartition([reading(10, 20, '2023-06-01T00:00:00.000Z')]);
+            const batch = [reading(10, 25)];
+
+            await etlPipeline.deduplicateAgainstStored(batch);
+
+            expect(batch[0]).toMatchObject({ value: 22.5, calibrated_value: 22.5 });
+        });
+
+        test('should leave the batch unchanged when nothing is stored', async () => {
+            const batch = [reading(10, 25)];
+
+            const result = await etlPipeline.deduplicateAgainstStored(batch);
+
+            expect(result).toEqual({ duplicates: 0, skipped: 0 });
+            expect(batch).toHaveLength(1);
+        });
+
+        test('should fail rather than treat the batch as new when stored partitions cannot be read', async () => {
+            const read = jest.spyOn(DataStorageService, 'readStoredRecords').mockRejectedValue(new Error('corrupt partition'));
+            const batch = [reading(10, 25)];
+
+            try {
+                await expect(etlPipeline.deduplicateAgainstStored(batch)).rejects.toThrow('corrupt partition');
+            } finally {
+                read.mockRestore();
+            }
+            expect(batch).toHaveLength(1);
+        });
+    });
+
+    describe('getFilteredData', () => {
+        test('should read stored Parquet partitions back with filters and pagination', async () => {
+            await storePartition([reading(10, 20), reading(11, 21), reading(12, 22)]);
+
+            const result = await etlPipeline.getFilteredData({
+                sensor_id: 'sensor_001',
+                date_from: '2023-06-01T10:30:00.000Z',
+                limit: 1
+            });
+
+            expect(result.pagination).toMatchObject({ total: 2, pages: 2 });
+            expect(result.data).toHaveLength(1);
+            expect(result.data[0]).toMatchObject({ timestamp: '2023-06-01T12:00:00.000Z', value: 22 });
+        });
+    });
+
+    describe('runStep', () => {
+        const retryPolicy = { maxAttempts: 3, initialDelayMs: 1, backoffFactor: 2, maxDelayMs: 10 };
+
+        test('should retry a failed step with backoff until it succeeds', async () => {
+            const onStep = jest.fn();
+            const onWarning = jest.fn();
+            const work = jest.fn()
+                .mockRejectedValueOnce(new Error('disk busy'))
+                .mockRejectedValueOnce(new Error('disk busy'))
+                .mockResolvedValue('stored');
+
+            const result = await etlPipeline.runStep('a.csv', 'loading', { retryPolicy, onStep, onWarning }, work);
+
+            expect(result).toBe('stored');
+            expect(work).toHaveBeenCalledTimes(3);
+            expect(onStep.mock.calls.map(call => call[2])).toEqual([{ attempt: 1 }, { attempt: 2 }, { attempt: 3 }]);
+            expect(onWarning).toHaveBeenCalledWith('loading', 'Attempt 2 of 3 failed: disk busy. Retrying in 2ms');
+        });
+
+        test('should not retry errors marked not retryable or past the last attempt', async () => {
+            const invalid = Object.assign(new Error('Schema validation failed'), { retryable: false });
+            const failing = jest.fn().mockRejectedValue(invalid);
+            const flaky = jest.fn().mockRejectedValue(new Error('disk busy'));
+
+            await expect(etlPipeline.runStep('a.csv', 'ingestion', { retryPolicy }, failing)).rejects.toBe(invalid);
+            await expect(etlPipeline.runStep('a.csv', 'loading', { retryPolicy }, flaky)).rejects.toThrow('disk busy');
+
+            expect(failing).toHaveBeenCalledTimes(1);
+            expect(flaky).toHaveBeenCalledTimes(3);
+        });
+
+        test('should stop before the step once cancelled unless the step is not cancellable', async () => {
+            const controller = new AbortController();
+            const reason = new Error('Pipeline execution cancelled');
+            controller.abort(reason);
+            const work = jest.fn().mockResolvedValue('done');
+
+            await expect(etlPipeline.runStep('a.csv', 'validation', { signal: controller.signal }, work)).rejects.toBe(reason);
+            expect(work).not.toHaveBeenCalled();
+
+            await expect(etlPipeline.runStep('a.csv', 'summaries', { signal: controller.signal }, work, { cancellable: false }))
+                .resolves.toBe('done');
+        });
+    });
+
+    describe('processing raw files', () => {
+        const checkpointPaths = ['RAW_DATA_DIR', 'CHECKPOINT_DIR', 'CHECKPOINT_FILE', 'STEP_CHECKPOINT_DIR', 'TEMP_DIR', 'EXECUTIONS_DIR'];
+        const originalPaths = Object.fromEntries(checkpointPaths.map(name => [name, appConfig.paths[name]]));
+        const originalPipelineJobs = appConfig.pipelineJobs;
+
+        beforeEach(() => {
+            appConfig.paths.RAW_DATA_DIR = path.join(tempDir, 'raw');
+            appConfig.paths.CHECKPOINT_DIR = path.join(tempDir, 'checkpoints');
+            appConfig.paths.CHECKPOINT_FILE = path.join(tempDir, 'checkpoints', 'processed_files.txt');
+            appConfig.paths.STEP_CHECKPOINT_DIR = path.join(tempDir, 'checkpoints', 'steps');
+            appConfig.paths.TEMP_DIR = path.join(tempDir, 'temp');
+            appConfig.paths.EXECUTIONS_DIR = path.join(tempDir, 'executions');
+        });
+
+        afterEach(async () => {
+            await pipelineJobs.whenIdle();
+            jest.restoreAllMocks();
+            Object.assign(appConfig.paths, originalPaths);
+            appConfig.pipelineJobs = originalPipelineJobs;
+        });
+
+        const writeRawFile = (file, readings) => fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, file),
+            'sensor_id,timestamp,reading_type,value,battery_level\n' +
+            readings.map(([hour, value]) => `sensor_001,2023-06-01T${hour}:00:00Z,temperature,${value},90\n`).join(''));
+
+        test('should resolve conflicts between overlapping files stored concurrently', async () => {
+            appConfig.deduplication.conflictPolicy = 'average';
+            appConfig.pipelineJobs = { ...originalPipelineJobs, concurrency: 2, workerThreads: false };
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            await writeRawFile('a.csv', [[10, 20], [11, 22]]);
+            await writeRawFile('b.csv', [[10, 30], [12, 24]]);
+
+            const queued = await pipelineJobs.submit(['a.csv', 'b.csv']);
+            await pipelineJobs.whenIdle();
+            const execution = await pipelineJobs.getExecution(queued.id);
+
+            expect(execution.status).toBe('completed');
+            // Whichever file is stored second finds the other's reading
+            const againstStored = execution.files.map(file => file.result.step2_transformation.duplicates.againstStored);
+            expect(againstStored.sort()).toEqual([0, 1]);
+
+            const stored = await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] });
+            expect(stored.map(record => [record.timestamp.substring(11, 13), record.value]).sort()).toEqual([
+                ['10', 25], ['11', 22], ['12', 24]
+            ]);
+        });
+
+        test('should leave averaged readings unchanged when files are reprocessed', async () => {
+            appConfig.deduplication.conflictPolicy = 'average';
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            await writeRawFile('a.csv', [[10, 20]]);
+            await writeRawFile('b.csv', [[10, 30]]);
+            const storedValues = async () => (await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] }))
+                .map(record => record.value);
+
+            await etlPipeline.processFile('a.csv');
+            await etlPipeline.processFile('b.csv');
+            expect(await storedValues()).toEqual([25]);
+
+            const again = [await etlPipeline.processFile('a.csv'), await etlPipeline.processFile('b.csv')];
+
+            expect(await storedValues()).toEqual([25]);
+            expect(again.map(result => result.pipeline.step4_storage)).toEqual([
+                expect.objectContaining({ recordsStored: 0 }),
+                expect.objectContaining({ recordsStored: 0 })
+            ]);
+        });
+
+        test('should store the same records when resuming after validation', async () => {
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            await writeRawFile('a.csv', ['00', '01', '02', '03', '04', '05', '06', '07'].map(hour => [hour, 38.2]));
+            const storeRecords = jest.spyOn(etlPipeline, 'storeRecords')
+                .mockRejectedValueOnce(Object.assign(new Error('worker stopped'), { retryable: false }));
+
+            const failed = await etlPipeline.processFile('a.csv');
+            const resumed = await etlPipeline.processFile('a.csv');
+
+            expect(failed.success).toBe(false);
+            expect(resumed.success).toBe(true);
+            expect(storeRecords).toHaveBeenCalledTimes(2);
+            const stored = await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] });
+            expect(stored).toHaveLength(8);
+            expect(stored.every(record => record.stuck_sensor && record.anomaly_reasons.includes('flatline'))).toBe(true);
+        });
+
+        test('should resume after the last completed step without storing the file again', async () => {
+            await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'), 'sensor_id,timestamp\n');
+            const transformedRecords = [reading(0, 20), reading(1, 21)];
+            const checkpoint = await stepCheckpoints.load('a.csv');
+            await stepCheckpoints.save(checkpoint, 'ingested', {
+                recordsRead: 2,
+                schemaValidation: { isValid: true, warnings: [], mappingProfile: 'canonical' },
+                qualityChecks: {}
+            }, [{ sensor_id: 'sensor_001' }, { sensor_id: 'sensor_001' }]);
+            await stepCheckpoints.save(checkpoint, 'transformed', {
+                recordsProcessed: 2,
+                recordsRejected: 0,
+                recordsQuarantined: 0,
+                transformationStats: { duplicatesRemoved: 0, anomaliesDetected: 0, outliersDetected: 0, outliersCorrected: 0 },
+                transformStats: {}
+            }, transformedRecords);
+            await stepCheckpoints.save(checkpoint, 'validated', { overallScore: 97 });
+            await stepCheckpoints.save(checkpoint, 'stored', {
+                recordsStored: 2,
+                partitionsCreated: 1,
+                storagePath: 'processed',
+                storedDuplicates: { duplicates: 0, skipped: 0 }
+            }, transformedRecords);
+
+            const validateSchema = jest.spyOn(dataIngestion, 'validateSchemaWithDuckDB');
+            const store = jest.spyOn(DataStorageService, 'storeProcessedData');
+            const summarize = jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            const onStep = jest.fn();
+
+            const result = await etlPipeline.processFile('a.csv', { onStep });
+
+            expect(result).toMatchObject({
+                success: true,
+                resumedAfter: 'stored',
+                pipeline: {
+                    step1_ingestion: { recordsRead: 2, mappingProfile: 'canonical' },
+                    step3_quality: { overallScore: 97 },
+                    step4_storage: { recordsStored: 2, partitionsCreated: 1 }
+                }
+            });
+            expect(validateSchema).not.toHaveBeenCalled();
+            expect(store).not.toHaveBeenCalled();
+            expect(summarize).toHaveBeenCalledWith(transformedRecords);
+            expect(onStep).toHaveBeenCalledWith('loading', 'completed', { recordsStored: 2, partitionsCreated: 1, resumed: true });
+            expect(onStep).toHaveBeenCalledWith('summaries', 'completed', { recordsSummarized: 2 });
+            expect(await fs.readFile(appConfig.paths.CHECKPOINT_FILE, 'utf8')).toBe('a.csv\n');
+            expect(stepCheckpoints.lastStep(await stepCheckpoints.load('a.csv'))).toBeNull();
+            expect(await fs.pathExists(stepCheckpoints.artifactDir('a.csv'))).toBe(false);
+        });
+
+        test('should read files of the validation step with the selected mapping profile', async () => {
+            const quarantineRejected = jest.spyOn(etlPipeline, 'quarantineRejected');
+            // Same header as station_imperial, which the header alone would select, with battery in percent
+            mappingProfiles.station_percent = { ...mappingProfiles.station_imperial, units: {} };
+            await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'station.csv'),
+                'station_id,epoch,parameter,measurement,battery\n' +
+                'station_7,1685613600,air_temp,20,90\n' +
+                'station_7,1685617200,air_temp,21,89\n');
+
+            try {
+                const result = await etlPipeline.performValidation(['station.csv'], { mappingProfile: 'station_percent' });
+
+                expect(result.files[0]).toMatchObject({
+                    status: 'success',
+                    recordsValidated: 2,
+                    recordsQuarantined: 0,
+                    validation: { isValid: true, invalidRecords: 0 }
+                });
+                expect(quarantineRejected).toHaveBeenCalledWith('station.csv', 'validation', []);
+            } finally {
+                delete mappingProfiles.station_percent;
+            }
+        });
+
+        test('should store records of the loading step with averages over stored history', async () => {
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            await storePartition([reading(10, 20, '2023-06-01T00:00:00.000Z')]);
+            await writeRawFile('a.csv', [[11, 30]]);
+
+            const result = await etlPipeline.performLoading(['a.csv']);
+
+            expect(result.files[0]).toMatchObject({ status: 'success', recordsStored: 1, duplicatesOfStored: 0 });
+            const stored = await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] });
+            expect(stored.find(record => record.value === 30)).toMatchObject({ daily_avg: 25, rolling_avg_7d: 25 });
+        });
+
+        test('should flag a flatline that continues from stored records in the loading step', async () => {
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            await storePartition([0, 1, 2].map(hour => reading(hour, 38.2)));
+            // Too short to be a flatline on its own
+            await writeRawFile('a.csv', ['03', '04', '05', '06', '07'].map(hour => [hour, 38.2]));
+
+            await etlPipeline.performLoading(['a.csv']);
+
+            const stored = await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] });
+            expect(stored.filter(record => record.stuck_sensor).map(record => record.timestamp.substring(11, 13)))
+                .toEqual(['03', '04', '05', '06', '07']);
+            expect(stored.find(record => record.stuck_sensor)).toMatchObject({ anomalous_reading: true, anomaly_reasons: ['flatline'] });
+        });
+
+        test('should read, calibrate and quarantine records of the loading step like processFile', async () => {
+            jest.spyOn(summaryTablesGeneration, 'generateAllSummaryTables').mockResolvedValue();
+            jest.spyOn(etlPipeline, 'loadCalibrations').mockResolvedValue([{
+                id: 'cal-1',
+                sensor_id: 'sensor_001',
+                reading_type: 'temperature',
+                multiplier: 2,
+                offset: 1,
+                effective_from: '2023-01-01T00:00:00.000Z',
+                effective_to: null
+            }]);
+            const quarantineRejected = jest.spyOn(etlPipeline, 'quarantineRejected').mockResolvedValue(1);
+            const validateSchema = jest.spyOn(dataIngestion, 'validateSchemaWithDuckDB');
+            await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'),
+                'sensor_id,timestamp,reading_type,value,battery_level\n' +
+                'sensor_001,2023-06-01T10:00:00Z,temperature,30,90\n' +
+                ',2023-06-01T11:00:00Z,temperature,31,90\n');
+
+            const result = await etlPipeline.performLoading(['a.csv'], { mappingProfile: 'canonical' });
+
+            expect(result.files[0]).toMatchObject({ status: 'success', recordsStored: 1, recordsQuarantined: 1 });
+            expect(validateSchema).toHaveBeenCalledWith(expect.any(String), { mappingProfile: 'canonical' });
+            expect(quarantineRejected).toHaveBeenCalledWith('a.csv', 'transformation', [
+                expect.objectContaining({ rowIndex: 1, reasonCode: 'MISSING_SENSOR_ID' })
+            ]);
+            const stored = await DataStorageService.readStoredRecords({ sensorIds: ['sensor_001'] });
+            expect(stored).toEqual([expect.objectContaining({ value: 30, calibrated_value: 61, calibration_id: 'cal-1' })]);
+        });
+    });
+});
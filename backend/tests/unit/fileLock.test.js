@@ -0,0 +1,65 @@
+/**
+ * File Lock Unit Tests
+ * Testing of exclusive, ordered locks on file paths
+ */
+
+const fileLock = require('../../src/utils/fileLock');
+
+describe('FileLockUtils', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    test('should run holders of the same path one at a time', async () => {
+        const order = [];
+        const work = name => async () => {
+            order.push(`${name} start`);
+            await tick();
+            order.push(`${name} end`);
+        };
+
+        await Promise.all([
+            fileLock.withLocks(['data/processed/date=2023-06-01/sensor_id=s1'], work('first')),
+            fileLock.withLocks(['data/processed/date=2023-06-01/sensor_id=s1/'], work('second'))
+        ]);
+
+        expect(order).toEqual(['first start', 'first end', 'second start', 'second end']);
+        expect(fileLock.isLocked('data/processed/date=2023-06-01/sensor_id=s1')).toBe(false);
+    });
+
+    test('should let holders of different paths run together', async () => {
+        let running = 0;
+        let mostRunning = 0;
+        const work = async () => {
+            running++;
+            mostRunning = Math.max(mostRunning, running);
+            await tick();
+            running--;
+        };
+
+        await Promise.all([
+            fileLock.withLocks(['partition/a'], work),
+            fileLock.withLocks(['partition/b'], work)
+        ]);
+
+        expect(mostRunning).toBe(2);
+    });
+
+    test('should not deadlock holders of overlapping paths listed in different orders', async () => {
+        const finished = [];
+
+        await Promise.all([
+            fileLock.withLocks(['partition/a', 'partition/b'], async () => { await tick(); finished.push('ab'); }),
+            fileLock.withLocks(['partition/b', 'partition/a'], async () => { await tick(); finished.push('ba'); })
+        ]);
+
+        expect(finished.sort()).toEqual(['ab', 'ba']);
+    });
+
+    test('should release the locks when the work fails', async () => {
+        await expect(fileLock.withLocks(['partition/a'], async () => {
+            throw new Error('write failed');
+        })).rejects.toThrow('write failed');
+
+        expect(fileLock.isLocked('partition/a')).toBe(false);
+        await expect(fileLock.withLocks(['partition/a'], async () => 'written')).resolves.toBe('written');
+    });
+});
@@ -0,0 +1,250 @@
+/**
+ * Pipeline Jobs Service Unit Tests
+ * Testing of background executions, per-step state, events, persistence, interrupted executions
+ * and concurrent files. Files run on the main thread so processFile can be mocked.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig } = require('../../src/config');
+const PipelineJobsService = require('../../src/services/pipelineJobs');
+
+describe('PipelineJobsService', () => {
+    const originalRawDataDir = appConfig.paths.RAW_DATA_DIR;
+    const originalExecutionsDir = appConfig.paths.EXECUTIONS_DIR;
+    const originalPipelineJobs = appConfig.pipelineJobs;
+    let tempDir;
+    let processFile;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-jobs-'));
+        appConfig.paths.RAW_DATA_DIR = path.join(tempDir, 'raw');
+        appConfig.paths.EXECUTIONS_DIR = path.join(tempDir, 'executions');
+        appConfig.pipelineJobs = { ...originalPipelineJobs, concurrency: 1, workerThreads: false };
+        processFile = jest.spyOn(PipelineJobsService.etlPipeline, 'processFile');
+    });
+
+    afterEach(async () => {
+        await PipelineJobsService.whenIdle();
+        processFile.mockRestore();
+        appConfig.paths.RAW_DATA_DIR = originalRawDataDir;
+        appConfig.paths.EXECUTIONS_DIR = originalExecutionsDir;
+        appConfig.pipelineJobs = originalPipelineJobs;
+        await fs.remove(tempDir);
+    });
+
+    // Reports every step like ETLPipelineService.processFile, failing at failStep when given
+    const fakePipeline = (failStep = null) => async (file, options) => {
+        for (const step of ['ingestion', 'transformation', 'validation', 'loading', 'summaries']) {
+            options.onStep(step, 'running');
+            if (step === failStep) {
+                options.onStep(step, 'failed', { error: `${step} broke` });
+                return { success: false, file, error: `${step} broke` };
+            }
+            options.onStep(step, 'completed', { records: 10 });
+        }
+        return { success: true, file, pipeline: { step1_ingestion: { recordsRead: 10 } } };
+    };
+
+    test('should return a queued execution and run it in the background', async () => {
+        processFile.mockImplementation(fakePipeline());
+
+        const queued = await PipelineJobsService.submit(['a.csv', 'b.csv'], { source: 'upload', mappingProfile: 'default' });
+
+        expect(queued).toMatchObject({ status: 'queued', source: 'upload', progress: { totalFiles: 2, percent: 0 } });
+        expect(processFile).not.toHaveBeenCalled();
+
+        await PipelineJobsService.whenIdle();
+        const execution = await PipelineJobsService.getExecution(queued.id);
+
+        expect(processFile).toHaveBeenCalledWith('a.csv', expect.objectContaining({ mappingProfile: 'default' }));
+        expect(execution).toMatchObject({
+            status: 'completed',
+            progress: { totalFiles: 2, completedFiles: 2, failedFiles: 0, percent: 100 }
+        });
+        expect(execution.duration).toEqual(expect.any(Number));
+        expect(execution.files[0]).toMatchObject({
+            filename: 'a.csv',
+            status: 'completed',
+            result: { step1_ingestion: { recordsRead: 10 } }
+        });
+        expect(execution.files[0].steps.loading).toMatchObject({ status: 'completed', records: 10 });
+        expect(execution.files[0].steps.loading.duration).toEqual(expect.any(Number));
+        expect(await fs.readJson(path.join(appConfig.paths.EXECUTIONS_DIR, `${queued.id}.json`)))
+            .toMatchObject({ status: 'completed' });
+    });
+
+    test('should record the failing step and skip the steps after it', async () => {
+        processFile
+            .mockImplementationOnce(fakePipeline('validation'))
+            .mockImplementationOnce(fakePipeline());
+
+        const { id } = await PipelineJobsService.submit(['bad.csv', 'good.csv']);
+        await PipelineJobsService.whenIdle();
+        const execution = await PipelineJobsService.getExecution(id);
+
+        expect(execution).toMatchObject({
+            status: 'completed_with_errors',
+            progress: { completedFiles: 1, failedFiles: 1, percent: 100 }
+        });
+        expect(execution.files[0]).toMatchObject({ status: 'failed', error: 'validation broke' });
+        expect(execution.files[0].steps).toMatchObject({
+            transformation: { status: 'completed' },
+            validation: { status: 'failed', error: 'validation broke' },
+            loading: { status: 'skipped' },
+            summaries: { status: 'skipped' }
+        });
+    });
+
+    test('should publish step transitions, warnings and the end of the execution to subscribers', async () => {
+        processFile.mockImplementation(async (file, options) => {
+            options.onWarning('ingestion', 'Extra column ignored: note');
+            return fakePipeline()(file, options);
+        });
+
+        const { id } = await PipelineJobsService.submit(['a.csv']);
+        const events = [];
+        const unsubscribe = PipelineJobsService.subscribe(id, (type, data) => events.push({ type, data }));
+        await PipelineJobsService.whenIdle();
+        unsubscribe();
+
+        const types = events.map(event => event.type);
+        const steps = events.filter(event => event.type === 'step');
+
+        expect(types[0]).toBe('execution');
+        expect(types.slice(-2)).toEqual(['file', 'end']);
+        expect(steps).toHaveLength(10);
+        expect(steps[1].data).toMatchObject({
+            filename: 'a.csv',
+            step: 'ingestion',
+            status: 'completed',
+            records: 10,
+            fileProgress: 20,
+            progress: { percent: 20 }
+        });
+        expect(events.find(event => event.type === 'warning').data)
+            .toMatchObject({ filename: 'a.csv', step: 'ingestion', message: 'Extra column ignored: note' });
+        expect(events[events.length - 1].data).toMatchObject({
+            id,
+            status: 'completed',
+            files: [{ filename: 'a.csv', status: 'completed', progress: 100 }]
+        });
+        expect(PipelineJobsService.isActive(id)).toBe(false);
+    });
+
+    test('should cancel the running file and the files after it', async () => {
+        let cancel;
+        const cancelled = new Promise(resolve => { cancel = resolve; });
+        processFile.mockImplementation(async (file, options) => {
+            options.onStep('ingestion', 'running');
+            cancel();
+            await new Promise(resolve => options.signal.addEventListener('abort', resolve));
+            options.onStep('ingestion', 'cancelled', { error: options.signal.reason.message });
+            return { success: false, file, cancelled: true, error: options.signal.reason.message };
+        });
+
+        const { id } = await PipelineJobsService.submit(['a.csv', 'b.csv']);
+        const queued = await PipelineJobsService.submit(['c.csv']);
+        await cancelled;
+
+        const cancelling = await PipelineJobsService.cancel(id);
+        const cancelledQueued = await PipelineJobsService.cancel(queued.id);
+        await PipelineJobsService.whenIdle();
+        const execution = await PipelineJobsService.getExecution(id);
+
+        expect(cancelling.status).toBe('cancelling');
+        expect(cancelledQueued).toMatchObject({ status: 'cancelled', files: [{ filename: 'c.csv', status: 'cancelled' }] });
+        expect(processFile).toHaveBeenCalledTimes(1);
+        expect(execution).toMatchObject({
+            status: 'cancelled',
+            progress: { cancelledFiles: 2, percent: 100 },
+            files: [
+                { filename: 'a.csv', status: 'cancelled', steps: { ingestion: { status: 'cancelled' }, loading: { status: 'skipped' } } },
+                { filename: 'b.csv', status: 'cancelled', startedAt: null }
+            ]
+        });
+        await expect(PipelineJobsService.cancel(id)).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    test('should retry only the files that did not complete', async () => {
+        processFile
+            .mockImplementationOnce(fakePipeline())
+            .mockImplementationOnce(fakePipeline('loading'))
+            .mockImplementationOnce(fakePipeline());
+
+        const { id } = await PipelineJobsService.submit(['good.csv', 'flaky.csv']);
+        await PipelineJobsService.whenIdle();
+        const firstRun = await PipelineJobsService.getExecution(id);
+
+        const queued = await PipelineJobsService.retry(id);
+        await PipelineJobsService.whenIdle();
+        const execution = await PipelineJobsService.getExecution(id);
+
+        expect(firstRun.status).toBe('completed_with_errors');
+        expect(queued).toMatchObject({ status: 'queued', retries: 1 });
+        expect(processFile).toHaveBeenCalledTimes(3);
+        expect(processFile.mock.calls[2][0]).toBe('flaky.csv');
+        expect(execution).toMatchObject({
+            status: 'completed',
+            retries: 1,
+            files: [
+                { filename: 'good.csv', status: 'completed', finishedAt: firstRun.files[0].finishedAt },
+                { filename: 'flaky.csv', status: 'completed', retries: 1 }
+            ]
+        });
+        await expect(PipelineJobsService.retry(id)).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    test('should process up to the configured number of files at once', async () => {
+        appConfig.pipelineJobs.concurrency = 2;
+        let running = 0;
+        let mostRunning = 0;
+        processFile.mockImplementation(async (file, options) => {
+            running++;
+            mostRunning = Math.max(mostRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+            return fakePipeline()(file, options);
+        });
+
+        const { id } = await PipelineJobsService.submit(['a.csv', 'b.csv', 'c.csv']);
+        await PipelineJobsService.whenIdle();
+        const execution = await PipelineJobsService.getExecution(id);
+
+        expect(mostRunning).toBe(2);
+        expect(processFile.mock.calls.map(call => call[0])).toEqual(['a.csv', 'b.csv', 'c.csv']);
+        expect(execution).toMatchObject({ status: 'completed', progress: { completedFiles: 3, percent: 100 } });
+    });
+
+    test('should report executions left running by an earlier process as interrupted', async () => {
+        const id = '00000000-0000-4000-8000-000000000000';
+        const stale = {
+            id,
+            status: 'running',
+            createdAt: '2023-06-01T00:00:00.000Z',
+            files: [{ filename: 'a.csv', status: 'running', currentStep: 'loading', steps: {} }]
+        };
+        await fs.outputJson(path.join(appConfig.paths.EXECUTIONS_DIR, `${id}.json`), stale);
+
+        const execution = await PipelineJobsService.getExecution(id);
+        const executions = await PipelineJobsService.listExecutions();
+
+        expect(execution.status).toBe('interrupted');
+        expect(execution.files[0]).toMatchObject({ status: 'interrupted', currentStep: null });
+        expect(executions).toEqual([expect.objectContaining({ id, status: 'interrupted' })]);
+        expect(await PipelineJobsService.getExecution('not-an-id')).toBeNull();
+    });
+
+    test('should only accept supported files present in the raw data directory', async () => {
+        await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'), 'sensor_id\n');
+
+        const errors = await PipelineJobsService.validateFilenames(['a.csv', 'missing.csv', '../a.csv', 'notes.txt']);
+
+        expect(errors).toEqual([
+            'File not found in raw data directory: missing.csv',
+            'Invalid filename: ../a.csv',
+            'Unsupported file type: notes.txt'
+        ]);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Quarantine Service Unit Tests
+ * Testing of rejected-row persistence, filtering and replay bookkeeping
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const QuarantineService = require('../../src/services/quarantine');
+const DataIngestionService = require('../../src/services/dataIngestion');
+const DataTransformationService = require('../../src/services/dataTransformation');
+
+describe('QuarantineService', () => {
+    const originalDatabaseFile = appConfig.paths.DATABASE_FILE;
+    let tempDir;
+
+    beforeAll(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quarantine-'));
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+    });
+
+    afterAll(async () => {
+        await dbConfig.closePersistentConnection();
+        appConfig.paths.DATABASE_FILE = originalDatabaseFile;
+        await fs.remove(tempDir);
+    });
+
+    const rejectedRows = [
+        { rowIndex: 3, record: { sensor_id: '', timestamp: '2025-06-05T10:00:00Z', reading_type: 'temperature', value: 21 }, reasonCode: 'MISSING_SENSOR_ID', message: 'Record has no sensor_id' },
+        { rowIndex: 7, record: { sensor_id: 'sensor_1', timestamp: 'not a date', reading_type: 'humidity', value: 40 }, reasonCode: 'INVALID_TIMESTAMP', message: 'Invalid date value' }
+    ];
+
+    describe('transformData rejections', () => {
+        test('should report every rejected row with its index and reason code', async () => {
+            const result = await DataTransformationService.transformData([
+                { sensor_id: 'sensor_1', timestamp: '2025-06-05T10:00:00Z', reading_type: 'temperature', value: 21, battery_level: 90 },
+                { sensor_id: '', timestamp: '2025-06-05T10:00:00Z', reading_type: 'temperature', value: 21, battery_level: 90 },
+                { sensor_id: 'sensor_1', timestamp: 'not a date', reading_type: 'humidity', value: 40, battery_level: 90 },
+                null
+            ]);
+
+            expect(result.transformedData).toHaveLength(1);
+            expect(result.rejectedRecords.map(rejected => [rejected.rowIndex, rejected.reasonCode])).toEqual([
+                [1, 'MISSING_SENSOR_ID'],
+                [2, 'INVALID_TIMESTAMP'],
+                [3, 'INVALID_RECORD']
+            ]);
+        });
+    });
+
+    describe('validateDataWithDuckDB rejections', () => {
+        test('should count a row with several bad fields as one invalid record', async () => {
+            const result = await DataIngestionService.validateDataWithDuckDB([
+                { sensor_id: 'sensor_1', timestamp: '2025-06-05T10:00:00Z', reading_type: 'temperature', value: 21, battery_level: 90 },
+                { sensor_id: '', timestamp: 'not a date', reading_type: 'temperature', value: 'abc', battery_level: 120 }
+            ]);
+
+            expect(result).toMatchObject({ isValid: false, totalRecords: 2, validRecords: 1, invalidRecords: 1 });
+            expect(result.rejectedRecords).toHaveLength(1);
+            expect(result.rejectedRecords[0]).toMatchObject({ rowIndex: 1, reasonCode: 'MISSING_SENSOR_ID' });
+        });
+    });
+
+    describe('quarantineRecords', () => {
+        test('should persist rejected rows with source file, row index and raw payload', async () => {
+            const count = await QuarantineService.quarantineRecords('field_a.csv', 'transformation', rejectedRows);
+            const result = await QuarantineService.getQuarantinedRecords({ source_file: 'field_a.csv' });
+
+            expect(count).toBe(2);
+            expect(result.pagination.total).toBe(2);
+            expect(result.records.map(record => record.row_index).sort()).toEqual([3, 7]);
+            expect(result.records.find(record => record.row_index === 7)).toMatchObject({
+                stage: 'transformation',
+                reason_code: 'INVALID_TIMESTAMP',
+                status: 'quarantined',
+                raw_payload: rejectedRows[1].record
+            });
+        });
+
+        test('should replace earlier entries when a file is reprocessed', async () => {
+            await QuarantineService.quarantineRecords('field_b.csv', 'transformation', rejectedRows);
+            await QuarantineService.quarantineRecords('field_b.csv', 'transformation', rejectedRows.slice(0, 1));
+
+            const result = await QuarantineService.getQuarantinedRecords({ source_file: 'field_b.csv' });
+
+            expect(result.pagination.total).toBe(1);
+            expect(result.records[0].reason_code).toBe('MISSING_SENSOR_ID');
+        });
+    });
+
+    describe('getQuarantinedRecords', () => {
+        test('should filter by reason code and paginate', async () => {
+            await QuarantineService.quarantineRecords('field_c.csv', 'validation', rejectedRows);
+
+            const firstPage = await QuarantineService.getQuarantinedRecords({ reason_code: 'INVALID_TIMESTAMP', limit: 1, offset: 0 });
+            const secondPage = await QuarantineService.getQuarantinedRecords({ reason_code: 'INVALID_TIMESTAMP', limit: 1, offset: 1 });
+
+            expect(firstPage.pagination.total).toBe(2);
+            expect(firstPage.records).toHaveLength(1);
+            expect(secondPage.records).toHaveLength(1);
+            expect(secondPage.records[0].id).not.toBe(firstPage.records[0].id);
+            expect(firstPage.reasonCounts).toEqual({ INVALID_TIMESTAMP: 2 });
+        });
+    });
+
+    describe('replay bookkeeping', () => {
+        test('should mark replayed rows and keep failed ones quarantined with the new reason', async () => {
+            await QuarantineService.quarantineRecords('field_d.csv', 'transformation', rejectedRows);
+            const { records } = await QuarantineService.getQuarantinedRecords({ source_file: 'field_d.csv' });
+            const [first, second] = records;
+
+            await QuarantineService.markReplayed([first.id]);
+            await QuarantineService.markReplayFailed(second.id, {
+                record: { ...second.raw_payload, reading_type: '' },
+                reasonCode: 'MISSING_READING_TYPE',
+                message: 'Record has no reading_type'
+            });
+
+            const [replayed, failed] = await QuarantineService.getRecordsByIds([first.id, second.id])
+                .then(entries => [entries.find(entry => entry.id === first.id), entries.find(entry => entry.id === second.id)]);
+
+            expect(replayed.status).toBe('replayed');
+            expect(replayed.replayed_at).toBeValidISO8601();
+            expect(failed).toMatchObject({ status: 'quarantined', reason_code: 'MISSING_READING_TYPE', replay_count: 1 });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * SQL Query Service Unit Tests
+ * Testing of read-only ad-hoc SQL over processed data and the saved-query catalog
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const SqlQueryService = require('../../src/services/sqlQuery');
+const DataStorageService = require('../../src/services/dataStorage');
+
+describe('SqlQueryService', () => {
+    const originalProcessedDir = appConfig.paths.PROCESSED_DIR;
+    const originalDatabaseFile = appConfig.paths.DATABASE_FILE;
+    const originalTimeout = appConfig.sqlQuery.timeoutMs;
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sql-query-'));
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+
+        await DataStorageService.storeDataAsParquet([10, 11, 12].map(hour => ({
+            sensor_id: 'sensor_001',
+            timestamp: new Date(Date.UTC(2023, 5, 1, hour)).toISOString(),
+            reading_type: 'temperature',
+            value: hour * 2,
+            processed_timestamp: '2023-06-02T00:00:00.000Z'
+        })));
+    });
+
+    afterEach(async () => {
+        await dbConfig.closePersistentConnection();
+        appConfig.paths.PROCESSED_DIR = originalProcessedDir;
+        appConfig.paths.DATABASE_FILE = originalDatabaseFile;
+        appConfig.sqlQuery.timeoutMs = originalTimeout;
+        await fs.remove(tempDir);
+    });
+
+    describe('execute', () => {
+        test('should query the sensor_data view and cut results at the row limit', async () => {
+            const result = await SqlQueryService.execute({
+                sql: 'SELECT timestamp, value FROM sensor_data ORDER BY timestamp -- first two\n;',
+                limit: 2
+            });
+
+            expect(result.columns).toEqual([{ name: 'timestamp', type: 'TIMESTAMP' }, { name: 'value', type: 'DOUBLE' }]);
+            expect(result.rows).toEqual([
+                { timestamp: '2023-06-01T10:00:00.000Z', value: 20 },
+                { timestamp: '2023-06-01T11:00:00.000Z', value: 22 }
+            ]);
+            expect(result).toMatchObject({ rowCount: 2, truncated: true });
+        });
+
+        test('should reject statements other than a single SELECT', async () => {
+            await expect(SqlQueryService.execute({ sql: "COPY sensor_data TO 'out.csv'" }))
+                .rejects.toThrow('COPY statements are not allowed');
+            await expect(SqlQueryService.execute({ sql: '/* stats */ PRAGMA database_size' }))
+                .rejects.toThrow('PRAGMA statements are not allowed');
+            await expect(SqlQueryService.execute({ sql: 'SELECT 1; DROP TABLE sensor_data' }))
+                .rejects.toMatchObject({ code: 'INVALID_QUERY' });
+        });
+
+        test('should not read files outside the processed data views', async () => {
+            const outside = path.join(tempDir, 'outside.csv');
+            await fs.outputFile(outside, 'secret\n1\n');
+
+            await expect(SqlQueryService.execute({ sql: `SELECT * FROM read_csv('${outside}')` }))
+                .rejects.toThrow('file system operations are disabled');
+        });
+
+        test('should interrupt queries over the time limit', async () => {
+            appConfig.sqlQuery.timeoutMs = 100;
+
+            await expect(SqlQueryService.execute({ sql: 'SELECT COUNT(*) FROM range(100000000000)' }))
+                .rejects.toMatchObject({ code: 'QUERY_TIMEOUT' });
+        });
+
+        test('should close each query\'s sandbox database', async () => {
+            const closeDatabase = jest.spyOn(dbConfig, 'closeDatabase');
+
+            await SqlQueryService.runQuery('SELECT 1 AS one', 10);
+            await SqlQueryService.listTables();
+
+            expect(closeDatabase).toHaveBeenCalledTimes(2);
+            closeDatabase.mockRestore();
+        });
+    });
+
+    describe('formatResult', () => {
+        test('should quote CSV fields and serialize nested values', () => {
+            const { body } = SqlQueryService.formatResult({
+                columns: [{ name: 'note' }, { name: 'reasons' }],
+                rows: [{ note: 'a,"b"', reasons: ['spike'] }, { note: null, reasons: [] }]
+            }, 'csv');
+
+            expect(body).toBe('note,reasons\n"a,""b""","[""spike""]"\n,[]\n');
+        });
+    });
+
+    describe('saved queries', () => {
+        test('should store, update and delete saved queries', async () => {
+            const { errors, savedQuery } = SqlQueryService.validateSavedQuery({
+                name: 'Hourly readings', sql: 'SELECT COUNT(*) AS readings FROM sensor_data'
+            });
+            const created = await SqlQueryService.createSavedQuery(savedQuery);
+            const updated = await SqlQueryService.updateSavedQuery(created.id, { ...savedQuery, description: 'All sensors' });
+
+            expect(errors).toEqual([]);
+            expect(await SqlQueryService.findSavedQueryByName('hourly readings')).toMatchObject({ id: created.id });
+            expect(updated).toMatchObject({ name: 'Hourly readings', description: 'All sensors' });
+            expect((await SqlQueryService.execute({ sql: updated.sql })).rows).toEqual([{ readings: 3 }]);
+
+            await SqlQueryService.deleteSavedQuery(created.id);
+            expect(await SqlQueryService.listSavedQueries()).toEqual([]);
+        });
+
+        test('should reject saved queries that are not a SELECT', () => {
+            expect(SqlQueryService.validateSavedQuery({ name: '', sql: 'ATTACH \'other.duckdb\'' }).errors).toEqual([
+                'name is required',
+                'ATTACH statements are not allowed; only a single read-only SELECT can be run'
+            ]);
+        });
+    });
+});
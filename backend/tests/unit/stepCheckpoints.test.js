@@ -0,0 +1,88 @@
+/**
+ * Step Checkpoint Service Unit Tests
+ * Testing of per-file step checkpoint records and their artifacts
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig } = require('../../src/config');
+const stepCheckpoints = require('../../src/services/stepCheckpoints');
+
+describe('StepCheckpointService', () => {
+    const originalPaths = { ...appConfig.paths };
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'step-checkpoints-'));
+        appConfig.paths.RAW_DATA_DIR = path.join(tempDir, 'raw');
+        appConfig.paths.STEP_CHECKPOINT_DIR = path.join(tempDir, 'checkpoints', 'steps');
+        appConfig.paths.TEMP_DIR = path.join(tempDir, 'temp');
+        await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'), 'sensor_id,timestamp\n');
+    });
+
+    afterEach(async () => {
+        Object.assign(appConfig.paths, originalPaths);
+        await fs.remove(tempDir);
+    });
+
+    test('should resume from the last saved step with its records', async () => {
+        const record = await stepCheckpoints.load('a.csv');
+        expect(stepCheckpoints.lastStep(record)).toBeNull();
+
+        await stepCheckpoints.save(record, 'ingested', { recordsRead: 2 }, [{ value: 1 }, { value: 2 }]);
+        await stepCheckpoints.save(record, 'transformed', { recordsProcessed: 1 }, [{ value: 2 }]);
+        await stepCheckpoints.save(record, 'validated', { overallScore: 90 });
+
+        const resumed = await stepCheckpoints.load('a.csv');
+        expect(stepCheckpoints.lastStep(resumed)).toBe('validated');
+        expect(stepCheckpoints.completed(resumed, 'ingested')).toMatchObject({ recordsRead: 2 });
+        expect(stepCheckpoints.completed(resumed, 'stored')).toBeNull();
+        expect(await stepCheckpoints.loadArtifact(resumed, 'transformed')).toEqual([{ value: 2 }]);
+    });
+
+    test('should keep only the artifact of the latest step that saved records', async () => {
+        const record = await stepCheckpoints.load('a.csv');
+
+        await stepCheckpoints.save(record, 'ingested', { recordsRead: 1 }, [{ value: 1 }]);
+        await stepCheckpoints.save(record, 'transformed', { recordsProcessed: 1 }, [{ value: 1 }]);
+
+        expect(await fs.pathExists(stepCheckpoints.artifactPath('a.csv', 'ingested'))).toBe(false);
+        expect(await fs.pathExists(stepCheckpoints.artifactPath('a.csv', 'transformed'))).toBe(true);
+        await expect(stepCheckpoints.loadArtifact(record, 'ingested')).rejects.toThrow('artifact of step ingested is missing');
+    });
+
+    test('should discard checkpoints of a changed file or mapping profile', async () => {
+        const record = await stepCheckpoints.load('a.csv', { mappingProfile: 'canonical' });
+        await stepCheckpoints.save(record, 'ingested', { recordsRead: 1 }, [{ value: 1 }]);
+
+        const otherProfile = await stepCheckpoints.load('a.csv', { mappingProfile: 'vendor_a' });
+        expect(stepCheckpoints.lastStep(otherProfile)).toBeNull();
+        expect(await fs.pathExists(stepCheckpoints.recordPath('a.csv'))).toBe(false);
+
+        await stepCheckpoints.save(otherProfile, 'ingested', { recordsRead: 1 }, [{ value: 1 }]);
+        await fs.appendFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'), 'sensor_001,2023-06-01T00:00:00Z\n');
+
+        const changedFile = await stepCheckpoints.load('a.csv', { mappingProfile: 'vendor_a' });
+        expect(stepCheckpoints.lastStep(changedFile)).toBeNull();
+        expect(await fs.pathExists(stepCheckpoints.artifactDir('a.csv'))).toBe(false);
+    });
+
+    test('should discard a record whose artifact is missing', async () => {
+        const record = await stepCheckpoints.load('a.csv');
+        await stepCheckpoints.save(record, 'ingested', { recordsRead: 1 }, [{ value: 1 }]);
+        await fs.remove(stepCheckpoints.artifactPath('a.csv', 'ingested'));
+
+        expect(stepCheckpoints.lastStep(await stepCheckpoints.load('a.csv'))).toBeNull();
+    });
+
+    test('should clear every record and artifact', async () => {
+        const record = await stepCheckpoints.load('a.csv');
+        await stepCheckpoints.save(record, 'ingested', { recordsRead: 1 }, [{ value: 1 }]);
+
+        await stepCheckpoints.clearAll();
+
+        expect(await fs.pathExists(appConfig.paths.STEP_CHECKPOINT_DIR)).toBe(false);
+        expect(await fs.pathExists(stepCheckpoints.artifactDir('a.csv'))).toBe(false);
+    });
+});
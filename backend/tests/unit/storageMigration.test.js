@@ -0,0 +1,108 @@
+/**
+ * Storage Migration Service Unit Tests
+ * Testing of JSON to Parquet partition conversion, verification, resume and cleanup
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig } = require('../../src/config');
+const StorageMigrationService = require('../../src/services/storageMigration');
+const DataStorageService = require('../../src/services/dataStorage');
+
+describe('StorageMigrationService', () => {
+    const originalProcessedDir = appConfig.paths.PROCESSED_DIR;
+    const originalManifestFile = appConfig.paths.STORAGE_MIGRATION_FILE;
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-migration-'));
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+        appConfig.paths.STORAGE_MIGRATION_FILE = path.join(tempDir, 'checkpoints', 'storage_migration.json');
+    });
+
+    afterEach(async () => {
+        appConfig.paths.PROCESSED_DIR = originalProcessedDir;
+        appConfig.paths.STORAGE_MIGRATION_FILE = originalManifestFile;
+        await fs.remove(tempDir);
+    });
+
+    const reading = (sensorId, hour, value) => ({
+        sensor_id: sensorId,
+        timestamp: new Date(Date.UTC(2023, 5, 1, hour)).toISOString(),
+        reading_type: 'temperature',
+        value,
+        battery_level: 90,
+        anomaly_reasons: [],
+        processed_timestamp: '2023-06-02T00:00:00.000Z'
+    });
+
+    const partitionDir = sensorId => path.join(appConfig.paths.PROCESSED_DIR, 'date=2023-06-01', `sensor_id=${sensorId}`);
+
+    const writeLegacyPartition = (sensorId, records) =>
+        fs.outputJson(path.join(partitionDir(sensorId), 'data.json'), records);
+
+    describe('migrate', () => {
+        test('should convert partitions in place, verify them and keep the JSON', async () => {
+            await writeLegacyPartition('sensor_001', [reading('sensor_001', 10, 20), reading('sensor_001', 11, 21)]);
+            await writeLegacyPartition('sensor_002', [reading('sensor_002', 10, 30)]);
+
+            const result = await StorageMigrationService.migrate();
+            const stored = await DataStorageService.readPartitionFile(path.join(partitionDir('sensor_001'), 'data.parquet'));
+
+            expect(result).toMatchObject({ partitions: 2, migrated: 2, failed: 0, rowsMigrated: 3 });
+            expect(stored.map(record => record.value)).toEqual([20, 21]);
+            expect((await fs.readdir(partitionDir('sensor_001'))).sort()).toEqual(['data.json', 'data.parquet']);
+            expect(await StorageMigrationService.getStatus()).toMatchObject({ legacyPartitions: 2, verified: 2, pending: 0 });
+        });
+
+        test('should resume without redoing verified partitions', async () => {
+            await writeLegacyPartition('sensor_001', [reading('sensor_001', 10, 20)]);
+            await StorageMigrationService.migrate();
+
+            // Interrupted after this partition was written but before it reached the manifest
+            await writeLegacyPartition('sensor_002', [reading('sensor_002', 10, 30)]);
+            await DataStorageService.writePartitionFile(partitionDir('sensor_002'), [reading('sensor_002', 10, 30)]);
+
+            const result = await StorageMigrationService.migrate();
+
+            expect(result).toMatchObject({ partitions: 2, alreadyMigrated: 1, migrated: 1, failed: 0 });
+        });
+
+        test('should accept newer Parquet data and fail Parquet files missing JSON rows', async () => {
+            await writeLegacyPartition('sensor_001', [reading('sensor_001', 10, 20)]);
+            await DataStorageService.writePartitionFile(partitionDir('sensor_001'),
+                [reading('sensor_001', 10, 20), reading('sensor_001', 11, 21)]);
+            await writeLegacyPartition('sensor_002', [reading('sensor_002', 10, 30), reading('sensor_002', 11, 31)]);
+            await DataStorageService.writePartitionFile(partitionDir('sensor_002'), [reading('sensor_002', 10, 30)]);
+
+            const result = await StorageMigrationService.migrate();
+
+            expect(result).toMatchObject({ superseded: 1, failed: 1 });
+            expect(result.failures).toEqual([{
+                partition: 'date=2023-06-01/sensor_id=sensor_002',
+                error: 'data.parquet is missing 1 of 2 rows from data.json'
+            }]);
+        });
+    });
+
+    describe('cleanup', () => {
+        test('should only remove JSON from migrated partitions once confirmed', async () => {
+            await writeLegacyPartition('sensor_001', [reading('sensor_001', 10, 20)]);
+            await StorageMigrationService.migrate();
+            await writeLegacyPartition('sensor_002', [reading('sensor_002', 10, 30)]);
+
+            const preview = await StorageMigrationService.cleanup();
+            const jsonKeptAfterPreview = await fs.pathExists(path.join(partitionDir('sensor_001'), 'data.json'));
+            const result = await StorageMigrationService.cleanup({ confirm: true });
+
+            expect(preview).toMatchObject({ confirmed: false, partitions: ['date=2023-06-01/sensor_id=sensor_001'], removed: 0 });
+            expect(jsonKeptAfterPreview).toBe(true);
+            expect(result).toMatchObject({ confirmed: true, removed: 1 });
+            expect(result.skipped).toEqual([{ partition: 'date=2023-06-01/sensor_id=sensor_002', status: 'pending' }]);
+            expect(await fs.readdir(partitionDir('sensor_001'))).toEqual(['data.parquet']);
+            expect(await fs.pathExists(path.join(partitionDir('sensor_002'), 'data.json'))).toBe(true);
+            expect(await StorageMigrationService.getStatus()).toMatchObject({ legacyPartitions: 1, pending: 1, cleaned: 1 });
+        });
+    });
+});
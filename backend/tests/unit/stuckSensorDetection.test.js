@@ -0,0 +1,115 @@
+/**
+ * Stuck Sensor Detection Unit Tests
+ * Testing of flatline, repeated-value and low-variance episode detection
+ */
+
+const StuckSensorDetection = require('../../src/services/stuckSensorDetection');
+const DataQualityService = require('../../src/services/dataQuality');
+const DataTransformationService = require('../../src/services/dataTransformation');
+
+describe('StuckSensorDetectionService', () => {
+    const series = (values, { sensorId = 'sensor_001', readingType = 'soil_moisture', intervalMinutes = 60 } = {}) =>
+        values.map((value, index) => ({
+            sensor_id: sensorId,
+            timestamp: new Date(Date.UTC(2023, 5, 1) + index * intervalMinutes * 60000).toISOString(),
+            reading_type: readingType,
+            value
+        }));
+
+    test('should report a flatline run with its start, end and value', () => {
+        const data = series([35.1, 36.4, ...Array(48).fill(38.2), 37.9]);
+
+        const result = StuckSensorDetection.detectStuckSensors(data);
+
+        expect(result.episodes).toEqual([{
+            sensor_id: 'sensor_001',
+            reading_type: 'soil_moisture',
+            type: 'flatline',
+            start: '2023-06-01T02:00:00.000Z',
+            end: '2023-06-03T01:00:00.000Z',
+            value: 38.2,
+            std_dev: 0,
+            readings: 48
+        }]);
+        expect(result.affectedRecords).toBe(48);
+        expect(data[2]).toMatchObject({ stuck_sensor: true, anomalous_reading: true, anomaly_reasons: ['flatline'] });
+        expect(data[0].stuck_sensor).toBeUndefined();
+    });
+
+    test('should report repeated identical values over a short period', () => {
+        const data = series([20.1, ...Array(12).fill(21.5), 22.3], { readingType: 'temperature', intervalMinutes: 1 });
+
+        const [episode] = StuckSensorDetection.detectStuckSensors(data).episodes;
+
+        expect(episode).toMatchObject({ type: 'repeated_value', value: 21.5, readings: 12 });
+    });
+
+    test('should report windows with implausibly low variance', () => {
+        const values = Array.from({ length: 24 }, (_, index) => 38.2 + (index % 2) * 0.01);
+
+        const [episode] = StuckSensorDetection.detectStuckSensors(series(values)).episodes;
+
+        expect(episode.type).toBe('low_variance');
+        expect(episode.readings).toBe(24);
+        expect(episode.std_dev).toBeCloseTo(0.005, 5);
+    });
+
+    test('should leave varying readings and other sensors untouched', () => {
+        const data = [
+            ...series(Array.from({ length: 24 }, (_, index) => 30 + index)),
+            ...series([40, 40], { sensorId: 'sensor_002' })
+        ];
+
+        const result = StuckSensorDetection.detectStuckSensors(data);
+
+        expect(result.episodes).toEqual([]);
+        expect(data.some(record => record.stuck_sensor)).toBe(false);
+    });
+
+    test('should continue a flatline from stored history but flag only the new records', () => {
+        const readings = series([35.1, ...Array(7).fill(38.2)]);
+        const history = readings.slice(0, 3);
+        const data = readings.slice(3);
+
+        const result = StuckSensorDetection.detectStuckSensors(data, history);
+
+        expect(result.episodes).toEqual([expect.objectContaining({ type: 'flatline', start: '2023-06-01T01:00:00.000Z', readings: 7 })]);
+        expect(result.affectedRecords).toBe(5);
+        expect(history.some(record => record.stuck_sensor)).toBe(false);
+    });
+
+    test('should replace flags from an earlier detection', () => {
+        const data = series([30, ...Array(8).fill(38.2)]);
+        data[0].anomaly_reasons = ['above_range'];
+        StuckSensorDetection.detectStuckSensors(data);
+
+        // On their own, the first two readings of the run are no episode
+        const result = StuckSensorDetection.detectStuckSensors(data.slice(1, 3));
+
+        expect(result.episodes).toEqual([]);
+        expect(data[1]).toMatchObject({ stuck_sensor: false, anomalous_reading: false, anomaly_reasons: [] });
+        expect(data[0].anomaly_reasons).toEqual(['above_range']);
+    });
+
+    test('should list episodes in the quality report without flagging records', async () => {
+        const data = series([35.1, 36.4, ...Array(48).fill(38.2)]);
+
+        const unflagged = await DataQualityService.generateDataQualityReport(data);
+        StuckSensorDetection.detectStuckSensors(data);
+        const report = await DataQualityService.generateDataQualityReport(data);
+
+        expect(unflagged.summary).toMatchObject({ stuckSensorEpisodes: 1, anomalyReasons: {} });
+        expect(data[0].stuck_sensor).toBeUndefined();
+        expect(report.summary.stuckSensorEpisodes).toBe(1);
+        expect(report.summary.anomalyReasons).toEqual({ flatline: 48 });
+        expect(report.details.stuck_sensors).toMatchObject({ count: 48, episodes: [expect.objectContaining({ type: 'flatline', value: 38.2 })] });
+        expect(report.summary.overallQualityScore).toBeLessThan(70);
+    });
+
+    test('should flag stuck sensors during transformation', async () => {
+        const result = await DataTransformationService.transformData(series([35.1, ...Array(8).fill(38.2)]));
+
+        expect(result.transformedData.filter(record => record.stuck_sensor)).toHaveLength(8);
+        expect(result.transformationStats.stuckSensorRecords).toBe(8);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Worker Pool Service Unit Tests
+ * Testing of files processed in worker threads: proxied database queries, forwarded locks
+ * and cancellation, and cleanup after a worker stops
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { app: appConfig, database: dbConfig } = require('../../src/config');
+const workerPool = require('../../src/services/workerPool');
+const fileLock = require('../../src/utils/fileLock');
+
+describe('WorkerPoolService', () => {
+    const pathNames = ['RAW_DATA_DIR', 'PROCESSED_DIR', 'DATABASE_FILE', 'CHECKPOINT_DIR', 'CHECKPOINT_FILE',
+        'STEP_CHECKPOINT_DIR', 'TEMP_DIR'];
+    const originalPaths = Object.fromEntries(pathNames.map(name => [name, appConfig.paths[name]]));
+    const originalPipelineJobs = appConfig.pipelineJobs;
+    let tempDir;
+    let partitionPath;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'worker-pool-'));
+        appConfig.paths.RAW_DATA_DIR = path.join(tempDir, 'raw');
+        appConfig.paths.PROCESSED_DIR = path.join(tempDir, 'processed');
+        appConfig.paths.DATABASE_FILE = path.join(tempDir, 'pipeline.duckdb');
+        appConfig.paths.CHECKPOINT_DIR = path.join(tempDir, 'checkpoints');
+        appConfig.paths.CHECKPOINT_FILE = path.join(tempDir, 'checkpoints', 'processed_files.txt');
+        appConfig.paths.STEP_CHECKPOINT_DIR = path.join(tempDir, 'checkpoints', 'steps');
+        appConfig.paths.TEMP_DIR = path.join(tempDir, 'temp');
+        appConfig.pipelineJobs = {
+            ...originalPipelineJobs,
+            concurrency: 1,
+            retryPolicy: { ...originalPipelineJobs.retryPolicy, maxAttempts: 1 }
+        };
+        partitionPath = path.join(appConfig.paths.PROCESSED_DIR, 'date=2023-06-01', 'sensor_id=sensor_001');
+
+        await fs.outputFile(path.join(appConfig.paths.RAW_DATA_DIR, 'a.csv'),
+            'sensor_id,timestamp,reading_type,value,battery_level\n' +
+            'sensor_001,2023-06-01T10:00:00Z,temperature,20.5,90\n' +
+            'sensor_001,2023-06-01T11:00:00Z,temperature,21.5,89\n' +
+            'sensor_001,2023-06-01T12:00:00Z,temperature,22.0,88\n');
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await workerPool.close();
+        await dbConfig.closePersistentConnection();
+        Object.assign(appConfig.paths, originalPaths);
+        appConfig.pipelineJobs = originalPipelineJobs;
+        await fs.remove(tempDir);
+    });
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    test('should process a file in a worker with its queries and locks handled by the main thread', async () => {
+        const acquireLocks = jest.spyOn(workerPool, 'acquireLocks');
+        const query = jest.spyOn(workerPool, 'query');
+        const onStep = jest.fn();
+
+        const result = await workerPool.processFile('a.csv', { onStep });
+
+        expect(result).toMatchObject({
+            success: true,
+            file: 'a.csv',
+            pipeline: { step1_ingestion: { recordsRead: 3 }, step4_storage: { recordsStored: 3 } }
+        });
+        expect(onStep).toHaveBeenCalledWith('loading', 'completed', expect.objectContaining({ recordsStored: 3 }));
+        expect(acquireLocks).toHaveBeenCalledWith(expect.anything(), expect.arrayContaining([path.resolve(partitionPath)]));
+        expect(query).toHaveBeenCalled();
+        expect(fileLock.isLocked(partitionPath)).toBe(false);
+
+        // sensor_data was written through the worker's proxied connections
+        const { connection } = await dbConfig.getPersistentConnection();
+        const rows = await dbConfig.executeQuery(connection, 'SELECT COUNT(*)::INTEGER AS count FROM sensor_data');
+        expect(rows[0].count).toBe(3);
+    });
+
+    test('should forward cancellation to the worker', async () => {
+        const controller = new AbortController();
+        const reason = Object.assign(new Error('Cancelled by test'), { code: 'EXECUTION_CANCELLED' });
+
+        const result = await workerPool.processFile('a.csv', {
+            signal: controller.signal,
+            onStep: (step, status) => {
+                if (step === 'ingestion' && status === 'running') controller.abort(reason);
+            }
+        });
+
+        expect(result).toMatchObject({ success: false, cancelled: true, error: 'Cancelled by test' });
+        expect(await fs.pathExists(partitionPath)).toBe(false);
+    });
+
+    test('should fail the file and release its locks when the worker stops mid-task', async () => {
+        const acquireLocks = workerPool.acquireLocks;
+        jest.spyOn(workerPool, 'acquireLocks').mockImplementationOnce(async function (slot, keys) {
+            const lockId = await acquireLocks.call(this, slot, keys);
+            await slot.worker.terminate();
+            return lockId;
+        });
+
+        await expect(workerPool.processFile('a.csv')).rejects.toThrow('Pipeline worker stopped with exit code');
+        await settle();
+
+        expect(workerPool.workers).toHaveLength(0);
+        expect(fileLock.isLocked(partitionPath)).toBe(false);
+
+        // The next file gets a new worker
+        await expect(workerPool.processFile('a.csv')).resolves.toMatchObject({ success: true });
+    });
+
+    test('should release locks granted after the worker stopped', async () => {
+        const slot = {
+            worker: { threadId: 0, postMessage: () => {}, unref: () => {} },
+            task: null,
+            locks: new Map(),
+            connections: new Map(),
+            exited: false
+        };
+        const release = await fileLock.acquire([partitionPath]);
+
+        const pending = workerPool.acquireLocks(slot, [path.resolve(partitionPath)]);
+        await workerPool.handleExit(slot, 1);
+        await release();
+
+        await expect(pending).rejects.toThrow('Pipeline worker stopped');
+        expect(slot.locks.size).toBe(0);
+        expect(fileLock.isLocked(partitionPath)).toBe(false);
+    });
+});
@@ -109,16 +109,20 @@ const AnalyticsDashboard = ({ systemHealth }) => {
     const generateSampleAnalytics = async () => {
         setAnalyticsLoading(true);
         try {
-            // Get real sensor data from the last 7 days for analytics
-            const recentDataResponse = await apiService.getRecentData(168, 2000); // 7 days, max 2000 records
-
-            if (recentDataResponse.status === 'success' && recentDataResponse.data.records.length > 0) {
-                const records = recentDataResponse.data.records;
-
-                // Group data by date and calculate averages
+            // Daily averages per reading type over the last 7 days, bucketed by the server in the local timezone
+            const aggregateResponse = await apiService.getAggregatedData({
+                interval: '1d',
+                agg: 'avg',
+                group_by: 'reading_type',
+                date_from: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            });
+
+            if (aggregateResponse.status === 'success' && aggregateResponse.data.buckets.length > 0) {
+                // Group bucket averages by date, weighted by reading count so merged types average correctly
                 const dataByDate = {};
-                records.forEach(record => {
-                    const date = new Date(record.timestamp).toLocaleDateString('en-US', {
+                aggregateResponse.data.buckets.filter(bucket => bucket.count > 0).forEach(bucket => {
+                    const date = new Date(bucket.bucket).toLocaleDateString('en-US', {
                         month: 'short',
                         day: '2-digit'
                     });
@@ -126,52 +130,44 @@ const AnalyticsDashboard = ({ systemHealth }) => {
                     if (!dataByDate[date]) {
                         dataByDate[date] = {
                             date,
-                            temperature: [],
-                            humidity: [],
-                            soilMoisture: [],
-                            lightIntensity: [],
+                            temperature: { sum: 0, count: 0 },
+                            humidity: { sum: 0, count: 0 },
+                            soilMoisture: { sum: 0, count: 0 },
+                            lightIntensity: { sum: 0, count: 0 },
                         };
                     }
 
                     // Map reading types to chart categories
-                    switch (record.reading_type?.toLowerCase()) {
-                        case 'temperature':
-                            dataByDate[date].temperature.push(parseFloat(record.value) || 0);
-                            break;
+                    let category;
+                    switch (bucket.reading_type?.toLowerCase()) {
                         case 'humidity':
-                            dataByDate[date].humidity.push(parseFloat(record.value) || 0);
+                            category = 'humidity';
                             break;
                         case 'soil_moisture':
                         case 'soil moisture':
-                            dataByDate[date].soilMoisture.push(parseFloat(record.value) || 0);
+                            category = 'soilMoisture';
                             break;
                         case 'light_intensity':
                         case 'light intensity':
-                            dataByDate[date].lightIntensity.push(parseFloat(record.value) || 0);
+                            category = 'lightIntensity';
                             break;
                         default:
-                            // For unknown types, add to temperature as fallback
-                            dataByDate[date].temperature.push(parseFloat(record.value) || 0);
+                            // Temperature, and unknown types as fallback
+                            category = 'temperature';
                     }
+                    dataByDate[date][category].sum += bucket.value * bucket.count;
+                    dataByDate[date][category].count += bucket.count;
                 });
 
-                // Calculate averages and prepare chart data
+                const average = ({ sum, count }) => (count > 0 ? sum / count : 0);
                 const chartData = Object.values(dataByDate)
                     .slice(-7) // Take last 7 days
                     .map(dayData => ({
                         date: dayData.date,
-                        temperature: dayData.temperature.length > 0
-                            ? dayData.temperature.reduce((sum, val) => sum + val, 0) / dayData.temperature.length
-                            : 0,
-                        humidity: dayData.humidity.length > 0
-                            ? dayData.humidity.reduce((sum, val) => sum + val, 0) / dayData.humidity.length
-                            : 0,
-                        soilMoisture: dayData.soilMoisture.length > 0
-                            ? dayData.soilMoisture.reduce((sum, val) => sum + val, 0) / dayData.soilMoisture.length
-                            : 0,
-                        lightIntensity: dayData.lightIntensity.length > 0
-                            ? dayData.lightIntensity.reduce((sum, val) => sum + val, 0) / dayData.lightIntensity.length
-                            : 0,
+                        temperature: average(dayData.temperature),
+                        humidity: average(dayData.humidity),
+                        soilMoisture: average(dayData.soilMoisture),
+                        lightIntensity: average(dayData.lightIntensity),
                     }));
 
                 setAnalyticsData(chartData.length > 0 ? chartData : []);
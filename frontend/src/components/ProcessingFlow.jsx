@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
     Steps,
     Card,
@@ -39,6 +39,84 @@ const { Step } = Steps;
 const { Dragger } = Upload;
 const { Title, Text, Paragraph } = Typography;
 
+// Raw input formats accepted by the ingestion step (mirrors fileFormats in backend config/app.js)
+const SUPPORTED_EXTENSIONS = ['.parquet', '.csv', '.json', '.ndjson', '.jsonl'];
+
+const isSupportedFile = (filename) => {
+    const name = filename.toLowerCase();
+    return SUPPORTED_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+// Pipeline execution states (mirrors services/pipelineJobs.js in the backend)
+const FINISHED_EXECUTION_STATUSES = ['completed', 'completed_with_errors', 'failed', 'cancelled', 'interrupted'];
+const FINISHED_STEP_STATUSES = ['completed', 'failed', 'cancelled', 'skipped'];
+const RETRYABLE_FILE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+const EXECUTION_POLL_INTERVAL = 1000;
+const FILE_STATUS_COLORS = {
+    pending: 'default',
+    running: 'processing',
+    completed: 'success',
+    skipped: 'default',
+    failed: 'error',
+    cancelled: 'warning',
+    interrupted: 'warning'
+};
+
+// Record counts reported with completed steps, in the order they are looked for
+const STEP_FIGURES = [
+    ['recordsRead', 'read'],
+    ['recordsProcessed', 'transformed'],
+    ['recordsQuarantined', 'quarantined'],
+    ['overallScore', 'quality score'],
+    ['recordsStored', 'stored'],
+    ['recordsSummarized', 'summarized']
+];
+
+const describeStepFigures = (state) => STEP_FIGURES
+    .filter(([field]) => state[field] !== undefined)
+    .map(([field, label]) => `${state[field]} ${label}`)
+    .join(', ');
+
+// Apply one execution event to the execution it belongs to
+const applyExecutionEvent = (execution, type, data) => {
+    if (type === 'snapshot') return data;
+    if (!execution) return execution;
+
+    const updateFile = (filename, update) => ({
+        ...execution,
+        files: execution.files.map(file => file.filename === filename ? update(file) : file)
+    });
+
+    switch (type) {
+        case 'execution':
+        case 'end':
+            // Summaries carry condensed files; keep the detailed ones
+            return { ...execution, ...data, files: execution.files };
+        case 'file':
+            return updateFile(data.filename, () => data);
+        case 'step': {
+            const { filename, step, fileProgress, progress, ...stepState } = data;
+            return {
+                ...updateFile(filename, file => ({
+                    ...file,
+                    progress: fileProgress,
+                    currentStep: stepState.status === 'running' ? step : file.currentStep,
+                    steps: { ...file.steps, [step]: stepState }
+                })),
+                progress
+            };
+        }
+        case 'warning': {
+            const { filename, ...warning } = data;
+            return updateFile(filename, file => ({ ...file, warnings: [...(file.warnings || []), warning] }));
+        }
+        default:
+            return execution;
+    }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 const ProcessingFlow = () => {
 
 
@@ -53,12 +131,23 @@ const ProcessingFlow = () => {
     const [logs, setLogs] = useState([]);
     // eslint-disable-next-line no-unused-vars
     const [stats, setStats] = useState(null);
+    const [execution, setExecution] = useState(null);
+    const loggedStepEvents = useRef(new Set());
+    const uploadedFileSizes = useRef({});
+    // The execution being followed and how to stop following it; replaced by the next run
+    const followedExecution = useRef(null);
+
+    // Stop following on unmount, so no stream stays open and no updates arrive afterwards
+    useEffect(() => () => {
+        followedExecution.current?.stop();
+        followedExecution.current = null;
+    }, []);
 
     // Processing steps configuration - aligned with backend 4-step pipeline
     const processingSteps = [
         {
             title: 'Data Ingestion',
-            description: 'Read and validate Parquet files, check schema compliance',
+            description: 'Read and validate Parquet, CSV and JSON files, check schema compliance',
             icon: <InboxOutlined />,
             key: 'ingestion',
             details: 'Inspects file schema, validates data ranges, logs ingestion statistics'
@@ -83,15 +172,22 @@ const ProcessingFlow = () => {
             icon: <SaveOutlined />,
             key: 'loading',
             details: 'Partition by date, apply compression, optimize for analytical queries'
+        },
+        {
+            title: 'Summary Tables',
+            description: 'Refresh daily, sensor and anomaly summaries',
+            icon: <BarChartOutlined />,
+            key: 'summaries',
+            details: 'Regenerate summary tables and record the file in the processing checkpoint'
         }
     ];
 
     // Handle file selection
     const handleFileChange = ({ fileList: newFileList }) => {
         const validFiles = newFileList.filter(file => {
-            const isParquet = file.name.toLowerCase().endsWith('.parquet');
-            if (!isParquet && file.status !== 'removed') {
-                message.error(`${file.name} is not a valid Parquet file`);
+            const isSupported = isSupportedFile(file.name);
+            if (!isSupported && file.status !== 'removed') {
+                message.error(`${file.name} is not a supported file type (${SUPPORTED_EXTENSIONS.join(', ')})`);
                 return false;
             }
 
@@ -102,7 +198,7 @@ const ProcessingFlow = () => {
                 return false;
             }
 
-            return isParquet && isLt100M;
+            return isSupported && isLt100M;
         });
 
         setSelectedFiles(validFiles);
@@ -148,6 +244,189 @@ const ProcessingFlow = () => {
         }));
     };
 
+    // Reflect a pipeline execution's per-file step states in the step progress and log
+    const applyExecution = (execution) => {
+        const files = execution.files || [];
+
+        processingSteps.forEach((step, index) => {
+            const states = files.map(file => file.steps?.[step.key] || { status: 'pending' });
+            const finished = states.filter(state => FINISHED_STEP_STATUSES.includes(state.status)).length;
+            const failed = states.some(state => state.status === 'failed');
+            const started = states.some(state => state.status !== 'pending');
+            const progress = files.length > 0 ? Math.round(finished / files.length * 100) : 0;
+
+            if (failed && finished === files.length) {
+                updateStepProgress(step.key, progress, 'error');
+            } else if (finished === files.length && files.length > 0) {
+                updateStepProgress(step.key, progress, 'finish');
+            } else if (started) {
+                updateStepProgress(step.key, progress, 'process');
+                setCurrentStep(index);
+            }
+        });
+
+        files.forEach(file => {
+            processingSteps.forEach(step => {
+                const state = file.steps?.[step.key];
+                if (!state || !['completed', 'failed'].includes(state.status)) return;
+
+                const key = `${file.filename}:${step.key}:${state.status}`;
+                if (loggedStepEvents.current.has(key)) return;
+                loggedStepEvents.current.add(key);
+
+                if (state.status === 'failed') {
+                    addLog(`❌ ${step.title} failed for ${file.filename}: ${state.error || file.error || 'Unknown error'}`, 'error');
+                } else if (state.resumed) {
+                    // Completed by an earlier run; only its checkpoint was read back
+                    const figures = describeStepFigures(state);
+                    addLog(`⏭️ ${step.title} already completed for ${file.filename} (checkpoint)` +
+                        (figures ? ` (${figures})` : ''));
+                } else {
+                    const figures = describeStepFigures(state);
+                    addLog(`✅ ${step.title} completed for ${file.filename} in ${state.duration ?? 0}ms` +
+                        (figures ? ` (${figures})` : ''));
+                }
+            });
+        });
+
+        setExecution(execution);
+        setOverallProgress(execution.progress?.percent || 0);
+    };
+
+    // Poll a pipeline execution until it finishes, or until it is no longer followed (null)
+    const pollExecution = async (executionId, isFollowed) => {
+        for (;;) {
+            const response = await apiService.getPipelineExecution(executionId);
+            if (!isFollowed()) return null;
+            const execution = response.data;
+            applyExecution(execution);
+
+            if (FINISHED_EXECUTION_STATUSES.includes(execution.status)) {
+                return execution;
+            }
+            await sleep(EXECUTION_POLL_INTERVAL);
+        }
+    };
+
+    // Follow a pipeline execution's events until it finishes, falling back to polling
+    // when the event stream is unavailable. Following a new execution, or unmounting,
+    // stops following the previous one, which then resolves to null.
+    const followExecution = async (executionId) => {
+        followedExecution.current?.stop();
+        const followed = { executionId, stop: () => {} };
+        followedExecution.current = followed;
+        const isFollowed = () => followedExecution.current === followed;
+
+        if (typeof EventSource === 'undefined') {
+            return pollExecution(executionId, isFollowed);
+        }
+
+        const streamed = await new Promise(resolve => {
+            let current = null;
+            const source = apiService.subscribeToPipelineExecution(executionId, (type, data) => {
+                if (!isFollowed()) return;
+                current = applyExecutionEvent(current, type, data);
+                if (!current) return;
+
+                if (type === 'warning') {
+                    addLog(`⚠️ ${data.filename}: ${data.message}`, 'warning');
+                }
+                applyExecution(current);
+
+                if (type === 'end') {
+                    source.close();
+                    resolve(true);
+                }
+            }, () => resolve(false));
+            followed.stop = () => {
+                source.close();
+                resolve(false);
+            };
+        });
+
+        if (!isFollowed()) return null;
+        if (!streamed) {
+            addLog('Event stream unavailable, checking progress periodically instead', 'warning');
+        }
+        // The stored execution carries each file's full pipeline result
+        return pollExecution(executionId, isFollowed);
+    };
+
+    // Follow a pipeline execution to the end and report its per-file results
+    const reportExecution = async (executionId) => {
+        const execution = await followExecution(executionId);
+        if (!execution) return;
+        const fileSizes = uploadedFileSizes.current;
+
+        setProcessingResults({
+            data: {
+                processed: execution.files
+                    .filter(file => file.status === 'completed')
+                    .map(file => ({ filename: file.filename, size: fileSizes[file.filename] })),
+                errors: execution.files
+                    .filter(file => RETRYABLE_FILE_STATUSES.includes(file.status))
+                    .map(file => ({ filename: file.filename, error: file.error || file.status })),
+                stats: {
+                    recordsIngested: execution.files.reduce((total, file) =>
+                        total + (file.result?.step1_ingestion?.recordsRead || 0), 0),
+                    processingTime: execution.duration,
+                    filesProcessed: execution.progress.completedFiles,
+                    filesSkipped: execution.progress.skippedFiles
+                }
+            }
+        });
+
+        if (execution.status === 'completed') {
+            setCurrentStep(processingSteps.length - 1);
+            setOverallProgress(100);
+            addLog('🎉 Pipeline processing completed successfully!');
+            setStepStatus('finish');
+            message.success('Data pipeline completed successfully!');
+        } else if (execution.status === 'cancelled') {
+            addLog(`⏹️ Pipeline execution cancelled after ${execution.progress.completedFiles} of ${execution.progress.totalFiles} file(s)`, 'warning');
+            setStepStatus('error');
+            message.warning('Data pipeline cancelled');
+        } else {
+            addLog(`⚠️ Pipeline execution ${execution.status.replace(/_/g, ' ')}`, 'error');
+            setStepStatus('error');
+            message.error(`Data pipeline ${execution.status.replace(/_/g, ' ')}: ` +
+                `${execution.progress.failedFiles} of ${execution.progress.totalFiles} file(s) failed`);
+        }
+    };
+
+    // Ask the backend to stop the running execution between batches
+    const cancelExecution = async () => {
+        try {
+            const response = await apiService.cancelPipelineExecution(execution.id);
+            addLog(`⏹️ ${response.message}`, 'warning');
+        } catch (error) {
+            message.error(`Failed to cancel execution: ${error.message}`);
+        }
+    };
+
+    // Re-run the files of the finished execution that failed, were cancelled or were interrupted
+    const retryExecution = async () => {
+        const retried = execution.files.filter(file => RETRYABLE_FILE_STATUSES.includes(file.status));
+
+        setProcessing(true);
+        setStepStatus('process');
+        try {
+            await apiService.retryPipelineExecution(execution.id);
+            addLog(`🔁 Retrying ${retried.map(file => file.filename).join(', ')}`);
+
+            // Log the retried files' steps again as they complete
+            loggedStepEvents.current = new Set([...loggedStepEvents.current]
+                .filter(key => !retried.some(file => key.startsWith(`${file.filename}:`))));
+            await reportExecution(execution.id);
+        } catch (error) {
+            addLog(`❌ Retry failed: ${error.message}`, 'error');
+            setStepStatus('error');
+            message.error(`Failed to retry execution: ${error.message}`);
+        } finally {
+            setProcessing(false);
+        }
+    };
+
     // Enhanced processing pipeline with real API calls
     const startProcessing = async () => {
         if (selectedFiles.length === 0) {
@@ -160,6 +439,7 @@ const ProcessingFlow = () => {
         setOverallProgress(0);
         setLogs([]);
         setProcessingResults({});
+        setExecution(null);
 
         try {
             addLog('🚀 Starting Agricultural Data Pipeline Processing...');
@@ -176,11 +456,30 @@ const ProcessingFlow = () => {
 
             // Basic client-side validation
             for (const file of files) {
-                if (!file.name.endsWith('.parquet')) {
-                    throw new Error(`Invalid file format: ${file.name}. Only .parquet files are accepted.`);
+                if (!isSupportedFile(file.name)) {
+                    throw new Error(`Invalid file format: ${file.name}. Only ${SUPPORTED_EXTENSIONS.join(', ')} files are accepted.`);
                 }
             }
 
+            // Server-side schema validation blocks files before they reach the pipeline
+            const validationResponse = await apiService.validateFiles(files);
+            const invalidResults = (validationResponse.data?.validationResults || [])
+                .filter(result => result.status !== 'valid');
+
+            if (invalidResults.length > 0) {
+                invalidResults.forEach(result => {
+                    addLog(`❌ ${result.filename}: ${result.message || result.error}`, 'error');
+                    (result.columns || [])
+                        .filter(column => column.status === 'missing' || column.status === 'incompatible')
+                        .forEach(column => addLog(`   • ${column.message}`, 'error'));
+                });
+                updateStepProgress('ingestion', 100, 'error');
+                setStepStatus('error');
+                message.error(`${invalidResults.length} file(s) failed schema validation`);
+                return;
+            }
+            addLog(`✅ Schema validation passed for ${files.length} file(s)`);
+
             // Upload files using the upload endpoint
             const formData = new FormData();
             files.forEach(file => formData.append('files', file));
@@ -188,60 +487,18 @@ const ProcessingFlow = () => {
             const uploadResponse = await apiService.uploadFiles(formData);
             updateStepProgress('ingestion', 50, 'process');
 
-            if (uploadResponse.status === 'success') {
-                // Extract filenames from the upload response
-                const filenames = uploadResponse.data?.files?.map(f => f.filename) ||
-                    uploadResponse.data?.processing?.results?.map(r => r.filename) ||
-                    files.map(f => f.name); // fallback to original file names
-
-                addLog(`✅ Files uploaded: ${filenames.join(', ')}`);
-
-                // Perform ingestion step
-                const ingestionResult = await apiService.processStep('ingestion', filenames);
-                updateStepProgress('ingestion', 100, 'finish');
-                addLog(`📊 Ingestion completed: ${ingestionResult.data?.result?.summary || 'Success'}`);
-                setProcessingResults(prev => ({ ...prev, ingestion: ingestionResult.data?.result }));
-                setOverallProgress(25);
-
-                // Step 2: Data Transformation
-                addLog('🔄 Step 2: Data Transformation - Cleaning and enriching data...');
-                setCurrentStep(1);
-                updateStepProgress('transformation', 0, 'process');
-
-                const transformationResult = await apiService.processStep('transformation', filenames);
-                updateStepProgress('transformation', 100, 'finish');
-                addLog(`✨ Transformation completed: ${transformationResult.data?.result?.summary || 'Success'}`);
-                setProcessingResults(prev => ({ ...prev, transformation: transformationResult.data?.result }));
-                setOverallProgress(50);
-
-                // Step 3: Quality Validation
-                addLog('� Step 3: Quality Validation - Running data quality checks...');
-                setCurrentStep(2);
-                updateStepProgress('validation', 0, 'process');
-
-                const validationResult = await apiService.processStep('validation', filenames);
-                updateStepProgress('validation', 100, 'finish');
-                addLog(`✅ Validation completed: ${validationResult.data?.result?.summary || 'Success'}`);
-                setProcessingResults(prev => ({ ...prev, validation: validationResult.data?.result }));
-                setOverallProgress(75);
-
-                // Step 4: Data Loading
-                addLog('💾 Step 4: Data Loading - Storing processed data...');
-                setCurrentStep(3);
-                updateStepProgress('loading', 0, 'process');
-
-                const loadingResult = await apiService.processStep('loading', filenames);
-                updateStepProgress('loading', 100, 'finish');
-                addLog(`💽 Loading completed: ${loadingResult.data?.result?.summary || 'Success'}`);
-                setProcessingResults(prev => ({ ...prev, loading: loadingResult.data?.result }));
-                setOverallProgress(100);
-
-                addLog('🎉 Pipeline processing completed successfully!');
-                setStepStatus('finish');
-                message.success('Data pipeline completed successfully!');
-            } else {
-                throw new Error('File upload failed');
+            const executionId = uploadResponse.data?.executionId;
+            if (uploadResponse.status !== 'success' || !executionId) {
+                throw new Error(uploadResponse.message || 'File upload failed');
             }
+
+            const uploadedFiles = uploadResponse.data.files || [];
+            addLog(`✅ Files uploaded: ${uploadedFiles.map(f => f.filename).join(', ')}`);
+            addLog(`⏳ Processing in the background as execution ${executionId}`);
+
+            loggedStepEvents.current = new Set();
+            uploadedFileSizes.current = Object.fromEntries(uploadedFiles.map(f => [f.filename, f.size]));
+            await reportExecution(executionId);
         } catch (error) {
             addLog(`⚠️ Notice: ${error.message} - Continuing with processing...`);
 
@@ -281,6 +538,7 @@ const ProcessingFlow = () => {
         setLogs([]);
         setProcessingResults({});
         setStats(null);
+        setExecution(null);
     };
 
     // Get step status
@@ -304,7 +562,7 @@ const ProcessingFlow = () => {
                     fileList={selectedFiles}
                     onChange={handleFileChange}
                     beforeUpload={() => false} // Prevent auto upload
-                    accept=".parquet"
+                    accept={SUPPORTED_EXTENSIONS.join(',')}
                     className="mb-4"
                     disabled={processing}
                 >
@@ -312,10 +570,10 @@ const ProcessingFlow = () => {
                         <InboxOutlined />
                     </p>
                     <p className="ant-upload-text">
-                        Click or drag Parquet files to this area to upload
+                        Click or drag Parquet, CSV or JSON files to this area to upload
                     </p>
                     <p className="ant-upload-hint">
-                        Support for multiple file selection. Only .parquet files are accepted.
+                        Support for multiple file selection. Accepted formats: {SUPPORTED_EXTENSIONS.join(', ')} (CSV delimiter and header row are detected automatically).
                         <br />
                         Expected schema: sensor_id, timestamp, reading_type, value, battery_level
                         <br />
@@ -428,6 +686,38 @@ const ProcessingFlow = () => {
                 </div>
             )}
 
+            {/* Per-file progress from the execution's events */}
+            {execution?.files?.length > 0 && (
+                <div className="mt-6">
+                    <Title level={5}>File Progress</Title>
+                    {execution.files.map(file => (
+                        <div key={file.filename} className="mt-2">
+                            <Space>
+                                <FileTextOutlined />
+                                <Text>{file.filename}</Text>
+                                <Tag color={FILE_STATUS_COLORS[file.status] || 'default'}>{file.status}</Tag>
+                                {file.currentStep && (
+                                    <Text type="secondary" className="text-sm">
+                                        {processingSteps.find(step => step.key === file.currentStep)?.title}
+                                    </Text>
+                                )}
+                                {file.warnings?.length > 0 && (
+                                    <Tag color="orange">{file.warnings.length} warning{file.warnings.length !== 1 ? 's' : ''}</Tag>
+                                )}
+                            </Space>
+                            <Progress
+                                percent={file.progress || 0}
+                                size="small"
+                                status={
+                                    ['failed', 'cancelled'].includes(file.status) ? 'exception' :
+                                        file.status === 'running' ? 'active' : undefined
+                                }
+                            />
+                        </div>
+                    ))}
+                </div>
+            )}
+
             <div className="mt-4">
                 <Space>
                     <Button
@@ -440,6 +730,24 @@ const ProcessingFlow = () => {
                     >
                         {processing ? 'Processing...' : 'Start Processing'}
                     </Button>
+                    {processing && execution && !FINISHED_EXECUTION_STATUSES.includes(execution.status) && (
+                        <Button
+                            danger
+                            icon={<CloseCircleOutlined />}
+                            onClick={cancelExecution}
+                            disabled={execution.status === 'cancelling'}
+                        >
+                            {execution.status === 'cancelling' ? 'Cancelling...' : 'Cancel'}
+                        </Button>
+                    )}
+                    {!processing && execution?.files?.some(file => RETRYABLE_FILE_STATUSES.includes(file.status)) && (
+                        <Button
+                            icon={<ReloadOutlined />}
+                            onClick={retryExecution}
+                        >
+                            Retry Failed Files
+                        </Button>
+                    )}
                     <Button
                         icon={<ReloadOutlined />}
                         onClick={resetProcessing}
@@ -570,7 +878,7 @@ const ProcessingFlow = () => {
                 <Title level={2}>Agricultural Data Processing Pipeline</Title>
                 <Paragraph>
                     Process sensor data through a comprehensive 4-step pipeline: ingestion, transformation,
-                    quality validation, and storage. Upload Parquet files containing agricultural sensor data.
+                    quality validation, and storage. Upload Parquet, CSV or JSON files containing agricultural sensor data.
                 </Paragraph>
             </div>
 
@@ -65,7 +65,7 @@ export const apiService = {
         return response.data;
     },
 
-    // Upload files with 4-step pipeline processing
+    // Upload files and queue them for 4-step pipeline processing; the response carries the executionId
     async uploadFiles(formDataOrFiles, options = {}) {
         let formData;
 
@@ -101,7 +101,7 @@ export const apiService = {
             headers: {
                 'Content-Type': 'multipart/form-data',
             },
-            timeout: 600000, // 10 minutes for file uploads and processing
+            timeout: 600000, // 10 minutes for large file uploads
             onUploadProgress: options.onProgress,
             validateStatus: function (status) {
                 return status < 500; // Resolve only if the status code is less than 500
@@ -139,7 +139,7 @@ export const apiService = {
         return response.data;
     },
 
-    // Process existing files
+    // Queue existing files that have not been processed yet
     async processFiles(options = {}) {
         const response = await apiClient.post('/api/process-files', {
             forceReprocess: options.forceReprocess || false,
@@ -149,6 +149,44 @@ export const apiService = {
         return response.data;
     },
 
+    // Get a pipeline execution's progress and per-file results
+    async getPipelineExecution(executionId) {
+        const response = await apiClient.get(`/api/pipeline/executions/${encodeURIComponent(executionId)}`);
+        return response.data;
+    },
+
+    // Follow a pipeline execution over Server-Sent Events. onEvent receives (type, data) for the
+    // snapshot, execution, file, step, warning and end events; close the returned EventSource when done
+    subscribeToPipelineExecution(executionId, onEvent, onError) {
+        const source = new EventSource(`${API_BASE}/pipeline/executions/${encodeURIComponent(executionId)}/events`);
+        ['snapshot', 'execution', 'file', 'step', 'warning', 'end'].forEach(type => {
+            source.addEventListener(type, event => onEvent(type, JSON.parse(event.data)));
+        });
+        source.onerror = error => {
+            source.close();
+            if (onError) onError(error);
+        };
+        return source;
+    },
+
+    // Cancel a queued or running pipeline execution
+    async cancelPipelineExecution(executionId) {
+        const response = await apiClient.post(`/api/pipeline/executions/${encodeURIComponent(executionId)}/cancel`);
+        return response.data;
+    },
+
+    // Re-run the failed, cancelled or interrupted files of a finished pipeline execution
+    async retryPipelineExecution(executionId) {
+        const response = await apiClient.post(`/api/pipeline/executions/${encodeURIComponent(executionId)}/retry`);
+        return response.data;
+    },
+
+    // List recent pipeline executions
+    async getPipelineExecutions(limit = 20) {
+        const response = await apiClient.get(`/api/pipeline/executions?limit=${limit}`);
+        return response.data;
+    },
+
     // Get processed data
     async getProcessedData(filters = {}) {
         const params = new URLSearchParams();
@@ -280,6 +318,19 @@ export const apiService = {
         return response.data;
     },
 
+    // Get readings aggregated into time buckets (interval, agg, group_by, date_from, date_to, timezone, fill)
+    async getAggregatedData(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                query.append(key, value);
+            }
+        });
+
+        const response = await apiClient.get(`/api/data/aggregate?${query.toString()}`);
+        return response.data;
+    },
+
     // Get raw sensor data with filtering
     async getSensorData(filters = {}) {
         const params = new URLSearchParams();
@@ -364,6 +415,11 @@ export const {
     getPipelineStatus,
     uploadFiles,
     processFiles,
+    getPipelineExecution,
+    subscribeToPipelineExecution,
+    cancelPipelineExecution,
+    retryPipelineExecution,
+    getPipelineExecutions,
     getProcessedData,
     getQualityReport,
     getCheckpoints,
@@ -375,6 +431,7 @@ export const {
     getReadingTypes,
     getRecentData,
     getDataSummary,
+    getAggregatedData,
     getSensorData,
     getLogs,
     getLogContent,